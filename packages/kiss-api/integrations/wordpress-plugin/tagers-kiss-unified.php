@@ -1214,8 +1214,9 @@ if ($this->is_ops_core_active()) {
     
     public function cs_buscar_pedido($request) {
         $phone = sanitize_text_field($request->get_param('phone') ?? '');
+        $email = sanitize_email($request->get_param('email') ?? '');
         $order_id = absint($request->get_param('order_id') ?? 0);
-        if (empty($phone) && !$order_id) return new WP_Error('missing_params', 'Se requiere phone u order_id', ['status' => 400]);
+        if (empty($phone) && empty($email) && !$order_id) return new WP_Error('missing_params', 'Se requiere phone, email u order_id', ['status' => 400]);
         if (!function_exists('wc_get_orders')) {
             return [
                 'success' => false,
@@ -1252,8 +1253,12 @@ if ($this->is_ops_core_active()) {
             ]);
         }
         
-        $phone_clean = preg_replace('/[^0-9]/', '', $phone);
-        $orders = wc_get_orders(['meta_query' => [['key' => '_billing_phone', 'value' => substr($phone_clean, -10), 'compare' => 'LIKE']], 'limit' => 5, 'orderby' => 'date', 'order' => 'DESC']);
+        if (!empty($phone)) {
+            $phone_clean = preg_replace('/[^0-9]/', '', $phone);
+            $orders = wc_get_orders(['meta_query' => [['key' => '_billing_phone', 'value' => substr($phone_clean, -10), 'compare' => 'LIKE']], 'limit' => 5, 'orderby' => 'date', 'order' => 'DESC']);
+        } else {
+            $orders = wc_get_orders(['billing_email' => $email, 'limit' => 5, 'orderby' => 'date', 'order' => 'DESC']);
+        }
         if (empty($orders)) {
             return [
                 'success' => false,
@@ -1261,7 +1266,7 @@ if ($this->is_ops_core_active()) {
                 'orders' => [],
                 'pedidos' => [],
                 'total_encontrados' => 0,
-                'mensaje' => 'No encontre pedidos con ese telefono',
+                'mensaje' => !empty($phone) ? 'No encontre pedidos con ese telefono' : 'No encontre pedidos con ese email',
             ];
         }
 
@@ -1280,6 +1285,39 @@ if ($this->is_ops_core_active()) {
     public function cs_cambiar_entrega($request) {
         $params = $request->get_json_params();
         $order_id = absint($params['order_id'] ?? 0);
+
+        // Idempotencia: un reintento con la misma llave regresa la respuesta
+        // original en vez de aplicar el cambio otra vez
+        $idem_key = sanitize_key($params['idempotency_key'] ?? '');
+        if (!$order_id || $idem_key === '') {
+            return $this->aplicar_cambio_entrega($params);
+        }
+
+        $idem_id = 'tagers_cs_cambio_' . md5($order_id . ':' . $idem_key);
+        $previous = get_transient($idem_id);
+        if (is_array($previous)) {
+            return $previous + ['idempotent_replay' => true];
+        }
+
+        // add_option falla si la fila ya existe: sólo una petición aplica el cambio
+        if (!add_option($idem_id . '_lock', time(), '', 'no')) {
+            return new WP_Error('in_progress', 'Este cambio ya se está aplicando', ['status' => 409]);
+        }
+
+        try {
+            $result = $this->aplicar_cambio_entrega($params);
+            // Sólo se recuerda el éxito: un rechazo (sin disponibilidad) se puede reintentar
+            if (is_array($result) && !empty($result['success'])) {
+                set_transient($idem_id, $result, DAY_IN_SECONDS);
+            }
+            return $result;
+        } finally {
+            delete_option($idem_id . '_lock');
+        }
+    }
+
+    private function aplicar_cambio_entrega($params) {
+        $order_id = absint($params['order_id'] ?? 0);
         $nueva_fecha_q = sanitize_text_field($params['nueva_fecha'] ?? '');
         $nueva_sucursal_q = sanitize_text_field($params['nueva_sucursal'] ?? '');
 
@@ -1334,15 +1372,58 @@ if ($this->is_ops_core_active()) {
             }
         }
 
-        if (!$fecha_obj && !$suc_obj) {
+        // Item quantity changes: [{ item_id?, name?, quantity }] (quantity 0 = quitar)
+        $items_q = is_array($params['items'] ?? null) ? $params['items'] : [];
+
+        if (!$fecha_obj && !$suc_obj && empty($items_q)) {
             return ['success' => false, 'mensaje' => 'No se especificaron cambios.'];
         }
 
-        // Plan item replacements (only for items that use fecha/sucursal attributes)
+        $item_changes = [];
+        if (!empty($items_q)) {
+            // Ajustar productos cambia el total: solo mientras no hay pago capturado
+            if ($order->get_status() !== 'pending') {
+                return ['success' => false, 'mensaje' => 'Los productos solo se pueden ajustar mientras el pedido está pendiente de pago.'];
+            }
+
+            foreach ($items_q as $req) {
+                $req_id = absint($req['item_id'] ?? 0);
+                $req_name = strtolower(trim(sanitize_text_field($req['name'] ?? '')));
+                $new_qty = max(0, intval($req['quantity'] ?? -1));
+                if (!isset($req['quantity']) || (!$req_id && $req_name === '')) continue;
+
+                $match = null;
+                foreach ($order->get_items() as $item_id => $item) {
+                    if (($req_id && $item_id === $req_id) || (!$req_id && strtolower($item->get_name()) === $req_name)) {
+                        $match = $item;
+                        break;
+                    }
+                }
+                if (!$match) {
+                    return ['success' => false, 'mensaje' => 'No encontré ese producto en el pedido.'];
+                }
+
+                $old_qty = $match->get_quantity();
+                if ($new_qty === $old_qty) continue;
+
+                $item_changes[$match->get_id()] = ['item' => $match, 'old_qty' => $old_qty, 'new_qty' => $new_qty];
+            }
+
+            if (empty($item_changes) && !$fecha_obj && !$suc_obj) {
+                return ['success' => false, 'mensaje' => 'Las cantidades ya son las mismas del pedido.'];
+            }
+
+            if (count($item_changes) === count($order->get_items()) && empty(array_filter($item_changes, function($c) { return $c['new_qty'] > 0; }))) {
+                return ['success' => false, 'mensaje' => 'El pedido no puede quedar sin productos.'];
+            }
+        }
+
+        // Plan item replacements (only for items that use fecha/sucursal attributes).
+        // Las cantidades nuevas se validan aquí; nada se guarda hasta que todo pasa.
         $plan = [];
         foreach ($order->get_items() as $item_id => $item) {
             /** @var WC_Order_Item_Product $item */
-            $qty = $item->get_quantity();
+            $qty = isset($item_changes[$item_id]) ? $item_changes[$item_id]['new_qty'] : $item->get_quantity();
             if ($qty <= 0) continue;
 
             $variation_id = absint($item->get_variation_id());
@@ -1426,6 +1507,43 @@ if ($this->is_ops_core_active()) {
             ];
         }
 
+        // Aumentos en productos que no cambian de variación (los que cambian ya
+        // se validaron contra la variación nueva con la cantidad nueva)
+        $planned = array_column($plan, 'old_item_id');
+        foreach ($item_changes as $item_id => $chg) {
+            if ($chg['new_qty'] <= $chg['old_qty'] || in_array($item_id, $planned, true)) continue;
+            $prod = $chg['item']->get_product();
+            if ($prod && $prod->managing_stock() && !$prod->has_enough_stock($chg['new_qty'] - $chg['old_qty'])) {
+                return [
+                    'success' => false,
+                    'mensaje' => 'No hay disponibilidad para aumentar ' . $chg['item']->get_name() . '.',
+                ];
+            }
+        }
+
+        // Apply quantity changes
+        foreach ($item_changes as $item_id => $chg) {
+            $item = $chg['item'];
+            if ($chg['new_qty'] === 0) {
+                $order->remove_item($item_id);
+                $cambios[] = 'Quité ' . $item->get_name();
+                continue;
+            }
+            $cambios[] = $item->get_name() . ': ' . $chg['old_qty'] . ' → ' . $chg['new_qty'];
+            // El reemplazo de variación ya agrega el producto con la cantidad nueva
+            if (in_array($item_id, $planned, true)) continue;
+
+            $unit_subtotal = $item->get_subtotal() / max(1, $chg['old_qty']);
+            $unit_total = $item->get_total() / max(1, $chg['old_qty']);
+            $item->set_quantity($chg['new_qty']);
+            $item->set_subtotal($unit_subtotal * $chg['new_qty']);
+            $item->set_total($unit_total * $chg['new_qty']);
+            $item->save();
+        }
+        if (!empty($item_changes) && empty($plan)) {
+            $order->calculate_totals();
+        }
+
         // Apply item changes
         if (!empty($plan)) {
             foreach ($plan as $chg) {
@@ -1887,6 +2005,7 @@ $args = [
             foreach ($order->get_items() as $it) {
                 $items[] = [
                     // English keys (used by KISS API)
+                    'item_id' => $it->get_id(),
                     'name' => $it->get_name(),
                     'quantity' => $it->get_quantity(),
                     // Spanish aliases (backwards compatible)
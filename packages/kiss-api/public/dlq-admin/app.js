@@ -0,0 +1,329 @@
+const el = (id) => document.getElementById(id);
+
+const TOKEN_KEY = 'kiss_admin_token';
+
+const state = {
+  token: sessionStorage.getItem(TOKEN_KEY) || '',
+  jobs: [],
+  selected: new Set(),
+  current: null,
+};
+
+function showBanner(text, kind = '') {
+  const b = el('banner');
+  if (!text) {
+    b.textContent = '';
+    b.className = 'banner hidden';
+    return;
+  }
+  b.textContent = text;
+  b.className = 'banner ' + (kind || '');
+}
+
+function setStatus(text, kind) {
+  const badge = el('status').querySelector('.badge');
+  badge.textContent = text;
+  badge.className = 'badge ' + (kind || '');
+}
+
+async function api(path, options = {}) {
+  const resp = await fetch('/admin' + path, {
+    ...options,
+    headers: {
+      'Content-Type': 'application/json',
+      'X-Admin-Token': state.token,
+      ...(options.headers || {}),
+    },
+  });
+
+  const data = await resp.json().catch(() => ({ ok: false, error: 'Respuesta inválida' }));
+
+  if (resp.status === 401 || resp.status === 403) {
+    setStatus('Token inválido', 'err');
+  }
+  if (!resp.ok || data.ok === false) {
+    throw new Error(data.error || data.message || ('HTTP ' + resp.status));
+  }
+  return data;
+}
+
+function formatDate(iso) {
+  if (!iso) return '—';
+  const d = new Date(iso);
+  return isNaN(d.getTime()) ? iso : d.toLocaleString('es-MX');
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FILTROS + LISTA
+// ═══════════════════════════════════════════════════════════════════════════
+
+function readFilters() {
+  const form = el('filters');
+  const filters = {};
+  for (const input of form.querySelectorAll('input, select')) {
+    const value = input.value.trim();
+    if (!value) continue;
+    filters[input.name] = input.type === 'datetime-local' ? new Date(value).toISOString() : value;
+  }
+  return filters;
+}
+
+function populateErrorClasses(errorClasses) {
+  const sel = el('errorClassSelect');
+  const current = sel.value;
+  sel.textContent = '';
+
+  const all = document.createElement('option');
+  all.value = '';
+  all.textContent = 'Todas';
+  sel.appendChild(all);
+
+  for (const [name, count] of Object.entries(errorClasses || {}).sort((a, b) => b[1] - a[1])) {
+    const opt = document.createElement('option');
+    opt.value = name;
+    opt.textContent = name + ' (' + count + ')';
+    sel.appendChild(opt);
+  }
+  sel.value = current;
+}
+
+function cell(text, className) {
+  const td = document.createElement('td');
+  if (className) td.className = className;
+  td.textContent = text;
+  return td;
+}
+
+function renderJobs() {
+  const body = el('jobsBody');
+  body.textContent = '';
+  el('emptyState').classList.toggle('hidden', state.jobs.length > 0);
+
+  for (const job of state.jobs) {
+    const tr = document.createElement('tr');
+
+    const checkTd = document.createElement('td');
+    const check = document.createElement('input');
+    check.type = 'checkbox';
+    check.checked = state.selected.has(job.id);
+    check.addEventListener('click', (e) => {
+      e.stopPropagation();
+      if (check.checked) state.selected.add(job.id);
+      else state.selected.delete(job.id);
+      updateSummary();
+    });
+    checkTd.appendChild(check);
+    tr.appendChild(checkTd);
+
+    tr.appendChild(cell(formatDate(job.failedAt)));
+    tr.appendChild(cell(job.conversationId || '—'));
+
+    const errTd = document.createElement('td');
+    const cls = document.createElement('div');
+    cls.className = 'errClass';
+    cls.textContent = job.errorClass + (job.edited ? ' · editado' : '');
+    const msg = document.createElement('div');
+    msg.className = 'errMsg';
+    msg.textContent = job.failureReason || '';
+    msg.title = job.failureReason || '';
+    errTd.appendChild(cls);
+    errTd.appendChild(msg);
+    tr.appendChild(errTd);
+
+    tr.appendChild(cell(String(job.failureCount) + (job.replayCount ? ' (' + job.replayCount + ' replays)' : '')));
+    tr.appendChild(cell(job.traceId ? job.traceId.slice(0, 8) : '—', 'code'));
+
+    tr.addEventListener('click', () => openDetail(job.id));
+    body.appendChild(tr);
+  }
+
+  el('selectAll').checked = state.jobs.length > 0 && state.jobs.every(j => state.selected.has(j.id));
+}
+
+function updateSummary(extra) {
+  const total = state.total ?? state.jobs.length;
+  const parts = [total + ' jobs', state.selected.size + ' seleccionados'];
+  if (extra) parts.push(extra);
+  el('summary').textContent = parts.join(' • ');
+}
+
+async function search() {
+  if (!state.token) {
+    setStatus('Sin token', 'warn');
+    return;
+  }
+
+  try {
+    const params = new URLSearchParams({ ...readFilters(), limit: '200' });
+    const data = await api('/dlq/jobs?' + params);
+
+    state.jobs = data.jobs || [];
+    state.total = data.total;
+    state.selected = new Set([...state.selected].filter(id => state.jobs.some(j => j.id === id)));
+
+    populateErrorClasses(data.errorClasses);
+    renderJobs();
+    updateSummary(data.total > state.jobs.length ? 'mostrando ' + state.jobs.length : '');
+    setStatus('Conectado', 'ok');
+    showBanner('');
+  } catch (e) {
+    showBanner('Error al buscar: ' + e.message, 'err');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// REPLAY
+// ═══════════════════════════════════════════════════════════════════════════
+
+function describeReplay(result) {
+  if (result.dryRun) {
+    const skipped = result.items
+      .filter(i => i.success && !i.wouldProcess)
+      .map(i => i.jobId + ': ' + i.decision + (i.reason ? ' (' + i.reason + ')' : ''));
+    const errors = result.items.filter(i => !i.success).map(i => i.jobId + ': ' + i.error);
+    return [
+      'Dry-run: ' + result.wouldProcess + '/' + result.total + ' se procesarían.',
+      ...skipped,
+      ...errors,
+    ].join('\n');
+  }
+  return 'Replay: ' + result.succeeded + '/' + result.total + ' reencolados' + (result.failed ? ', ' + result.failed + ' con error' : '') + '.';
+}
+
+async function replay(jobIds, dryRun) {
+  if (jobIds.length === 0) {
+    showBanner('Selecciona al menos un job.', 'err');
+    return null;
+  }
+  if (!dryRun && !confirm('¿Reencolar ' + jobIds.length + ' job(s)? Tania volverá a procesar esos mensajes.')) {
+    return null;
+  }
+
+  try {
+    const result = await api('/dlq/replay', {
+      method: 'POST',
+      body: JSON.stringify({ jobIds, dryRun }),
+    });
+    showBanner(describeReplay(result), result.failed ? 'err' : 'ok');
+    if (!dryRun) {
+      state.selected.clear();
+      await search();
+    }
+    return result;
+  } catch (e) {
+    showBanner('Error en replay: ' + e.message, 'err');
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DETALLE + EDICIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+function metaItem(label, value) {
+  const div = document.createElement('div');
+  const span = document.createElement('span');
+  span.textContent = label + ': ';
+  div.appendChild(span);
+  div.appendChild(document.createTextNode(value ?? '—'));
+  return div;
+}
+
+async function openDetail(jobId) {
+  try {
+    const { job } = await api('/dlq/jobs/' + encodeURIComponent(jobId));
+    state.current = job;
+
+    el('detailTitle').textContent = 'Job ' + job.id;
+    const meta = el('detailMeta');
+    meta.textContent = '';
+    meta.appendChild(metaItem('Conversación', job.conversationId));
+    meta.appendChild(metaItem('Falló', formatDate(job.failedAt)));
+    meta.appendChild(metaItem('Clase', job.errorClass));
+    meta.appendChild(metaItem('Fallos', job.failureCount + ' (replays: ' + job.replayCount + ')'));
+    meta.appendChild(metaItem('Trace ID', job.traceId));
+    meta.appendChild(metaItem('Worker', job.workerHost));
+    meta.appendChild(metaItem('Job original', job.originalJobId));
+    meta.appendChild(metaItem('Ediciones', job.edits.map(e => e.editedBy + ' ' + formatDate(e.editedAt)).join(', ') || 'ninguna'));
+
+    el('detailStack').textContent = job.failureStack || job.failureReason || '';
+    el('payloadEditor').value = JSON.stringify(job.originalData, null, 2);
+    el('detailMsg').textContent = '';
+    el('detail').classList.remove('hidden');
+    el('detail').scrollIntoView({ behavior: 'smooth' });
+  } catch (e) {
+    showBanner('No se pudo abrir el job: ' + e.message, 'err');
+  }
+}
+
+async function savePayload() {
+  let originalData;
+  try {
+    originalData = JSON.parse(el('payloadEditor').value);
+  } catch (e) {
+    el('detailMsg').textContent = 'JSON inválido: ' + e.message;
+    return false;
+  }
+
+  try {
+    await api('/dlq/jobs/' + encodeURIComponent(state.current.id) + '/payload', {
+      method: 'PUT',
+      body: JSON.stringify({ originalData }),
+    });
+    el('detailMsg').textContent = 'Cambios guardados.';
+    await openDetail(state.current.id);
+    return true;
+  } catch (e) {
+    el('detailMsg').textContent = 'No se pudo guardar: ' + e.message;
+    return false;
+  }
+}
+
+function hasUnsavedChanges() {
+  return state.current && el('payloadEditor').value !== JSON.stringify(state.current.originalData, null, 2);
+}
+
+async function detailReplay(dryRun) {
+  if (hasUnsavedChanges()) {
+    el('detailMsg').textContent = 'Guarda los cambios antes de correr el job.';
+    return;
+  }
+  const result = await replay([state.current.id], dryRun);
+  if (result) {
+    el('detailMsg').textContent = describeReplay(result);
+    if (!dryRun) el('detail').classList.add('hidden');
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INIT
+// ═══════════════════════════════════════════════════════════════════════════
+
+el('tokenInput').value = state.token;
+
+el('saveTokenBtn').addEventListener('click', () => {
+  state.token = el('tokenInput').value.trim();
+  sessionStorage.setItem(TOKEN_KEY, state.token);
+  search();
+});
+
+el('searchBtn').addEventListener('click', search);
+el('filters').addEventListener('submit', (e) => { e.preventDefault(); search(); });
+el('dryRunBtn').addEventListener('click', () => replay([...state.selected], true));
+el('replayBtn').addEventListener('click', () => replay([...state.selected], false));
+
+el('selectAll').addEventListener('change', (e) => {
+  for (const job of state.jobs) {
+    if (e.target.checked) state.selected.add(job.id);
+    else state.selected.delete(job.id);
+  }
+  renderJobs();
+  updateSummary();
+});
+
+el('closeDetailBtn').addEventListener('click', () => el('detail').classList.add('hidden'));
+el('savePayloadBtn').addEventListener('click', savePayload);
+el('detailDryRunBtn').addEventListener('click', () => detailReplay(true));
+el('detailReplayBtn').addEventListener('click', () => detailReplay(false));
+
+if (state.token) search();
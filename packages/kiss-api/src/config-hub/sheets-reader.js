@@ -44,10 +44,18 @@ const readerConfig = {
 // AUTENTICACIÓN
 // ═══════════════════════════════════════════════════════════════════════════
 
-let cachedAuth = null;
+const cachedAuth = { readonly: null, write: null };
 
-function getAuth() {
-  if (cachedAuth) return cachedAuth;
+/**
+ * JWT de la service account
+ * 
+ * @param {Object} [options]
+ * @param {boolean} [options.write=false] - Scope de escritura (p.ej. sync de
+ *   patternDiscovery). Config Hub sólo lee.
+ */
+export function getAuth({ write = false } = {}) {
+  const scope = write ? 'write' : 'readonly';
+  if (cachedAuth[scope]) return cachedAuth[scope];
   
   const email = process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL;
   const key = process.env.GOOGLE_PRIVATE_KEY?.replace(/\\n/g, '\n');
@@ -56,13 +64,15 @@ function getAuth() {
     throw new Error('GOOGLE_SERVICE_ACCOUNT_EMAIL y GOOGLE_PRIVATE_KEY son requeridos');
   }
   
-  cachedAuth = new JWT({
+  cachedAuth[scope] = new JWT({
     email,
     key,
-    scopes: ['https://www.googleapis.com/auth/spreadsheets.readonly'],
+    scopes: [write
+      ? 'https://www.googleapis.com/auth/spreadsheets'
+      : 'https://www.googleapis.com/auth/spreadsheets.readonly'],
   });
   
-  return cachedAuth;
+  return cachedAuth[scope];
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -458,4 +468,5 @@ export default {
   readAllSheets,       // Nuevo: datos crudos
   testConnection,
   listSheets,
+  getAuth,
 };
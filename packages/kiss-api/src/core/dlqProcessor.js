@@ -10,13 +10,17 @@
  * - Permite reintentar jobs manualmente
  * - Notifica a ops cuando hay jobs en la DLQ
  * - Provee APIs para gestionar la DLQ
+ * - Búsqueda por clase de error, conversación, fecha y número de fallos
+ * - Edición del payload antes del replay y replay masivo con dry-run
+ *   (governor.evaluate sin encolar ni enviar mensajes)
  * 
- * @version 1.0.0
+ * @version 1.1.0
  */
 
 import { Queue, QueueEvents, Worker } from "bullmq";
 import { logger } from "../utils/logger.js";
 import { getRedisClient, isRedisAvailable } from "./redis.js";
+import { governor } from "./governor.js";
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURACIÓN
@@ -30,6 +34,10 @@ const MAIN_QUEUE_NAME = process.env.QUEUE_NAME || "tania-messages";
 const DLQ_ALERT_THRESHOLD = parseInt(process.env.DLQ_ALERT_THRESHOLD || "10", 10);
 const DLQ_CHECK_INTERVAL_MS = parseInt(process.env.DLQ_CHECK_INTERVAL_MS || "300000", 10); // 5 min
 
+// Búsqueda: se filtra en memoria sobre los primeros N jobs
+const DLQ_SCAN_LIMIT = parseInt(process.env.DLQ_SCAN_LIMIT || "1000", 10);
+const DLQ_REPLAY_MAX = 200;
+
 // Parse REDIS_URL para BullMQ
 function parseRedisUrl(url) {
   try {
@@ -124,8 +132,10 @@ export async function moveToDeadLetter(failedJob, error, metadata = {}) {
     // Info del fallo
     failedAt: new Date().toISOString(),
     failureReason: error?.message || "Unknown error",
+    failureName: error?.name || null,
     failureStack: error?.stack,
     attemptsMade: failedJob.attemptsMade,
+    traceId: extractTraceId(failedJob.data),
     
     // Metadata
     ...metadata,
@@ -171,10 +181,15 @@ export async function retryFromDLQ(dlqJobId) {
     // Obtener la cola principal
     const mainQueue = new Queue(MAIN_QUEUE_NAME, { connection });
     
-    // Agregar el job original de vuelta a la cola principal
+    // Agregar el job original de vuelta a la cola principal.
+    // Se arrastra el conteo de fallos por si vuelve a caer en la DLQ.
     const retriedJob = await mainQueue.add(
       dlqJob.data.originalJobName,
-      dlqJob.data.originalData,
+      {
+        ...dlqJob.data.originalData,
+        _dlqPreviousAttempts: getFailureCount(dlqJob.data),
+        _dlqReplayCount: (dlqJob.data.originalData?._dlqReplayCount || 0) + 1,
+      },
       {
         jobId: `retry_${dlqJob.data.originalJobId}_${Date.now()}`,
         attempts: 3, // Dar otra oportunidad con reintentos
@@ -241,6 +256,210 @@ export async function getDLQJobs(options = {}) {
   }
 }
 
+/**
+ * Busca jobs en la DLQ
+ * 
+ * @param {Object} filters
+ * @param {string} [filters.errorClass] - TypeError, AbortError, ...
+ * @param {string} [filters.conversationId]
+ * @param {string} [filters.from] - fecha ISO (failedAt >=)
+ * @param {string} [filters.to] - fecha ISO (failedAt <)
+ * @param {number} [filters.minFailures] - fallos acumulados (incluye replays)
+ * @param {string} [filters.q] - texto libre sobre el mensaje de error
+ * @returns {Object} { jobs, total, errorClasses }
+ */
+export async function searchDLQJobs(filters = {}) {
+  const queue = await initDLQ();
+  if (!queue) {
+    return { jobs: [], total: 0, errorClasses: {} };
+  }
+  
+  const { limit = 50, offset = 0 } = filters;
+  
+  try {
+    const jobs = await queue.getJobs(["waiting", "active", "delayed"], 0, DLQ_SCAN_LIMIT - 1);
+    
+    // Conteo por clase de error (antes de filtrar por clase, para el selector)
+    const errorClasses = {};
+    for (const job of jobs) {
+      const errorClass = getErrorClass(job.data);
+      errorClasses[errorClass] = (errorClasses[errorClass] || 0) + 1;
+    }
+    
+    const matched = jobs
+      .filter(job => matchesFilters(job.data, filters))
+      .sort((a, b) => String(b.data.failedAt).localeCompare(String(a.data.failedAt)));
+    
+    return {
+      jobs: matched.slice(offset, offset + limit).map(job => summarizeJob(job)),
+      total: matched.length,
+      scanned: jobs.length,
+      errorClasses,
+    };
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to search DLQ jobs");
+    return { jobs: [], total: 0, errorClasses: {}, error: err?.message };
+  }
+}
+
+/**
+ * Detalle de un job: payload completo del webhook, trace ID y stack
+ */
+export async function getDLQJob(dlqJobId) {
+  const queue = await initDLQ();
+  if (!queue) return null;
+  
+  const job = await queue.getJob(dlqJobId);
+  if (!job) return null;
+  
+  return {
+    ...summarizeJob(job),
+    failureStack: job.data.failureStack || null,
+    workerHost: job.data.workerHost || null,
+    originalData: job.data.originalData,
+    webhookPayload: job.data.originalData?.originalBody || null,
+    originalDataBeforeEdit: job.data.originalDataBeforeEdit || null,
+    edits: job.data.edits || [],
+  };
+}
+
+/**
+ * Reemplaza los datos del job antes del replay.
+ * La primera edición conserva el original en originalDataBeforeEdit.
+ * 
+ * @param {string} dlqJobId
+ * @param {Object} originalData - Datos completos del job (incluye originalBody)
+ * @param {Object} options
+ * @param {string} [options.editedBy] - Actor autenticado (req.adminAuth.actor)
+ * @param {string} [options.ip]
+ */
+export async function updateDLQJobPayload(dlqJobId, originalData, { editedBy = "admin", ip = null } = {}) {
+  const queue = await initDLQ();
+  if (!queue) {
+    return { success: false, error: "DLQ not available" };
+  }
+  
+  if (!originalData || typeof originalData !== "object" || Array.isArray(originalData)) {
+    return { success: false, error: "originalData must be an object" };
+  }
+  
+  if (!originalData.conversationId) {
+    return { success: false, error: "originalData.conversationId is required" };
+  }
+  
+  try {
+    const job = await queue.getJob(dlqJobId);
+    if (!job) {
+      return { success: false, error: "Job not found in DLQ" };
+    }
+    
+    await job.updateData({
+      ...job.data,
+      originalData,
+      originalDataBeforeEdit: job.data.originalDataBeforeEdit || job.data.originalData,
+      edits: [
+        ...(job.data.edits || []),
+        { editedAt: new Date().toISOString(), editedBy, ip },
+      ],
+    });
+    
+    logger.info({ dlqJobId, editedBy, ip, conversationId: originalData.conversationId }, "DLQ job payload edited");
+    
+    return { success: true };
+  } catch (err) {
+    logger.error({ err: err?.message, dlqJobId }, "Failed to edit DLQ job payload");
+    return { success: false, error: err?.message };
+  }
+}
+
+/**
+ * Dry-run: pasa el webhook por governor.evaluate sin encolar ni enviar nada
+ */
+export async function dryRunDLQJob(dlqJobId) {
+  const queue = await initDLQ();
+  if (!queue) {
+    return { success: false, error: "DLQ not available" };
+  }
+  
+  const job = await queue.getJob(dlqJobId);
+  if (!job) {
+    return { success: false, jobId: dlqJobId, error: "Job not found in DLQ" };
+  }
+  
+  const payload = job.data.originalData?.originalBody;
+  if (!payload) {
+    return { success: false, jobId: dlqJobId, error: "Job has no webhook payload" };
+  }
+  
+  try {
+    const result = await governor.evaluate(payload, { dryRun: true });
+    
+    return {
+      success: true,
+      jobId: dlqJobId,
+      conversationId: result.context?.conversationId,
+      wouldProcess: result.shouldProcess,
+      decision: result.decision,
+      reason: result.reason || null,
+    };
+  } catch (err) {
+    return { success: false, jobId: dlqJobId, error: err?.message };
+  }
+}
+
+/**
+ * Replay masivo por IDs o por filtros de búsqueda
+ * 
+ * @param {Object} options
+ * @param {string[]} [options.jobIds]
+ * @param {Object} [options.filters] - mismos filtros que searchDLQJobs
+ * @param {boolean} [options.dryRun=false] - sólo governor.evaluate
+ */
+export async function replayDLQJobs({ jobIds = null, filters = null, dryRun = false } = {}) {
+  let targets = Array.isArray(jobIds) ? jobIds.map(String) : [];
+  
+  if (targets.length === 0 && filters) {
+    const { jobs } = await searchDLQJobs({ ...filters, limit: DLQ_REPLAY_MAX, offset: 0 });
+    targets = jobs.map(job => job.id);
+  }
+  
+  if (targets.length > DLQ_REPLAY_MAX) {
+    return { success: false, error: `Too many jobs (max ${DLQ_REPLAY_MAX} per replay)` };
+  }
+  
+  const results = {
+    dryRun,
+    total: targets.length,
+    succeeded: 0,
+    failed: 0,
+    items: [],
+  };
+  
+  for (const jobId of targets) {
+    const result = dryRun ? await dryRunDLQJob(jobId) : await retryFromDLQ(jobId);
+    
+    if (result.success) {
+      results.succeeded++;
+    } else {
+      results.failed++;
+    }
+    results.items.push({ jobId, ...result });
+  }
+  
+  if (dryRun) {
+    results.wouldProcess = results.items.filter(item => item.wouldProcess).length;
+  }
+  
+  logger.info({
+    dryRun,
+    total: results.total,
+    succeeded: results.succeeded,
+    failed: results.failed,
+  }, "DLQ bulk replay completed");
+  
+  return { success: true, ...results };
+}
+
 /**
  * Elimina un job de la DLQ (descartarlo permanentemente)
  * 
@@ -316,6 +535,71 @@ export async function clearDLQ() {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Trace ID W3C del webhook (traceparent: version-traceId-spanId-flags)
+ */
+function extractTraceId(jobData) {
+  const traceparent = jobData?._traceContext?.traceparent;
+  if (typeof traceparent !== "string") return null;
+  return traceparent.split("-")[1] || null;
+}
+
+/**
+ * Clase del error: nombre del error, o el prefijo "XxxError:" del stack
+ */
+function getErrorClass(data) {
+  if (data?.failureName && data.failureName !== "Error") return data.failureName;
+  
+  const fromStack = String(data?.failureStack || "").match(/^([A-Z]\w*(?:Error|Exception))\b/);
+  if (fromStack) return fromStack[1];
+  
+  return data?.failureName || "Error";
+}
+
+/**
+ * Fallos acumulados del mensaje, incluyendo replays anteriores
+ */
+function getFailureCount(data) {
+  return (data?.originalData?._dlqPreviousAttempts || 0) + (data?.attemptsMade || 0);
+}
+
+function matchesFilters(data, filters) {
+  const { errorClass, conversationId, from, to, minFailures, q } = filters;
+  
+  if (errorClass && getErrorClass(data) !== errorClass) return false;
+  if (conversationId && String(data.originalData?.conversationId) !== String(conversationId)) return false;
+  if (from && !(data.failedAt >= new Date(from).toISOString())) return false;
+  if (to && !(data.failedAt < new Date(to).toISOString())) return false;
+  if (minFailures && getFailureCount(data) < Number(minFailures)) return false;
+  if (q && !String(data.failureReason || "").toLowerCase().includes(String(q).toLowerCase())) return false;
+  
+  return true;
+}
+
+function summarizeJob(job) {
+  const { data } = job;
+  
+  return {
+    id: job.id,
+    originalJobId: data.originalJobId,
+    originalJobName: data.originalJobName,
+    conversationId: data.originalData?.conversationId,
+    messageText: data.originalData?.messageText,
+    failedAt: data.failedAt,
+    failureReason: data.failureReason,
+    errorClass: getErrorClass(data),
+    attemptsMade: data.attemptsMade,
+    failureCount: getFailureCount(data),
+    replayCount: data.originalData?._dlqReplayCount || 0,
+    traceId: data.traceId || extractTraceId(data.originalData),
+    edited: Array.isArray(data.edits) && data.edits.length > 0,
+  };
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // ALERT MONITORING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -435,6 +719,11 @@ export const dlqProcessor = {
   moveToDeadLetter,
   retryFromDLQ,
   getDLQJobs,
+  searchDLQJobs,
+  getDLQJob,
+  updateDLQJobPayload,
+  dryRunDLQJob,
+  replayDLQJobs,
   discardFromDLQ,
   retryAllFromDLQ,
   clearDLQ,
@@ -90,10 +90,15 @@ export const GOVERNOR_DECISIONS = {
 /**
  * Evalúa si el bot debe procesar este mensaje
  * 
+ * Con dryRun (replay de la DLQ) se omiten dedupe y rate limit: ambos
+ * registran el mensaje en Redis y harían que el replay real se descarte.
+ * 
  * @param {Object} payload - Payload del webhook de Chatwoot
+ * @param {Object} [options]
+ * @param {boolean} [options.dryRun=false] - Evaluar sin efectos secundarios
  * @returns {Object} { shouldProcess: boolean, decision: string, context: Object }
  */
-export async function evaluate(payload) {
+export async function evaluate(payload, { dryRun = false } = {}) {
   const startTime = Date.now();
   
   // Extraer datos del payload
@@ -109,7 +114,7 @@ export async function evaluate(payload) {
     checkServiceHours,
     checkAgentActive,
     checkBlacklist,
-  ];
+  ].filter(check => !dryRun || !STATEFUL_CHECKS.includes(check));
   
   for (const check of checks) {
     const result = await check(context, payload);
@@ -128,6 +133,7 @@ export async function evaluate(payload) {
         decision: result.decision,
         reason: result.reason,
         context,
+        ...(dryRun && { dryRun: true }),
       };
     }
   }
@@ -149,6 +155,7 @@ export async function evaluate(payload) {
     shouldProcess: true,
     decision: GOVERNOR_DECISIONS.PROCEED,
     context,
+    ...(dryRun && { dryRun: true }),
   };
 }
 
@@ -291,6 +298,9 @@ async function checkRateLimitDistributed(context) {
   }
 }
 
+// Checks que escriben en Redis (se omiten en dryRun)
+const STATEFUL_CHECKS = [checkDuplicateDistributed, checkRateLimitDistributed];
+
 function checkServiceHours(context) {
   if (!governorConfig.serviceHours.enabled) return { pass: true };
   
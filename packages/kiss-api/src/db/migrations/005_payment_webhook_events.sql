@@ -0,0 +1,52 @@
+-- ==================================================================
+-- Migration 005: Payment Webhook Events
+-- ==================================================================
+-- Registro de cada webhook de pago recibido:
+--   - Idempotencia: una notificación del proveedor se procesa una sola vez
+--   - Auditoría: cada webhook rechazado (firma inválida, replay, etc.)
+--     queda registrado con su motivo
+--
+-- Run: psql $DATABASE_URL -f 005_payment_webhook_events.sql
+-- ==================================================================
+
+CREATE TABLE IF NOT EXISTS payment_webhook_events (
+  id BIGSERIAL PRIMARY KEY,
+
+  provider TEXT NOT NULL, -- 'mercadopago', 'stripe'
+
+  -- Identificación de la notificación
+  idempotency_key TEXT NULL, -- campos firmados: x-request-id (o data.id + ts)
+  request_id TEXT NULL, -- header x-request-id
+  data_id TEXT NULL, -- ID del recurso notificado (payment id)
+  event_type TEXT NULL, -- 'payment', 'merchant_order', ...
+  action TEXT NULL, -- 'payment.created', 'payment.updated', ...
+
+  -- Resultado
+  status TEXT NOT NULL,
+  -- processing, processed, failed, rejected, duplicate
+  reason TEXT NULL, -- motivo de rechazo/falla
+
+  -- Firma
+  signature_ts BIGINT NULL, -- ts del header x-signature
+
+  -- Contexto de la petición
+  remote_ip TEXT NULL,
+  headers JSONB DEFAULT '{}',
+  payload JSONB DEFAULT '{}',
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+-- Una notificación sólo puede estar en proceso/procesada una vez
+CREATE UNIQUE INDEX IF NOT EXISTS idx_payment_webhook_events_idempotency
+  ON payment_webhook_events(provider, idempotency_key)
+  WHERE status IN ('processing', 'processed') AND idempotency_key IS NOT NULL;
+
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_rejected
+  ON payment_webhook_events(provider, created_at DESC) WHERE status = 'rejected';
+CREATE INDEX IF NOT EXISTS idx_payment_webhook_events_data
+  ON payment_webhook_events(provider, data_id);
+
+COMMENT ON TABLE payment_webhook_events IS 'Audit and idempotency log for payment provider webhooks';
+COMMENT ON COLUMN payment_webhook_events.status IS 'processing, processed, failed, rejected, duplicate';
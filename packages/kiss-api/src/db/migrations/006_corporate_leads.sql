@@ -0,0 +1,53 @@
+-- ==================================================================
+-- Migration 006: Corporate Leads
+-- ==================================================================
+-- Leads de pedidos corporativos / mayoreo (30+ roscas) capturados por
+-- el leadFlow del bot. El equipo comercial les da seguimiento desde
+-- Chatwoot (nota privada + asignación a equipo) y desde /admin/leads.
+--
+-- Run: psql $DATABASE_URL -f 006_corporate_leads.sql
+-- ==================================================================
+
+CREATE TABLE IF NOT EXISTS corporate_leads (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Origen (Chatwoot)
+  conversation_id TEXT NULL,
+  account_id TEXT NULL,
+  inbox_id TEXT NULL,
+  source TEXT NOT NULL DEFAULT 'chatwoot',
+
+  -- Datos del lead
+  company TEXT NULL,
+  quantity INTEGER NULL, -- roscas solicitadas
+  event_date DATE NULL,
+  event_date_label TEXT NULL, -- como lo dijo el cliente ("6 de enero")
+  branch_id TEXT NULL,
+  contact_name TEXT NULL,
+  contact_phone TEXT NULL,
+  contact_email TEXT NULL,
+  notes TEXT NULL,
+
+  -- Scoring
+  score INTEGER NOT NULL DEFAULT 0, -- 0-100
+  tier TEXT NOT NULL DEFAULT 'cold', -- hot, warm, cold
+  score_reasons JSONB DEFAULT '[]',
+
+  -- Seguimiento
+  status TEXT NOT NULL DEFAULT 'new', -- new, contacted, won, lost
+  team_id TEXT NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_corporate_leads_created
+  ON corporate_leads(created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_corporate_leads_status_tier
+  ON corporate_leads(status, tier, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_corporate_leads_conversation
+  ON corporate_leads(conversation_id);
+
+COMMENT ON TABLE corporate_leads IS 'Corporate and bulk order leads captured by the KISS lead flow';
+COMMENT ON COLUMN corporate_leads.tier IS 'hot, warm, cold (derived from score)';
+COMMENT ON COLUMN corporate_leads.status IS 'new, contacted, won, lost';
@@ -0,0 +1,22 @@
+-- ==================================================================
+-- Migration 007: RAG Hybrid Search
+-- ==================================================================
+-- Full-text en español sobre vector_embeddings para la búsqueda
+-- híbrida (keywords + vectores con reciprocal-rank fusion). Cubre lo
+-- que el embedding no distingue: nombres exactos de producto, SKUs y
+-- códigos de sucursal ("rosca nutella", "SUC03").
+--
+-- vectorStore.initVectorStore() aplica lo mismo al arrancar.
+--
+-- Run: psql $DATABASE_URL -f 007_rag_hybrid_search.sql
+-- ==================================================================
+
+ALTER TABLE vector_embeddings
+ADD COLUMN IF NOT EXISTS content_tsv tsvector
+GENERATED ALWAYS AS (
+  to_tsvector('spanish',
+    coalesce(metadata->>'documentTitle', '') || ' ' || content_text)
+) STORED;
+
+CREATE INDEX IF NOT EXISTS idx_vector_embeddings_tsv
+ON vector_embeddings USING gin (content_tsv);
@@ -0,0 +1,66 @@
+-- ==================================================================
+-- Migration 008: RAG Document Versions
+-- ==================================================================
+-- Registro de documentos ingestados al RAG y su historial de versiones.
+-- Permite re-ingesta incremental (sólo se generan embeddings de los
+-- chunks cuyo hash cambió), rollback a una versión anterior y detectar
+-- fuentes desactualizadas comparando contra el archivo o URL de origen.
+--
+-- Run: psql $DATABASE_URL -f 008_rag_document_versions.sql
+-- ==================================================================
+
+CREATE TABLE IF NOT EXISTS rag_documents (
+  id BIGSERIAL PRIMARY KEY,
+
+  -- Identificación: source (vector_embeddings.source) + llave del documento
+  -- (path, URL o nombre del archivo subido)
+  source_id VARCHAR(64) NOT NULL,
+  document_key TEXT NOT NULL,
+
+  title TEXT NULL,
+  category VARCHAR(32) NOT NULL DEFAULT 'general',
+
+  -- Origen re-leíble: 'file' | 'url' | NULL (uploads y texto directo)
+  origin_type VARCHAR(8) NULL,
+  origin TEXT NULL,
+  -- Huella del origen al ingestar: { hash, size, mtime } o { etag, lastModified }
+  origin_fingerprint JSONB DEFAULT '{}',
+
+  -- Opciones de ingesta para re-indexar igual (chunkStrategy, metadata)
+  ingest_options JSONB DEFAULT '{}',
+
+  current_version INTEGER NOT NULL DEFAULT 0,
+  content_hash VARCHAR(64) NULL,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (source_id, document_key)
+);
+
+CREATE INDEX IF NOT EXISTS idx_rag_documents_source
+ON rag_documents (source_id);
+
+CREATE TABLE IF NOT EXISTS rag_document_versions (
+  id BIGSERIAL PRIMARY KEY,
+  document_id BIGINT NOT NULL REFERENCES rag_documents(id) ON DELETE CASCADE,
+  version INTEGER NOT NULL,
+
+  content_hash VARCHAR(64) NOT NULL,
+  -- [{ hash, text, metadata }] para poder restaurar sin re-leer el origen
+  chunks JSONB NOT NULL DEFAULT '[]',
+  chunk_count INTEGER NOT NULL DEFAULT 0,
+
+  -- Resultado de la ingesta incremental
+  embedded INTEGER NOT NULL DEFAULT 0,
+  reused INTEGER NOT NULL DEFAULT 0,
+  removed INTEGER NOT NULL DEFAULT 0,
+
+  origin_fingerprint JSONB DEFAULT '{}',
+  job_id TEXT NULL,
+  restored_from INTEGER NULL, -- versión restaurada (rollback)
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+
+  UNIQUE (document_id, version)
+);
@@ -0,0 +1,498 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LEAD FLOW - Pedidos corporativos / mayoreo
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Oficinas y empresas que piden 30+ roscas las atiende el equipo comercial.
+ * El bot captura los datos, calcula el score y pasa el lead al equipo:
+ * - Empresa
+ * - Cantidad
+ * - Fecha del evento
+ * - Sucursal
+ * - Contacto (teléfono / email)
+ *
+ * Máquina de estados:
+ * INIT → ASK_COMPANY → ASK_QUANTITY → ASK_DATE → ASK_BRANCH → ASK_CONTACT
+ *      → CONFIRM → DONE
+ * (cada paso se salta si el dato ya vino en un mensaje anterior)
+ *
+ * Al confirmar: leadService.saveLead + nota privada + assignToTeam.
+ *
+ * @version 1.0.0
+ */
+
+import { logger } from "../utils/logger.js";
+import { flowStateService, LEAD_STEPS } from "../services/flowStateService.js";
+import {
+  MIN_CORPORATE_QUANTITY,
+  getLeadsTeamId,
+  notifyLeadTeam,
+  saveLead,
+  scoreLead,
+} from "../services/leadService.js";
+import { extractIdentity } from "../services/orderLookupService.js";
+import { listBranches, matchBranchFromText } from "../hitl/branch_registry.js";
+import { normalizeDate } from "../helpers/date_normalizer.js";
+import { getNowMX, parseDateSlug } from "../season/season-rules.js";
+import {
+  detectsCancel,
+  detectsConfirm,
+  detectsNegation,
+  extractContactInfo,
+  formatNumberedList,
+  normalizeText,
+  parseIntSafe,
+  pickByNumber,
+} from "../tania/secure_flows/flow_helpers.js";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_QUANTITY = 5000;
+
+// "no sé", "por definir": el dato queda pendiente para el ejecutivo
+const UNKNOWN_PATTERN = /\b(no se|no sabemos|aun no|todavia no|por definir|pendiente|cualquiera|la que sea|indistinto)\b/;
+
+// Sólo frases que ya implican volumen o compra de empresa: "posada",
+// "oficina" o "cotización" sueltas también salen en pedidos normales
+const CORPORATE_PATTERN = /\b(mayoreo|(pedido|evento) (corporativo|empresarial)|(cotizacion|pedido|compra|factura) (para|de|a nombre de) (la|mi|nuestra|una) (empresa|compania)|para (todos )?(los|mis|nuestros) (empleados|colaboradores|trabajadores)|para (todo )?el personal)\b/;
+
+const FIELD_KEYWORDS = [
+  { field: "company", pattern: /\b(empresa|compania|nombre)\b/ },
+  { field: "quantity", pattern: /\b(cantidad|roscas|piezas)\b/ },
+  { field: "event_date", pattern: /\b(fecha|dia)\b/ },
+  { field: "branch_id", pattern: /\b(sucursal)\b/ },
+  { field: "contact", pattern: /\b(contacto|telefono|correo|email)\b/ },
+];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HANDLER PRINCIPAL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Maneja un mensaje dentro del flujo LEAD
+ *
+ * @param {Object} ctx - Contexto del mensaje
+ * @param {Object} state - Estado actual del flujo
+ * @returns {Promise<{message: string, lead?: Object}|null>}
+ */
+async function handle(ctx, state) {
+  const { conversationId, messageText } = ctx;
+  const step = state?.step || LEAD_STEPS.INIT;
+
+  logger.info({ conversationId, step }, "Lead: handling");
+
+  state.draft = state.draft || {};
+
+  if (step !== LEAD_STEPS.INIT && detectsCancel(messageText)) {
+    flowStateService.clearFlow(conversationId);
+    return { message: "De acuerdo, no registré nada. Si más adelante quieres cotizar, aquí estoy." };
+  }
+
+  switch (step) {
+    case LEAD_STEPS.ASK_COMPANY:
+      return handleCompany(ctx, state);
+
+    case LEAD_STEPS.ASK_QUANTITY:
+      return handleQuantity(ctx, state);
+
+    case LEAD_STEPS.ASK_DATE:
+      return handleDate(ctx, state);
+
+    case LEAD_STEPS.ASK_BRANCH:
+      return handleBranch(ctx, state);
+
+    case LEAD_STEPS.ASK_CONTACT:
+      return handleContact(ctx, state);
+
+    case LEAD_STEPS.CONFIRM:
+      return await handleConfirm(ctx, state);
+
+    case LEAD_STEPS.INIT:
+    default:
+      return handleInit(ctx, state);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HANDLERS POR PASO
+// ═══════════════════════════════════════════════════════════════════════════
+
+function handleInit(ctx, state) {
+  const { draft } = state;
+  const contact = extractContactInfo(ctx.contact);
+
+  draft.contact_name = draft.contact_name || contact.name;
+  draft.contact_phone = draft.contact_phone || contact.phone;
+  draft.contact_email = draft.contact_email || contact.email;
+
+  absorbDetails(ctx.messageText, draft);
+
+  return nextQuestion(ctx, state, "¡Con gusto te ayudamos con tu pedido corporativo! 🎉 Te hago unas preguntas rápidas para pasarle tu solicitud a nuestro equipo de ventas.");
+}
+
+function handleCompany(ctx, state) {
+  const { messageText } = ctx;
+  const { draft } = state;
+
+  const company = cleanCompanyName(messageText);
+
+  if (!company) {
+    return { message: "¿Para qué empresa u organización es el pedido?" };
+  }
+
+  draft.company = company;
+  absorbDetails(messageText, draft);
+
+  return nextQuestion(ctx, state);
+}
+
+function handleQuantity(ctx, state) {
+  const { conversationId, messageText } = ctx;
+  const { draft } = state;
+
+  const quantity = extractQuantity(messageText, { allowBare: true });
+
+  if (!quantity) {
+    return { message: "¿Cuántas roscas necesitan aproximadamente? (Ej. 50)" };
+  }
+
+  if (quantity < MIN_CORPORATE_QUANTITY) {
+    flowStateService.clearFlow(conversationId);
+    return {
+      message: `Para pedidos de menos de ${MIN_CORPORATE_QUANTITY} roscas no necesitas cotización: puedes pedir directo por aquí. Escribe "quiero hacer un pedido" y te ayudo.`,
+    };
+  }
+
+  draft.quantity = quantity;
+  absorbDetails(messageText, draft, { skipQuantity: true });
+
+  return nextQuestion(ctx, state);
+}
+
+function handleDate(ctx, state) {
+  const { messageText } = ctx;
+  const { draft } = state;
+
+  if (UNKNOWN_PATTERN.test(normalizeText(messageText))) {
+    draft.event_date_label = "Por definir";
+    return nextQuestion(ctx, state);
+  }
+
+  const parsed = parseEventDate(messageText);
+
+  if (!parsed) {
+    return { message: "¿Para qué fecha los necesitan? (Ej. 6 de enero). Si aún no la tienen, dime \"por definir\"." };
+  }
+
+  Object.assign(draft, parsed);
+  absorbDetails(messageText, draft, { skipDate: true });
+
+  return nextQuestion(ctx, state);
+}
+
+function handleBranch(ctx, state) {
+  const { messageText } = ctx;
+  const { draft } = state;
+  const branches = state.options?.branches || [];
+
+  if (UNKNOWN_PATTERN.test(normalizeText(messageText))) {
+    draft.branch_name = "Por definir";
+    return nextQuestion(ctx, state);
+  }
+
+  let branch = pickByNumber(messageText, branches);
+
+  if (!branch) {
+    const match = matchBranchFromText(messageText);
+    branch = match ? { branch_id: match.branch_id, name: match.name || match.display_name } : null;
+  }
+
+  if (!branch) {
+    return { message: "No identifiqué la sucursal. ¿Me dices el número de la lista o el nombre? Si les da igual, dime \"cualquiera\"." };
+  }
+
+  draft.branch_id = branch.branch_id;
+  draft.branch_name = branch.name;
+  state.options = {};
+
+  return nextQuestion(ctx, state);
+}
+
+function handleContact(ctx, state) {
+  const { messageText } = ctx;
+  const { draft } = state;
+
+  const identity = extractIdentity(messageText);
+
+  if (!identity.phone && !identity.email) {
+    return { message: "¿A qué teléfono (10 dígitos) o email puede contactarte nuestro equipo?" };
+  }
+
+  draft.contact_phone = identity.phone || draft.contact_phone;
+  draft.contact_email = identity.email || draft.contact_email;
+
+  return nextQuestion(ctx, state);
+}
+
+async function handleConfirm(ctx, state) {
+  const { conversationId, messageText } = ctx;
+  const { draft } = state;
+  const t = normalizeText(messageText);
+
+  // "cambiar la fecha", "la cantidad está mal": volver a preguntar ese dato
+  const field = FIELD_KEYWORDS.find(f => f.pattern.test(t))?.field;
+  if (field && !detectsConfirm(messageText)) {
+    clearField(draft, field);
+    return nextQuestion(ctx, state);
+  }
+
+  if (detectsNegation(messageText)) {
+    return { message: "¿Qué dato corregimos? (empresa, cantidad, fecha, sucursal o contacto)" };
+  }
+
+  if (!detectsConfirm(messageText, ["enviar", "mandalo", "es correcto", "todo bien"])) {
+    return { message: `${formatLeadSummary(draft)}\n\n¿Está todo correcto? Responde "sí" para enviarlo o dime qué dato corregir.` };
+  }
+
+  return await submitLead(ctx, state);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SIGUIENTE PREGUNTA
+// ═══════════════════════════════════════════════════════════════════════════
+
+function nextQuestion(ctx, state, intro = null) {
+  const { conversationId } = ctx;
+  const { draft } = state;
+  const withIntro = (message) => ({ message: intro ? `${intro}\n\n${message}` : message });
+
+  const ask = (step, message) => {
+    state.step = step;
+    flowStateService.setFlow(conversationId, state);
+    return withIntro(message);
+  };
+
+  if (!draft.company) {
+    return ask(LEAD_STEPS.ASK_COMPANY, "¿Para qué empresa u organización es el pedido?");
+  }
+
+  if (!draft.quantity) {
+    return ask(LEAD_STEPS.ASK_QUANTITY, "¿Cuántas roscas necesitan aproximadamente?");
+  }
+
+  if (!draft.event_date && !draft.event_date_label) {
+    return ask(LEAD_STEPS.ASK_DATE, "¿Para qué fecha las necesitan? (Ej. 6 de enero)");
+  }
+
+  if (!draft.branch_id && !draft.branch_name) {
+    const branches = listBranches()
+      .filter(b => b.enabled !== false && b.branch_id !== "HQ")
+      .map(b => ({ branch_id: b.branch_id, name: b.name }));
+    state.options = { branches };
+    return ask(
+      LEAD_STEPS.ASK_BRANCH,
+      `¿En qué sucursal les queda mejor recoger?\n\n${formatNumberedList(branches, b => b.name)}\n\nResponde con el número o el nombre.`
+    );
+  }
+
+  if (!draft.contact_phone && !draft.contact_email) {
+    return ask(LEAD_STEPS.ASK_CONTACT, "¿A qué teléfono o email puede contactarte nuestro equipo?");
+  }
+
+  return ask(
+    LEAD_STEPS.CONFIRM,
+    `${formatLeadSummary(draft)}\n\n¿Está todo correcto? Responde "sí" para enviarlo a nuestro equipo o dime qué dato corregir.`
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENVÍO
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function submitLead(ctx, state) {
+  const { conversationId, accountId, inboxId } = ctx;
+  const { draft } = state;
+
+  const { score, tier, reasons } = scoreLead(draft);
+
+  const lead = {
+    conversation_id: conversationId,
+    account_id: accountId,
+    inbox_id: inboxId,
+    source: "chatwoot",
+    company: draft.company,
+    quantity: draft.quantity,
+    event_date: draft.event_date,
+    event_date_label: draft.event_date_label,
+    branch_id: draft.branch_id,
+    branch_name: draft.branch_name,
+    contact_name: draft.contact_name,
+    contact_phone: draft.contact_phone,
+    contact_email: draft.contact_email,
+    score,
+    tier,
+    score_reasons: reasons,
+    team_id: getLeadsTeamId(draft.branch_id),
+  };
+
+  const saved = await saveLead(lead);
+  if (saved.saved) lead.id = saved.id;
+
+  const notified = await notifyLeadTeam({ accountId, conversationId, lead });
+
+  logger.info({
+    conversationId,
+    leadId: lead.id,
+    score,
+    tier,
+    saved: saved.saved,
+    teamAssigned: notified.teamAssigned,
+  }, "Lead: submitted");
+
+  flowStateService.clearFlow(conversationId);
+
+  return {
+    message: `¡Listo${draft.contact_name ? `, ${firstName(draft.contact_name)}` : ""}! 🙌 Ya pasé tu solicitud a nuestro equipo de ventas corporativas. Te contactarán en menos de 24 horas hábiles para confirmar precios y disponibilidad.`,
+    lead,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXTRACCIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Toma los datos que vengan en un mensaje libre ("50 roscas para el 6 de enero
+ * en Sonata") para no volver a preguntarlos
+ */
+function absorbDetails(text, draft, { skipQuantity = false, skipDate = false } = {}) {
+  if (!skipQuantity && !draft.quantity) {
+    const quantity = extractQuantity(text);
+    if (quantity && quantity >= MIN_CORPORATE_QUANTITY) draft.quantity = quantity;
+  }
+
+  if (!skipDate && !draft.event_date) {
+    const dateText = String(text || "").match(/\b\d{1,2}\s+de\s+[a-záéíóú]+/i)?.[0];
+    const parsed = dateText ? parseEventDate(dateText) : null;
+    if (parsed) Object.assign(draft, parsed);
+  }
+
+  if (!draft.branch_id) {
+    const branch = matchBranchFromText(text);
+    if (branch) {
+      draft.branch_id = branch.branch_id;
+      draft.branch_name = branch.name || branch.display_name;
+    }
+  }
+
+  const identity = extractIdentity(text);
+  if (identity.email && !draft.contact_email) draft.contact_email = identity.email;
+  if (identity.phone && !draft.contact_phone) draft.contact_phone = identity.phone;
+}
+
+/**
+ * "50 roscas", "unas 120 piezas"; con allowBare también "50"
+ */
+function extractQuantity(text, { allowBare = false } = {}) {
+  const t = normalizeText(text);
+
+  const withUnit = t.match(/\b(\d{1,4})\s*(roscas?|piezas?|pzas?|unidades)\b/);
+  const bare = allowBare ? t.match(/^\D{0,20}?(\d{1,4})\D*$/) : null;
+  const quantity = parseIntSafe((withUnit || bare)?.[1]);
+
+  return quantity && quantity > 0 && quantity <= MAX_QUANTITY ? quantity : null;
+}
+
+/**
+ * Fecha del evento → { event_date (ISO), event_date_label }
+ * Una fecha que ya pasó este año es del siguiente ("15 de marzo" en octubre)
+ */
+function parseEventDate(text) {
+  const parsed = normalizeDate(text);
+  if (!parsed?.normalized) return null;
+
+  const date = parseDateSlug(parsed.normalized);
+  if (!date) return null;
+
+  const today = getNowMX();
+  today.setHours(0, 0, 0, 0);
+
+  if (date < today) {
+    date.setFullYear(date.getFullYear() + 1);
+  }
+
+  const iso = `${date.getFullYear()}-${String(date.getMonth() + 1).padStart(2, "0")}-${String(date.getDate()).padStart(2, "0")}`;
+
+  return {
+    event_date: iso,
+    event_date_label: `${parsed.day} de ${parsed.month}`,
+  };
+}
+
+function cleanCompanyName(text) {
+  const cleaned = String(text || "")
+    .replace(/^\s*(es\s+para|es|somos|para|de)\s+/i, "")
+    .replace(/^\s*(la\s+empresa|el\s+corporativo|la\s+compañ[ií]a)\s+/i, "")
+    .replace(/[.!]+$/, "")
+    .trim();
+
+  if (cleaned.length < 2 || /^\d+$/.test(cleaned)) return null;
+  return cleaned.slice(0, 120);
+}
+
+function clearField(draft, field) {
+  switch (field) {
+    case "company":
+      draft.company = null;
+      break;
+    case "quantity":
+      draft.quantity = null;
+      break;
+    case "event_date":
+      draft.event_date = null;
+      draft.event_date_label = null;
+      break;
+    case "branch_id":
+      draft.branch_id = null;
+      draft.branch_name = null;
+      break;
+    case "contact":
+      draft.contact_phone = null;
+      draft.contact_email = null;
+      break;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FORMATO
+// ═══════════════════════════════════════════════════════════════════════════
+
+function formatLeadSummary(draft) {
+  const lines = ["📋 Resumen de tu solicitud:", ""];
+  lines.push(`🏢 Empresa: ${draft.company}`);
+  lines.push(`🥯 Cantidad: ${draft.quantity} roscas`);
+  lines.push(`📅 Fecha: ${draft.event_date_label || "Por definir"}`);
+  lines.push(`📍 Sucursal: ${draft.branch_name || "Por definir"}`);
+  const contact = [draft.contact_phone, draft.contact_email].filter(Boolean).join(" / ");
+  lines.push(`📞 Contacto: ${contact}`);
+  return lines.join("\n");
+}
+
+function firstName(name) {
+  return String(name || "").trim().split(/\s+/)[0];
+}
+
+/**
+ * ¿El mensaje suena a pedido corporativo / mayoreo?
+ * Lo usa el orquestador para desviar ORDER_CREATE al flujo de leads.
+ */
+export function detectsCorporateLead(text) {
+  const t = normalizeText(text);
+  const quantity = extractQuantity(text);
+  return (quantity !== null && quantity >= MIN_CORPORATE_QUANTITY) || CORPORATE_PATTERN.test(t);
+}
+
+export const leadFlow = { handle };
+export default leadFlow;
@@ -2,43 +2,769 @@
  * ═══════════════════════════════════════════════════════════════════════════
  * ORDER MODIFY FLOW - Modificación de pedidos existentes
  * ═══════════════════════════════════════════════════════════════════════════
- * 
- * TODO: Implementar modificación de:
+ *
+ * Cambios soportados:
  * - Fecha de entrega
  * - Sucursal de recolección
- * - Cantidad (si es posible)
- * 
- * @version 2.0.0 - Arquitectura modular
+ * - Cantidades de productos (sólo pedidos pendientes de pago)
+ *
+ * Máquina de estados:
+ * INIT → (PICK_ORDER | ASK_ORDER_ID | ASK_IDENTITY) → ASK_CHANGE_TYPE
+ *      → ASK_NEW_DATE | ASK_NEW_BRANCH | ASK_ITEMS → CONFIRM → DONE
+ *
+ * Reglas:
+ * - Acceso: season-rules.validateOrderModificationAccess (teléfono/email)
+ * - Fechas: season-rules.canModifyOrderForDate (fecha actual y nueva)
+ * - Ningún cambio se aplica sin confirmación explícita; se muestra el diff
+ * - WooCommerce tiene la última palabra (csCambiarEntregaSafe)
+ *
+ * @version 2.1.0 - Cambios de fecha/sucursal/productos con season rules
  */
 
+import { randomUUID } from "crypto";
 import { logger } from "../utils/logger.js";
-import { flowStateService } from "../services/flowStateService.js";
+import { flowStateService, ORDER_MODIFY_STEPS } from "../services/flowStateService.js";
+import {
+  extractIdentity,
+  extractOrderNumber,
+  fetchOrdersForContact,
+  findOwnedOrder,
+} from "../services/orderLookupService.js";
+import { csCambiarEntregaSafe, fetchCSInfoCompleta } from "../integrations/wp_cs_client.js";
+import { listBranches, matchBranchFromText } from "../hitl/branch_registry.js";
+import { matchDateFromText, normalizeDate } from "../helpers/date_normalizer.js";
+import {
+  canModifyOrderForDate,
+  getOrderModifyPolicy,
+  validateOrderModificationAccess,
+} from "../season/season-rules.js";
+import {
+  detectsCancel,
+  detectsConfirm,
+  detectsNegation,
+  extractContactInfo,
+  formatDate,
+  formatNumberedList,
+  formatOrderStatus,
+  getOrderId,
+  getOrderStatus,
+  normalizeText,
+  pickByNumber,
+} from "../tania/secure_flows/flow_helpers.js";
 
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_IDENTITY_ATTEMPTS = 3;
+const MAX_DATE_OPTIONS = 8;
+const CONFIRM_TTL_MS = 10 * 60 * 1000;
+const TIMEZONE = "America/Mexico_City";
+
+const CHANGE_TYPES = {
+  DATE: "date",
+  BRANCH: "branch",
+  ITEMS: "items",
+};
+
+const CHANGE_MENU = "¿Qué te gustaría cambiar?\n\n1. 📅 Fecha de entrega\n2. 📍 Sucursal de recolección\n3. 🛒 Productos (cantidades)";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HANDLER PRINCIPAL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Maneja un mensaje dentro del flujo ORDER_MODIFY
+ *
+ * @param {Object} ctx - Contexto del mensaje
+ * @param {Object} state - Estado actual del flujo
+ * @returns {Promise<{message: string}|null>}
+ */
 async function handle(ctx, state) {
   const { conversationId, messageText } = ctx;
-  
-  logger.info({ conversationId, step: state?.step }, "OrderModify: handling");
-  
-  // TODO: Implementar modificación de pedido
-  // Por ahora, stub que pide número de pedido
-  
-  const orderNumber = extractOrderNumber(messageText);
-  
-  if (orderNumber) {
+  const step = state?.step || ORDER_MODIFY_STEPS.INIT;
+
+  logger.info({ conversationId, step, orderId: state?.order?.order_id }, "OrderModify: handling");
+
+  state.draft = state.draft || {};
+
+  if (step !== ORDER_MODIFY_STEPS.INIT && detectsCancel(messageText)) {
+    flowStateService.clearFlow(conversationId);
+    return { message: "De acuerdo, no hice ningún cambio. Si necesitas algo más, aquí estoy." };
+  }
+
+  if (!getOrderModifyPolicy().enabled) {
+    flowStateService.clearFlow(conversationId);
+    return { message: "En este momento las modificaciones de pedido están pausadas. Si quieres, escribe \"asesor\" y el equipo te ayuda." };
+  }
+
+  switch (step) {
+    case ORDER_MODIFY_STEPS.PICK_ORDER:
+      return await handlePickOrder(ctx, state);
+
+    case ORDER_MODIFY_STEPS.ASK_IDENTITY:
+      return await handleIdentity(ctx, state);
+
+    case ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE:
+      return await handleChangeType(ctx, state);
+
+    case ORDER_MODIFY_STEPS.ASK_NEW_DATE:
+      return await handleNewDate(ctx, state);
+
+    case ORDER_MODIFY_STEPS.ASK_NEW_BRANCH:
+      return await handleNewBranch(ctx, state);
+
+    case ORDER_MODIFY_STEPS.ASK_ITEMS:
+      return await handleItems(ctx, state);
+
+    case ORDER_MODIFY_STEPS.CONFIRM:
+      return await handleConfirm(ctx, state);
+
+    case ORDER_MODIFY_STEPS.ASK_ORDER_ID:
+    case ORDER_MODIFY_STEPS.INIT:
+    default:
+      return await handleLookup(ctx, state);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESOLVER PEDIDO + ACCESO
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleLookup(ctx, state) {
+  const { conversationId, messageText, contact } = ctx;
+  const { draft } = state;
+  const identity = extractContactInfo(contact);
+
+  // Si el primer mensaje ya dice qué cambiar ("cambiar la fecha de mi pedido")
+  draft.change_type = draft.change_type || detectChangeType(messageText);
+
+  const orderId = draft.order_id || extractOrderNumber(messageText);
+
+  if (orderId) {
+    draft.order_id = String(orderId);
+    return await resolveOrderById(ctx, state);
+  }
+
+  if (identity.phone || identity.email) {
+    const orders = await fetchOrdersForContact(identity);
+
+    if (orders.length === 1) {
+      return await authorizeOrder(ctx, state, orders[0], identity);
+    }
+
+    if (orders.length > 1) {
+      state.step = ORDER_MODIFY_STEPS.PICK_ORDER;
+      state.options = { orders };
+      flowStateService.setFlow(conversationId, state);
+
+      const orderList = formatNumberedList(orders, o => {
+        const total = o.total_display || o.total || "";
+        return `#${getOrderId(o)} — ${formatOrderStatus(getOrderStatus(o))}${total ? ` — ${total}` : ""}`;
+      });
+
+      return {
+        message: `Encontré estos pedidos asociados a tus datos. ¿Cuál quieres cambiar?\n\n${orderList}\n\nResponde con el número de la lista.`,
+      };
+    }
+  }
+
+  const alreadyAsked = state.step === ORDER_MODIFY_STEPS.ASK_ORDER_ID;
+  state.step = ORDER_MODIFY_STEPS.ASK_ORDER_ID;
+  flowStateService.setFlow(conversationId, state);
+
+  return {
+    message: alreadyAsked
+      ? "¿Me compartes el número de pedido? (solo números, ej. 1234)"
+      : "Para modificar tu pedido, necesito el número de orden. Lo encuentras en el email de confirmación. ¿Cuál es tu número de pedido?",
+  };
+}
+
+async function handlePickOrder(ctx, state) {
+  const { messageText, contact } = ctx;
+  const orders = state.options?.orders || [];
+
+  let order = pickByNumber(messageText, orders);
+
+  if (!order) {
+    const maybeId = extractOrderNumber(messageText);
+    if (maybeId) {
+      order = orders.find(o => String(getOrderId(o)) === maybeId) || null;
+    }
+  }
+
+  if (!order) {
+    return { message: "No identifiqué cuál. ¿Me dices el número de la lista o el # de pedido?" };
+  }
+
+  state.options = {};
+  return await authorizeOrder(ctx, state, order, extractContactInfo(contact));
+}
+
+async function handleIdentity(ctx, state) {
+  const { messageText } = ctx;
+  const { draft } = state;
+
+  const claimed = extractIdentity(messageText);
+
+  if (!claimed.phone && !claimed.email) {
+    return { message: "Para validar que el pedido sea tuyo, ¿me confirmas el teléfono (10 dígitos) o el email con el que lo registraste?" };
+  }
+
+  draft.claimed_phone = claimed.phone;
+  draft.claimed_email = claimed.email;
+
+  return await resolveOrderById(ctx, state);
+}
+
+async function resolveOrderById(ctx, state) {
+  const { conversationId, contact } = ctx;
+  const { draft } = state;
+
+  const identity = resolveIdentity(contact, draft);
+
+  if (!identity.phone && !identity.email) {
+    state.step = ORDER_MODIFY_STEPS.ASK_IDENTITY;
+    flowStateService.setFlow(conversationId, state);
+    return {
+      message: `Para verificar que eres titular del pedido #${draft.order_id}, ¿me confirmas el teléfono o el email con el que lo registraste?`,
+    };
+  }
+
+  const owned = await findOwnedOrder({ order_id: draft.order_id, ...identity });
+
+  if (owned.ok) {
+    return await authorizeOrder(ctx, state, owned.order, identity);
+  }
+
+  logger.info({
+    conversationId,
+    orderId: draft.order_id,
+    reason: owned.reason,
+    claimed: !!(draft.claimed_phone || draft.claimed_email),
+  }, "OrderModify: order not found for identity");
+
+  if (state.step === ORDER_MODIFY_STEPS.ASK_IDENTITY) {
+    return identityMismatch(ctx, state, "Los datos no coinciden con el pedido. Por seguridad, necesito verificar que eres el titular. ¿Me confirmas el teléfono o email con el que hiciste la compra?");
+  }
+
+  const missing = draft.order_id;
+  draft.order_id = null;
+  state.step = ORDER_MODIFY_STEPS.ASK_ORDER_ID;
+  flowStateService.setFlow(conversationId, state);
+
+  return {
+    message: `No encontré el pedido #${missing} asociado a tus datos. ¿Me confirmas el número? Lo encuentras en el email de confirmación.`,
+  };
+}
+
+/**
+ * Valida acceso (season-rules) y que el pedido todavía se pueda modificar
+ */
+async function authorizeOrder(ctx, state, order, identity) {
+  const { conversationId } = ctx;
+  const { draft } = state;
+  const orderId = getOrderId(order);
+
+  const access = validateOrderModificationAccess({
+    orderId,
+    customerPhone: identity.phone,
+    customerEmail: identity.email,
+    orderData: order,
+  });
+
+  if (!access.authorized) {
+    logger.info({ conversationId, orderId, reason: access.reason }, "OrderModify: access denied");
+
+    if (access.reason === "modifications_disabled") {
+      flowStateService.clearFlow(conversationId);
+      return { message: access.message };
+    }
+
+    draft.order_id = String(orderId);
+    state.step = ORDER_MODIFY_STEPS.ASK_IDENTITY;
+    return identityMismatch(ctx, state, `${access.message}\n\n${access.hint || ""}`.trim());
+  }
+
+  const snapshot = buildOrderSnapshot(order);
+
+  if (order.puede_modificar === false) {
+    flowStateService.clearFlow(conversationId);
+    return {
+      message: `El pedido #${snapshot.order_id} ya no se puede modificar (estado: ${formatOrderStatus(snapshot.status)}). Si necesitas ayuda, escribe "asesor".`,
+    };
+  }
+
+  // La fecha actual del pedido también debe permitir cambios (ej. 6 de enero bloqueado)
+  if (snapshot.fecha_slug) {
+    const dateCheck = canModifyOrderForDate(snapshot.fecha_slug);
+    if (!dateCheck.can_modify) {
+      flowStateService.clearFlow(conversationId);
+      return {
+        message: `${formatOrderSummary(snapshot)}\n\n⚠️ ${dateCheck.message}\n\nSi necesitas ayuda, escribe "asesor".`,
+      };
+    }
+  }
+
+  draft.order_id = String(snapshot.order_id);
+  draft.verified_by = access.verified_by || access.reason;
+  state.order = snapshot;
+
+  logger.info({ conversationId, orderId: snapshot.order_id, verifiedBy: draft.verified_by }, "OrderModify: access granted");
+
+  if (draft.change_type) {
+    return await promptForChange(ctx, state, draft.change_type, formatOrderSummary(snapshot));
+  }
+
+  state.step = ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE;
+  flowStateService.setFlow(conversationId, state);
+
+  return { message: `${formatOrderSummary(snapshot)}\n\n${CHANGE_MENU}` };
+}
+
+function identityMismatch(ctx, state, message) {
+  const { conversationId } = ctx;
+  const { draft } = state;
+
+  draft.identity_attempts = (draft.identity_attempts || 0) + 1;
+
+  if (draft.identity_attempts >= MAX_IDENTITY_ATTEMPTS) {
+    flowStateService.clearFlow(conversationId);
+    return {
+      message: `No pude validar el pedido #${draft.order_id} con esos datos. Por seguridad no puedo hacer cambios; si quieres, escribe "asesor" y el equipo lo revisa contigo.`,
+    };
+  }
+
+  flowStateService.setFlow(conversationId, state);
+  return { message };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TIPO DE CAMBIO
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleChangeType(ctx, state) {
+  const { messageText } = ctx;
+  const n = parseInt(String(messageText || "").trim(), 10);
+
+  const changeType =
+    n === 1 ? CHANGE_TYPES.DATE :
+    n === 2 ? CHANGE_TYPES.BRANCH :
+    n === 3 ? CHANGE_TYPES.ITEMS :
+    detectChangeType(messageText);
+
+  if (!changeType) {
+    return { message: `No entendí qué quieres cambiar. ${CHANGE_MENU}` };
+  }
+
+  return await promptForChange(ctx, state, changeType);
+}
+
+async function promptForChange(ctx, state, changeType, prefix = null) {
+  const { conversationId } = ctx;
+  const order = state.order;
+  const withPrefix = (message) => ({ message: prefix ? `${prefix}\n\n${message}` : message });
+
+  state.draft.change_type = changeType;
+
+  if (changeType === CHANGE_TYPES.DATE) {
+    const fechas = await loadDateOptions(order);
+
+    if (fechas.length === 0) {
+      flowStateService.clearFlow(conversationId);
+      return withPrefix("No veo fechas disponibles para cambio en este momento. Si quieres, escribe \"asesor\" y el equipo lo revisa contigo.");
+    }
+
+    state.options = { fechas };
+    state.step = ORDER_MODIFY_STEPS.ASK_NEW_DATE;
+    flowStateService.setFlow(conversationId, state);
+
+    return withPrefix(`¿Para qué nueva fecha?\n\n${formatNumberedList(fechas, f => f.nombre)}\n\nResponde con el número o escribe la fecha.`);
+  }
+
+  if (changeType === CHANGE_TYPES.BRANCH) {
+    const branches = listBranches()
+      .filter(b => b.enabled !== false && b.branch_id !== "HQ")
+      .map(b => ({ branch_id: b.branch_id, slug: b.slug, name: b.name, city: b.city }));
+
+    if (branches.length === 0) {
+      flowStateService.clearFlow(conversationId);
+      return withPrefix("No tengo sucursales configuradas para el cambio. Escribe \"asesor\" y el equipo te ayuda.");
+    }
+
+    state.options = { branches };
+    state.step = ORDER_MODIFY_STEPS.ASK_NEW_BRANCH;
+    flowStateService.setFlow(conversationId, state);
+
+    return withPrefix(`¿En qué sucursal quieres recogerlo?\n\n${formatNumberedList(branches, b => `${b.name}${b.city ? ` (${b.city})` : ""}`)}\n\nResponde con el número o el nombre.`);
+  }
+
+  // Productos: ajustar cantidades cambia el total, sólo antes del pago
+  if (String(order.status || "").toLowerCase() !== "pending") {
+    state.step = ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE;
+    flowStateService.setFlow(conversationId, state);
+    return withPrefix("Los productos sólo se pueden ajustar mientras el pedido está pendiente de pago. ¿Quieres cambiar la fecha o la sucursal? (1 = Fecha, 2 = Sucursal)");
+  }
+
+  if (order.items.length === 0) {
     flowStateService.clearFlow(conversationId);
+    return withPrefix("No pude obtener los productos del pedido. Escribe \"asesor\" y el equipo hace el ajuste.");
+  }
+
+  state.step = ORDER_MODIFY_STEPS.ASK_ITEMS;
+  flowStateService.setFlow(conversationId, state);
+
+  return withPrefix(
+    `Estos son los productos del pedido:\n\n${formatNumberedList(order.items, it => `${it.name} × ${it.quantity}`)}\n\n` +
+    `Dime el número de producto y la nueva cantidad. Ej: "1 = 3" o "quitar 2".`
+  );
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NUEVA FECHA / SUCURSAL / PRODUCTOS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleNewDate(ctx, state) {
+  const { conversationId, messageText } = ctx;
+  const order = state.order;
+  const fechas = state.options?.fechas || [];
+
+  const fecha = pickByNumber(messageText, fechas)
+    || matchDateFromText(messageText, fechas, { timeZone: TIMEZONE })
+    || dateFromFreeText(messageText);
+
+  if (!fecha?.slug) {
+    return { message: "No identifiqué la fecha. ¿Me dices el número de la lista o la fecha? (Ej. 6 de enero)" };
+  }
+
+  if (fecha.slug === order.fecha_slug) {
+    return { message: `Tu pedido ya está para el ${order.fecha_label}. ¿Qué otra fecha te acomoda?` };
+  }
+
+  const dateCheck = canModifyOrderForDate(fecha.slug);
+  if (!dateCheck.can_modify) {
+    logger.info({ conversationId, orderId: order.order_id, fecha: fecha.slug, reason: dateCheck.reason }, "OrderModify: new date rejected by season rules");
+    return { message: `${dateCheck.message}\n\n¿Quieres elegir otra fecha?` };
+  }
+
+  return askConfirmation(ctx, state, { nueva_fecha: fecha.slug, fecha_label: fecha.nombre || fecha.slug });
+}
+
+async function handleNewBranch(ctx, state) {
+  const { messageText } = ctx;
+  const order = state.order;
+  const branches = state.options?.branches || [];
+
+  let branch = pickByNumber(messageText, branches);
+
+  if (!branch) {
+    const match = matchBranchFromText(messageText);
+    branch = match ? branches.find(b => b.branch_id === match.branch_id) || null : null;
+  }
+
+  if (!branch) {
+    return { message: "No identifiqué la sucursal. ¿Me dices el número de la lista o el nombre?" };
+  }
+
+  if (isSameBranch(order, branch)) {
+    return { message: `Tu pedido ya está para recoger en ${branch.name}. ¿A qué otra sucursal lo cambiamos?` };
+  }
+
+  return askConfirmation(ctx, state, { nueva_sucursal: branch.branch_id, sucursal_label: branch.name });
+}
+
+async function handleItems(ctx, state) {
+  const { messageText } = ctx;
+  const order = state.order;
+
+  const changes = parseItemChanges(messageText, order.items);
+
+  if (changes.length === 0) {
+    return { message: "No identifiqué el cambio. Dime el número de producto y la nueva cantidad, ej: \"1 = 3\" o \"quitar 2\"." };
+  }
+
+  const remaining = order.items.reduce((sum, it) => {
+    const change = changes.find(c => c.index === it.index);
+    return sum + (change ? change.quantity : it.quantity);
+  }, 0);
+
+  if (remaining === 0) {
+    return { message: "El pedido no puede quedar sin productos. Si quieres cancelarlo, escribe \"asesor\" y el equipo te ayuda." };
+  }
+
+  return askConfirmation(ctx, state, {
+    items: changes.map(c => ({
+      item_id: c.item.item_id,
+      name: c.item.name,
+      quantity: c.quantity,
+      previous_quantity: c.item.quantity,
+    })),
+  });
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIRMACIÓN + APLICAR
+// ═══════════════════════════════════════════════════════════════════════════
+
+function askConfirmation(ctx, state, change) {
+  const { conversationId } = ctx;
+
+  state.pending = {
+    ...change,
+    created_at: Date.now(),
+    // Una por intento de escritura: protege contra reintentos del webhook
+    idempotency_key: randomUUID(),
+  };
+  state.step = ORDER_MODIFY_STEPS.CONFIRM;
+  flowStateService.setFlow(conversationId, state);
+
+  return {
+    message: `Revisa el cambio:\n\n${formatDiff(state.order, state.pending)}\n\n¿Confirmas? Responde "sí" para aplicarlo o dime qué ajustar.`,
+  };
+}
+
+async function handleConfirm(ctx, state) {
+  const { conversationId, messageText, contact } = ctx;
+  const { order, pending, draft } = state;
+
+  if (!pending || Date.now() - pending.created_at > CONFIRM_TTL_MS) {
+    state.pending = null;
+    state.step = ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE;
+    flowStateService.setFlow(conversationId, state);
+    return { message: `Pasó un rato y prefiero confirmar de nuevo. ${CHANGE_MENU}` };
+  }
+
+  if (detectsNegation(messageText)) {
+    state.pending = null;
+    state.step = ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE;
+    flowStateService.setFlow(conversationId, state);
+    return { message: `Va, no apliqué nada. ${CHANGE_MENU}` };
+  }
+
+  if (!detectsConfirm(messageText, ["confirmar cambio", "si, cambialo", "aplicalo"])) {
+    state.pending = null;
+
+    // Otro tipo de cambio ("mejor la sucursal")
+    const changeType = detectChangeType(messageText);
+    if (changeType && changeType !== draft.change_type) {
+      return await promptForChange(ctx, state, changeType);
+    }
+
+    // Ajuste del mismo cambio ("mejor el 7 de enero"): las opciones siguen en el estado
+    state.step = stepForChangeType(draft.change_type);
+    flowStateService.setFlow(conversationId, state);
+    return await handle(ctx, state);
+  }
+
+  // Revalidar justo antes de escribir (las reglas del Sheet pueden cambiar)
+  const dateToCheck = pending.nueva_fecha || order.fecha_slug;
+  if (dateToCheck) {
+    const dateCheck = canModifyOrderForDate(dateToCheck);
+    if (!dateCheck.can_modify) {
+      state.pending = null;
+      state.step = ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE;
+      flowStateService.setFlow(conversationId, state);
+      return { message: `${dateCheck.message}\n\n${CHANGE_MENU}` };
+    }
+  }
+
+  const identity = resolveIdentity(contact, draft);
+
+  const r = await csCambiarEntregaSafe({
+    order_id: order.order_id,
+    nueva_fecha: pending.nueva_fecha || undefined,
+    nueva_sucursal: pending.nueva_sucursal || undefined,
+    items: pending.items?.map(({ item_id, name, quantity }) => ({ item_id, name, quantity })) || undefined,
+    // Prueba de ownership para validación server-side
+    customer_phone: identity.phone || undefined,
+    customer_email: identity.email || undefined,
+    idempotency_key: pending.idempotency_key,
+  }).catch((e) => ({
+    success: false,
+    http_status: 0,
+    error_code: "network_error",
+    mensaje: String(e?.message || e || "network_error"),
+  }));
+
+  logger.info({
+    conversationId,
+    orderId: order.order_id,
+    changeType: draft.change_type,
+    success: !!r?.success,
+    errorCode: r?.error_code,
+  }, "OrderModify: change applied");
+
+  if (!r?.success) {
+    if (r?.http_status === 403 || r?.error_code === "forbidden") {
+      flowStateService.clearFlow(conversationId);
+      return { message: "Por seguridad no pude validar que el pedido te pertenezca para aplicar el cambio. Escribe \"asesor\" y el equipo te ayuda." };
+    }
+
+    state.pending = null;
+    state.step = ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE;
+    flowStateService.setFlow(conversationId, state);
+
+    const detail = r?.mensaje && String(r.mensaje).length < 160 ? `\n\nDetalle: ${r.mensaje}` : "";
     return {
-      message: `Para modificar el pedido #${orderNumber}, necesito verificar algunos datos.\n\n¿Qué te gustaría cambiar?\n1. Fecha de entrega\n2. Sucursal de recolección\n\n(Esta funcionalidad está en desarrollo)`,
+      message: `No pude aplicar el cambio en este momento (la disponibilidad pudo cambiar).${detail}\n\n¿Quieres intentar con otra opción? ${CHANGE_MENU}`,
     };
   }
-  
+
+  flowStateService.clearFlow(conversationId);
+
+  return {
+    message: `¡Listo! Actualicé tu pedido #${order.order_id}:\n\n${formatDiff(order, pending)}\n\nSi necesitas otro cambio, dime "quiero cambiar mi pedido".`,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// FORMATO
+// ═══════════════════════════════════════════════════════════════════════════
+
+function formatOrderSummary(order) {
+  const lines = [`📦 Pedido #${order.order_id}`];
+  if (order.fecha_label) lines.push(`📅 Entrega: ${order.fecha_label}`);
+  if (order.sucursal_label) lines.push(`📍 Sucursal: ${order.sucursal_label}`);
+  order.items.forEach(it => lines.push(`• ${it.name} × ${it.quantity}`));
+  return lines.join("\n");
+}
+
+/**
+ * Diff "antes → después" del cambio pendiente
+ */
+function formatDiff(order, pending) {
+  const lines = [`📦 Pedido #${order.order_id}`];
+
+  if (pending.nueva_fecha) {
+    lines.push(`📅 Fecha: ${order.fecha_label || "sin fecha"} → ${pending.fecha_label}`);
+  }
+
+  if (pending.nueva_sucursal) {
+    lines.push(`📍 Sucursal: ${order.sucursal_label || "sin sucursal"} → ${pending.sucursal_label}`);
+  }
+
+  for (const it of pending.items || []) {
+    lines.push(it.quantity === 0
+      ? `🛒 ${it.name}: ${it.previous_quantity} → se quita del pedido`
+      : `🛒 ${it.name}: ${it.previous_quantity} → ${it.quantity}`);
+  }
+
+  if (pending.items?.length) {
+    lines.push("", "El total se recalcula con los nuevos productos.");
+  }
+
+  return lines.join("\n");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Datos del pedido que el flujo necesita (compacto: se persiste en el estado)
+ */
+function buildOrderSnapshot(order) {
+  const entrega = order?.entrega || {};
+  const fechaIso = entrega.fecha_iso || order?.delivery_date || order?.fecha_entrega || null;
+  const items = Array.isArray(order?.items) ? order.items : (Array.isArray(order?.line_items) ? order.line_items : []);
+
   return {
-    message: "Para modificar tu pedido, necesito el número de orden. Lo encuentras en el email de confirmación. ¿Cuál es tu número de pedido?",
+    order_id: getOrderId(order),
+    status: getOrderStatus(order),
+    fecha_slug: entrega.fecha_slug || order?.delivery_date_slug || order?.fecha_slug || null,
+    fecha_label: entrega.fecha_h || (fechaIso ? formatDate(fechaIso, { year: undefined }) : entrega.fecha || null),
+    sucursal_slug: entrega.sucursal_slug || order?.branch_id || null,
+    sucursal_label: entrega.sucursal_h || entrega.sucursal || order?.branch_name || order?.sucursal || null,
+    items: items
+      .map((it, idx) => ({
+        index: idx + 1,
+        item_id: it?.item_id || null,
+        name: it?.name || it?.nombre || it?.product_name || "Producto",
+        quantity: Number(it?.quantity ?? it?.cantidad) || 1,
+      })),
   };
 }
 
-function extractOrderNumber(text) {
-  const match = String(text || "").match(/\b(\d{4,})\b/);
-  return match ? match[1] : null;
+async function loadDateOptions(order) {
+  let fechas = [];
+
+  try {
+    const info = await fetchCSInfoCompleta();
+    fechas = Array.isArray(info?.fechas_disponibles) ? info.fechas_disponibles : [];
+  } catch (error) {
+    logger.warn({ err: error?.message }, "OrderModify: failed to load fechas_disponibles");
+  }
+
+  return fechas
+    .map(f => ({ slug: f?.slug || null, nombre: f?.nombre || f?.label || f?.slug, fecha_iso: f?.fecha_iso || null }))
+    .filter(f => f.slug && f.slug !== order.fecha_slug)
+    .filter(f => canModifyOrderForDate(f.slug).can_modify)
+    .slice(0, MAX_DATE_OPTIONS);
+}
+
+function dateFromFreeText(text) {
+  const parsed = normalizeDate(text);
+  return parsed?.normalized ? { slug: parsed.normalized, nombre: `${parsed.day} de ${parsed.month}` } : null;
+}
+
+/**
+ * WooCommerce guarda la sucursal con su propio slug ("san-angel") y el registry
+ * con el de KISS ("cdmx-san-angel"): comparar por contención, sin separadores
+ */
+function isSameBranch(order, branch) {
+  const compact = (v) => normalizeText(v).replace(/[^a-z0-9]/g, "");
+  const current = [order.sucursal_slug, order.sucursal_label].map(compact).filter(Boolean);
+  if (current.length === 0) return false;
+
+  return [branch.branch_id, branch.slug, branch.name]
+    .map(compact)
+    .filter(Boolean)
+    .some(v => current.some(c => c === v || v.endsWith(c) || c.endsWith(v)));
+}
+
+/**
+ * "1 = 3", "2: 1", "quitar 2" → [{ index, item, quantity }]
+ */
+function parseItemChanges(text, items) {
+  const t = normalizeText(text);
+  const changes = new Map();
+
+  for (const m of t.matchAll(/(\d+)\s*(?:=|:|->|→|a)\s*(\d+)/g)) {
+    changes.set(parseInt(m[1], 10), parseInt(m[2], 10));
+  }
+
+  for (const m of t.matchAll(/\b(?:quitar|quita|eliminar|elimina|sin)\s+(?:el\s+|la\s+)?(\d+)/g)) {
+    changes.set(parseInt(m[1], 10), 0);
+  }
+
+  return Array.from(changes.entries())
+    .map(([index, quantity]) => ({ index, quantity, item: items.find(it => it.index === index) }))
+    .filter(c => c.item && c.quantity >= 0 && c.quantity <= 50 && c.quantity !== c.item.quantity);
+}
+
+function detectChangeType(text) {
+  const t = normalizeText(text);
+  if (/\b(fecha|dia|reagendar|mover|otro dia)\b/.test(t)) return CHANGE_TYPES.DATE;
+  if (/\b(sucursal|recoger en|tienda)\b/.test(t)) return CHANGE_TYPES.BRANCH;
+  if (/\b(producto|productos|cantidad|piezas|roscas|agregar|quitar)\b/.test(t)) return CHANGE_TYPES.ITEMS;
+  return null;
+}
+
+function stepForChangeType(changeType) {
+  switch (changeType) {
+    case CHANGE_TYPES.DATE: return ORDER_MODIFY_STEPS.ASK_NEW_DATE;
+    case CHANGE_TYPES.BRANCH: return ORDER_MODIFY_STEPS.ASK_NEW_BRANCH;
+    case CHANGE_TYPES.ITEMS: return ORDER_MODIFY_STEPS.ASK_ITEMS;
+    default: return ORDER_MODIFY_STEPS.ASK_CHANGE_TYPE;
+  }
+}
+
+function resolveIdentity(contact, draft) {
+  const contactIdentity = extractContactInfo(contact);
+  return {
+    phone: draft.claimed_phone || contactIdentity.phone,
+    email: draft.claimed_email || contactIdentity.email,
+  };
 }
 
 export const orderModifyFlow = { handle };
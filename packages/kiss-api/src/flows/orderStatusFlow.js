@@ -2,44 +2,323 @@
  * ═══════════════════════════════════════════════════════════════════════════
  * ORDER STATUS FLOW - Consulta de estado de pedidos
  * ═══════════════════════════════════════════════════════════════════════════
- * 
- * TODO: Implementar búsqueda de pedido por:
- * - Número de pedido
- * - Teléfono
- * - Email
- * 
- * @version 2.0.0 - Arquitectura modular
+ *
+ * Busca el pedido en WooCommerce (wp_cs_client.csBuscarPedido) por:
+ * - Número de pedido (validando que pertenezca al contacto)
+ * - Teléfono del contacto de Chatwoot
+ * - Email del contacto de Chatwoot
+ *
+ * Máquina de estados:
+ * INIT → (PICK_ORDER | ASK_ORDER_ID | ASK_IDENTITY) → DONE
+ *
+ * Ownership: sólo se muestra un pedido si coincide con el teléfono/email del
+ * contacto, o con el teléfono/email que el cliente da junto con el número de
+ * pedido (webchat sin identidad). Un pedido ajeno responde igual que uno que
+ * no existe, para no filtrar información.
+ *
+ * @version 2.1.0 - Búsqueda en WooCommerce + verificación de ownership
  */
 
 import { logger } from "../utils/logger.js";
-import { flowStateService } from "../services/flowStateService.js";
+import { flowStateService, ORDER_STATUS_STEPS } from "../services/flowStateService.js";
+import {
+  extractIdentity,
+  extractOrderNumber,
+  fetchOrdersForContact,
+  findOwnedOrder,
+} from "../services/orderLookupService.js";
+import {
+  detectsCancel,
+  extractContactInfo,
+  formatDate,
+  formatNumberedList,
+  formatOrderStatus,
+  getOrderId,
+  getOrderItems,
+  getOrderStatus,
+  pickByNumber,
+} from "../tania/secure_flows/flow_helpers.js";
 
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+const MAX_IDENTITY_ATTEMPTS = 2;
+const MAX_ORDERS_TO_LIST = 5;
+
+// Estados de WooCommerce / plugin CS
+const PAID_STATUSES = ["processing", "completed", "pagado", "preparando", "listo", "entregado"];
+const UNPAID_STATUSES = ["pending", "on-hold", "failed", "cancelled", "refunded"];
+const READY_STATUSES = ["listo", "ready", "ready-for-pickup", "ready_for_pickup"];
+
+const ASK_ORDER_ID_MESSAGE = "Para consultar tu pedido, necesito el número de orden. Lo encuentras en el email de confirmación. ¿Cuál es tu número de pedido?";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HANDLER PRINCIPAL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Maneja un mensaje dentro del flujo ORDER_STATUS
+ *
+ * @param {Object} ctx - Contexto del mensaje
+ * @param {Object} state - Estado actual del flujo
+ * @returns {Promise<{message: string, orderStatus?: Object}|null>}
+ */
 async function handle(ctx, state) {
   const { conversationId, messageText } = ctx;
-  
-  logger.info({ conversationId, step: state?.step }, "OrderStatus: handling");
-  
-  // TODO: Implementar búsqueda de pedido
-  // Por ahora, stub que pide número de pedido
-  
-  const orderNumber = extractOrderNumber(messageText);
-  
-  if (orderNumber) {
-    // TODO: Consultar WooCommerce
+  const step = state?.step || ORDER_STATUS_STEPS.INIT;
+
+  logger.info({ conversationId, step }, "OrderStatus: handling");
+
+  state.draft = state.draft || {};
+
+  if (step !== ORDER_STATUS_STEPS.INIT && detectsCancel(messageText)) {
     flowStateService.clearFlow(conversationId);
+    return { message: "De acuerdo. Si necesitas algo más, aquí estoy." };
+  }
+
+  switch (step) {
+    case ORDER_STATUS_STEPS.PICK_ORDER:
+      return await handlePickOrder(ctx, state);
+
+    case ORDER_STATUS_STEPS.ASK_IDENTITY:
+      return await handleIdentity(ctx, state);
+
+    case ORDER_STATUS_STEPS.ASK_ORDER_ID:
+    case ORDER_STATUS_STEPS.INIT:
+    default:
+      return await handleLookup(ctx, state);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HANDLERS POR PASO
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function handleLookup(ctx, state) {
+  const { conversationId, messageText, contact } = ctx;
+  const { draft } = state;
+  const identity = extractContactInfo(contact);
+
+  const orderId = draft.order_id || extractOrderNumber(messageText);
+
+  // 1. Con número de pedido: buscarlo y validar ownership
+  if (orderId) {
+    draft.order_id = String(orderId);
+    return await resolveOrderById(ctx, state);
+  }
+
+  // 2. Sin número: listar pedidos del teléfono/email del contacto
+  if (identity.phone || identity.email) {
+    const orders = await fetchOrdersForContact(identity);
+
+    if (orders.length === 1) {
+      return showStatus(ctx, orders[0]);
+    }
+
+    if (orders.length > 1) {
+      const listed = orders.slice(0, MAX_ORDERS_TO_LIST);
+      state.step = ORDER_STATUS_STEPS.PICK_ORDER;
+      state.options = { orders: listed };
+      flowStateService.setFlow(conversationId, state);
+
+      const orderList = formatNumberedList(listed, o => {
+        const total = o.total_display || o.total || "";
+        return `#${getOrderId(o)} — ${formatOrderStatus(getOrderStatus(o))}${total ? ` — ${total}` : ""}`;
+      });
+
+      return {
+        message: `Encontré estos pedidos:\n\n${orderList}\n\n¿Cuál quieres consultar? (Responde con el número de la lista)`,
+      };
+    }
+  }
+
+  // 3. No hay forma de encontrarlo: pedir número
+  const alreadyAsked = state.step === ORDER_STATUS_STEPS.ASK_ORDER_ID;
+  state.step = ORDER_STATUS_STEPS.ASK_ORDER_ID;
+  flowStateService.setFlow(conversationId, state);
+
+  return {
+    message: alreadyAsked
+      ? "¿Me compartes el número de pedido? (solo números, ej. 1234)"
+      : ASK_ORDER_ID_MESSAGE,
+  };
+}
+
+async function handlePickOrder(ctx, state) {
+  const { messageText } = ctx;
+  const orders = state.options?.orders || [];
+
+  let order = pickByNumber(messageText, orders);
+
+  // También aceptar el # de pedido directamente
+  if (!order) {
+    const maybeId = extractOrderNumber(messageText);
+    if (maybeId) {
+      order = orders.find(o => String(getOrderId(o)) === maybeId) || null;
+    }
+  }
+
+  if (!order) {
+    return { message: "No identifiqué cuál. ¿Me dices el número de la lista o el # de pedido?" };
+  }
+
+  // La lista salió del teléfono/email del contacto: ownership ya validado
+  return showStatus(ctx, order);
+}
+
+async function handleIdentity(ctx, state) {
+  const { conversationId, messageText } = ctx;
+  const { draft } = state;
+
+  const claimed = extractIdentity(messageText);
+
+  if (!claimed.phone && !claimed.email) {
+    return { message: "Para validar que el pedido sea tuyo, ¿me confirmas el teléfono (10 dígitos) o el email con el que lo registraste?" };
+  }
+
+  draft.claimed_phone = claimed.phone;
+  draft.claimed_email = claimed.email;
+
+  return await resolveOrderById(ctx, state);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RESOLUCIÓN + OWNERSHIP
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function resolveOrderById(ctx, state) {
+  const { conversationId, contact } = ctx;
+  const { draft } = state;
+
+  const contactIdentity = extractContactInfo(contact);
+  const identity = {
+    phone: draft.claimed_phone || contactIdentity.phone,
+    email: draft.claimed_email || contactIdentity.email,
+  };
+
+  // Sin identidad no podemos validar que el pedido sea del cliente
+  if (!identity.phone && !identity.email) {
+    state.step = ORDER_STATUS_STEPS.ASK_IDENTITY;
+    flowStateService.setFlow(conversationId, state);
+    return {
+      message: `Para mostrarte el pedido #${draft.order_id}, ¿me confirmas el teléfono o el email con el que lo registraste?`,
+    };
+  }
+
+  const owned = await findOwnedOrder({ order_id: draft.order_id, ...identity });
+
+  if (owned.ok) {
+    return showStatus(ctx, owned.order);
+  }
+
+  logger.info({
+    conversationId,
+    orderId: draft.order_id,
+    reason: owned.reason,
+    claimed: !!(draft.claimed_phone || draft.claimed_email),
+  }, "OrderStatus: order not found for identity");
+
+  // El cliente dio datos que no coinciden: reintentar con límite
+  if (state.step === ORDER_STATUS_STEPS.ASK_IDENTITY) {
+    draft.identity_attempts = (draft.identity_attempts || 0) + 1;
+
+    if (draft.identity_attempts >= MAX_IDENTITY_ATTEMPTS) {
+      flowStateService.clearFlow(conversationId);
+      return {
+        message: `No pude validar el pedido #${draft.order_id} con esos datos. Si quieres, escribe "asesor" y alguien del equipo lo revisa contigo.`,
+      };
+    }
+
+    flowStateService.setFlow(conversationId, state);
     return {
-      message: `Buscando el pedido #${orderNumber}...\n\n⏳ Por favor espera mientras consulto el sistema.\n\n(Esta funcionalidad está en desarrollo)`,
+      message: "Esos datos no coinciden con el pedido. ¿Me confirmas el teléfono o email con el que hiciste la compra?",
     };
   }
-  
+
+  // Número no encontrado para el contacto: pedirlo de nuevo
+  const missing = draft.order_id;
+  draft.order_id = null;
+  state.step = ORDER_STATUS_STEPS.ASK_ORDER_ID;
+  flowStateService.setFlow(conversationId, state);
+
   return {
-    message: "Para consultar tu pedido, necesito el número de orden. Lo encuentras en el email de confirmación. ¿Cuál es tu número de pedido?",
+    message: `No encontré el pedido #${missing} asociado a tus datos. ¿Me confirmas el número? Lo encuentras en el email de confirmación.`,
   };
 }
 
-function extractOrderNumber(text) {
-  const match = String(text || "").match(/\b(\d{4,})\b/);
-  return match ? match[1] : null;
+// ═══════════════════════════════════════════════════════════════════════════
+// ESTATUS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function showStatus(ctx, order) {
+  const { conversationId } = ctx;
+  const orderStatus = buildOrderStatus(order);
+
+  logger.info({
+    conversationId,
+    orderId: orderStatus.order_id,
+    status: orderStatus.status,
+    paid: orderStatus.paid,
+    readyForPickup: orderStatus.ready_for_pickup,
+  }, "OrderStatus: order resolved");
+
+  flowStateService.clearFlow(conversationId);
+
+  return {
+    message: `${formatOrderStatusMessage(orderStatus)}\n\n¿Necesitas algo más? Si quieres cambiar fecha, sucursal o productos, dime "quiero cambiar mi pedido".`,
+    orderStatus,
+  };
+}
+
+/**
+ * Estatus estructurado del pedido
+ *
+ * @returns {{order_id, status, status_label, paid, ready_for_pickup, branch, delivery_date, total, items}}
+ */
+export function buildOrderStatus(order) {
+  const status = getOrderStatus(order);
+  const normalized = String(status || "").toLowerCase();
+
+  return {
+    order_id: getOrderId(order),
+    status,
+    status_label: formatOrderStatus(status),
+    paid: resolvePaid(order, normalized),
+    ready_for_pickup: order?.ready_for_pickup === true || READY_STATUSES.includes(normalized),
+    branch: order?.entrega?.sucursal_h || order?.entrega?.sucursal || order?.branch_name || order?.sucursal || null,
+    delivery_date: order?.entrega?.fecha_iso || order?.entrega?.fecha || order?.delivery_date || order?.fecha_entrega || null,
+    total: order?.total_display || order?.total || null,
+    items: getOrderItems(order).map(({ name, quantity }) => ({ name, quantity })),
+  };
+}
+
+function resolvePaid(order, normalizedStatus) {
+  if (typeof order?.paid === "boolean") return order.paid;
+  if (order?.date_paid || order?.fecha_pago) return true;
+  if (PAID_STATUSES.includes(normalizedStatus)) return true;
+  if (UNPAID_STATUSES.includes(normalizedStatus)) return false;
+  return null;
+}
+
+function formatOrderStatusMessage(s) {
+  const lines = [
+    `📦 Pedido #${s.order_id}`,
+    `Estado: ${s.status_label}`,
+  ];
+
+  if (s.paid !== null) lines.push(`Pago: ${s.paid ? "✅ Pagado" : "⏳ Pendiente"}`);
+  lines.push(`Listo para recoger: ${s.ready_for_pickup ? "✅ Sí" : "Aún no"}`);
+  if (s.branch) lines.push(`📍 Sucursal: ${s.branch}`);
+  if (s.delivery_date) lines.push(`📅 Fecha de entrega: ${formatDate(s.delivery_date)}`);
+  if (s.total) lines.push(`💰 Total: ${s.total}`);
+
+  if (s.items.length > 0) {
+    lines.push("", "Productos:");
+    s.items.forEach(item => lines.push(`• ${item.name || "Producto"} × ${item.quantity}`));
+  }
+
+  return lines.join("\n");
 }
 
 export const orderStatusFlow = { handle };
@@ -600,4 +600,31 @@ insightsRouter.post("/admin/discover-patterns", async (req, res) => {
   }
 });
 
+/**
+ * POST /insights/admin/patterns/sync
+ * Sync con la pestaña de revisión en Google Sheets
+ * Body: { direction?: "both" | "to_sheet" | "from_sheet" }
+ */
+insightsRouter.post("/admin/patterns/sync", async (req, res) => {
+  try {
+    const { direction = "both" } = req.body || {};
+    
+    let result;
+    if (direction === "to_sheet") {
+      result = await discovery.syncToGoogleSheet();
+    } else if (direction === "from_sheet") {
+      result = await discovery.syncFromGoogleSheet();
+    } else if (direction === "both") {
+      result = await discovery.syncPatternsWithGoogleSheet();
+    } else {
+      return res.status(400).json({ ok: false, error: "direction must be both, to_sheet or from_sheet" });
+    }
+    
+    res.json({ ok: true, direction, result });
+  } catch (error) {
+    logger.error({ error: error.message }, "Pattern sheet sync failed");
+    res.status(500).json({ ok: false, error: error.message });
+  }
+});
+
 export default insightsRouter;
@@ -13,12 +13,20 @@
  * 5. Envía a Google Sheet para aprobación humana
  * 6. Eventos aprobados se agregan al catálogo
  * 
- * @version 1.0.0
+ * Sync con Google Sheet (bidireccional):
+ * - syncToGoogleSheet: escribe pendientes en la pestaña y refresca estado_api
+ * - syncFromGoogleSheet: lee la columna "decision" y aplica approvePattern /
+ *   rejectPattern. Si el patrón ya se resolvió distinto en la API (o hay
+ *   filas duplicadas con decisiones opuestas) se marca CONFLICTO y no se aplica.
+ * 
+ * @version 1.1.0
  */
 
+import { GoogleSpreadsheet } from "google-spreadsheet";
 import { logger } from "../../utils/logger.js";
 import { getPool } from "../../db/repo.js";
 import { modelRegistry } from "../../../config/modelRegistry.js";
+import { getAuth as getSheetsAuth } from "../../config-hub/sheets-reader.js";
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONFIGURACIÓN
@@ -35,6 +43,22 @@ const config = {
   lookbackDays: 7,
 };
 
+const sheetSyncConfig = {
+  sheetId: process.env.PATTERN_SHEET_ID || process.env.GOOGLE_SHEET_ID,
+  // Prefijo "#": Config Hub ignora la pestaña (sheets-reader.systemPrefixes)
+  tabName: process.env.PATTERN_SHEET_TAB || "#patrones",
+  maxSamples: 3,
+};
+
+// Columnas que escribe la API; "decision", "revisor" y "notas" son del revisor
+const SHEET_API_COLUMNS = ["id", "evento", "categoria", "descripcion", "mensajes", "confianza", "keywords", "ejemplos", "estado_api"];
+const SHEET_REVIEW_COLUMNS = ["decision", "revisor", "notas"];
+const SHEET_SYNC_COLUMNS = ["sync", "sync_at"];
+const SHEET_HEADERS = [...SHEET_API_COLUMNS, ...SHEET_REVIEW_COLUMNS, ...SHEET_SYNC_COLUMNS];
+
+const APPROVE_VALUES = ["aprobar", "aprobado", "aprobada", "approve", "approved", "si", "ok", "✅"];
+const REJECT_VALUES = ["rechazar", "rechazado", "rechazada", "reject", "rejected", "no", "❌"];
+
 let _openaiClient = null;
 
 export function setOpenAIClient(client) {
@@ -438,25 +462,282 @@ export async function getPendingPatterns() {
 // SINCRONIZACIÓN CON GOOGLE SHEETS
 // ═══════════════════════════════════════════════════════════════════════════
 
+export function isSheetSyncConfigured() {
+  return Boolean(
+    sheetSyncConfig.sheetId
+    && process.env.GOOGLE_SERVICE_ACCOUNT_EMAIL
+    && process.env.GOOGLE_PRIVATE_KEY
+  );
+}
+
 /**
- * Exporta patrones descubiertos a Google Sheet para revisión
+ * Exporta patrones pendientes a la pestaña de revisión y refresca
+ * las columnas de la API en filas existentes (nunca toca decision/revisor/notas)
  */
 export async function syncToGoogleSheet() {
-  // TODO: Implementar usando google-spreadsheet
-  // Por ahora solo retorna los patrones pendientes
   const pending = await getPendingPatterns();
-  logger.info({ pendingPatterns: pending.length }, "Patterns ready for Google Sheet sync");
-  return pending;
+  
+  if (!isSheetSyncConfigured()) {
+    logger.info({ pendingPatterns: pending.length }, "Pattern sheet sync not configured (PATTERN_SHEET_ID / service account)");
+    return { configured: false, pending: pending.length, added: 0, updated: 0 };
+  }
+  
+  const sheet = await openPatternSheet();
+  const rows = await sheet.getRows();
+  const rowsById = indexRowsById(rows);
+  
+  // 1. Pendientes que aún no están en la pestaña
+  const toAdd = pending
+    .filter(p => !rowsById.has(String(p.id)))
+    .map(p => ({ ...patternToSheetRow(p), sync: "pendiente de revisión", sync_at: new Date().toISOString() }));
+  
+  // raw: los ejemplos son mensajes de clientes; con USER_ENTERED un "=..."
+  // se evaluaría como fórmula
+  if (toAdd.length > 0) {
+    await sheet.addRows(toAdd, { raw: true });
+  }
+  
+  // 2. Filas existentes: refrescar columnas de la API (estado, conteos)
+  const patterns = await getPatternsByIds([...rowsById.keys()]);
+  let updated = 0;
+  
+  for (const [id, row] of rowsById) {
+    const pattern = patterns.get(id);
+    if (!pattern) continue;
+    
+    const values = patternToSheetRow(pattern);
+    const changed = SHEET_API_COLUMNS.some(col => String(row.get(col) ?? "") !== String(values[col] ?? ""));
+    
+    if (changed) {
+      row.assign(values);
+      await row.save({ raw: true });
+      updated++;
+    }
+  }
+  
+  logger.info({
+    pendingPatterns: pending.length,
+    added: toAdd.length,
+    updated,
+    tab: sheetSyncConfig.tabName,
+  }, "Patterns synced to Google Sheet");
+  
+  return { configured: true, pending: pending.length, added: toAdd.length, updated };
 }
 
 /**
- * Importa aprobaciones desde Google Sheet
+ * Importa decisiones desde la pestaña de revisión
+ * 
+ * Conflictos (no se aplican, quedan marcados en la columna "sync"):
+ * - El patrón ya no está pendiente y su estado difiere de la decisión
+ * - El mismo id aparece en varias filas con decisiones distintas
  */
 export async function syncFromGoogleSheet() {
-  // TODO: Implementar lectura de Google Sheet
-  // Buscar columna "approved" = true y aprobar automáticamente
-  logger.info("Google Sheet sync not yet implemented");
-  return { imported: 0 };
+  if (!isSheetSyncConfigured()) {
+    logger.info("Pattern sheet sync not configured (PATTERN_SHEET_ID / service account)");
+    return { configured: false, imported: 0 };
+  }
+  
+  const sheet = await openPatternSheet();
+  const rows = await sheet.getRows();
+  
+  const decisions = rows
+    .map(row => ({
+      row,
+      id: String(row.get("id") ?? "").trim(),
+      decision: parseSheetDecision(row.get("decision")),
+      reviewer: String(row.get("revisor") ?? "").trim() || "google-sheet",
+      notes: String(row.get("notas") ?? "").trim() || null,
+    }))
+    .filter(d => d.decision);
+  
+  // Decisiones opuestas para el mismo id
+  const decisionsById = new Map();
+  for (const d of decisions) {
+    decisionsById.set(d.id, (decisionsById.get(d.id) || new Set()).add(d.decision));
+  }
+  
+  const patterns = await getPatternsByIds([...decisionsById.keys()]);
+  
+  const result = {
+    configured: true,
+    imported: 0,
+    approved: 0,
+    rejected: 0,
+    conflicts: [],
+    errors: [],
+  };
+  
+  for (const d of decisions) {
+    const pattern = patterns.get(d.id);
+    const expectedStatus = d.decision === "approve" ? "approved" : "rejected";
+    let syncStatus;
+    
+    if (!/^\d+$/.test(d.id) || !pattern) {
+      syncStatus = "ERROR: patrón no encontrado";
+      result.errors.push({ id: d.id, row: d.row.rowNumber, error: "not_found" });
+      
+    } else if (decisionsById.get(d.id).size > 1) {
+      syncStatus = "CONFLICTO: filas duplicadas con decisiones distintas";
+      result.conflicts.push({ id: d.id, row: d.row.rowNumber, reason: "duplicate_rows" });
+      
+    } else if (pattern.status === expectedStatus) {
+      // Ya aplicado (en este sync anterior o en la API con la misma decisión)
+      syncStatus = "aplicado";
+      
+    } else if (pattern.status !== "pending") {
+      syncStatus = `CONFLICTO: en API está ${pattern.status}${pattern.reviewed_by ? ` (${pattern.reviewed_by})` : ""}`;
+      result.conflicts.push({
+        id: d.id,
+        row: d.row.rowNumber,
+        reason: "status_mismatch",
+        sheetDecision: expectedStatus,
+        apiStatus: pattern.status,
+        apiReviewedBy: pattern.reviewed_by,
+      });
+      
+    } else {
+      const applied = d.decision === "approve"
+        ? await approvePattern(pattern.id, d.reviewer)
+        : await rejectPattern(pattern.id, d.reviewer, d.notes);
+      
+      if (applied?.success) {
+        syncStatus = "aplicado";
+        pattern.status = expectedStatus;
+        pattern.reviewed_by = d.reviewer;
+        result.imported++;
+        result[d.decision === "approve" ? "approved" : "rejected"]++;
+      } else {
+        syncStatus = `ERROR: ${applied?.error || "no se pudo aplicar"}`;
+        result.errors.push({ id: d.id, row: d.row.rowNumber, error: applied?.error || "apply_failed" });
+      }
+    }
+    
+    if (d.row.get("sync") !== syncStatus || (pattern && d.row.get("estado_api") !== pattern.status)) {
+      d.row.assign({
+        sync: syncStatus,
+        sync_at: new Date().toISOString(),
+        ...(pattern && { estado_api: pattern.status }),
+      });
+      await d.row.save({ raw: true });
+    }
+  }
+  
+  if (result.conflicts.length > 0) {
+    logger.warn({ conflicts: result.conflicts }, "Pattern sheet sync found conflicts");
+  }
+  
+  logger.info({
+    imported: result.imported,
+    approved: result.approved,
+    rejected: result.rejected,
+    conflicts: result.conflicts.length,
+    errors: result.errors.length,
+  }, "Pattern decisions imported from Google Sheet");
+  
+  return result;
+}
+
+/**
+ * Sync completo: primero importa decisiones, luego exporta pendientes
+ * (así la pestaña refleja lo recién aplicado)
+ */
+export async function syncPatternsWithGoogleSheet() {
+  const fromSheet = await syncFromGoogleSheet();
+  const toSheet = await syncToGoogleSheet();
+  return { fromSheet, toSheet };
+}
+
+// ─────────────────────────────────────────────────────────────────────────────
+// Helpers de sync
+// ─────────────────────────────────────────────────────────────────────────────
+
+async function openPatternSheet() {
+  const doc = new GoogleSpreadsheet(sheetSyncConfig.sheetId, getSheetsAuth({ write: true }));
+  await doc.loadInfo();
+  
+  let sheet = doc.sheetsByTitle[sheetSyncConfig.tabName];
+  
+  if (!sheet) {
+    sheet = await doc.addSheet({ title: sheetSyncConfig.tabName, headerValues: SHEET_HEADERS });
+    logger.info({ tab: sheetSyncConfig.tabName }, "Pattern review tab created");
+    return sheet;
+  }
+  
+  // Agregar columnas faltantes sin reordenar las del revisor
+  let headers = [];
+  try {
+    await sheet.loadHeaderRow();
+    headers = sheet.headerValues;
+  } catch {
+    // Pestaña vacía: sin fila de encabezados
+  }
+  
+  const missing = SHEET_HEADERS.filter(h => !headers.includes(h));
+  if (missing.length > 0) {
+    const nextHeaders = [...headers, ...missing];
+    if (sheet.columnCount < nextHeaders.length) {
+      await sheet.resize({ rowCount: sheet.rowCount, columnCount: nextHeaders.length });
+    }
+    await sheet.setHeaderRow(nextHeaders);
+  }
+  
+  return sheet;
+}
+
+function indexRowsById(rows) {
+  const byId = new Map();
+  for (const row of rows) {
+    const id = String(row.get("id") ?? "").trim();
+    if (id && !byId.has(id)) byId.set(id, row);
+  }
+  return byId;
+}
+
+async function getPatternsByIds(ids) {
+  const numericIds = ids.filter(id => /^\d+$/.test(id)).map(Number);
+  const pool = getPool();
+  if (!pool || numericIds.length === 0) return new Map();
+  
+  const result = await pool.query(`
+    SELECT * FROM discovered_patterns WHERE id = ANY($1)
+  `, [numericIds]);
+  
+  return new Map(result.rows.map(p => [String(p.id), p]));
+}
+
+function patternToSheetRow(pattern) {
+  const samples = (pattern.sample_messages || [])
+    .slice(0, sheetSyncConfig.maxSamples)
+    .map(m => String(m).slice(0, 200));
+  
+  return {
+    id: String(pattern.id),
+    evento: pattern.proposed_event_type,
+    categoria: pattern.proposed_category || "",
+    descripcion: pattern.proposed_description || "",
+    mensajes: String(pattern.message_count ?? ""),
+    confianza: pattern.confidence_score != null ? String(pattern.confidence_score) : "",
+    keywords: (pattern.common_keywords || []).join(", "),
+    ejemplos: samples.join(" | "),
+    estado_api: pattern.status,
+  };
+}
+
+/**
+ * "aprobar" / "rechazar" (y variantes) → approve / reject
+ */
+export function parseSheetDecision(value) {
+  const normalized = String(value ?? "")
+    .toLowerCase()
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .trim();
+  
+  if (!normalized) return null;
+  if (APPROVE_VALUES.includes(normalized)) return "approve";
+  if (REJECT_VALUES.includes(normalized)) return "reject";
+  return null;
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -470,5 +751,7 @@ export default {
   getPendingPatterns,
   syncToGoogleSheet,
   syncFromGoogleSheet,
+  syncPatternsWithGoogleSheet,
+  isSheetSyncConfigured,
   setOpenAIClient,
 };
@@ -15,6 +15,7 @@
 import { logger } from "../../utils/logger.js";
 import { EVENT_CATALOG, getEventsSortedByPriority } from "../eventCatalog.js";
 import { getPool } from "../../db/repo.js";
+import { publishCxEvent, CxEventKinds } from "@tagers/shared/events";
 import { 
   modelRegistry,
   getChatParams,
@@ -35,6 +36,8 @@ const config = {
   enableAIClassification: true,
   // Guardar mensajes no clasificados para auto-aprendizaje
   saveUnclassified: true,
+  // Publicar eventos de clientes al feed CX que consume LUCA
+  publishCxFeed: process.env.CX_EVENTS_PUBLISH !== "false",
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -201,20 +204,28 @@ function analyzeSentiment(message, eventSentimentImpact = 0) {
   
   let score = 0;
   let frustrationLevel = 0;
+  let signals = 0;
   
   // Contar keywords
   for (const kw of positiveKeywords) {
-    if (normalizedMessage.includes(kw)) score += 0.15;
+    if (normalizedMessage.includes(kw)) {
+      score += 0.15;
+      signals++;
+    }
   }
   
   for (const kw of negativeKeywords) {
-    if (normalizedMessage.includes(kw)) score -= 0.2;
+    if (normalizedMessage.includes(kw)) {
+      score -= 0.2;
+      signals++;
+    }
   }
   
   for (const kw of frustrationKeywords) {
     if (normalizedMessage.includes(kw)) {
       frustrationLevel += 1;
       score -= 0.15;
+      signals++;
     }
   }
   
@@ -223,6 +234,7 @@ function analyzeSentiment(message, eventSentimentImpact = 0) {
   if (uppercaseRatio > 0.5 && message.length > 10) {
     frustrationLevel += 1;
     score -= 0.1;
+    signals++;
   }
   
   // Ajustar por signos de exclamación múltiples
@@ -233,6 +245,7 @@ function analyzeSentiment(message, eventSentimentImpact = 0) {
   
   // Aplicar impacto del tipo de evento
   score += eventSentimentImpact;
+  if (eventSentimentImpact) signals++;
   
   // Normalizar
   score = Math.max(-1, Math.min(1, score));
@@ -243,9 +256,11 @@ function analyzeSentiment(message, eventSentimentImpact = 0) {
   if (score > 0.15) sentiment = "positive";
   else if (score < -0.15) sentiment = "negative";
   
+  // scored: false = ninguna señal, el 0 no es una medición de neutralidad
   return {
     sentiment,
     score,
+    scored: signals > 0,
     frustrationLevel,
   };
 }
@@ -351,6 +366,7 @@ async function extractEvent({
   if (classification?.aiSentiment) {
     sentimentResult.sentiment = classification.aiSentiment;
     sentimentResult.score = classification.aiSentimentScore;
+    sentimentResult.scored = Number.isFinite(classification.aiSentimentScore);
   }
   
   // 4. Extraer entidades
@@ -380,6 +396,7 @@ async function extractEvent({
     
     sentiment: sentimentResult?.sentiment || "neutral",
     sentimentScore: sentimentResult?.score ?? 0,
+    sentimentScored: sentimentResult?.scored ?? false,
     frustrationLevel,  // Ahora siempre tiene un valor seguro
     urgencyLevel: 0,
     
@@ -398,6 +415,11 @@ async function extractEvent({
     await saveUnclassifiedMessage(event);
   }
   
+  // 8. Publicar al feed CX (sólo mensajes del cliente)
+  if (config.publishCxFeed && event.messageDirection === "incoming") {
+    await publishToCxFeed(event);
+  }
+  
   logger.debug({
     conversationId,
     eventType: event.eventType,
@@ -475,6 +497,33 @@ async function saveUnclassifiedMessage(event) {
   }
 }
 
+/**
+ * Publica el evento en el feed CX compartido (@tagers/shared/events)
+ */
+async function publishToCxFeed(event) {
+  const kind = event.eventCategory === "complaint" ? CxEventKinds.COMPLAINT
+    : event.eventCategory === "praise" ? CxEventKinds.PRAISE
+    : CxEventKinds.MESSAGE;
+  
+  return publishCxEvent({
+    eventId: event.messageId ? `kiss:${event.conversationId}:${event.messageId}` : null,
+    source: "kiss",
+    kind,
+    eventType: event.eventType,
+    category: event.eventCategory,
+    branchId: event.branchId,
+    branchName: event.branchName,
+    channel: event.channel,
+    sentiment: event.sentiment,
+    // Sin señal de sentimiento va null: un 0 pesaría como neutral medido
+    sentimentScore: event.sentimentScored ? event.sentimentScore : null,
+    frustrationLevel: event.frustrationLevel,
+    conversationId: event.conversationId,
+    messageId: event.messageId,
+    summary: event.messageContent?.substring(0, 200) || null,
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // EXPORTS
 // ═══════════════════════════════════════════════════════════════════════════
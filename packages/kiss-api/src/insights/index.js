@@ -35,6 +35,7 @@ let cronJobs = {
   daily: null,
   anomaly: null,
   discovery: null,
+  patternSheetSync: null,
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -412,12 +413,25 @@ function startCronJobs() {
     if (now.getHours() === 3 && now.getMinutes() === 30) {
       try {
         await patternDiscovery.discoverPatterns();
+        if (patternDiscovery.isSheetSyncConfigured()) {
+          await patternDiscovery.syncToGoogleSheet();
+        }
       } catch (error) {
         logger.error({ error: error.message }, "Pattern discovery cron failed");
       }
     }
   }, 60 * 1000);
   
+  // Decisiones del Sheet de revisión de patrones (cada 15 min)
+  cronJobs.patternSheetSync = setInterval(async () => {
+    if (!patternDiscovery.isSheetSyncConfigured()) return;
+    try {
+      await patternDiscovery.syncPatternsWithGoogleSheet();
+    } catch (error) {
+      logger.error({ error: error.message }, "Pattern sheet sync cron failed");
+    }
+  }, 15 * 60 * 1000);
+  
   logger.info("Insights cron jobs started");
 }
 
@@ -168,13 +168,14 @@ export async function csCrearPedido(payload) {
   return csFetch("/crear-pedido", { method: "POST", body: payload });
 }
 
-export async function csBuscarPedido({ phone, order_id } = {}) {
-  // SECURITY: WordPress /buscar-pedido prioritizes order_id over phone.
+export async function csBuscarPedido({ phone, email, order_id } = {}) {
+  // SECURITY: WordPress /buscar-pedido prioritizes order_id over phone/email.
   // If we pass both, the server will return the order by id without filtering by phone.
-  // To preserve phone-scoped lookups, query by phone-only and filter locally.
+  // To preserve phone/email-scoped lookups, query by phone (or email) only and filter locally.
   const query = {};
   if (phone) query.phone = phone;
-  if (order_id && !phone) query.order_id = order_id;
+  if (email && !phone) query.email = email;
+  if (order_id && !phone && !email) query.order_id = order_id;
 
   const raw = await csFetch("/buscar-pedido", { query });
 
@@ -226,8 +227,8 @@ export async function csBuscarPedido({ phone, order_id } = {}) {
   out.orders = orders.map(normalizeOrder);
   out.success = !!success && out.orders.length > 0;
 
-  // If caller provided phone + order_id, filter to the requested order id.
-  if (phone && order_id) {
+  // If caller provided phone/email + order_id, filter to the requested order id.
+  if ((phone || email) && order_id) {
     const target = String(order_id);
     const filtered = out.orders.filter((o) => String(o?.id || o?.order_id || o?.orderId) === target);
     out.orders = filtered;
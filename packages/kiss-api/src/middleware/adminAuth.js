@@ -14,6 +14,10 @@
  * 2. Query param: ?admin_token=xxx
  * 3. Bearer token: Authorization: Bearer xxx
  * 
+ * El request autenticado lleva req.adminAuth = { actor, method, ip }. El
+ * token es compartido: actor identifica el acceso, no a una persona, y es
+ * lo único que se registra como autor (nunca un nombre del body).
+ * 
  * @version 1.0.0
  */
 
@@ -61,6 +65,7 @@ export function adminAuthMiddleware(req, res, next) {
       path: req.path,
       method: req.method,
     }, "Admin endpoint accessed without auth (DEV MODE)");
+    req.adminAuth = { actor: "dev_mode", method: null, ip: req.ip };
     return next();
   }
   
@@ -84,6 +89,7 @@ export function adminAuthMiddleware(req, res, next) {
   
   // Usar el primer token encontrado
   const providedToken = tokenFromHeader || tokenFromQuery || tokenFromBearer;
+  const method = tokenFromHeader ? "header" : tokenFromQuery ? "query" : "bearer";
   
   if (!providedToken) {
     logger.warn({
@@ -120,6 +126,7 @@ export function adminAuthMiddleware(req, res, next) {
     method: req.method,
   }, "Admin endpoint accessed with valid token");
   
+  req.adminAuth = { actor: "admin_token", method, ip: req.ip };
   next();
 }
 
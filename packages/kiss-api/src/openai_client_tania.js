@@ -361,29 +361,61 @@ export async function analyzeSentiment({
   return result.parsed;
 }
 
+const RAG_CITATION_INSTRUCTIONS = `
+
+FUENTES (knowledge_base):
+- Si usas información de knowledge_base, pon su chunk_id en cited_chunk_ids.
+- Precios, horarios y alérgenos sólo si aparecen en el contexto; si no, dilo y ofrece confirmar.`;
+
 /**
  * Genera respuesta de Tania al cliente
  * Modelo: desde Registry (default: gpt-5-mini)
+ *
+ * ragChunks: chunks del RAG ({ id, text, citation }) que se agregan al input
+ * como knowledge_base. La respuesta incluye retrieved_chunk_ids y sólo
+ * conserva en cited_chunk_ids IDs que realmente se recuperaron.
  */
 export async function generateTaniaReply({
   instructions,
   inputObject,
   model,
   temperature,  // Opcional - se obtiene del Registry si no se pasa
+  ragChunks = [],
   metadata = {},
 }) {
+  const chunks = Array.isArray(ragChunks) ? ragChunks.filter(c => c?.id != null) : [];
+  const retrievedIds = chunks.map(c => String(c.id));
+
   const result = await createStructuredJSON({
     model,
-    instructions,
-    inputObject,
+    instructions: chunks.length ? instructions + RAG_CITATION_INSTRUCTIONS : instructions,
+    inputObject: chunks.length
+      ? {
+          ...inputObject,
+          knowledge_base: chunks.map(c => ({
+            chunk_id: String(c.id),
+            source: c.citation || c.title || null,
+            text: c.text,
+          })),
+        }
+      : inputObject,
     schemaKey: "tania_reply",
     schemaName: "tania_reply",
     temperature,
     max_tokens: 1200,
-    metadata: { task: "tania_reply", ...metadata },
+    metadata: { task: "tania_reply", rag_chunk_ids: retrievedIds, ...metadata },
   });
   
-  return result.parsed;
+  const reply = result.parsed;
+  const cited = (reply.cited_chunk_ids || [])
+    .map(String)
+    .filter(id => retrievedIds.includes(id));
+
+  return {
+    ...reply,
+    cited_chunk_ids: [...new Set(cited)],
+    retrieved_chunk_ids: retrievedIds,
+  };
 }
 
 /**
@@ -526,6 +558,7 @@ export function getFallbackForSchema(schemaKey) {
       confidence: 0,
       used_promo: false,
       recommended_branches: [],
+      cited_chunk_ids: [],
     },
     hitl_customer_reply: {
       reply_text: "Un agente te atenderá en breve.",
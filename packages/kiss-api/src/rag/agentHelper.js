@@ -17,6 +17,7 @@
  * });
  * 
  * const systemPrompt = basePrompt + context.formattedContext;
+ * // context.chunks → generateTaniaReply({ ragChunks }) para citar fuentes
  * ```
  * 
  * @version 1.0.0
@@ -249,7 +250,17 @@ export async function enrichPromptWithRAG(userMessage, options = {}) {
       hasContext: true,
       formattedContext: finalContext,
       sources: allResults.map(r => ({
+        id: String(r.id),
         title: r.metadata?.documentTitle || r.source,
+        citation: r.citation,
+        category: r.category,
+        score: r.score,
+      })),
+      // Chunks completos para citar (generateTaniaReply) y verificar grounding
+      chunks: allResults.map(r => ({
+        id: String(r.id),
+        text: r.text,
+        citation: r.citation || r.metadata?.documentTitle || r.source,
         category: r.category,
         score: r.score,
       })),
@@ -314,17 +325,18 @@ function formatContextForPrompt(results) {
   ];
   
   for (const result of results) {
-    const source = result.metadata?.documentTitle || result.source || "Documento";
+    const source = result.citation || result.metadata?.documentTitle || result.source || "Documento";
     const category = result.category || "general";
     
-    lines.push(`📄 [${category.toUpperCase()}] ${source}:`);
+    lines.push(`📄 [${category.toUpperCase()}] ${source} (chunk_id: ${result.id}):`);
     lines.push(result.text);
     lines.push("");
   }
   
   lines.push("═══════════════════════════════════════════════════════════");
   lines.push("Usa esta información para responder de forma precisa.");
-  lines.push("Si la respuesta no está en el contexto, responde con tu conocimiento general.");
+  lines.push("Si la respuesta no está en el contexto, responde con tu conocimiento general,");
+  lines.push("pero precios, horarios y alérgenos sólo si aparecen aquí.");
   lines.push("═══════════════════════════════════════════════════════════");
   lines.push("");
   
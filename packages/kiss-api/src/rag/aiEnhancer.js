@@ -7,6 +7,7 @@
  * 1. CHUNKING INTELIGENTE - IA decide los puntos de corte óptimos
  * 2. RESÚMENES AUTOMÁTICOS - Genera resumen del documento
  * 3. EXTRACCIÓN DE ENTIDADES - Detecta productos, precios, fechas, etc.
+ * 4. RERANK - Reordena candidatos de búsqueda por relevancia a la pregunta
  * 
  * Soporta múltiples proveedores (configurable desde Google Sheets):
  * - OpenAI (gpt-5-mini, gpt-5, gpt-4o, etc.)
@@ -698,6 +699,52 @@ export async function enhanceDocument(document, options = {}) {
   return enhanced;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// 4. RERANK DE RESULTADOS DE BÚSQUEDA
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Califica cada candidato (0-1) según qué tan bien responde la pregunta.
+ * Usa el mismo modelo configurado para el enhancer.
+ * 
+ * @param {string} query - Pregunta del usuario
+ * @param {Array<{id: any, text: string}>} candidates
+ * @returns {Promise<Map<string, number>>} id → score
+ */
+export async function rerankChunks(query, candidates, options = {}) {
+  const { maxCharsPerChunk = 800 } = options;
+  
+  const passages = candidates
+    .map((c, idx) => `[${idx}] ${c.text.substring(0, maxCharsPerChunk)}`)
+    .join("\n\n");
+  
+  const systemPrompt = `Eres un evaluador de relevancia para la base de conocimiento de una panadería (Tagers).
+Califica qué tan bien cada fragmento responde la pregunta del cliente.
+
+- 1.0: responde directamente (mismo producto, sucursal o dato exacto)
+- 0.5: relacionado pero no responde
+- 0.0: irrelevante
+
+Responde SOLO con JSON: {"scores": [{"index": 0, "score": 0.0}, ...]}`;
+  
+  const userPrompt = `Pregunta: "${query}"\n\nFragmentos:\n\n${passages}`;
+  
+  const result = await callAI(systemPrompt, userPrompt, {
+    temperature: 0,
+    maxTokens: 50 + candidates.length * 20,
+  });
+  
+  const scores = new Map();
+  for (const { index, score } of result?.scores || []) {
+    const candidate = candidates[index];
+    if (candidate && Number.isFinite(score)) {
+      scores.set(String(candidate.id), Math.max(0, Math.min(1, score)));
+    }
+  }
+  
+  return scores;
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // UTILIDADES
 // ═══════════════════════════════════════════════════════════════════════════
@@ -731,6 +778,7 @@ export default {
   intelligentChunk,
   generateSummary,
   extractEntities,
+  rerankChunks,
   isEnhancerReady,
   getEnhancerConfig,
   clearCache,
@@ -8,6 +8,8 @@
  * 2. FIXED - Por tamaño fijo con overlap
  * 3. SENTENCE - Por oraciones completas
  * 4. PARAGRAPH - Por párrafos
+ * 5. ROW-GROUP - Grupos de filas de una tabla (XLSX, CSV); nunca parte una
+ *    fila y repite hoja + columnas en cada chunk
  * 
  * El tamaño óptimo de chunk para embeddings es 200-500 tokens (~800-2000 chars)
  * 
@@ -289,6 +291,104 @@ function chunkFixed(text, options = {}) {
   return chunks;
 }
 
+/**
+ * Parte una fila más ancha que maxLength por celdas (" | "); una celda que
+ * sola no cabe se corta. Las partes siguientes llevan "Fila N (cont.):"
+ */
+function splitWideRow(row, maxLength) {
+  if (row.line.length <= maxLength) return [row];
+  
+  const label = `Fila ${row.row} (cont.): `;
+  const budget = maxLength - label.length;
+  
+  const cells = [];
+  for (const cell of row.line.split(" | ")) {
+    for (let i = 0; i < cell.length; i += budget) {
+      cells.push(cell.slice(i, i + budget));
+    }
+  }
+  
+  const parts = [];
+  let current = "";
+  for (const cell of cells) {
+    const next = current ? `${current} | ${cell}` : cell;
+    if (current && next.length > budget) {
+      parts.push(current);
+      current = cell;
+    } else {
+      current = next;
+    }
+  }
+  if (current) parts.push(current);
+  
+  return parts.map((line, idx) => ({ row: row.row, line: idx === 0 ? line : label + line }));
+}
+
+/**
+ * Chunking por grupos de filas
+ * Cada chunk = contexto de la tabla (hoja, columnas) + filas completas hasta
+ * llenar targetSize. Una fila más grande que targetSize va sola en su chunk,
+ * y si con el contexto pasa de maxSize (límite del embedding) se parte.
+ * Sin tablas (texto plano) cada línea se trata como fila.
+ * 
+ * @returns {Array<{text: string, sheet: string|null, rowStart: number, rowEnd: number, columns: Array}>}
+ */
+function chunkRowGroups(text, tables, options = {}) {
+  const {
+    targetSize = chunkerConfig.targetChunkSize,
+    maxSize = chunkerConfig.maxChunkSize,
+  } = options;
+  
+  const sourceTables = tables?.length ? tables : [{
+    sheet: null,
+    columns: [],
+    context: "",
+    rows: text.split("\n")
+      .map((line, idx) => ({ row: idx + 1, line: line.trim() }))
+      .filter(r => r.line),
+  }];
+  
+  const chunks = [];
+  
+  for (const table of sourceTables) {
+    // Cientos de columnas: el contexto no puede comerse todo el chunk
+    const maxPrefix = Math.floor(maxSize / 2);
+    const context = table.context && table.context.length >= maxPrefix
+      ? table.context.slice(0, maxPrefix - 2) + "…"
+      : table.context;
+    const prefix = context ? context + "\n" : "";
+    const maxRowLength = maxSize - prefix.length;
+    let group = [];
+    let size = prefix.length;
+    
+    const flush = () => {
+      if (!group.length) return;
+      chunks.push({
+        text: prefix + group.map(r => r.line).join("\n"),
+        sheet: table.sheet,
+        columns: table.columns,
+        rowStart: group[0].row,
+        rowEnd: group[group.length - 1].row,
+        rowCount: new Set(group.map(r => r.row)).size,
+      });
+      group = [];
+      size = prefix.length;
+    };
+    
+    for (const row of table.rows.flatMap(r => splitWideRow(r, maxRowLength))) {
+      if (group.length && size + row.line.length + 1 > Math.min(targetSize, maxSize)) {
+        flush();
+      }
+      group.push(row);
+      size += row.line.length + 1;
+    }
+    
+    flush();
+  }
+  
+  return chunks;
+}
+
 /**
  * Merge chunks pequeños adyacentes
  */
@@ -323,9 +423,10 @@ function mergeSmallChunks(chunks, options = {}) {
  * 
  * @param {string} text - Texto a dividir
  * @param {Object} options
- * @param {string} [options.strategy="semantic"] - Estrategia: semantic, fixed, sentence, paragraph
+ * @param {string} [options.strategy="semantic"] - Estrategia: semantic, fixed, sentence, paragraph, row-group
  * @param {number} [options.targetSize] - Tamaño objetivo en caracteres
  * @param {number} [options.overlap] - Overlap entre chunks
+ * @param {Array} [options.tables] - Tablas del documentLoader (para row-group)
  * @param {Object} [options.metadata] - Metadata a incluir en cada chunk
  * @returns {Array<{text: string, index: number, metadata: Object}>}
  */
@@ -338,6 +439,7 @@ export function chunkDocument(text, options = {}) {
     strategy = chunkerConfig.defaultStrategy,
     targetSize = chunkerConfig.targetChunkSize,
     overlap = chunkerConfig.overlapSize,
+    tables = null,
     metadata = {},
   } = options;
   
@@ -348,6 +450,11 @@ export function chunkDocument(text, options = {}) {
   
   if (!cleanText) return [];
   
+  // Tablas: siempre por filas (aunque quepan en un chunk) para guardar el rango
+  if (strategy === "row-group") {
+    return chunkTable(cleanText, tables, { targetSize, metadata });
+  }
+  
   // Si el texto es pequeño, un solo chunk
   if (cleanText.length <= chunkerConfig.maxChunkSize) {
     return [{
@@ -418,6 +525,43 @@ export function chunkDocument(text, options = {}) {
   return chunks;
 }
 
+/**
+ * Chunks row-group con hoja y rango de filas en metadata
+ * (charStart/charEnd no aplican: el contexto se repite en cada chunk)
+ */
+function chunkTable(text, tables, { targetSize, metadata }) {
+  const groups = chunkRowGroups(text, tables, { targetSize });
+  
+  const chunks = groups.map((group, index) => ({
+    text: group.text,
+    index,
+    charStart: null,
+    charEnd: null,
+    hash: hashText(group.text),
+    metadata: {
+      ...metadata,
+      strategy: "row-group",
+      chunkIndex: index,
+      totalChunks: groups.length,
+      charLength: group.text.length,
+      wordCount: group.text.split(/\s+/).length,
+      sheet: group.sheet,
+      columns: group.columns,
+      rowStart: group.rowStart,
+      rowEnd: group.rowEnd,
+      rowCount: group.rowCount,
+    },
+  }));
+  
+  logger.debug({
+    strategy: "row-group",
+    tables: tables?.length || 0,
+    outputChunks: chunks.length,
+  }, "Document chunked");
+  
+  return chunks;
+}
+
 /**
  * Genera hash único para un chunk
  */
@@ -460,6 +604,13 @@ export function getChunkerConfig() {
 export function detectBestStrategy(text, metadata = {}) {
   if (!text) return "semantic";
   
+  // Tablas: por filas sin importar el tamaño (para citar filas exactas)
+  const format = metadata.format?.toLowerCase();
+  
+  if (format === "spreadsheet" || format === "csv") {
+    return "row-group";
+  }
+  
   // Si es muy corto, no importa
   if (text.length < chunkerConfig.targetChunkSize) {
     return "single";
@@ -479,8 +630,6 @@ export function detectBestStrategy(text, metadata = {}) {
   }
   
   // Detectar formato específico
-  const format = metadata.format?.toLowerCase();
-  
   if (format === "json") {
     return "fixed"; // JSON convertido a texto no tiene estructura natural
   }
@@ -502,7 +651,7 @@ export const chunker = {
   isValidChunkSize,
   getConfig: getChunkerConfig,
   detectBestStrategy,
-  strategies: ["semantic", "fixed", "sentence", "paragraph"],
+  strategies: ["semantic", "fixed", "sentence", "paragraph", "row-group"],
 };
 
 export default chunker;
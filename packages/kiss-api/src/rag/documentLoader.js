@@ -9,11 +9,14 @@
  * - DOCX (con mammoth)
  * - JSON (estructurado)
  * - HTML (con cheerio)
+ * - XLSX / XLS / ODS (con xlsx) y CSV - como tablas: cada fila conserva los
+ *   nombres de columna y su número de fila para citarla
  * - URL (fetch + extracción)
  * 
  * @version 1.0.0
  */
 
+import { detectCsvDelimiter, parseCsv } from "@tagers/shared";
 import { logger } from "../utils/logger.js";
 import fs from "fs/promises";
 import path from "path";
@@ -25,8 +28,9 @@ import crypto from "crypto";
 
 const loaderConfig = {
   maxFileSizeBytes: parseInt(process.env.RAG_MAX_FILE_SIZE || String(50 * 1024 * 1024), 10), // 50MB
-  supportedExtensions: [".pdf", ".txt", ".md", ".docx", ".json", ".html", ".htm"],
+  supportedExtensions: [".pdf", ".txt", ".md", ".docx", ".json", ".html", ".htm", ".xlsx", ".xls", ".ods", ".csv"],
   timeoutMs: parseInt(process.env.RAG_LOADER_TIMEOUT_MS || "60000", 10),
+  maxSheetRows: parseInt(process.env.RAG_MAX_SHEET_ROWS || "20000", 10), // Por hoja
 };
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -240,6 +244,149 @@ function loadHtmlContent(html) {
   };
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// LOADERS TABULARES (XLSX, XLS, ODS, CSV)
+// ═══════════════════════════════════════════════════════════════════════════
+
+const SPREADSHEET_CONTENT_TYPES = [
+  "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+  "application/vnd.ms-excel",
+  "application/vnd.oasis.opendocument.spreadsheet",
+];
+
+/**
+ * Carga hoja de cálculo (XLSX, XLS, ODS)
+ * Usa xlsx (SheetJS); cada hoja se convierte en una tabla
+ */
+async function loadSpreadsheetFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return loadSpreadsheetBuffer(buffer, path.extname(filePath).toLowerCase());
+}
+
+async function loadSpreadsheetBuffer(buffer, extension) {
+  let XLSX;
+  try {
+    const mod = await import("xlsx");
+    XLSX = mod.default || mod;
+  } catch (err) {
+    logger.error({ err: err.message }, "Spreadsheet loading failed");
+    throw new Error(`Cannot load spreadsheet: ${err.message}. Install xlsx.`);
+  }
+  
+  const workbook = XLSX.read(buffer, { type: "buffer", cellDates: true });
+  const tables = [];
+  
+  for (const sheetName of workbook.SheetNames) {
+    const sheet = workbook.Sheets[sheetName];
+    if (!sheet?.["!ref"]) continue; // Hoja vacía
+    
+    // raw: false → el valor como se ve en la celda ("$45.00", "12/03/2025")
+    const rows = XLSX.utils.sheet_to_json(sheet, { header: 1, raw: false, defval: "", blankrows: true });
+    const firstRow = XLSX.utils.decode_range(sheet["!ref"]).s.r + 1;
+    
+    const table = buildTable(rows, { sheet: sheetName, firstRow });
+    if (table) tables.push(table);
+  }
+  
+  return tabularResult(tables, {
+    format: "spreadsheet",
+    extension,
+    sheets: workbook.SheetNames,
+  });
+}
+
+/**
+ * Carga archivo CSV (separador detectado: coma, punto y coma o tabulador)
+ */
+async function loadCsvFile(filePath) {
+  const raw = await fs.readFile(filePath, "utf-8");
+  return loadCsvContent(raw);
+}
+
+function loadCsvContent(raw) {
+  const text = raw.replace(/^\uFEFF/, ""); // BOM de exports de Excel
+  const delimiter = detectCsvDelimiter(text);
+  const table = buildTable(parseCsv(text, delimiter), { sheet: null, firstRow: 1 });
+  
+  return tabularResult(table ? [table] : [], {
+    format: "csv",
+    extension: ".csv",
+    delimiter,
+  });
+}
+
+/**
+ * Convierte filas crudas en tabla. La primera fila no vacía es el header;
+ * cada fila de datos se renderiza como "Fila N: Columna: valor | ..." para
+ * que cualquier fragmento conserve el significado de cada celda.
+ */
+function buildTable(rows, { sheet, firstRow }) {
+  const cleanRows = rows.map(cells =>
+    (cells || []).map(cell => String(cell ?? "").replace(/\s+/g, " ").trim())
+  );
+  
+  const headerIdx = cleanRows.findIndex(cells => cells.some(Boolean));
+  if (headerIdx === -1) return null;
+  
+  const columns = cleanRows[headerIdx].map((label, idx) => label || `Columna ${idx + 1}`);
+  const dataRows = [];
+  let truncated = false;
+  
+  for (let i = headerIdx + 1; i < cleanRows.length; i++) {
+    const cells = cleanRows[i];
+    if (!cells.some(Boolean)) continue;
+    
+    if (dataRows.length >= loaderConfig.maxSheetRows) {
+      truncated = true;
+      break;
+    }
+    
+    const rowNumber = firstRow + i;
+    const values = cells
+      .map((value, idx) => value ? `${columns[idx] || `Columna ${idx + 1}`}: ${value}` : null)
+      .filter(Boolean);
+    
+    dataRows.push({ row: rowNumber, line: `Fila ${rowNumber}: ${values.join(" | ")}` });
+  }
+  
+  if (!dataRows.length) return null;
+  
+  if (truncated) {
+    logger.warn({ sheet, maxRows: loaderConfig.maxSheetRows }, "Sheet truncated");
+  }
+  
+  return {
+    sheet,
+    columns,
+    headerRow: firstRow + headerIdx,
+    // Contexto que el chunker repite al inicio de cada fragmento
+    context: [sheet ? `Hoja: ${sheet}` : null, `Columnas: ${columns.join(" | ")}`]
+      .filter(Boolean)
+      .join("\n"),
+    rows: dataRows,
+    truncated,
+  };
+}
+
+/**
+ * Resultado común de los loaders tabulares
+ */
+function tabularResult(tables, metadata) {
+  const content = tables
+    .map(table => [table.context, ...table.rows.map(r => r.line)].join("\n"))
+    .join("\n\n");
+  
+  return {
+    content,
+    metadata: {
+      ...metadata,
+      tables: tables.length,
+      rowCount: tables.reduce((sum, table) => sum + table.rows.length, 0),
+    },
+    tables,
+  };
+}
+
 /**
  * Carga contenido desde URL
  */
@@ -259,43 +406,73 @@ async function loadFromUrl(url) {
       throw new Error(`HTTP ${response.status}: ${response.statusText}`);
     }
     
-    const contentType = response.headers.get("content-type") || "";
-    const text = await response.text();
+    const result = await parseUrlResponse(response, url);
     
-    if (contentType.includes("application/json")) {
-      const data = JSON.parse(text);
-      return {
-        content: jsonToText(data),
-        metadata: {
-          format: "json",
-          source: "url",
-          url,
-        },
-        structured: data,
-      };
-    }
+    // Huella HTTP para detectar si el origen cambió (ver documentRegistry)
+    result.metadata.etag = response.headers.get("etag") || null;
+    result.metadata.lastModified = response.headers.get("last-modified") || null;
     
-    if (contentType.includes("text/html")) {
-      const result = loadHtmlContent(text);
-      result.metadata.source = "url";
-      result.metadata.url = url;
-      return result;
-    }
+    return result;
     
-    // Texto plano
+  } finally {
+    clearTimeout(timeout);
+  }
+}
+
+/**
+ * Extrae contenido de una respuesta HTTP según su content-type
+ */
+async function parseUrlResponse(response, url) {
+  const contentType = response.headers.get("content-type") || "";
+  
+  // Hojas de cálculo (ej. export de Google Sheets)
+  if (SPREADSHEET_CONTENT_TYPES.some(type => contentType.includes(type))) {
+    const buffer = Buffer.from(await response.arrayBuffer());
+    const result = await loadSpreadsheetBuffer(buffer, null);
+    result.metadata.source = "url";
+    result.metadata.url = url;
+    return result;
+  }
+  
+  const text = await response.text();
+  
+  if (contentType.includes("text/csv")) {
+    const result = loadCsvContent(text);
+    result.metadata.source = "url";
+    result.metadata.url = url;
+    return result;
+  }
+  
+  if (contentType.includes("application/json")) {
+    const data = JSON.parse(text);
     return {
-      content: text.trim(),
+      content: jsonToText(data),
       metadata: {
-        format: "text",
+        format: "json",
         source: "url",
         url,
-        contentType,
       },
+      structured: data,
     };
-    
-  } finally {
-    clearTimeout(timeout);
   }
+  
+  if (contentType.includes("text/html")) {
+    const result = loadHtmlContent(text);
+    result.metadata.source = "url";
+    result.metadata.url = url;
+    return result;
+  }
+  
+  // Texto plano
+  return {
+    content: text.trim(),
+    metadata: {
+      format: "text",
+      source: "url",
+      url,
+      contentType,
+    },
+  };
 }
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -310,7 +487,8 @@ async function loadFromUrl(url) {
  * @param {string} [options.title] - Título del documento
  * @param {string} [options.category] - Categoría (menu, policy, recipe, history)
  * @param {Object} [options.metadata] - Metadata adicional
- * @returns {Promise<{content: string, metadata: Object}>}
+ * @returns {Promise<{content: string, metadata: Object, tables?: Array}>}
+ *   tables (XLSX/XLS/ODS/CSV): [{ sheet, columns, headerRow, context, rows: [{ row, line }] }]
  */
 export async function loadDocument(source, options = {}) {
   const startTime = Date.now();
@@ -322,6 +500,7 @@ export async function loadDocument(source, options = {}) {
     result.metadata = { ...result.metadata, ...options.metadata };
     if (options.title) result.metadata.title = options.title;
     if (options.category) result.metadata.category = options.category;
+    result.contentHash = hashDocumentContent(result.content);
     return result;
   }
   
@@ -361,6 +540,14 @@ export async function loadDocument(source, options = {}) {
     case ".htm":
       result = await loadHtmlFile(filePath);
       break;
+    case ".xlsx":
+    case ".xls":
+    case ".ods":
+      result = await loadSpreadsheetFile(filePath);
+      break;
+    case ".csv":
+      result = await loadCsvFile(filePath);
+      break;
     default:
       throw new Error(`No loader for extension: ${ext}`);
   }
@@ -380,11 +567,7 @@ export async function loadDocument(source, options = {}) {
   if (options.category) result.metadata.category = options.category;
   
   // Generar hash del contenido
-  result.contentHash = crypto
-    .createHash("sha256")
-    .update(result.content)
-    .digest("hex")
-    .substring(0, 16);
+  result.contentHash = hashDocumentContent(result.content);
   
   logger.info({
     source: path.basename(filePath),
@@ -482,6 +665,17 @@ export async function loadFromBuffer(buffer, fileName, options = {}) {
   }
 }
 
+/**
+ * Hash del contenido extraído (identifica la versión del documento)
+ */
+function hashDocumentContent(content) {
+  return crypto
+    .createHash("sha256")
+    .update(content)
+    .digest("hex")
+    .substring(0, 16);
+}
+
 /**
  * Obtiene configuración del loader
  */
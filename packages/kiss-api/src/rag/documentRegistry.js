@@ -0,0 +1,548 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DOCUMENT REGISTRY - Versiones de documentos RAG y frescura del origen
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Tablas (migración 008):
+ * - rag_documents: un registro por (source, documentKey) con su versión actual
+ *   y la huella del archivo / URL de origen
+ * - rag_document_versions: historial con los chunks de cada versión
+ *   ({ hash, text, metadata }) para poder hacer rollback sin re-leer el origen
+ *
+ * Frescura del origen:
+ * - file: tamaño + mtime; si cambian se compara el hash del archivo
+ * - url:  HEAD y comparación de ETag / Last-Modified
+ *
+ * @version 1.0.0
+ */
+
+import { logger } from "../utils/logger.js";
+import { getPool } from "../db/repo.js";
+import crypto from "crypto";
+import fs from "fs/promises";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+const registryConfig = {
+  // Versiones que se conservan por documento
+  maxVersions: parseInt(process.env.RAG_MAX_VERSIONS || "10", 10),
+
+  // Timeout del HEAD al revisar URLs de origen
+  originCheckTimeoutMs: parseInt(process.env.RAG_ORIGIN_CHECK_TIMEOUT_MS || "5000", 10),
+};
+
+export const FreshnessStatus = {
+  FRESH: "fresh",
+  STALE: "stale",
+  MISSING: "missing",
+  UNKNOWN: "unknown",
+  ERROR: "error",
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// DOCUMENTOS Y VERSIONES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Documento registrado por source + llave
+ */
+export async function getDocument(sourceId, documentKey) {
+  const pool = getPool();
+  if (!pool) return null;
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM rag_documents WHERE source_id = $1 AND document_key = $2
+    `, [sourceId, documentKey]);
+
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.warn({ err: error.message, sourceId }, "Failed to get RAG document (table may not exist)");
+    return null;
+  }
+}
+
+export async function getDocumentById(documentId) {
+  const pool = getPool();
+  if (!pool) return null;
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM rag_documents WHERE id = $1
+    `, [documentId]);
+
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.warn({ err: error.message, documentId }, "Failed to get RAG document (table may not exist)");
+    return null;
+  }
+}
+
+/**
+ * Documentos registrados (opcionalmente de una sola fuente)
+ */
+export async function listDocuments({ sourceId = null } = {}) {
+  const pool = getPool();
+  if (!pool) return [];
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM rag_documents
+      WHERE ($1::text IS NULL OR source_id = $1)
+      ORDER BY source_id, document_key
+    `, [sourceId]);
+
+    return result.rows;
+
+  } catch (error) {
+    logger.warn({ err: error.message, sourceId }, "Failed to list RAG documents (table may not exist)");
+    return [];
+  }
+}
+
+/**
+ * Una versión con sus chunks
+ */
+export async function getVersion(documentId, version) {
+  const pool = getPool();
+  if (!pool) return null;
+
+  try {
+    const result = await pool.query(`
+      SELECT * FROM rag_document_versions WHERE document_id = $1 AND version = $2
+    `, [documentId, version]);
+
+    return result.rows[0] || null;
+
+  } catch (error) {
+    logger.warn({ err: error.message, documentId, version }, "Failed to get RAG document version (table may not exist)");
+    return null;
+  }
+}
+
+/**
+ * Historial de versiones (sin chunks), de la más reciente a la más antigua
+ */
+export async function listVersions(documentId) {
+  const pool = getPool();
+  if (!pool) return [];
+
+  try {
+    const result = await pool.query(`
+      SELECT id, document_id, version, content_hash, chunk_count,
+             embedded, reused, removed, origin_fingerprint, job_id,
+             restored_from, created_at
+      FROM rag_document_versions
+      WHERE document_id = $1
+      ORDER BY version DESC
+    `, [documentId]);
+
+    return result.rows;
+
+  } catch (error) {
+    logger.warn({ err: error.message, documentId }, "Failed to list RAG document versions (table may not exist)");
+    return [];
+  }
+}
+
+/**
+ * Registra una nueva versión y la marca como actual
+ *
+ * @param {Object} document - { sourceId, documentKey, title, category, originType, origin, originFingerprint, ingestOptions }
+ * @param {Object} version - { contentHash, chunks, embedded, reused, removed, jobId, restoredFrom }
+ * @returns {Promise<{documentId: number, version: number}|null>}
+ */
+export async function saveVersion(document, version) {
+  const pool = getPool();
+  if (!pool) return null;
+
+  const client = await pool.connect();
+
+  try {
+    await client.query("BEGIN");
+
+    const docResult = await client.query(`
+      INSERT INTO rag_documents (
+        source_id, document_key, title, category,
+        origin_type, origin, origin_fingerprint, ingest_options
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+      ON CONFLICT (source_id, document_key) DO UPDATE SET
+        title = EXCLUDED.title,
+        category = EXCLUDED.category,
+        origin_type = EXCLUDED.origin_type,
+        origin = EXCLUDED.origin,
+        origin_fingerprint = EXCLUDED.origin_fingerprint,
+        ingest_options = EXCLUDED.ingest_options,
+        updated_at = NOW()
+      RETURNING id, current_version
+    `, [
+      document.sourceId,
+      document.documentKey,
+      document.title || null,
+      document.category || "general",
+      document.originType || null,
+      document.origin || null,
+      JSON.stringify(document.originFingerprint || {}),
+      JSON.stringify(document.ingestOptions || {}),
+    ]);
+
+    // El upsert deja la fila bloqueada hasta el COMMIT: la numeración de
+    // versiones no tiene carreras
+    const { id: documentId, current_version: previousVersion } = docResult.rows[0];
+
+    const nextVersion = (await client.query(`
+      SELECT COALESCE(MAX(version), 0) + 1 AS next FROM rag_document_versions WHERE document_id = $1
+    `, [documentId])).rows[0].next;
+
+    await client.query(`
+      INSERT INTO rag_document_versions (
+        document_id, version, content_hash, chunks, chunk_count,
+        embedded, reused, removed, origin_fingerprint, job_id, restored_from
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    `, [
+      documentId,
+      nextVersion,
+      version.contentHash,
+      JSON.stringify(version.chunks || []),
+      version.chunks?.length || 0,
+      version.embedded || 0,
+      version.reused || 0,
+      version.removed || 0,
+      JSON.stringify(document.originFingerprint || {}),
+      version.jobId || null,
+      version.restoredFrom ?? null,
+    ]);
+
+    await client.query(`
+      UPDATE rag_documents
+      SET current_version = $2, content_hash = $3, updated_at = NOW()
+      WHERE id = $1
+    `, [documentId, nextVersion, version.contentHash]);
+
+    // Podar historial viejo (nunca la versión actual)
+    await client.query(`
+      DELETE FROM rag_document_versions
+      WHERE document_id = $1 AND version <= $2
+    `, [documentId, nextVersion - registryConfig.maxVersions]);
+
+    await client.query("COMMIT");
+
+    logger.info({
+      documentId,
+      documentKey: document.documentKey,
+      version: nextVersion,
+      previousVersion,
+    }, "RAG document version saved");
+
+    return { documentId, version: nextVersion };
+
+  } catch (error) {
+    await client.query("ROLLBACK").catch(() => {});
+    logger.warn({ err: error.message, documentKey: document.documentKey }, "Failed to save RAG document version (table may not exist)");
+    return null;
+
+  } finally {
+    client.release();
+  }
+}
+
+/**
+ * Actualiza sólo la huella del origen (re-ingesta sin cambios de contenido)
+ */
+export async function touchDocument(documentId, originFingerprint) {
+  const pool = getPool();
+  if (!pool) return;
+
+  try {
+    await pool.query(`
+      UPDATE rag_documents
+      SET origin_fingerprint = $2, updated_at = NOW()
+      WHERE id = $1
+    `, [documentId, JSON.stringify(originFingerprint || {})]);
+  } catch (error) {
+    logger.warn({ err: error.message, documentId }, "Failed to touch RAG document (table may not exist)");
+  }
+}
+
+/**
+ * Corre fn con un advisory lock de Postgres por source + llave, así dos
+ * ingestas del mismo documento (requests o réplicas distintas) no se
+ * cruzan al comparar contra la versión actual. El lock vive en una conexión
+ * propia del pool mientras dura fn. No es reentrante: fn no debe volver a
+ * pedir el lock del mismo documento.
+ */
+export async function withDocumentLock(sourceId, documentKey, fn) {
+  const pool = getPool();
+  if (!pool) return fn();
+
+  const lockKey = `rag_document:${sourceId}:${documentKey}`;
+  let client;
+
+  try {
+    client = await pool.connect();
+    await client.query("SELECT pg_advisory_lock(hashtext($1))", [lockKey]);
+  } catch (error) {
+    client?.release();
+    logger.warn({ err: error.message, documentKey }, "Failed to lock RAG document, continuing without lock");
+    return fn();
+  }
+
+  try {
+    return await fn();
+  } finally {
+    // Si el unlock falla se descarta la conexión (y con ella el lock)
+    const unlockError = await client.query("SELECT pg_advisory_unlock(hashtext($1))", [lockKey])
+      .then(() => null, err => err);
+    client.release(unlockError || undefined);
+  }
+}
+
+/**
+ * Chunks (por hash) que otros documentos tienen en su versión actual.
+ * Un hash por fila, con el documento que lo usa y los datos del chunk.
+ * null si no se pudo revisar (quien llama no debe borrar nada).
+ *
+ * @param {string[]} hashes
+ * @param {{sourceId: string, documentKey: string}} exclude - Documento propio
+ */
+export async function findChunkReferences(hashes, { sourceId, documentKey }) {
+  if (!hashes?.length) return [];
+
+  const pool = getPool();
+  if (!pool) return null;
+
+  try {
+    const result = await pool.query(`
+      SELECT DISTINCT ON (chunk->>'hash')
+        chunk->>'hash' AS hash,
+        chunk->>'text' AS text,
+        chunk->'metadata' AS metadata,
+        d.source_id,
+        d.document_key,
+        d.category
+      FROM rag_documents d
+      JOIN rag_document_versions v
+        ON v.document_id = d.id AND v.version = d.current_version
+      CROSS JOIN LATERAL jsonb_array_elements(v.chunks) AS chunk
+      WHERE chunk->>'hash' = ANY($1)
+        AND NOT (d.source_id = $2 AND d.document_key = $3)
+      ORDER BY chunk->>'hash', d.updated_at DESC
+    `, [hashes, sourceId, documentKey]);
+
+    return result.rows;
+  } catch (error) {
+    logger.warn({ err: error.message, documentKey }, "Failed to check shared RAG chunks (table may not exist)");
+    return null;
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ORIGEN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Huella del origen al momento de ingestar
+ *
+ * @param {string|null} originType - file | url
+ * @param {string|null} origin - Path absoluto o URL
+ * @param {Object} [loadedMetadata] - Metadata del documentLoader (etag, lastModified)
+ */
+export async function fingerprintOrigin(originType, origin, loadedMetadata = {}) {
+  if (originType === "url") {
+    return {
+      etag: loadedMetadata.etag || null,
+      lastModified: loadedMetadata.lastModified || null,
+    };
+  }
+
+  if (originType === "file") {
+    try {
+      const stats = await fs.stat(origin);
+      return {
+        size: stats.size,
+        mtime: stats.mtime.toISOString(),
+        hash: await hashFile(origin),
+      };
+    } catch (error) {
+      logger.warn({ err: error.message, origin }, "Failed to fingerprint RAG origin file");
+      return {};
+    }
+  }
+
+  return {};
+}
+
+/**
+ * Compara el origen contra la huella guardada
+ *
+ * @returns {Promise<{status: string, reason?: string}>}
+ */
+export async function checkFreshness(document) {
+  const fingerprint = document.origin_fingerprint || {};
+
+  if (!document.origin) {
+    return { status: FreshnessStatus.UNKNOWN, reason: "no_origin" };
+  }
+
+  if (document.origin_type === "file") {
+    return checkFileFreshness(document.origin, fingerprint);
+  }
+
+  if (document.origin_type === "url") {
+    return checkUrlFreshness(document.origin, fingerprint);
+  }
+
+  return { status: FreshnessStatus.UNKNOWN, reason: "unsupported_origin" };
+}
+
+async function checkFileFreshness(filePath, fingerprint) {
+  let stats;
+  try {
+    stats = await fs.stat(filePath);
+  } catch (error) {
+    if (error.code === "ENOENT") {
+      return { status: FreshnessStatus.MISSING, reason: "file_not_found" };
+    }
+    return { status: FreshnessStatus.ERROR, reason: error.message };
+  }
+
+  if (!fingerprint.hash) {
+    return { status: FreshnessStatus.UNKNOWN, reason: "no_fingerprint" };
+  }
+
+  if (stats.size === fingerprint.size && stats.mtime.toISOString() === fingerprint.mtime) {
+    return { status: FreshnessStatus.FRESH };
+  }
+
+  // mtime/tamaño cambiaron: confirmar con el hash (ej. archivo sólo "tocado")
+  const hash = await hashFile(filePath);
+  return hash === fingerprint.hash
+    ? { status: FreshnessStatus.FRESH }
+    : { status: FreshnessStatus.STALE, reason: "file_changed", modifiedAt: stats.mtime.toISOString() };
+}
+
+async function checkUrlFreshness(url, fingerprint) {
+  if (!fingerprint.etag && !fingerprint.lastModified) {
+    return { status: FreshnessStatus.UNKNOWN, reason: "no_http_validators" };
+  }
+
+  try {
+    const response = await fetch(url, {
+      method: "HEAD",
+      signal: AbortSignal.timeout(registryConfig.originCheckTimeoutMs),
+      headers: { "User-Agent": "TagersKissAPI-RAG/1.0" },
+    });
+
+    if (response.status === 404 || response.status === 410) {
+      return { status: FreshnessStatus.MISSING, reason: `http_${response.status}` };
+    }
+    if (!response.ok) {
+      return { status: FreshnessStatus.ERROR, reason: `http_${response.status}` };
+    }
+
+    const etag = response.headers.get("etag");
+    const lastModified = response.headers.get("last-modified");
+
+    if (fingerprint.etag && etag) {
+      return etag === fingerprint.etag
+        ? { status: FreshnessStatus.FRESH }
+        : { status: FreshnessStatus.STALE, reason: "etag_changed" };
+    }
+
+    if (fingerprint.lastModified && lastModified) {
+      return new Date(lastModified) > new Date(fingerprint.lastModified)
+        ? { status: FreshnessStatus.STALE, reason: "last_modified_changed", modifiedAt: lastModified }
+        : { status: FreshnessStatus.FRESH };
+    }
+
+    return { status: FreshnessStatus.UNKNOWN, reason: "no_http_validators" };
+
+  } catch (error) {
+    return { status: FreshnessStatus.ERROR, reason: error.message };
+  }
+}
+
+/**
+ * Estado de cada fuente: documentos, versión actual y frescura del origen
+ *
+ * @param {Object} [options]
+ * @param {boolean} [options.checkOrigins=false] - Revisar archivos / URLs de
+ *   origen (un HEAD o hash de archivo por documento)
+ */
+export async function getSourceStatus({ checkOrigins = false } = {}) {
+  const documents = await listDocuments();
+  const sources = {};
+
+  // Secuencial: a lo más un HEAD / hash de archivo a la vez
+  for (const doc of documents) {
+    const freshness = checkOrigins
+      ? await checkFreshness(doc)
+      : { status: FreshnessStatus.UNKNOWN, reason: "not_checked" };
+
+    const source = sources[doc.source_id] ||= {
+      source: doc.source_id,
+      documents: 0,
+      stale: 0,
+      missing: 0,
+      isStale: false,
+      items: [],
+    };
+
+    source.documents++;
+    if (freshness.status === FreshnessStatus.STALE) source.stale++;
+    if (freshness.status === FreshnessStatus.MISSING) source.missing++;
+    source.isStale = source.stale > 0 || source.missing > 0;
+
+    source.items.push({
+      id: doc.id,
+      documentKey: doc.document_key,
+      title: doc.title,
+      version: doc.current_version,
+      origin: doc.origin,
+      updatedAt: doc.updated_at,
+      freshness,
+    });
+  }
+
+  const list = Object.values(sources);
+
+  return {
+    sources: list,
+    staleSources: list.filter(s => s.isStale).map(s => s.source),
+    checkedAt: new Date().toISOString(),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// UTILIDADES
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function hashFile(filePath) {
+  const buffer = await fs.readFile(filePath);
+  return crypto.createHash("sha256").update(buffer).digest("hex").substring(0, 16);
+}
+
+export function getRegistryConfig() {
+  return { ...registryConfig };
+}
+
+export default {
+  getDocument,
+  getDocumentById,
+  listDocuments,
+  getVersion,
+  listVersions,
+  saveVersion,
+  touchDocument,
+  withDocumentLock,
+  findChunkReferences,
+  fingerprintOrigin,
+  checkFreshness,
+  getSourceStatus,
+  FreshnessStatus,
+  getConfig: getRegistryConfig,
+};
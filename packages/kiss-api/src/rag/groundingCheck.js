@@ -0,0 +1,415 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * RAG GROUNDING CHECK - ¿La respuesta de Tan•IA está respaldada?
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Verificación determinística (sin LLM) después de generar la respuesta:
+ * 1. EXTRAER  - Afirmaciones sensibles: precios, horarios y alérgenos
+ * 2. EVIDENCIA - Chunks RAG recuperados + datos estructurados del Config Hub
+ *                (productos, sucursales, promos, canned/FAQ)
+ * 3. COMPARAR - Cada afirmación debe aparecer (normalizada) en la evidencia
+ *
+ * - Alérgenos con polaridad: "sin gluten" no se respalda con "contiene gluten"
+ * - Horarios sólo en contexto de horario (abre, cierra, a las, de X a Y);
+ *   "tarda 2 horas" no es un horario
+ * - Las cláusulas que sólo sugieren confirmar ("te lo confirmo en sucursal")
+ *   se ignoran, el resto de la oración sí se verifica
+ *
+ * formatSourcesNote() arma la nota privada de Chatwoot con las fuentes
+ * citadas y las afirmaciones sin soporte para que los agentes auditen.
+ *
+ * @version 1.1.0
+ */
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+const groundingConfig = {
+  enabled: process.env.GROUNDING_CHECK_ENABLED !== "false",
+
+  // flag: sólo reporta | revise: pide revisión al validador
+  mode: process.env.GROUNDING_CHECK_MODE || "flag",
+};
+
+// Grupos de alérgenos: clave → términos sin acentos (se acepta plural "s")
+const ALLERGEN_GROUPS = {
+  gluten: ["gluten", "celiaco"],
+  trigo: ["trigo"],
+  lacteos: ["lacteo", "leche", "lactosa"],
+  huevo: ["huevo"],
+  nuez: ["nuez", "nueces", "frutos secos", "pistache", "avellana"],
+  cacahuate: ["cacahuate", "mani"],
+  almendra: ["almendra"],
+  soya: ["soya", "soja"],
+  ajonjoli: ["ajonjoli", "sesamo"],
+  vegano: ["vegano", "vegana"],
+};
+
+// Polaridad de una mención de alérgeno: gana la señal más cercana antes del
+// término (a igual posición, la más larga: "no contiene" sobre "contiene")
+const ALLERGEN_FREE_CUES = /\b(sin|libres? de|no (contiene|lleva|tiene|incluye|es)|ni|cero|apt[oa]s? para)\b/g;
+const ALLERGEN_CONTAINS_CUES = /\b(contiene|lleva|tiene|incluye|con|trazas de|puede contener|hech[oa]s? con|elaborad[oa]s? con|es|no apt[oa]s? para)\b/g;
+
+// Cláusulas que sólo remiten a confirmar el dato (sin afirmarlo)
+const HEDGE_PATTERN = /\b(no (tengo|cuento con|puedo confirmar|sabria)|no (lo )?se (si|cuanto|cual|exactamente)|(te |le )?(recomiendo|sugiero) (confirmar|verificar|consultar)|(confirm|verific|consult)\w* (en|con) (la )?sucursal|(te|se) lo (confirm|verific)\w*)/;
+
+// Separadores de cláusula para aislar la parte que se hedgea
+const CLAUSE_SEPARATOR = /\s*[,;]\s*|:\s+|\s+(?:pero|aunque)\s+|\s+y\s+(?=(?:te|le|lo|se|mejor)\b)/;
+
+// $450, $1,200.50, 450 pesos, 450 MXN
+const PRICE_PATTERNS = [
+  /\$\s?(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?/g,
+  /\b(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?\s*(?:pesos|mxn)\b/g,
+];
+
+// En la evidencia también: "Precio: 450.00", "price":450
+const EVIDENCE_PRICE_PATTERN = /(?:precio|costo|price|cost)[^\d\n]{0,20}(\d{1,3}(?:,\d{3})+|\d+)(?:\.(\d{1,2}))?/g;
+
+// 8:00, 8 pm, 20 hrs, 8:30 a.m. (un número solo, sin ":" ni sufijo, no cuenta)
+const HOUR_PATTERN = /\b(\d{1,2})(?::(\d{2}))?(?:\s*(a\.?\s?m\.?|p\.?\s?m\.?|hrs?\.?|horas)(?![a-z]))?/g;
+
+// En la respuesta, una hora sólo es afirmación de horario con contexto:
+// señal antes ("abre", "a las", "hasta") o rango "de 8:00 a 20:00"
+const SCHEDULE_CUE_BEFORE = /\b(abr\w*|cierr\w*|cerr\w*|horario\w*|atend\w*|desde|hasta|entre|a las?|de las?|a partir de)\s*$/;
+const RANGE_START_AFTER = /^\s*(?:a|-|–|y)\s*\d/;
+const RANGE_END_BEFORE = /\d(?::\d{2})?\s*(?:a\.?\s?m\.?|p\.?\s?m\.?|hrs?\.?)?\s*(?:a|-|–)\s*$/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NORMALIZACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+function normalizeText(text) {
+  return String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase();
+}
+
+function toPrice(intPart, decimals) {
+  const value = parseFloat(`${String(intPart).replace(/,/g, "")}.${decimals || "0"}`);
+  return Number.isFinite(value) ? Math.round(value * 100) / 100 : null;
+}
+
+/**
+ * Candidatos HH:MM en 24h. "8:00" sin am/pm es ambiguo → ["08:00", "20:00"]
+ */
+function toHourCandidates(hourStr, minuteStr, suffix) {
+  const hour = parseInt(hourStr, 10);
+  const minute = parseInt(minuteStr || "0", 10);
+  if (hour > 24 || minute > 59) return [];
+
+  const meridiem = (suffix || "").replace(/[\s.]/g, "");
+  const pad = (h) => `${String(h % 24).padStart(2, "0")}:${String(minute).padStart(2, "0")}`;
+
+  if (meridiem === "pm") return [pad(hour < 12 ? hour + 12 : hour)];
+  if (meridiem === "am") return [pad(hour === 12 ? 0 : hour)];
+  if (hour < 12) return [pad(hour), pad(hour + 12)];
+  return [pad(hour)];
+}
+
+function splitSentences(text) {
+  return String(text || "")
+    .split(/(?<=[.!?])\s+|\n+/)
+    .map(s => s.trim())
+    .filter(Boolean);
+}
+
+function matchAll(pattern, text) {
+  return [...text.matchAll(new RegExp(pattern.source, pattern.flags))];
+}
+
+/**
+ * Menciones de alérgenos con polaridad → ["gluten:free", "huevo:contains"]
+ */
+function allergenMentionsIn(normalized) {
+  const mentions = new Set();
+
+  for (const segment of normalized.split(/[.;!?\n]+|\s+(?:pero|aunque)\s+/)) {
+    const cues = [
+      ...matchAll(ALLERGEN_FREE_CUES, segment).map(m => ({ m, polarity: "free" })),
+      ...matchAll(ALLERGEN_CONTAINS_CUES, segment).map(m => ({ m, polarity: "contains" })),
+    ].map(({ m, polarity }) => ({ end: m.index + m[0].length, length: m[0].length, polarity }));
+
+    for (const [group, terms] of Object.entries(ALLERGEN_GROUPS)) {
+      for (const term of terms) {
+        for (const m of matchAll(new RegExp(`\\b${term}s?\\b`, "g"), segment)) {
+          const cue = cues
+            .filter(c => c.end <= m.index)
+            .sort((a, b) => b.end - a.end || b.length - a.length)[0];
+          mentions.add(`${group}:${cue?.polarity || "contains"}`);
+        }
+      }
+    }
+  }
+
+  return [...mentions];
+}
+
+function hourMatches(normalized) {
+  return matchAll(HOUR_PATTERN, normalized).filter(m => m[2] || m[3]);
+}
+
+/**
+ * Horas con contexto de horario (no duraciones como "tarda 2 horas")
+ */
+function scheduleHourMatches(normalized) {
+  return hourMatches(normalized).filter(m => {
+    const before = normalized.slice(Math.max(0, m.index - 30), m.index);
+    const after = normalized.slice(m.index + m[0].length);
+    return SCHEDULE_CUE_BEFORE.test(before) || RANGE_START_AFTER.test(after) || RANGE_END_BEFORE.test(before);
+  });
+}
+
+/**
+ * Quita de la oración sólo las cláusulas que remiten a confirmar
+ */
+function stripHedgeClauses(normalized) {
+  return normalized
+    .split(CLAUSE_SEPARATOR)
+    .filter(clause => clause && !HEDGE_PATTERN.test(clause))
+    .join(", ");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXTRACCIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Extrae afirmaciones de precio, horario y alérgenos de una respuesta
+ *
+ * @param {string} text
+ * @returns {Array<{ type: "price"|"hours"|"allergen", value: string, candidates: string[], sentence: string }>}
+ */
+export function extractClaims(text) {
+  const claims = [];
+  const seen = new Set();
+
+  const add = (claim) => {
+    const key = `${claim.type}:${claim.value}`;
+    if (seen.has(key)) return;
+    seen.add(key);
+    claims.push(claim);
+  };
+
+  for (const sentence of splitSentences(text)) {
+    const normalized = stripHedgeClauses(normalizeText(sentence));
+    if (!normalized) continue;
+
+    for (const pattern of PRICE_PATTERNS) {
+      for (const m of matchAll(pattern, normalized)) {
+        const price = toPrice(m[1], m[2]);
+        if (price === null) continue;
+        add({ type: "price", value: `$${price}`, candidates: [String(price)], sentence });
+      }
+    }
+
+    for (const m of scheduleHourMatches(normalized)) {
+      const candidates = toHourCandidates(m[1], m[2], m[3]);
+      if (!candidates.length) continue;
+      add({ type: "hours", value: m[0].trim().replace(/[.,;]+$/, ""), candidates, sentence });
+    }
+
+    for (const mention of allergenMentionsIn(normalized)) {
+      const [group, polarity] = mention.split(":");
+      add({ type: "allergen", value: polarity === "free" ? `sin ${group}` : group, candidates: [mention], sentence });
+    }
+  }
+
+  return claims;
+}
+
+/**
+ * Valores normalizados presentes en un texto de evidencia
+ */
+function extractEvidenceValues(text) {
+  const normalized = normalizeText(text);
+  const values = { price: new Set(), hours: new Set(), allergen: new Set() };
+
+  for (const pattern of [...PRICE_PATTERNS, EVIDENCE_PRICE_PATTERN]) {
+    for (const m of matchAll(pattern, normalized)) {
+      const price = toPrice(m[1], m[2]);
+      if (price !== null) values.price.add(String(price));
+    }
+  }
+
+  for (const m of hourMatches(normalized)) {
+    for (const candidate of toHourCandidates(m[1], m[2], m[3])) {
+      values.hours.add(candidate);
+    }
+  }
+
+  for (const mention of allergenMentionsIn(normalized)) {
+    values.allergen.add(mention);
+  }
+
+  return values;
+}
+
+/**
+ * Evidencia estructurada de retrieveRelevantData (sin chunk ID)
+ */
+function structuredEvidence(retrievedData) {
+  if (!retrievedData) return [];
+
+  const entries = [
+    ["config:products", retrievedData.product_info],
+    ["config:branches", retrievedData.branch_info],
+    ["config:promos", retrievedData.promo_info],
+    ["canned", retrievedData.canned_responses],
+    ["faq", retrievedData.faq_matches],
+  ];
+
+  return entries
+    .filter(([, data]) => Array.isArray(data) ? data.length > 0 : Boolean(data))
+    .map(([label, data]) => ({ id: null, label, text: JSON.stringify(data) }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHECK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Verifica que las afirmaciones de la respuesta estén en la evidencia
+ *
+ * @param {Object} params
+ * @param {string} params.response - Mensaje propuesto al cliente
+ * @param {Array<{id, text, citation}>} [params.chunks] - Chunks RAG recuperados
+ * @param {string[]} [params.citedChunkIds] - Chunks que el modelo dice haber usado
+ * @param {Object} [params.retrievedData] - Resultado de retrieveRelevantData
+ * @returns {GroundingResult}
+ */
+export function checkGrounding({ response, chunks = [], citedChunkIds = [], retrievedData = null }) {
+  const cited = (citedChunkIds || []).map(String);
+
+  if (!groundingConfig.enabled) {
+    return { checked: false, supported: true, claims: [], unsupported: [], citedChunkIds: cited };
+  }
+
+  const evidence = [
+    ...(chunks || []).map(c => ({ id: String(c.id), label: c.citation || `chunk ${c.id}`, text: c.text })),
+    ...structuredEvidence(retrievedData),
+  ].map(e => ({ ...e, values: extractEvidenceValues(e.text) }));
+
+  const claims = extractClaims(response).map(claim => {
+    const supporting = evidence.filter(e =>
+      claim.candidates.some(candidate => e.values[claim.type].has(candidate))
+    );
+
+    return {
+      type: claim.type,
+      value: claim.value,
+      sentence: claim.sentence,
+      supported: supporting.length > 0,
+      supportedBy: supporting.map(e => e.id || e.label),
+      citedSupport: supporting.some(e => e.id && cited.includes(e.id)),
+    };
+  });
+
+  const unsupported = claims.filter(c => !c.supported);
+
+  return {
+    checked: true,
+    supported: unsupported.length === 0,
+    claims,
+    unsupported,
+    citedChunkIds: cited,
+    evidenceCount: evidence.length,
+  };
+}
+
+/**
+ * Convierte afirmaciones sin soporte en issues del validador
+ */
+export function groundingIssues(grounding) {
+  const labels = { price: "Precio", hours: "Horario", allergen: "Alérgeno" };
+
+  return (grounding?.unsupported || []).map(claim => ({
+    issue_type: "unsupported_claim",
+    description: `${labels[claim.type]} sin soporte en fuentes: ${claim.value} ("${claim.sentence}")`.substring(0, 200),
+    severity: claim.type === "allergen" ? "high" : "medium",
+  }));
+}
+
+/**
+ * Instrucciones de revisión para afirmaciones sin soporte
+ */
+export function groundingRevisionInstructions(grounding) {
+  if (!grounding?.unsupported?.length) return null;
+
+  const items = grounding.unsupported.map(c => c.value).join(", ");
+  return `Quita o corrige estas afirmaciones que no aparecen en la información disponible: ${items}. ` +
+    "No repitas esos valores; si el cliente necesita el dato, dile que no lo tienes a la mano y que la sucursal se lo puede dar.";
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NOTA PRIVADA
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Nota privada de Chatwoot con las fuentes de la respuesta
+ *
+ * @returns {string|null} null si no hubo chunks ni afirmaciones sin soporte
+ */
+export function formatSourcesNote({ chunks = [], citedChunkIds = [], grounding = null }) {
+  const cited = new Set((citedChunkIds || []).map(String));
+  const unsupported = grounding?.unsupported || [];
+
+  if (!chunks?.length && !unsupported.length) return null;
+
+  const lines = [];
+  lines.push("🤖 **[Tan • IA] FUENTES DE LA RESPUESTA**");
+  lines.push("");
+
+  if (chunks?.length) {
+    const ordered = [
+      ...chunks.filter(c => cited.has(String(c.id))),
+      ...chunks.filter(c => !cited.has(String(c.id))),
+    ];
+
+    lines.push("**📚 Fuentes:**");
+    for (const chunk of ordered) {
+      const mark = cited.has(String(chunk.id)) ? "citada" : "recuperada, no citada";
+      lines.push(`  • ${chunk.citation || "Documento"} (chunk ${chunk.id}) — ${mark}`);
+    }
+    lines.push("");
+  } else {
+    lines.push("**📚 Fuentes:** ninguna de la base de conocimientos");
+    lines.push("");
+  }
+
+  if (unsupported.length) {
+    const labels = { price: "Precio", hours: "Horario", allergen: "Alérgeno" };
+    lines.push("**⚠️ Afirmaciones sin soporte:**");
+    for (const claim of unsupported) {
+      lines.push(`  • ${labels[claim.type]}: ${claim.value} — "${claim.sentence.substring(0, 120)}"`);
+    }
+    lines.push("");
+  } else if (grounding?.checked && grounding.claims?.length) {
+    lines.push(`**✅ Grounding:** ${grounding.claims.length} afirmación(es) de precio/horario/alérgenos con soporte`);
+  }
+
+  return lines.join("\n").trim();
+}
+
+/**
+ * Obtiene configuración
+ */
+export function getGroundingConfig() {
+  return { ...groundingConfig };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const groundingCheck = {
+  extractClaims,
+  check: checkGrounding,
+  toIssues: groundingIssues,
+  revisionInstructions: groundingRevisionInstructions,
+  formatSourcesNote,
+  getConfig: getGroundingConfig,
+};
+
+export default groundingCheck;
@@ -0,0 +1,285 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * RAG HYBRID SEARCH - Keywords + vectores con reciprocal-rank fusion
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Etapas:
+ * 1. VECTOR  - Similitud coseno en pgvector (sinónimos, paráfrasis)
+ * 2. KEYWORD - Postgres full-text en español (nombres exactos, SKUs,
+ *              códigos de sucursal: "rosca nutella", "SUC03")
+ * 3. FUSION  - Reciprocal-rank fusion: rrf = Σ 1 / (k + rank)
+ * 4. RERANK  - Opcional: LLM (aiEnhancer) o cross-encoder por HTTP
+ *
+ * Los resultados se ordenan por rrf (o rerank); `score` queda en 0-1
+ * (ver normalizedScore). Con debug: true se incluyen los scores por etapa.
+ *
+ * @version 1.0.0
+ */
+
+import { logger } from "../utils/logger.js";
+import { searchSimilar, searchKeyword } from "../vector/vectorStore.js";
+import { rerankChunks } from "./aiEnhancer.js";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+const hybridConfig = {
+  // vector | keyword | hybrid
+  mode: process.env.RAG_SEARCH_MODE || "hybrid",
+
+  // Candidatos por etapa antes de fusionar
+  candidates: parseInt(process.env.RAG_HYBRID_CANDIDATES || "20", 10),
+
+  // Constante de RRF (60 es el valor del paper original)
+  rrfK: parseInt(process.env.RAG_RRF_K || "60", 10),
+
+  // Umbral de similitud para candidatos vectoriales cuando quien llama no
+  // manda threshold
+  vectorThreshold: parseFloat(process.env.RAG_HYBRID_VECTOR_THRESHOLD || "0.5"),
+
+  // none | llm | cross-encoder
+  rerank: process.env.RAG_RERANK || "none",
+  rerankCandidates: parseInt(process.env.RAG_RERANK_CANDIDATES || "10", 10),
+
+  // Cross-encoder: POST { query, texts } → [{ index, score }]
+  // (formato de text-embeddings-inference /rerank)
+  rerankUrl: process.env.RAG_RERANK_URL || null,
+  rerankTimeoutMs: parseInt(process.env.RAG_RERANK_TIMEOUT_MS || "5000", 10),
+};
+
+export const SearchModes = ["vector", "keyword", "hybrid"];
+export const RerankModes = ["none", "llm", "cross-encoder"];
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BÚSQUEDA
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Búsqueda híbrida
+ *
+ * @param {string} query - Pregunta del usuario
+ * @param {Object} options
+ * @param {string} [options.category] - Filtrar por categoría
+ * @param {string} [options.source] - Filtrar por source
+ * @param {number} [options.limit=5] - Máximo de resultados
+ * @param {number} [options.threshold] - Umbral de similitud de los candidatos vectoriales
+ * @param {string} [options.mode] - vector | keyword | hybrid
+ * @param {string} [options.rerank] - none | llm | cross-encoder
+ * @param {boolean} [options.debug=false] - Incluir scores por etapa
+ * @returns {Promise<{results: Array, debug?: Object}>}
+ */
+export async function hybridSearch(query, options = {}) {
+  const {
+    category = null,
+    source = null,
+    limit = 5,
+    threshold,
+    mode = hybridConfig.mode,
+    rerank = hybridConfig.rerank,
+    debug = false,
+  } = options;
+
+  const timings = {};
+  const candidates = Math.max(hybridConfig.candidates, limit);
+  const filters = { category, source, limit: candidates };
+  const vectorThreshold = threshold ?? hybridConfig.vectorThreshold;
+
+  // 1 y 2. Candidatos de cada etapa (en paralelo)
+  let start = Date.now();
+  const [vectorResults, keywordResults] = await Promise.all([
+    mode === "keyword" ? [] : searchSimilar(query, { ...filters, threshold: vectorThreshold }),
+    mode === "vector" ? [] : searchKeyword(query, filters),
+  ]);
+  timings.retrievalMs = Date.now() - start;
+
+  // 3. Fusión
+  const fused = fuseResults(vectorResults, keywordResults, hybridConfig.rrfK);
+
+  // 4. Rerank (opcional)
+  let ranked = fused;
+  let rerankInfo = { mode: "none" };
+
+  if (rerank !== "none" && fused.length > 1) {
+    start = Date.now();
+    const rerankResult = await rerankResults(query, fused, rerank);
+    ranked = rerankResult.results;
+    rerankInfo = { mode: rerank, applied: rerankResult.applied, error: rerankResult.error };
+    timings.rerankMs = Date.now() - start;
+  }
+
+  const stages = mode === "hybrid" ? 2 : 1;
+  const results = ranked.slice(0, limit).map(r => ({
+    id: r.id,
+    text: r.text,
+    score: normalizedScore(r.scores, stages, hybridConfig.rrfK),
+    rrf: r.scores.rrf,
+    similarity: r.scores.vector,
+    metadata: r.metadata,
+    category: r.category,
+    source: r.source,
+    ...(debug ? { scores: r.scores } : {}),
+  }));
+
+  logger.debug({
+    query: query.substring(0, 40),
+    mode,
+    vector: vectorResults.length,
+    keyword: keywordResults.length,
+    fused: fused.length,
+    rerank: rerankInfo.mode,
+    returned: results.length,
+  }, "Hybrid search completed");
+
+  if (!debug) {
+    return { results };
+  }
+
+  return {
+    results,
+    debug: {
+      mode,
+      rrfK: hybridConfig.rrfK,
+      candidates,
+      vectorThreshold,
+      stages: {
+        vector: vectorResults.map((r, idx) => ({ id: r.id, rank: idx + 1, similarity: round(r.similarity) })),
+        keyword: keywordResults.map((r, idx) => ({ id: r.id, rank: idx + 1, tsRank: round(r.rank) })),
+        fusion: fused.map((r, idx) => ({ id: r.id, rank: idx + 1, rrf: round(r.scores.rrf) })),
+        rerank: rerankInfo.mode === "none" ? null : {
+          ...rerankInfo,
+          results: ranked.map((r, idx) => ({ id: r.id, rank: idx + 1, score: round(r.scores.rerank) })),
+        },
+      },
+      timings,
+    },
+  };
+}
+
+/**
+ * Reciprocal-rank fusion de ambas listas (por id de embedding)
+ */
+export function fuseResults(vectorResults, keywordResults, k = hybridConfig.rrfK) {
+  const byId = new Map();
+
+  const add = (results, stage, scoreField) => {
+    results.forEach((r, idx) => {
+      const entry = byId.get(r.id) || {
+        id: r.id,
+        text: r.text,
+        metadata: r.metadata,
+        category: r.category,
+        source: r.source,
+        scores: { rrf: 0 },
+      };
+      entry.scores[stage] = r[scoreField];
+      entry.scores[`${stage}Rank`] = idx + 1;
+      entry.scores.rrf += 1 / (k + idx + 1);
+      byId.set(r.id, entry);
+    });
+  };
+
+  add(vectorResults, "vector", "similarity");
+  add(keywordResults, "keyword", "rank");
+
+  return [...byId.values()].sort((a, b) => b.scores.rrf - a.scores.rrf);
+}
+
+/**
+ * Score 0-1 para quien consume los resultados (avgScore, fuentes, cache).
+ * El orden lo da RRF, pero su escala (~0.016-0.033) no dice qué tan bueno
+ * es un match: se usa el rerank si lo hubo, si no la similitud del vector y,
+ * para hits sólo de keywords, el RRF dividido entre el máximo posible.
+ */
+export function normalizedScore(scores, stages = 2, k = hybridConfig.rrfK) {
+  if (typeof scores.rerank === "number") return scores.rerank;
+  if (typeof scores.vector === "number") return scores.vector;
+  return Math.min(1, scores.rrf / (stages / (k + 1)));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RERANK
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Reordena los mejores candidatos fusionados. Si el reranker falla se
+ * conserva el orden de la fusión.
+ */
+async function rerankResults(query, fused, mode) {
+  const head = fused.slice(0, hybridConfig.rerankCandidates);
+  const tail = fused.slice(hybridConfig.rerankCandidates);
+
+  try {
+    let scores;
+    if (mode === "llm") {
+      scores = await rerankChunks(query, head);
+    } else if (mode === "cross-encoder") {
+      scores = await crossEncoderScores(query, head);
+    } else {
+      throw new Error(`Unknown rerank mode: ${mode}`);
+    }
+
+    const reranked = head
+      .map(r => ({ ...r, scores: { ...r.scores, rerank: scores.get(String(r.id)) ?? 0 } }))
+      .sort((a, b) => b.scores.rerank - a.scores.rerank);
+
+    return { results: [...reranked, ...tail], applied: true };
+
+  } catch (error) {
+    logger.warn({ err: error.message, mode }, "Rerank failed, keeping fusion order");
+    return { results: fused, applied: false, error: error.message };
+  }
+}
+
+/**
+ * Cross-encoder externo (text-embeddings-inference, Cohere-compatible, etc.)
+ */
+async function crossEncoderScores(query, candidates) {
+  if (!hybridConfig.rerankUrl) {
+    throw new Error("RAG_RERANK_URL not configured");
+  }
+
+  const response = await fetch(hybridConfig.rerankUrl, {
+    method: "POST",
+    headers: { "Content-Type": "application/json" },
+    body: JSON.stringify({ query, texts: candidates.map(c => c.text) }),
+    signal: AbortSignal.timeout(hybridConfig.rerankTimeoutMs),
+  });
+
+  if (!response.ok) {
+    throw new Error(`Cross-encoder HTTP ${response.status}`);
+  }
+
+  const body = await response.json();
+  const rows = Array.isArray(body) ? body : body.results || [];
+
+  const scores = new Map();
+  for (const row of rows) {
+    const candidate = candidates[row.index];
+    const score = row.score ?? row.relevance_score;
+    if (candidate && Number.isFinite(score)) {
+      scores.set(String(candidate.id), score);
+    }
+  }
+
+  return scores;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// UTILIDADES
+// ═══════════════════════════════════════════════════════════════════════════
+
+function round(value) {
+  return typeof value === "number" ? Math.round(value * 10000) / 10000 : null;
+}
+
+export function getHybridConfig() {
+  return { ...hybridConfig };
+}
+
+export default {
+  search: hybridSearch,
+  fuseResults,
+  normalizedScore,
+  getConfig: getHybridConfig,
+};
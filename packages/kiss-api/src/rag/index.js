@@ -9,7 +9,9 @@
  * 2. DIVIDIR en chunks óptimos para embeddings
  * 3. GENERAR embeddings con OpenAI text-embedding-3-small
  * 4. ALMACENAR en pgvector para búsqueda semántica
- * 5. BUSCAR documentos relevantes para enriquecer respuestas del agente
+ * 5. BUSCAR documentos relevantes (keywords + vectores) para enriquecer
+ *    respuestas del agente
+ * 6. VERSIONAR documentos: re-ingesta incremental por hash de chunk y rollback
  * 
  * Uso básico:
  * ```javascript
@@ -60,9 +62,28 @@ export {
   getHealthStatus,
   getPipelineConfig,
   reindexSource,
+  rollbackDocument,
+  listDocumentVersions,
+  getDocumentHistory,
+  getSourceStatus,
   initPipeline,
 } from "./ingestPipeline.js";
 
+// Registro de documentos / versiones
+export {
+  default as documentRegistry,
+  FreshnessStatus,
+} from "./documentRegistry.js";
+
+// Búsqueda híbrida (keywords + vectores, RRF, rerank opcional)
+export {
+  hybridSearch,
+  fuseResults,
+  getHybridConfig,
+  SearchModes,
+  RerankModes,
+} from "./hybridSearch.js";
+
 // Agent Helper (integración con Tan•IA)
 export {
   ragAgentHelper,
@@ -72,6 +93,15 @@ export {
   detectRelevantCategories,
 } from "./agentHelper.js";
 
+// Grounding (citas y verificación de precios/horarios/alérgenos)
+export {
+  groundingCheck,
+  extractClaims,
+  checkGrounding,
+  formatSourcesNote,
+  getGroundingConfig,
+} from "./groundingCheck.js";
+
 // AI Enhancer (chunking inteligente, resúmenes, extracción de entidades)
 export {
   default as aiEnhancer,
@@ -79,6 +109,7 @@ export {
   intelligentChunk,
   generateSummary,
   extractEntities,
+  rerankChunks,
   isEnhancerReady,
   getEnhancerConfig,
   setConfigHub,
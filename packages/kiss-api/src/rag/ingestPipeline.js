@@ -4,12 +4,19 @@
  * ═══════════════════════════════════════════════════════════════════════════
  * 
  * Pipeline completo:
- * 1. LOAD    - Cargar documento (PDF, DOCX, TXT, MD, JSON, HTML, URL)
+ * 1. LOAD    - Cargar documento (PDF, DOCX, TXT, MD, JSON, HTML, XLSX, CSV, URL)
  * 2. CHUNK   - Dividir en fragmentos óptimos para embedding
  * 3. EMBED   - Generar embeddings con OpenAI
  * 4. STORE   - Guardar en pgvector
  * 5. INDEX   - Actualizar índices y metadata
  * 
+ * Re-ingesta incremental: cada chunk se identifica por su content_hash;
+ * sólo se generan embeddings de los chunks nuevos, los que ya existen se
+ * reutilizan y los que desaparecieron se borran. Cada ingesta queda como
+ * versión del documento (ver documentRegistry.js) y se puede hacer rollback.
+ * 
+ * Búsqueda: híbrida keywords + vectores (ver hybridSearch.js)
+ * 
  * Modos de operación:
  * - SINGLE: Procesar un documento
  * - BATCH: Procesar múltiples documentos
@@ -25,12 +32,17 @@ import { chunker } from "./chunker.js";
 import aiEnhancer from "./aiEnhancer.js";
 import { 
   upsertEmbeddingBatch, 
+  refreshEmbeddingBatch,
+  findExistingHashes,
+  deleteByHashes,
+  hashContent,
   invalidateBySource,
-  searchSimilar,
   getStats as getVectorStats,
   isReady as isVectorReady,
 } from "../vector/vectorStore.js";
+import documentRegistry from "./documentRegistry.js";
 import { getEmbedding } from "../vector/embeddings.js";
+import { hybridSearch } from "./hybridSearch.js";
 import crypto from "crypto";
 import fs from "fs/promises";
 import path from "path";
@@ -85,6 +97,8 @@ const pipelineState = {
   stats: {
     totalProcessed: 0,
     totalChunks: 0,
+    chunksEmbedded: 0,
+    chunksReused: 0,
     totalErrors: 0,
     byCategory: {},
   },
@@ -104,6 +118,10 @@ const pipelineState = {
  * @param {string} [options.source] - Identificador de origen (para invalidación)
  * @param {Object} [options.metadata] - Metadata adicional
  * @param {string} [options.chunkStrategy] - Estrategia de chunking
+ * @param {string} [options.documentKey] - Llave del documento dentro de la fuente
+ *   (default: URL, path del archivo o fileName). Misma llave = nueva versión
+ * @param {boolean} [options.forceEmbed=false] - Regenerar embeddings aunque
+ *   ya existan (reindex con force)
  * @returns {Promise<IngestResult>}
  */
 export async function ingestDocument(source, options = {}) {
@@ -133,6 +151,7 @@ export async function ingestDocument(source, options = {}) {
     metadata = {},
     chunkStrategy,
     fileName,
+    forceEmbed = false,
   } = options;
   
   logger.info({ jobId, source: typeof source === "string" ? source : fileName, category }, "Starting document ingestion");
@@ -158,188 +177,263 @@ export async function ingestDocument(source, options = {}) {
       format: document.metadata.format,
     }, "Document loaded");
     
-    // STEP 1.5: AI ENHANCEMENT (opcional)
-    let enhancement = null;
-    let aiChunks = null;
+    const { originType, origin } = resolveOrigin(source, document);
+    const documentKey = options.documentKey || origin || fileName;
     
-    if (pipelineConfig.aiEnhancement.enabled && !options.skipEnhancement) {
-      logger.debug({ jobId }, "Starting AI enhancement");
+    // Desde leer la versión actual hasta guardar la nueva, una ingesta a la
+    // vez por documento
+    return await documentRegistry.withDocumentLock(sourceId, documentKey, async () => {
+      // Versión actual del documento (si ya se había ingestado)
+      const registered = await documentRegistry.getDocument(sourceId, documentKey);
+      const currentVersion = registered
+        ? await documentRegistry.getVersion(registered.id, registered.current_version)
+        : null;
+      const originFingerprint = await documentRegistry.fingerprintOrigin(originType, origin, document.metadata);
       
-      try {
-        const enhanced = await aiEnhancer.enhanceDocument(document, {
-          generateSummary: pipelineConfig.aiEnhancement.generateSummary,
-          extractEntities: pipelineConfig.aiEnhancement.extractEntities,
-          intelligentChunking: pipelineConfig.aiEnhancement.intelligentChunking,
-        });
+      // Sin cambios de contenido: no se re-procesa (ni IA ni chunking); sólo
+      // se regeneran embeddings que hayan expirado y se renueva el TTL
+      if (currentVersion
+        && registered.content_hash === document.contentHash
+        && (registered.ingest_options?.chunkStrategy || null) === (chunkStrategy || null)) {
+        const applied = await applyChunkSet(
+          versionChunksToDocs(currentVersion.chunks, { category, sourceId }),
+          { sourceId, documentKey, previousHashes: [], forceEmbed }
+        );
+        await documentRegistry.touchDocument(registered.id, originFingerprint);
+        
+        pipelineState.lastRun = new Date().toISOString();
+        pipelineState.stats.chunksEmbedded += applied.embedded;
+        pipelineState.stats.chunksReused += applied.reused;
         
-        enhancement = enhanced.enhancement;
+        logger.info({ jobId, documentKey, version: registered.current_version, ...applied }, "Document unchanged, skipped re-ingestion");
+        
+        return {
+          ok: true,
+          jobId,
+          unchanged: true,
+          document: {
+            id: registered.id,
+            key: documentKey,
+            title: registered.title,
+            contentLength: document.content.length,
+            format: document.metadata.format,
+            hash: document.contentHash,
+            version: registered.current_version,
+          },
+          chunks: {
+            total: currentVersion.chunks.length,
+            inserted: applied.embedded,
+            reused: applied.reused,
+            removed: 0,
+          },
+          category,
+          source: sourceId,
+          duration_ms: Date.now() - startTime,
+          errors: applied.errors.length ? applied.errors : undefined,
+        };
+      }
+      
+      // STEP 1.5: AI ENHANCEMENT (opcional)
+      let enhancement = null;
+      let aiChunks = null;
+      
+      if (pipelineConfig.aiEnhancement.enabled && !options.skipEnhancement) {
+        logger.debug({ jobId }, "Starting AI enhancement");
         
-        // Si el chunking con IA generó chunks, usarlos
-        if (Array.isArray(enhancement?.chunks) && enhancement.chunks.length > 0) {
-          aiChunks = enhancement.chunks;
-          logger.info({ 
-            jobId, 
-            aiChunks: aiChunks.length,
-            hasSummary: !!enhancement.summary?.summary,
-            entityCount: enhancement.entities?.raw?.length || 0,
-          }, "AI enhancement completed");
+        try {
+          const enhanced = await aiEnhancer.enhanceDocument(document, {
+            generateSummary: pipelineConfig.aiEnhancement.generateSummary,
+            extractEntities: pipelineConfig.aiEnhancement.extractEntities,
+            // Las tablas se parten por filas (row-group), no con IA
+            intelligentChunking: pipelineConfig.aiEnhancement.intelligentChunking && !document.tables,
+          });
+          
+          enhancement = enhanced.enhancement;
+          
+          // Si el chunking con IA generó chunks, usarlos
+          if (Array.isArray(enhancement?.chunks) && enhancement.chunks.length > 0) {
+            aiChunks = enhancement.chunks;
+            logger.info({ 
+              jobId, 
+              aiChunks: aiChunks.length,
+              hasSummary: !!enhancement.summary?.summary,
+              entityCount: enhancement.entities?.raw?.length || 0,
+            }, "AI enhancement completed");
+          }
+        } catch (enhanceError) {
+          logger.warn({ jobId, err: enhanceError.message }, "AI enhancement failed, continuing with basic chunking");
         }
-      } catch (enhanceError) {
-        logger.warn({ jobId, err: enhanceError.message }, "AI enhancement failed, continuing with basic chunking");
       }
-    }
-    
-    // STEP 2: CHUNK (usa AI chunks si disponibles, sino chunking tradicional)
-    let chunks;
-    let chunkingMethod;
-    
-    if (aiChunks && aiChunks.length > 0) {
-      // Usar chunks generados por IA
-      chunkingMethod = "ai";
-      chunks = aiChunks.map((aiChunk, idx) => ({
-        text: aiChunk.text,
-        hash: generateChunkHash(aiChunk.text),
-        metadata: {
-          documentHash: document.contentHash,
-          documentTitle: title || document.metadata.title || document.metadata.fileName,
-          category,
-          sourceId,
-          chunkTitle: aiChunk.title,
-          chunkSummary: aiChunk.summary,
-          aiGenerated: true,
-          ...metadata,
-        },
-      }));
-    } else {
-      // Chunking tradicional
-      chunkingMethod = chunkStrategy || chunker.detectBestStrategy(document.content, document.metadata);
-      chunks = chunker.chunk(document.content, {
+      
+      // STEP 2: CHUNK (usa AI chunks si disponibles, sino chunking tradicional)
+      let chunks;
+      let chunkingMethod;
+      
+      if (aiChunks && aiChunks.length > 0) {
+        // Usar chunks generados por IA
+        chunkingMethod = "ai";
+        chunks = aiChunks.map((aiChunk, idx) => ({
+          text: aiChunk.text,
+          hash: generateChunkHash(aiChunk.text),
+          metadata: {
+            documentHash: document.contentHash,
+            documentTitle: title || document.metadata.title || document.metadata.fileName,
+            category,
+            sourceId,
+            chunkTitle: aiChunk.title,
+            chunkSummary: aiChunk.summary,
+            aiGenerated: true,
+            ...metadata,
+          },
+        }));
+      } else {
+        // Chunking tradicional
+        chunkingMethod = chunkStrategy || chunker.detectBestStrategy(document.content, document.metadata);
+        chunks = chunker.chunk(document.content, {
+          strategy: chunkingMethod,
+          tables: document.tables,
+          metadata: {
+            documentHash: document.contentHash,
+            documentTitle: title || document.metadata.title || document.metadata.fileName,
+            category,
+            sourceId,
+            ...metadata,
+          },
+        });
+      }
+      
+      if (!chunks.length) {
+        return {
+          ok: false,
+          error: "No chunks generated",
+          jobId,
+          document: {
+            contentLength: document.content.length,
+            format: document.metadata.format,
+          },
+        };
+      }
+      
+      logger.debug({ 
+        jobId, 
+        chunksCount: chunks.length,
         strategy: chunkingMethod,
+        aiEnhanced: chunkingMethod === "ai",
+      }, "Document chunked");
+      
+      // STEP 3 & 4: EMBED + STORE
+      const ttlMs = pipelineConfig.ttl[category] || pipelineConfig.ttl.general;
+      
+      // Preparar metadata de enhancement para incluir en cada chunk
+      const enhancementMeta = {};
+      if (enhancement) {
+        if (enhancement.summary?.summary) {
+          enhancementMeta.documentSummary = enhancement.summary.summary;
+          enhancementMeta.keyPoints = enhancement.summary.keyPoints;
+          enhancementMeta.topics = enhancement.summary.topics;
+        }
+        if (enhancement.entities?.raw?.length) {
+          enhancementMeta.entities = enhancement.entities.raw;
+          enhancementMeta.entityCount = enhancement.entities.raw.length;
+        }
+      }
+      
+      const embedDocs = chunks.map((chunk, idx) => ({
+        text: chunk.text,
+        category,
+        source: sourceId,
         metadata: {
-          documentHash: document.contentHash,
-          documentTitle: title || document.metadata.title || document.metadata.fileName,
-          category,
-          sourceId,
-          ...metadata,
+          ...chunk.metadata,
+          ...enhancementMeta,
+          chunkHash: chunk.hash,
+          chunkIndex: idx,
+          totalChunks: chunks.length,
+          documentTitle: title || document.metadata.title,
+          documentKey,
+          fileName: document.metadata.originalFileName || document.metadata.fileName,
+          format: document.metadata.format,
+          chunkingMethod,
+          ingestedAt: new Date().toISOString(),
+          jobId,
         },
+        ttlMs,
+      }));
+      
+      // Sólo se generan embeddings de chunks nuevos; se borran los de la
+      // versión anterior que ya no existen
+      const applied = await applyChunkSet(embedDocs, {
+        sourceId,
+        documentKey,
+        previousHashes: (currentVersion?.chunks || []).map(c => c.hash),
+        forceEmbed,
       });
-    }
-    
-    if (!chunks.length) {
-      return {
-        ok: false,
-        error: "No chunks generated",
+      const errors = applied.errors;
+      
+      // STEP 5: Versión + stats
+      const saved = await documentRegistry.saveVersion({
+        sourceId,
+        documentKey,
+        title: title || document.metadata.title || document.metadata.fileName,
+        category,
+        originType,
+        origin,
+        originFingerprint,
+        ingestOptions: { chunkStrategy: chunkStrategy || null, metadata },
+      }, {
+        contentHash: document.contentHash,
+        chunks: embedDocs.map(doc => ({ hash: hashContent(doc.text), text: doc.text, metadata: doc.metadata })),
+        embedded: applied.embedded,
+        reused: applied.reused,
+        removed: applied.removed,
+        jobId,
+      });
+      
+      const duration = Date.now() - startTime;
+      
+      pipelineState.lastRun = new Date().toISOString();
+      pipelineState.stats.totalProcessed++;
+      pipelineState.stats.totalChunks += chunks.length;
+      pipelineState.stats.chunksEmbedded += applied.embedded;
+      pipelineState.stats.chunksReused += applied.reused;
+      pipelineState.stats.byCategory[category] = (pipelineState.stats.byCategory[category] || 0) + 1;
+      
+      const result = {
+        ok: true,
         jobId,
         document: {
+          id: saved?.documentId,
+          key: documentKey,
+          title: title || document.metadata.title || document.metadata.fileName,
           contentLength: document.content.length,
           format: document.metadata.format,
+          hash: document.contentHash,
+          version: saved?.version,
+          previousVersion: registered?.current_version,
+        },
+        chunks: {
+          total: chunks.length,
+          inserted: applied.embedded,
+          reused: applied.reused,
+          removed: applied.removed,
+          strategy: chunkingMethod,
         },
+        enhancement: enhancement ? {
+          enabled: true,
+          summary: enhancement.summary?.summary ? true : false,
+          entities: enhancement.entities?.raw?.length || 0,
+          aiChunking: chunkingMethod === "ai",
+          processingTimeMs: enhancement.processingTimeMs,
+        } : { enabled: false },
+        category,
+        source: sourceId,
+        duration_ms: duration,
+        errors: errors.length ? errors : undefined,
       };
-    }
-    
-    logger.debug({ 
-      jobId, 
-      chunksCount: chunks.length,
-      strategy: chunkingMethod,
-      aiEnhanced: chunkingMethod === "ai",
-    }, "Document chunked");
-    
-    // STEP 3 & 4: EMBED + STORE
-    const ttlMs = pipelineConfig.ttl[category] || pipelineConfig.ttl.general;
-    
-    // Preparar metadata de enhancement para incluir en cada chunk
-    const enhancementMeta = {};
-    if (enhancement) {
-      if (enhancement.summary?.summary) {
-        enhancementMeta.documentSummary = enhancement.summary.summary;
-        enhancementMeta.keyPoints = enhancement.summary.keyPoints;
-        enhancementMeta.topics = enhancement.summary.topics;
-      }
-      if (enhancement.entities?.raw?.length) {
-        enhancementMeta.entities = enhancement.entities.raw;
-        enhancementMeta.entityCount = enhancement.entities.raw.length;
-      }
-    }
-    
-    const embedDocs = chunks.map((chunk, idx) => ({
-      text: chunk.text,
-      category,
-      source: sourceId,
-      metadata: {
-        ...chunk.metadata,
-        ...enhancementMeta,
-        chunkHash: chunk.hash,
-        chunkIndex: idx,
-        totalChunks: chunks.length,
-        documentTitle: title || document.metadata.title,
-        format: document.metadata.format,
-        chunkingMethod,
-        ingestedAt: new Date().toISOString(),
-        jobId,
-      },
-      ttlMs,
-    }));
-    
-    // Procesar en batches
-    const batches = [];
-    for (let i = 0; i < embedDocs.length; i += pipelineConfig.batchSize) {
-      batches.push(embedDocs.slice(i, i + pipelineConfig.batchSize));
-    }
-    
-    let totalInserted = 0;
-    let errors = [];
-    
-    for (const batch of batches) {
-      try {
-        const result = await upsertEmbeddingBatch(batch);
-        totalInserted += result.inserted || 0;
-        if (result.errors?.length) {
-          errors.push(...result.errors);
-        }
-      } catch (err) {
-        logger.error({ jobId, err: err.message }, "Batch embedding failed");
-        errors.push(err.message);
-      }
-    }
-    
-    // STEP 5: Update stats
-    const duration = Date.now() - startTime;
-    
-    pipelineState.lastRun = new Date().toISOString();
-    pipelineState.stats.totalProcessed++;
-    pipelineState.stats.totalChunks += chunks.length;
-    pipelineState.stats.byCategory[category] = (pipelineState.stats.byCategory[category] || 0) + 1;
-    
-    const result = {
-      ok: true,
-      jobId,
-      document: {
-        title: title || document.metadata.title || document.metadata.fileName,
-        contentLength: document.content.length,
-        format: document.metadata.format,
-        hash: document.contentHash,
-      },
-      chunks: {
-        total: chunks.length,
-        inserted: totalInserted,
-        strategy: chunkingMethod,
-      },
-      enhancement: enhancement ? {
-        enabled: true,
-        summary: enhancement.summary?.summary ? true : false,
-        entities: enhancement.entities?.raw?.length || 0,
-        aiChunking: chunkingMethod === "ai",
-        processingTimeMs: enhancement.processingTimeMs,
-      } : { enabled: false },
-      category,
-      source: sourceId,
-      duration_ms: duration,
-      errors: errors.length ? errors : undefined,
-    };
-    
-    logger.info(result, "Document ingested successfully");
-    
-    return result;
+      
+      logger.info(result, "Document ingested successfully");
+      
+      return result;
+    });
     
   } catch (error) {
     pipelineState.lastError = error.message;
@@ -490,19 +584,356 @@ export async function ingestDirectory(dirPath, options = {}) {
 
 /**
  * Re-ingesta documentos de una fuente específica
- * Útil para actualizar embeddings cuando cambia el modelo
+ * Incremental: re-lee cada documento desde su origen (archivo / URL) y sólo
+ * genera embeddings de los chunks que cambiaron. Documentos sin origen
+ * (uploads, texto directo) o cuyo origen ya no se puede leer se re-aplican
+ * desde su versión actual: nunca se borra nada antes de tener el reemplazo.
+ * 
+ * @param {string} sourceId
+ * @param {Object} [options]
+ * @param {boolean} [options.force=false] - Regenerar todos los embeddings
+ *   (ej. cambio de modelo de embeddings); se sobrescriben en su lugar
  */
-export async function reindexSource(sourceId) {
-  logger.info({ sourceId }, "Starting reindex");
+export async function reindexSource(sourceId, options = {}) {
+  const { force = false } = options;
+  const startTime = Date.now();
+  
+  logger.info({ sourceId, force }, "Starting reindex");
+  
+  const documents = await documentRegistry.listDocuments({ sourceId });
+  
+  // Fuente sin registro de versiones (ingestada antes de la migración 008)
+  if (!documents.length) {
+    const invalidated = await invalidateBySource(sourceId);
+    
+    return {
+      ok: true,
+      invalidated: invalidated.invalidated,
+      message: `No versioned documents for source. Invalidated ${invalidated.invalidated} embeddings. Please re-ingest documents.`,
+    };
+  }
+  
+  const results = [];
+  
+  for (const doc of documents) {
+    const fromOrigin = doc.origin
+      ? await ingestDocument(doc.origin, {
+        ...doc.ingest_options,
+        title: doc.title,
+        category: doc.category,
+        source: sourceId,
+        documentKey: doc.document_key,
+        forceEmbed: force,
+      })
+      : null;
+    
+    if (fromOrigin?.ok) {
+      results.push({ documentKey: doc.document_key, ...fromOrigin });
+      continue;
+    }
+    
+    const result = await documentRegistry.withDocumentLock(sourceId, doc.document_key, async () => {
+      const current = await documentRegistry.getDocumentById(doc.id);
+      return current
+        ? reapplyVersion(current, current.current_version, { forceEmbed: force })
+        : { ok: false, error: "Document not found" };
+    });
+    
+    if (fromOrigin) {
+      logger.warn({ sourceId, documentKey: doc.document_key, err: fromOrigin.error }, "Origin reindex failed, reapplied current version");
+    }
+    
+    results.push({
+      documentKey: doc.document_key,
+      ...result,
+      ...(fromOrigin ? { originError: fromOrigin.error } : {}),
+    });
+  }
+  
+  const summary = {
+    ok: results.every(r => r.ok),
+    source: sourceId,
+    force,
+    documents: results.length,
+    changed: results.filter(r => r.ok && !r.unchanged).length,
+    unchanged: results.filter(r => r.unchanged).length,
+    failed: results.filter(r => !r.ok).length,
+    originErrors: results.filter(r => r.originError).length,
+    chunks: {
+      embedded: results.reduce((sum, r) => sum + (r.chunks?.inserted || 0), 0),
+      reused: results.reduce((sum, r) => sum + (r.chunks?.reused || 0), 0),
+      removed: results.reduce((sum, r) => sum + (r.chunks?.removed || 0), 0),
+    },
+    results,
+    duration_ms: Date.now() - startTime,
+  };
   
-  // Buscar documentos existentes
-  // Por ahora solo invalidamos y el usuario debe re-ingestar
-  const invalidated = await invalidateBySource(sourceId);
+  logger.info({ ...summary, results: undefined }, "Reindex complete");
+  
+  return summary;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VERSIONES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Restaura una versión anterior de un documento. Se registra como versión
+ * nueva (restored_from) para que el historial quede completo.
+ * 
+ * @param {number} documentId - rag_documents.id
+ * @param {number} version - Versión a restaurar
+ */
+export async function rollbackDocument(documentId, version) {
+  const found = await documentRegistry.getDocumentById(documentId);
+  
+  if (!found) {
+    return { ok: false, error: "Document not found" };
+  }
+  
+  // La versión actual se vuelve a leer con el lock tomado
+  let doc = found;
+  const result = await documentRegistry.withDocumentLock(found.source_id, found.document_key, async () => {
+    doc = await documentRegistry.getDocumentById(documentId) || found;
+    
+    if (doc.current_version === version) {
+      return { ok: false, error: `Version ${version} is already current` };
+    }
+    
+    return reapplyVersion(doc, version, { restore: true });
+  });
+  
+  if (result.ok) {
+    logger.info({ documentId, from: doc.current_version, to: version }, "Document rolled back");
+  }
+  
+  return result;
+}
+
+/**
+ * Aplica los chunks guardados de una versión al vector store
+ * restore: true registra una versión nueva; si no, sólo renueva embeddings
+ * (forceEmbed: los regenera). Quien llama debe tener el lock del documento
+ */
+async function reapplyVersion(doc, version, { restore = false, forceEmbed = false } = {}) {
+  const jobId = generateJobId(restore ? "rollback" : "reapply");
+  
+  if (!isVectorReady()) {
+    return { ok: false, error: "Vector store not ready", jobId };
+  }
+  
+  const target = await documentRegistry.getVersion(doc.id, version);
+  if (!target) {
+    return { ok: false, error: `Version ${version} not found`, jobId };
+  }
+  
+  const current = restore
+    ? await documentRegistry.getVersion(doc.id, doc.current_version)
+    : null;
+  
+  const applied = await applyChunkSet(
+    versionChunksToDocs(target.chunks, { category: doc.category, sourceId: doc.source_id }),
+    {
+      sourceId: doc.source_id,
+      documentKey: doc.document_key,
+      previousHashes: (current?.chunks || []).map(c => c.hash),
+      forceEmbed,
+    }
+  );
+  
+  let saved = null;
+  if (restore) {
+    saved = await documentRegistry.saveVersion({
+      sourceId: doc.source_id,
+      documentKey: doc.document_key,
+      title: doc.title,
+      category: doc.category,
+      originType: doc.origin_type,
+      origin: doc.origin,
+      originFingerprint: target.origin_fingerprint,
+      ingestOptions: doc.ingest_options,
+    }, {
+      contentHash: target.content_hash,
+      chunks: target.chunks,
+      embedded: applied.embedded,
+      reused: applied.reused,
+      removed: applied.removed,
+      jobId,
+      restoredFrom: version,
+    });
+  }
   
   return {
-    ok: true,
-    invalidated: invalidated.invalidated,
-    message: `Invalidated ${invalidated.invalidated} embeddings. Please re-ingest documents.`,
+    ok: applied.errors.length === 0 && (!restore || !!saved),
+    jobId,
+    unchanged: !restore,
+    document: {
+      id: doc.id,
+      key: doc.document_key,
+      title: doc.title,
+      hash: target.content_hash,
+      version: saved?.version ?? version,
+      restoredFrom: restore ? version : undefined,
+    },
+    chunks: {
+      total: target.chunks.length,
+      inserted: applied.embedded,
+      reused: applied.reused,
+      removed: applied.removed,
+    },
+    errors: applied.errors.length ? applied.errors : undefined,
+  };
+}
+
+/**
+ * Sincroniza un conjunto de chunks con el vector store:
+ * - chunks con embedding vigente → sólo se actualiza metadata / TTL
+ * - chunks nuevos (o todos con forceEmbed) → embedding en batches
+ * - hashes de la versión anterior que ya no están → releaseHashes
+ * 
+ * Los embeddings son compartidos (shared): un chunk que también está en otro
+ * documento conserva la atribución de ese documento
+ */
+async function applyChunkSet(embedDocs, { sourceId, documentKey, previousHashes = [], forceEmbed = false }) {
+  const hashes = embedDocs.map(doc => hashContent(doc.text));
+  const existing = forceEmbed
+    ? new Set()
+    : await findExistingHashes([...new Set(hashes)]);
+  
+  const toEmbed = embedDocs.filter((_, idx) => !existing.has(hashes[idx]));
+  const toRefresh = embedDocs.filter((_, idx) => existing.has(hashes[idx]));
+  
+  let embedded = 0;
+  const errors = [];
+  
+  // Procesar en batches
+  for (let i = 0; i < toEmbed.length; i += pipelineConfig.batchSize) {
+    const batch = toEmbed.slice(i, i + pipelineConfig.batchSize);
+    try {
+      const result = await upsertEmbeddingBatch(batch, { shared: true });
+      embedded += result.inserted || 0;
+      if (result.error) {
+        errors.push(result.error);
+      }
+    } catch (err) {
+      logger.error({ sourceId, err: err.message }, "Batch embedding failed");
+      errors.push(err.message);
+    }
+  }
+  
+  const refreshed = await refreshEmbeddingBatch(toRefresh, { shared: true });
+  if (refreshed.error) errors.push(refreshed.error);
+  
+  const currentHashes = new Set(hashes);
+  const obsolete = [...new Set(previousHashes)].filter(hash => !currentHashes.has(hash));
+  const released = await releaseHashes(obsolete, { sourceId, documentKey });
+  if (released.error) errors.push(released.error);
+  const deleted = released.deleted;
+  
+  logger.debug({
+    sourceId,
+    documentKey,
+    total: embedDocs.length,
+    embedded,
+    reused: toRefresh.length,
+    removed: deleted,
+  }, "Chunk set applied");
+  
+  return { embedded, reused: toRefresh.length, removed: deleted, errors };
+}
+
+/**
+ * Suelta los hashes que el documento ya no usa. Los que otro documento tiene
+ * en su versión actual no se borran: se re-atribuyen a ese documento (así
+ * no quedan huérfanos cuando él también los suelte). Si no se puede revisar
+ * quién más los usa no se borra nada.
+ */
+async function releaseHashes(hashes, { sourceId, documentKey }) {
+  if (!hashes.length) return { deleted: 0 };
+  
+  const references = await documentRegistry.findChunkReferences(hashes, { sourceId, documentKey });
+  if (!references) {
+    logger.warn({ sourceId, documentKey, hashes: hashes.length }, "Could not check shared chunks, keeping obsolete embeddings");
+    return { deleted: 0 };
+  }
+  
+  let error = null;
+  if (references.length) {
+    const handover = await refreshEmbeddingBatch(
+      references.flatMap(ref => versionChunksToDocs([ref], { category: ref.category, sourceId: ref.source_id })),
+      { shared: true, takeOverFrom: { source: sourceId, documentKey } }
+    );
+    error = handover.error || null;
+  }
+  
+  const shared = new Set(references.map(ref => ref.hash));
+  const unused = hashes.filter(hash => !shared.has(hash));
+  const result = await deleteByHashes(unused, { source: sourceId, documentKey });
+  
+  return { deleted: result.deleted, error: error || result.error };
+}
+
+/**
+ * Chunks guardados en una versión → documentos para el vector store
+ */
+function versionChunksToDocs(chunks, { category, sourceId }) {
+  const ttlMs = pipelineConfig.ttl[category] || pipelineConfig.ttl.general;
+  
+  return (chunks || []).map(chunk => ({
+    text: chunk.text,
+    category,
+    source: sourceId,
+    metadata: chunk.metadata,
+    ttlMs,
+  }));
+}
+
+/**
+ * Origen re-leíble del documento (para re-indexar y revisar frescura)
+ */
+function resolveOrigin(source, document) {
+  if (Buffer.isBuffer(source)) {
+    return { originType: null, origin: null };
+  }
+  if (document.metadata.url) {
+    return { originType: "url", origin: document.metadata.url };
+  }
+  return { originType: "file", origin: document.metadata.filePath };
+}
+
+/**
+ * Documentos y versiones de una fuente (o de todas)
+ */
+export async function listDocumentVersions({ sourceId = null } = {}) {
+  const documents = await documentRegistry.listDocuments({ sourceId });
+  
+  return documents.map(doc => ({
+    id: doc.id,
+    source: doc.source_id,
+    documentKey: doc.document_key,
+    title: doc.title,
+    category: doc.category,
+    origin: doc.origin,
+    version: doc.current_version,
+    contentHash: doc.content_hash,
+    updatedAt: doc.updated_at,
+  }));
+}
+
+/**
+ * Historial de versiones de un documento
+ */
+export async function getDocumentHistory(documentId) {
+  const doc = await documentRegistry.getDocumentById(documentId);
+  if (!doc) return null;
+  
+  return {
+    id: doc.id,
+    source: doc.source_id,
+    documentKey: doc.document_key,
+    title: doc.title,
+    currentVersion: doc.current_version,
+    versions: await documentRegistry.listVersions(documentId),
   };
 }
 
@@ -518,13 +949,19 @@ export async function reindexSource(sourceId) {
  * @param {Object} options
  * @param {string} [options.category] - Filtrar por categoría
  * @param {number} [options.limit=5] - Máximo de resultados
- * @param {number} [options.threshold=0.7] - Umbral de similitud
+ * @param {number} [options.threshold=0.7] - Umbral de similitud de los candidatos vectoriales
+ * @param {string} [options.mode] - vector | keyword | hybrid (default RAG_SEARCH_MODE)
+ * @param {string} [options.rerank] - none | llm | cross-encoder (default RAG_RERANK)
+ * @param {boolean} [options.debug=false] - Incluir scores de cada etapa
  */
 export async function searchDocuments(query, options = {}) {
   const {
     category,
     limit = 5,
     threshold = 0.7,
+    mode,
+    rerank,
+    debug = false,
   } = options;
   
   if (!isVectorReady()) {
@@ -532,25 +969,20 @@ export async function searchDocuments(query, options = {}) {
   }
   
   try {
-    const results = await searchSimilar(query, {
+    const { results, debug: debugInfo } = await hybridSearch(query, {
       category,
       limit,
       threshold,
+      mode,
+      rerank,
+      debug,
     });
     
-    // Enriquecer resultados
-    const enriched = results.map(r => ({
-      text: r.content_text,
-      score: r.similarity,
-      metadata: r.metadata,
-      category: r.category,
-      source: r.source,
-    }));
-    
     return {
-      results: enriched,
+      results: results.map(r => ({ ...r, citation: formatCitation(r) })),
       query,
-      count: enriched.length,
+      count: results.length,
+      ...(debugInfo ? { debug: debugInfo } : {}),
     };
     
   } catch (error) {
@@ -572,14 +1004,14 @@ export async function generateRAGContext(query, options = {}) {
   
   // Formatear como contexto
   const contextParts = results.map((r, idx) => {
-    const source = r.metadata?.documentTitle || r.source || "Documento";
-    return `[${idx + 1}] ${source}:\n${r.text}`;
+    return `[${idx + 1}] ${r.citation}:\n${r.text}`;
   });
   
   return {
     context: contextParts.join("\n\n---\n\n"),
     sources: results.map(r => ({
       title: r.metadata?.documentTitle,
+      citation: r.citation,
       category: r.category,
       score: r.score,
     })),
@@ -591,6 +1023,24 @@ export async function generateRAGContext(query, options = {}) {
 // UTILIDADES
 // ═══════════════════════════════════════════════════════════════════════════
 
+/**
+ * Referencia legible de un resultado. En tablas incluye hoja y filas:
+ * "precios.xlsx › Rosca › filas 12-18"
+ */
+function formatCitation(result) {
+  const meta = result.metadata || {};
+  const parts = [meta.documentTitle || meta.fileName || result.source || "Documento"];
+  
+  if (meta.rowStart != null) {
+    if (meta.sheet) parts.push(meta.sheet);
+    parts.push(meta.rowStart === meta.rowEnd
+      ? `fila ${meta.rowStart}`
+      : `filas ${meta.rowStart}-${meta.rowEnd}`);
+  }
+  
+  return parts.join(" › ");
+}
+
 function generateJobId(prefix = "ingest") {
   const timestamp = Date.now().toString(36);
   const random = crypto.randomBytes(4).toString("hex");
@@ -615,6 +1065,14 @@ function detectCategoryFromPath(filePath) {
   return "general";
 }
 
+/**
+ * Estado de las fuentes: versión actual de cada documento y si su origen
+ * (archivo / URL) cambió desde la última ingesta
+ */
+export async function getSourceStatus(options = {}) {
+  return documentRegistry.getSourceStatus(options);
+}
+
 /**
  * Obtiene estadísticas del pipeline
  */
@@ -690,6 +1148,12 @@ export const ragPipeline = {
   ingestDirectory,
   reindexSource,
   
+  // Versions
+  rollback: rollbackDocument,
+  listDocuments: listDocumentVersions,
+  getDocumentHistory,
+  getSourceStatus,
+  
   // Search
   search: searchDocuments,
   generateContext: generateRAGContext,
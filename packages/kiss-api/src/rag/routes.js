@@ -8,10 +8,13 @@
  * - POST /rag/ingest/url      - Ingestar desde URL
  * - POST /rag/ingest/text     - Ingestar texto directo
  * - POST /rag/ingest/directory - Ingestar directorio (admin)
- * - GET  /rag/search          - Buscar en knowledge base
+ * - GET  /rag/search          - Buscar en knowledge base (híbrida; debug/rerank admin)
  * - GET  /rag/context         - Obtener contexto para AI
- * - GET  /rag/stats           - Estadísticas del pipeline
- * - DELETE /rag/reindex/:source - Re-indexar fuente
+ * - GET  /rag/stats           - Estadísticas del pipeline + fuentes desactualizadas
+ * - DELETE /rag/reindex/:source - Re-indexar fuente (incremental, ?force=true todo)
+ * - GET  /rag/documents       - Documentos y versión actual
+ * - GET  /rag/documents/:id/versions - Historial de versiones
+ * - POST /rag/documents/:id/rollback - Restaurar una versión
  * 
  * @version 1.0.0
  */
@@ -21,6 +24,7 @@ import multer from "multer";
 import { logger } from "../utils/logger.js";
 import { ragPipeline } from "./ingestPipeline.js";
 import { documentLoader } from "./documentLoader.js";
+import { SearchModes, RerankModes } from "./hybridSearch.js";
 
 const router = express.Router();
 
@@ -50,7 +54,6 @@ const upload = multer({
 // ═══════════════════════════════════════════════════════════════════════════
 
 function requireAdminAuth(req, res, next) {
-  const apiKey = req.headers["x-api-key"] || req.headers["authorization"]?.replace("Bearer ", "");
   const adminKey = process.env.ADMIN_API_KEY || process.env.RAG_ADMIN_KEY;
   
   if (!adminKey) {
@@ -58,7 +61,7 @@ function requireAdminAuth(req, res, next) {
     return next();
   }
   
-  if (!apiKey || apiKey !== adminKey) {
+  if (!isAdminRequest(req)) {
     return res.status(401).json({
       ok: false,
       error: "Unauthorized",
@@ -69,6 +72,17 @@ function requireAdminAuth(req, res, next) {
   next();
 }
 
+/**
+ * ¿Trae la API key de admin? (sin ADMIN_API_KEY configurada, igual que
+ * requireAdminAuth, todos cuentan como admin)
+ */
+function isAdminRequest(req) {
+  const apiKey = req.headers["x-api-key"] || req.headers["authorization"]?.replace("Bearer ", "");
+  const adminKey = process.env.ADMIN_API_KEY || process.env.RAG_ADMIN_KEY;
+  
+  return !adminKey || (!!apiKey && apiKey === adminKey);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // ENDPOINTS DE INGESTA
 // ═══════════════════════════════════════════════════════════════════════════
@@ -258,12 +272,43 @@ router.post("/ingest/directory", requireAdminAuth, express.json(), async (req, r
 // ENDPOINTS DE BÚSQUEDA
 // ═══════════════════════════════════════════════════════════════════════════
 
+/**
+ * Valida mode / rerank de /rag/search (undefined = default de config)
+ */
+function validateSearchModes(mode, rerank) {
+  if (mode && !SearchModes.includes(mode)) {
+    return `Invalid mode '${mode}'. Use: ${SearchModes.join(", ")}`;
+  }
+  if (rerank && !RerankModes.includes(rerank)) {
+    return `Invalid rerank '${rerank}'. Use: ${RerankModes.join(", ")}`;
+  }
+  return null;
+}
+
+/**
+ * rerank y debug cuestan (llamadas al LLM / cross-encoder) y exponen scores
+ * internos: sólo se aceptan con API key de admin. Para el resto se ignoran
+ * y se usa la configuración del servidor.
+ */
+function adminSearchOverrides(req, { rerank, debug }) {
+  const requested = [rerank && "rerank", debug && "debug"].filter(Boolean);
+  
+  if (!requested.length || isAdminRequest(req)) {
+    return { rerank, debug, ignored: [] };
+  }
+  
+  return { rerank: undefined, debug: false, ignored: requested };
+}
+
 /**
  * GET /rag/search
  * Buscar en knowledge base
+ * Query: q, category, limit, threshold, mode (vector|keyword|hybrid),
+ * rerank (none|llm|cross-encoder) y debug=true (scores por etapa) sólo
+ * con API key de admin
  */
 router.get("/search", async (req, res) => {
-  const { q, category, limit, threshold } = req.query;
+  const { q, category, limit, threshold, mode, rerank, debug } = req.query;
   
   if (!q) {
     return res.status(400).json({
@@ -273,15 +318,29 @@ router.get("/search", async (req, res) => {
   }
   
   try {
+    const invalid = validateSearchModes(mode, rerank);
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid });
+    }
+    
+    const overrides = adminSearchOverrides(req, {
+      rerank,
+      debug: debug === "true" || debug === "1",
+    });
+    
     const result = await ragPipeline.search(q, {
       category,
       limit: limit ? parseInt(limit, 10) : 5,
       threshold: threshold ? parseFloat(threshold) : 0.7,
+      mode,
+      rerank: overrides.rerank,
+      debug: overrides.debug,
     });
     
     res.json({
       ok: true,
       ...result,
+      ...(overrides.ignored.length ? { ignored: overrides.ignored } : {}),
     });
     
   } catch (err) {
@@ -295,10 +354,11 @@ router.get("/search", async (req, res) => {
 
 /**
  * POST /rag/search
- * Buscar con body (para queries largas)
+ * Buscar con body (para queries largas). Mismas reglas que GET para
+ * rerank / debug
  */
 router.post("/search", express.json(), async (req, res) => {
-  const { query, category, limit, threshold } = req.body;
+  const { query, category, limit, threshold, mode, rerank, debug } = req.body;
   
   if (!query) {
     return res.status(400).json({
@@ -308,15 +368,26 @@ router.post("/search", express.json(), async (req, res) => {
   }
   
   try {
+    const invalid = validateSearchModes(mode, rerank);
+    if (invalid) {
+      return res.status(400).json({ ok: false, error: invalid });
+    }
+    
+    const overrides = adminSearchOverrides(req, { rerank, debug: debug === true });
+    
     const result = await ragPipeline.search(query, {
       category,
       limit: limit || 5,
       threshold: threshold || 0.7,
+      mode,
+      rerank: overrides.rerank,
+      debug: overrides.debug,
     });
     
     res.json({
       ok: true,
       ...result,
+      ...(overrides.ignored.length ? { ignored: overrides.ignored } : {}),
     });
     
   } catch (err) {
@@ -369,15 +440,21 @@ router.get("/context", async (req, res) => {
 
 /**
  * GET /rag/stats
- * Estadísticas del pipeline
+ * Estadísticas del pipeline y frescura de cada fuente contra su origen
+ * Query: checkOrigins=true para revisar archivos / URLs de origen (lento:
+ * un HEAD o hash por documento)
  */
 router.get("/stats", requireAdminAuth, async (req, res) => {
   try {
     const stats = ragPipeline.getStats();
+    const sources = await ragPipeline.getSourceStatus({
+      checkOrigins: req.query.checkOrigins === "true",
+    });
     
     res.json({
       ok: true,
       ...stats,
+      sources,
     });
     
   } catch (err) {
@@ -405,7 +482,8 @@ router.get("/health", (req, res) => {
 
 /**
  * DELETE /rag/reindex/:source
- * Re-indexar documentos de una fuente
+ * Re-indexar documentos de una fuente. Sólo re-embebe chunks que cambiaron;
+ * ?force=true regenera todos (ej. cambio de modelo de embeddings)
  */
 router.delete("/reindex/:source", requireAdminAuth, async (req, res) => {
   const { source } = req.params;
@@ -418,7 +496,9 @@ router.delete("/reindex/:source", requireAdminAuth, async (req, res) => {
   }
   
   try {
-    const result = await ragPipeline.reindexSource(source);
+    const result = await ragPipeline.reindexSource(source, {
+      force: req.query.force === "true",
+    });
     res.json(result);
     
   } catch (err) {
@@ -430,6 +510,87 @@ router.delete("/reindex/:source", requireAdminAuth, async (req, res) => {
   }
 });
 
+/**
+ * GET /rag/documents
+ * Documentos ingestados con su versión actual
+ * Query: source
+ */
+router.get("/documents", requireAdminAuth, async (req, res) => {
+  try {
+    const documents = await ragPipeline.listDocuments({ sourceId: req.query.source || null });
+    
+    res.json({
+      ok: true,
+      count: documents.length,
+      documents,
+    });
+    
+  } catch (err) {
+    logger.error({ error: err.message }, "Failed to list RAG documents");
+    res.status(500).json({
+      ok: false,
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * GET /rag/documents/:id/versions
+ * Historial de versiones de un documento
+ */
+router.get("/documents/:id/versions", requireAdminAuth, async (req, res) => {
+  try {
+    const history = await ragPipeline.getDocumentHistory(req.params.id);
+    
+    if (!history) {
+      return res.status(404).json({
+        ok: false,
+        error: "Document not found",
+      });
+    }
+    
+    res.json({
+      ok: true,
+      ...history,
+    });
+    
+  } catch (err) {
+    logger.error({ error: err.message, documentId: req.params.id }, "Failed to get RAG document history");
+    res.status(500).json({
+      ok: false,
+      error: err.message,
+    });
+  }
+});
+
+/**
+ * POST /rag/documents/:id/rollback
+ * Restaurar una versión anterior
+ * Body: { version }
+ */
+router.post("/documents/:id/rollback", requireAdminAuth, express.json(), async (req, res) => {
+  const version = parseInt(req.body?.version, 10);
+  
+  if (!Number.isInteger(version) || version < 1) {
+    return res.status(400).json({
+      ok: false,
+      error: "Body field 'version' (positive integer) is required",
+    });
+  }
+  
+  try {
+    const result = await ragPipeline.rollback(req.params.id, version);
+    res.status(result.ok ? 200 : 400).json(result);
+    
+  } catch (err) {
+    logger.error({ error: err.message, documentId: req.params.id }, "RAG rollback failed");
+    res.status(500).json({
+      ok: false,
+      error: err.message,
+    });
+  }
+});
+
 /**
  * GET /rag/categories
  * Listar categorías válidas y extensiones soportadas
@@ -8,6 +8,8 @@
  * - Cache control
  * - System stats
  * - Memory management
+ * - Corporate leads (list + CSV export)
+ * - Dead Letter Queue (búsqueda, edición de payload, replay con dry-run)
  * 
  * Todos los endpoints requieren autenticación via X-Admin-Token
  * 
@@ -37,9 +39,14 @@ import {
   retryAllFromDLQ, 
   discardFromDLQ, 
   clearDLQ,
-  getDLQStats 
+  getDLQStats,
+  searchDLQJobs,
+  getDLQJob,
+  updateDLQJobPayload,
+  replayDLQJobs,
 } from "../core/dlqProcessor.js";
 import { getGovernorStats } from "../core/governor.js";
+import { listLeads, leadsToCsv } from "../services/leadService.js";
 
 const adminRouter = Router();
 
@@ -244,6 +251,148 @@ adminRouter.get("/dlq/stats", adminAuthMiddleware, async (req, res) => {
   }
 });
 
+/**
+ * GET /admin/dlq/jobs
+ * Búsqueda en la DLQ (vista admin: /dlq-admin)
+ * Query: error_class, conversation_id, from, to, min_failures, q, limit, offset
+ */
+adminRouter.get("/dlq/jobs", adminAuthMiddleware, async (req, res) => {
+  try {
+    const filters = parseDLQFilters(req.query);
+    if (filters.error) {
+      return res.status(400).json({ ok: false, error: filters.error });
+    }
+    
+    const result = await searchDLQJobs({
+      ...filters,
+      limit: Math.min(parseInt(req.query.limit || "50", 10) || 50, 200),
+      offset: parseInt(req.query.offset || "0", 10) || 0,
+    });
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to search DLQ jobs");
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+/**
+ * GET /admin/dlq/jobs/:jobId
+ * Detalle: payload completo del webhook, trace ID, stack y ediciones
+ */
+adminRouter.get("/dlq/jobs/:jobId", adminAuthMiddleware, async (req, res) => {
+  try {
+    const job = await getDLQJob(req.params.jobId);
+    
+    if (!job) {
+      return res.status(404).json({ ok: false, error: "Job not found in DLQ" });
+    }
+    
+    res.json({ ok: true, job });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to get DLQ job");
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+/**
+ * PUT /admin/dlq/jobs/:jobId/payload
+ * Editar los datos del job antes del replay
+ * Body: { originalData: {...} }
+ * El autor de la edición sale de la autenticación (req.adminAuth), no del body.
+ */
+adminRouter.put("/dlq/jobs/:jobId/payload", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { originalData } = req.body || {};
+    
+    const result = await updateDLQJobPayload(req.params.jobId, originalData, {
+      editedBy: req.adminAuth.actor,
+      ip: req.adminAuth.ip,
+    });
+    
+    if (!result.success) {
+      const status = result.error === "Job not found in DLQ" ? 404 : 400;
+      return res.status(status).json({ ok: false, ...result });
+    }
+    
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to edit DLQ job payload");
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+/**
+ * POST /admin/dlq/replay
+ * Replay masivo por IDs o por filtros
+ * Body: { jobIds?: string[], filters?: {...}, all?: boolean, dryRun?: boolean }
+ * Los filtros deben traer al menos un criterio; sin criterios (toda la DLQ)
+ * hay que pedirlo explícito con all: true.
+ * Con dryRun sólo se corre governor.evaluate: no se encola ni se envía nada.
+ */
+adminRouter.post("/dlq/replay", adminAuthMiddleware, async (req, res) => {
+  try {
+    const { jobIds, filters: rawFilters, all = false, dryRun = false } = req.body || {};
+    
+    const hasIds = Array.isArray(jobIds) && jobIds.length > 0;
+    const replayAll = all === true;
+    if (!hasIds && !rawFilters && !replayAll) {
+      return res.status(400).json({ ok: false, error: "jobIds, filters or all: true required" });
+    }
+    
+    const filters = rawFilters || replayAll ? parseDLQFilters(rawFilters || {}) : null;
+    if (filters?.error) {
+      return res.status(400).json({ ok: false, error: filters.error });
+    }
+    
+    const hasCriteria = filters && Object.values(filters).some(value => value !== null);
+    if (!hasIds && !hasCriteria && !replayAll) {
+      return res.status(400).json({ ok: false, error: "filters need at least one criterion (or all: true to replay the whole DLQ)" });
+    }
+    
+    const result = await replayDLQJobs({ jobIds: hasIds ? jobIds : null, filters, dryRun: dryRun === true });
+    
+    if (!result.success) {
+      return res.status(400).json({ ok: false, ...result });
+    }
+    
+    if (!result.dryRun) {
+      logger.warn({
+        total: result.total,
+        succeeded: result.succeeded,
+        actor: req.adminAuth.actor,
+        ip: req.adminAuth.ip,
+      }, "Bulk replay from DLQ via admin");
+    }
+    
+    res.json({ ok: true, ...result });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to replay DLQ jobs");
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+/**
+ * Filtros de búsqueda DLQ (query string o body), en snake_case o camelCase
+ */
+function parseDLQFilters(input = {}) {
+  const filters = {
+    errorClass: input.error_class || input.errorClass || null,
+    conversationId: input.conversation_id || input.conversationId || null,
+    from: input.from || null,
+    to: input.to || null,
+    minFailures: parseInt(input.min_failures || input.minFailures || "0", 10) || null,
+    q: input.q || null,
+  };
+  
+  for (const key of ["from", "to"]) {
+    if (filters[key] && isNaN(new Date(filters[key]).getTime())) {
+      return { error: `Invalid date for ${key}` };
+    }
+  }
+  
+  return filters;
+}
+
 /**
  * POST /admin/dlq/retry/:jobId
  * Reintentar un job específico de la DLQ
@@ -351,4 +500,61 @@ adminRouter.get("/governor/stats", adminAuthMiddleware, async (req, res) => {
   }
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// CORPORATE LEADS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const LEAD_STATUSES = ["new", "contacted", "won", "lost"];
+const LEAD_TIERS = ["hot", "warm", "cold"];
+const MAX_LEADS_EXPORT = 5000;
+
+function parseLeadFilters(query) {
+  const { status, tier, from, to } = query;
+  return {
+    status: LEAD_STATUSES.includes(status) ? status : null,
+    tier: LEAD_TIERS.includes(tier) ? tier : null,
+    from: from && !isNaN(Date.parse(from)) ? from : null,
+    to: to && !isNaN(Date.parse(to)) ? to : null,
+  };
+}
+
+/**
+ * GET /admin/leads
+ * Lista leads corporativos
+ * Query: ?status=new&tier=hot&from=2026-12-01&to=2027-01-01&limit=100&offset=0
+ */
+adminRouter.get("/leads", adminAuthMiddleware, async (req, res) => {
+  try {
+    const limit = Math.min(parseInt(req.query.limit || "100", 10) || 100, 500);
+    const offset = Math.max(parseInt(req.query.offset || "0", 10) || 0, 0);
+    const filters = parseLeadFilters(req.query);
+
+    const leads = await listLeads({ ...filters, limit, offset });
+    res.json({ ok: true, count: leads.length, filters, leads });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to list leads");
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
+/**
+ * GET /admin/leads/export
+ * Exporta leads a CSV (mismos filtros que /admin/leads)
+ */
+adminRouter.get("/leads/export", adminAuthMiddleware, async (req, res) => {
+  try {
+    const filters = parseLeadFilters(req.query);
+    const leads = await listLeads({ ...filters, limit: MAX_LEADS_EXPORT, offset: 0 });
+    const filename = `leads-${new Date().toISOString().slice(0, 10)}.csv`;
+
+    res.setHeader("Content-Type", "text/csv; charset=utf-8");
+    res.setHeader("Content-Disposition", `attachment; filename="${filename}"`);
+    // BOM para que Excel abra bien los acentos
+    res.send("\uFEFF" + leadsToCsv(leads));
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to export leads");
+    res.status(500).json({ ok: false, error: err?.message });
+  }
+});
+
 export default adminRouter;
@@ -26,6 +26,7 @@ import {
   getConversationByOrderId,
   getConversationByPaymentId,
   updatePaymentLinkStatus,
+  getRejectedWebhooks,
 } from "../services/payments.js";
 
 // Importar para notificar al cliente
@@ -52,16 +53,33 @@ paymentsRouter.post("/webhook/mercadopago", async (req, res) => {
   
   try {
     const signature = req.headers["x-signature"];
-    const result = await processMercadoPagoWebhook(req.body, signature);
+    const requestId = req.headers["x-request-id"];
+    
+    const result = await processMercadoPagoWebhook(req.body, signature, {
+      requestId,
+      // MercadoPago firma el data.id que envía en el query string
+      dataId: req.query["data.id"] || req.query.id,
+      remoteIp: req.ip,
+      headers: {
+        "x-signature": signature,
+        "x-request-id": requestId,
+        "user-agent": req.headers["user-agent"],
+      },
+    });
     
     if (!result.ok) {
       logger.warn({ reason: result.reason }, "MercadoPago webhook failed");
-      return res.status(400).json(result);
+      return res.status(result.rejected ? 401 : 400).json({ ok: false, reason: result.reason });
+    }
+    
+    // Notificación repetida: ya se procesó, confirmar sin volver a notificar
+    if (result.duplicate) {
+      return res.status(200).json({ ok: true, duplicate: true });
     }
     
     // Si el pago fue aprobado, notificar al cliente
     if (result.approved && result.orderId) {
-      await notifyPaymentSuccess(result.orderId, "mercadopago", result.paymentId);
+      await notifyPaymentSuccess(result.orderId, "mercadopago", result.paymentId, result.amount);
     }
     
     logger.info({
@@ -140,6 +158,21 @@ paymentsRouter.get("/config", adminAuthMiddleware, (req, res) => {
   res.json(getPaymentsConfig());
 });
 
+/**
+ * Webhooks rechazados (firma inválida, replay, sin firma)
+ * GET /payments/webhooks/rejected?provider=mercadopago&limit=50
+ */
+paymentsRouter.get("/webhooks/rejected", adminAuthMiddleware, async (req, res) => {
+  const { provider, limit } = req.query;
+  
+  const rejected = await getRejectedWebhooks({
+    provider: provider || null,
+    limit: Math.min(parseInt(limit, 10) || 50, 500),
+  });
+  
+  res.json({ ok: true, count: rejected.length, rejected });
+});
+
 /**
  * Crear link de pago manualmente
  * POST /payments/create
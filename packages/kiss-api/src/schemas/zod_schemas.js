@@ -31,13 +31,14 @@ export const ChatwootIntentSchema = z.object({
     "ORDER_CREATE",
     "ORDER_STATUS",
     "ORDER_MODIFY",
+    "LEAD",
     "CAREERS",
     "SUPPLIER_INQUIRY",
     "ALLIANCES_INQUIRY",
     "RESERVATION_LINK",
     "GENERAL_INFO",
     "OTHER"
-  ]).describe("Intención principal del mensaje. PHYSICAL_CHECK=estado tiempo real, ORDER_CREATE=nuevo pedido, SENTIMENT_CRISIS=queja urgente, GENERAL_INFO=saludos/conversación casual"),
+  ]).describe("Intención principal del mensaje. PHYSICAL_CHECK=estado tiempo real, ORDER_CREATE=nuevo pedido, LEAD=pedido corporativo/mayoreo (30+ roscas), SENTIMENT_CRISIS=queja urgente, GENERAL_INFO=saludos/conversación casual"),
 
   branch_id: z.string()
     .nullable()
@@ -187,6 +188,7 @@ export const FlowControlSchema = z.object({
     "ORDER_CREATE",
     "ORDER_STATUS", 
     "ORDER_MODIFY",
+    "LEAD",
     "GENERAL_INFO",
     "RESERVATION",
     "SUPPORT"
@@ -259,7 +261,11 @@ export const TaniaReplySchema = z.object({
   recommended_branches: z.array(z.object({
     branch_id: z.string().describe("ID de la sucursal recomendada"),
     reason: z.string().max(140).nullable().describe("Razón de la recomendación")
-  })).max(3).describe("Sucursales recomendadas basadas en la consulta (máximo 3)")
+  })).max(3).describe("Sucursales recomendadas basadas en la consulta (máximo 3)"),
+
+  cited_chunk_ids: z.array(z.string())
+    .max(8)
+    .describe("chunk_id de knowledge_base usados para la respuesta (vacío si no se usó ninguno)")
 });
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -394,7 +400,8 @@ export const ResponseValidationSchema = z.object({
       "too_many_questions",
       "missing_info",
       "missing_proactive_close",
-      "missing_alt_date_option"
+      "missing_alt_date_option",
+      "unsupported_claim"
     ]).describe("Tipo de problema"),
     description: z.string().max(200).describe("Descripción del problema"),
     severity: z.enum(["low", "medium", "high"]).describe("Severidad")
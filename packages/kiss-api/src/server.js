@@ -422,6 +422,12 @@ app.use(
   express.static(path.join(process.cwd(), "public", "staff-pwa"), { maxAge: 0 })
 );
 
+// DLQ admin (estático; los datos salen de /admin/dlq/* con X-Admin-Token)
+app.use(
+  "/dlq-admin",
+  express.static(path.join(process.cwd(), "public", "dlq-admin"), { maxAge: 0 })
+);
+
 // Init DB then start
 await initDb();
 
@@ -31,6 +31,7 @@ import {
 import { orderCreateFlow } from "../flows/orderCreateFlow.js";
 import { orderStatusFlow } from "../flows/orderStatusFlow.js";
 import { orderModifyFlow } from "../flows/orderModifyFlow.js";
+import { leadFlow, detectsCorporateLead } from "../flows/leadFlow.js";
 import { agenticFlow } from "../flows/agenticFlow.js";
 
 // ═══════════════════════════════════════════════════════════════════════════
@@ -133,9 +134,7 @@ async function handleActiveFlow(ctx, activeFlow) {
       return await orderModifyFlow.handle(ctx, activeFlow);
     
     case FLOWS.LEAD:
-      // TODO: Implementar leadFlow
-      flowStateService.clearFlow(conversationId);
-      return { message: "Gracias por tu interés. Un ejecutivo se pondrá en contacto contigo pronto." };
+      return await leadFlow.handle(ctx, activeFlow);
     
     default:
       logger.warn({ flow: activeFlow.flow, conversationId }, "Unknown flow type");
@@ -206,6 +205,15 @@ El usuario está en el flujo: ${activeFlow.flow}, paso: ${activeFlow.step}`;
           response: { message: ack },
         };
       }
+      
+      if (target_flow === FLOWS.LEAD) {
+        const newState = flowStateService.createLeadInitialState();
+        flowStateService.setFlow(conversationId, newState);
+        return {
+          handled: true,
+          response: await leadFlow.handle(ctx, newState),
+        };
+      }
     }
   } catch (error) {
     logger.warn({ err: error?.message, conversationId }, "Flow control check failed");
@@ -238,6 +246,8 @@ function getFlowSwitchAck(fromFlow, toFlow) {
       return "Claro. Te ayudo a cambiar tu pedido.";
     case FLOWS.ORDER_STATUS:
       return "Perfecto. Revisamos el estatus de tu pedido.";
+    case FLOWS.LEAD:
+      return "Claro. Lo vemos como pedido corporativo.";
     default:
       return "Entendido, cambio de tema.";
   }
@@ -278,10 +288,19 @@ async function handleNewMessage(ctx) {
   // Routing por intent
   switch (intent?.intent) {
     case "ORDER_CREATE":
+      // Oficinas / mayoreo (30+ roscas) van con el equipo comercial
+      if (detectsCorporateLead(messageText)) {
+        return await startLeadFlow(ctx);
+      }
+      return await startOrderFlow(ctx, intent);
+    
     case "ORDER_STATUS":
     case "ORDER_MODIFY":
       return await startOrderFlow(ctx, intent);
     
+    case "LEAD":
+      return await startLeadFlow(ctx);
+    
     case "CAREERS":
       return {
         message: "¡Qué gusto que te interesa trabajar con nosotros! Puedes ver las vacantes disponibles aquí: https://tagers2.buk.mx/trabaja-con-nosotros",
@@ -380,6 +399,16 @@ async function startOrderFlow(ctx, intent) {
   }
 }
 
+async function startLeadFlow(ctx) {
+  const { conversationId } = ctx;
+  
+  const initialState = flowStateService.createLeadInitialState();
+  
+  flowStateService.setFlow(conversationId, initialState);
+  
+  return await leadFlow.handle(ctx, initialState);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -396,6 +425,7 @@ Clasifica la intención del mensaje del cliente:
 - PHYSICAL_CHECK: preguntas sobre estado en tiempo real
 - ORDER_CREATE: quiere hacer un pedido de rosca
 - ORDER_STATUS: pregunta por estado de un pedido existente
+- LEAD: pedido corporativo o de mayoreo (empresas, oficinas, 30+ roscas)
 - RESERVATION_LINK: quiere reservar mesa
 - GENERAL_INFO: saludos, preguntas generales
 - CAREERS: empleo/vacantes
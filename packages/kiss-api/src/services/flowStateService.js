@@ -248,6 +248,38 @@ export const ORDER_CREATE_STEPS = {
   DONE: "DONE",
 };
 
+export const ORDER_STATUS_STEPS = {
+  INIT: "INIT",
+  ASK_ORDER_ID: "ASK_ORDER_ID",
+  ASK_IDENTITY: "ASK_IDENTITY",
+  PICK_ORDER: "PICK_ORDER",
+  DONE: "DONE",
+};
+
+export const ORDER_MODIFY_STEPS = {
+  INIT: "INIT",
+  ASK_ORDER_ID: "ASK_ORDER_ID",
+  ASK_IDENTITY: "ASK_IDENTITY",
+  PICK_ORDER: "PICK_ORDER",
+  ASK_CHANGE_TYPE: "ASK_CHANGE_TYPE",
+  ASK_NEW_DATE: "ASK_NEW_DATE",
+  ASK_NEW_BRANCH: "ASK_NEW_BRANCH",
+  ASK_ITEMS: "ASK_ITEMS",
+  CONFIRM: "CONFIRM",
+  DONE: "DONE",
+};
+
+export const LEAD_STEPS = {
+  INIT: "INIT",
+  ASK_COMPANY: "ASK_COMPANY",
+  ASK_QUANTITY: "ASK_QUANTITY",
+  ASK_DATE: "ASK_DATE",
+  ASK_BRANCH: "ASK_BRANCH",
+  ASK_CONTACT: "ASK_CONTACT",
+  CONFIRM: "CONFIRM",
+  DONE: "DONE",
+};
+
 // ═══════════════════════════════════════════════════════════════════════════
 // HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -279,6 +311,32 @@ export function createOrderCreateInitialState(options = {}) {
   };
 }
 
+/**
+ * Crea un estado inicial para LEAD (pedido corporativo / mayoreo)
+ */
+export function createLeadInitialState(options = {}) {
+  return {
+    flow: FLOWS.LEAD,
+    step: LEAD_STEPS.INIT,
+    draft: {
+      company: null,
+      quantity: null,
+      event_date: null,
+      event_date_label: null,
+      branch_id: null,
+      branch_name: null,
+      contact_name: null,
+      contact_phone: null,
+      contact_email: null,
+      ...options.draft,
+    },
+    metadata: {
+      started_at: new Date().toISOString(),
+      ...options.metadata,
+    },
+  };
+}
+
 /**
  * Estadísticas del store
  */
@@ -305,9 +363,13 @@ export const flowStateService = {
   hasActiveFlow,
   hydrateFromDb,
   createOrderCreateInitialState,
+  createLeadInitialState,
   getStats,
   FLOWS,
   ORDER_CREATE_STEPS,
+  ORDER_STATUS_STEPS,
+  ORDER_MODIFY_STEPS,
+  LEAD_STEPS,
 };
 
 export default flowStateService;
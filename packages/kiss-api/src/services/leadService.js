@@ -0,0 +1,341 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * LEAD SERVICE - Leads de pedidos corporativos / mayoreo
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Responsabilidad:
+ * - Scoring del lead (0-100 → hot / warm / cold)
+ * - Persistencia en Postgres (corporate_leads, migración 006)
+ * - Aviso al equipo comercial en Chatwoot (nota privada + assignToTeam)
+ * - Listado y export CSV para /admin/leads
+ *
+ * @version 1.0.0
+ */
+
+import { logger } from "../utils/logger.js";
+import { assignToTeam, addLabels, sendPrivateNote } from "../integrations/chatwoot_client.js";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const MIN_CORPORATE_QUANTITY = parseInt(process.env.LEADS_MIN_QUANTITY || "30", 10);
+
+const TIER_THRESHOLDS = {
+  hot: 70,
+  warm: 45,
+};
+
+const FREE_EMAIL_DOMAINS = [
+  "gmail.com", "hotmail.com", "outlook.com", "yahoo.com", "yahoo.com.mx",
+  "live.com", "live.com.mx", "icloud.com", "prodigy.net.mx", "hotmail.es",
+];
+
+const CSV_COLUMNS = [
+  "id", "created_at", "status", "tier", "score", "company", "quantity",
+  "event_date", "event_date_label", "branch_id", "contact_name",
+  "contact_phone", "contact_email", "conversation_id", "notes",
+];
+
+const CSV_FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SCORING
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Calcula el score del lead
+ *
+ * - Volumen: a más roscas, más valor
+ * - Anticipación: con tiempo se puede producir; para mañana es difícil
+ * - Calidad de contacto: email corporativo > email personal > sólo teléfono
+ *
+ * @returns {{score: number, tier: "hot"|"warm"|"cold", reasons: string[]}}
+ */
+export function scoreLead(lead, now = new Date()) {
+  let score = 0;
+  const reasons = [];
+  const add = (points, reason) => {
+    score += points;
+    reasons.push(`${points > 0 ? "+" : ""}${points} ${reason}`);
+  };
+
+  const quantity = Number(lead.quantity) || 0;
+  if (quantity >= 200) add(45, "volumen 200+");
+  else if (quantity >= 100) add(35, "volumen 100+");
+  else if (quantity >= 50) add(25, "volumen 50+");
+  else if (quantity >= MIN_CORPORATE_QUANTITY) add(15, `volumen ${MIN_CORPORATE_QUANTITY}+`);
+
+  const daysAhead = lead.event_date ? daysBetween(now, lead.event_date) : null;
+  if (daysAhead === null) {
+    // Sin fecha: seguimiento normal
+  } else if (daysAhead >= 7) {
+    add(20, "fecha con 7+ días");
+  } else if (daysAhead >= 2) {
+    add(10, "fecha en 2-6 días");
+  } else if (daysAhead >= 0) {
+    add(-5, "fecha muy próxima");
+  }
+
+  if (lead.company) add(10, "empresa identificada");
+
+  const email = String(lead.contact_email || "").toLowerCase();
+  const domain = email.split("@")[1] || "";
+  if (domain && !FREE_EMAIL_DOMAINS.includes(domain)) add(15, "email corporativo");
+  else if (email) add(5, "email");
+
+  if (lead.contact_phone) add(5, "teléfono");
+  if (lead.branch_id) add(5, "sucursal definida");
+
+  score = Math.max(0, Math.min(100, score));
+
+  const tier = score >= TIER_THRESHOLDS.hot ? "hot"
+    : score >= TIER_THRESHOLDS.warm ? "warm"
+    : "cold";
+
+  return { score, tier, reasons };
+}
+
+function daysBetween(from, isoDate) {
+  const target = new Date(`${isoDate}T12:00:00`);
+  if (isNaN(target.getTime())) return null;
+  const start = new Date(from);
+  start.setHours(12, 0, 0, 0);
+  return Math.round((target - start) / 86400000);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PERSISTENCIA
+// ═══════════════════════════════════════════════════════════════════════════
+
+// Importación lazy del pool
+let _getPool = null;
+
+async function getPool() {
+  if (!_getPool) {
+    try {
+      const module = await import("../db/repo.js");
+      _getPool = module.getPool;
+    } catch {
+      return null;
+    }
+  }
+  return _getPool?.();
+}
+
+/**
+ * Guarda un lead
+ *
+ * @returns {Promise<{saved: boolean, id?: number, error?: string}>}
+ */
+export async function saveLead(lead) {
+  const pool = await getPool();
+
+  if (!pool) {
+    logger.warn({ conversationId: lead.conversation_id }, "No database pool, lead not saved");
+    return { saved: false, error: "no_database" };
+  }
+
+  try {
+    const result = await pool.query(`
+      INSERT INTO corporate_leads (
+        conversation_id, account_id, inbox_id, source,
+        company, quantity, event_date, event_date_label, branch_id,
+        contact_name, contact_phone, contact_email, notes,
+        score, tier, score_reasons, team_id
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+      RETURNING id
+    `, [
+      lead.conversation_id ? String(lead.conversation_id) : null,
+      lead.account_id ? String(lead.account_id) : null,
+      lead.inbox_id ? String(lead.inbox_id) : null,
+      lead.source || "chatwoot",
+      lead.company || null,
+      lead.quantity || null,
+      lead.event_date || null,
+      lead.event_date_label || null,
+      lead.branch_id || null,
+      lead.contact_name || null,
+      lead.contact_phone || null,
+      lead.contact_email || null,
+      lead.notes || null,
+      lead.score ?? 0,
+      lead.tier || "cold",
+      JSON.stringify(lead.score_reasons || []),
+      lead.team_id ? String(lead.team_id) : null,
+    ]);
+
+    const id = result.rows[0]?.id;
+    logger.info({ id, conversationId: lead.conversation_id, score: lead.score, tier: lead.tier }, "Corporate lead saved");
+
+    return { saved: true, id };
+
+  } catch (error) {
+    logger.error({ err: error.message, conversationId: lead.conversation_id }, "Failed to save corporate lead");
+    return { saved: false, error: error.message };
+  }
+}
+
+/**
+ * Lista leads con filtros
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.status] - new, contacted, won, lost
+ * @param {string} [filters.tier] - hot, warm, cold
+ * @param {string} [filters.from] - fecha ISO (created_at >=)
+ * @param {string} [filters.to] - fecha ISO (created_at <)
+ */
+export async function listLeads({ status = null, tier = null, from = null, to = null, limit = 100, offset = 0 } = {}) {
+  const pool = await getPool();
+  if (!pool) return [];
+
+  try {
+    const result = await pool.query(`
+      SELECT id, conversation_id, account_id, inbox_id, source,
+             company, quantity, event_date::text AS event_date, event_date_label, branch_id,
+             contact_name, contact_phone, contact_email, notes,
+             score, tier, score_reasons, status, team_id, created_at, updated_at
+      FROM corporate_leads
+      WHERE ($1::text IS NULL OR status = $1)
+        AND ($2::text IS NULL OR tier = $2)
+        AND ($3::timestamptz IS NULL OR created_at >= $3)
+        AND ($4::timestamptz IS NULL OR created_at < $4)
+      ORDER BY created_at DESC
+      LIMIT $5 OFFSET $6
+    `, [status, tier, from, to, limit, offset]);
+
+    return result.rows;
+
+  } catch (error) {
+    if (error.code === '42P01') return [];
+    logger.error({ err: error.message }, "Failed to list corporate leads");
+    return [];
+  }
+}
+
+/**
+ * Convierte leads a CSV (RFC 4180).
+ * Nombres y notas vienen del cliente: el texto que Excel / Sheets leería
+ * como fórmula (=, +, -, @) se exporta con ' al inicio.
+ */
+export function leadsToCsv(leads) {
+  const escape = (value) => {
+    if (value === null || value === undefined) return "";
+    let str = value instanceof Date ? value.toISOString() : String(value);
+    if (typeof value === "string" && CSV_FORMULA_PREFIX.test(str)) str = `'${str}`;
+    return /[",\r\n]/.test(str) ? `"${str.replace(/"/g, '""')}"` : str;
+  };
+
+  const rows = leads.map(lead => CSV_COLUMNS.map(col => escape(lead[col])).join(","));
+  return [CSV_COLUMNS.join(","), ...rows].join("\r\n") + "\r\n";
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CHATWOOT
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Equipo de Chatwoot que atiende leads
+ * Env: CHATWOOT_LEADS_TEAM_ID, con fallback a CHATWOOT_BRANCH_TO_TEAM[branch]
+ */
+export function getLeadsTeamId(branchId = null) {
+  if (process.env.CHATWOOT_LEADS_TEAM_ID) {
+    return process.env.CHATWOOT_LEADS_TEAM_ID;
+  }
+
+  try {
+    const branchMap = JSON.parse(process.env.CHATWOOT_BRANCH_TO_TEAM || "{}");
+    return (branchId && branchMap[branchId]) || branchMap.DEFAULT || null;
+  } catch (e) {
+    logger.warn({ err: e?.message }, "Failed to parse CHATWOOT_BRANCH_TO_TEAM");
+    return null;
+  }
+}
+
+/**
+ * Nota privada para el equipo comercial
+ */
+export function formatLeadNote(lead) {
+  const tierLabel = { hot: "🔥 HOT", warm: "🌤️ WARM", cold: "❄️ COLD" }[lead.tier] || lead.tier;
+  const lines = [];
+
+  lines.push("🤖 **[Tan • IA] LEAD CORPORATIVO**");
+  lines.push("");
+  lines.push(`**Score:** ${lead.score}/100 — ${tierLabel}`);
+  lines.push("");
+
+  lines.push("**Pedido:**");
+  if (lead.company) lines.push(`  • Empresa: ${lead.company}`);
+  if (lead.quantity) lines.push(`  • Cantidad: ${lead.quantity} roscas`);
+  if (lead.event_date_label || lead.event_date) lines.push(`  • Fecha: ${lead.event_date_label || lead.event_date}`);
+  if (lead.branch_name || lead.branch_id) lines.push(`  • Sucursal: ${lead.branch_name || lead.branch_id}`);
+  lines.push("");
+
+  lines.push("**Contacto:**");
+  if (lead.contact_name) lines.push(`  • Nombre: ${lead.contact_name}`);
+  if (lead.contact_phone) lines.push(`  • Teléfono: ${lead.contact_phone}`);
+  if (lead.contact_email) lines.push(`  • Email: ${lead.contact_email}`);
+  lines.push("");
+
+  if (lead.score_reasons?.length) {
+    lines.push(`**Scoring:** ${lead.score_reasons.join(", ")}`);
+  }
+  if (lead.id) {
+    lines.push(`**Lead ID:** ${lead.id}`);
+  }
+
+  return lines.join("\n").trim();
+}
+
+/**
+ * Avisa al equipo en Chatwoot. Nunca lanza: el lead ya está guardado.
+ */
+export async function notifyLeadTeam({ accountId, conversationId, lead }) {
+  const results = { privateNoteSent: false, teamAssigned: false, teamId: null };
+
+  try {
+    const note = await sendPrivateNote({ accountId, conversationId, content: formatLeadNote(lead) });
+    results.privateNoteSent = !!note;
+  } catch (e) {
+    logger.warn({ err: e?.message, conversationId }, "Failed to send lead note");
+  }
+
+  const teamId = lead.team_id || getLeadsTeamId(lead.branch_id);
+  results.teamId = teamId;
+
+  if (teamId) {
+    try {
+      const assigned = await assignToTeam({ accountId, conversationId, teamId });
+      results.teamAssigned = !!assigned;
+    } catch (e) {
+      logger.warn({ err: e?.message, conversationId, teamId }, "Failed to assign lead to team");
+    }
+  } else {
+    logger.warn({ conversationId }, "No leads team configured (CHATWOOT_LEADS_TEAM_ID)");
+  }
+
+  try {
+    await addLabels({ accountId, conversationId, labels: ["lead-corporativo", `lead-${lead.tier}`] });
+  } catch (e) {
+    // Non-fatal
+  }
+
+  return results;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const leadService = {
+  scoreLead,
+  saveLead,
+  listLeads,
+  leadsToCsv,
+  getLeadsTeamId,
+  formatLeadNote,
+  notifyLeadTeam,
+  MIN_CORPORATE_QUANTITY,
+};
+
+export default leadService;
@@ -0,0 +1,149 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ORDER LOOKUP SERVICE - Búsqueda de pedidos + ownership
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Compartido por orderStatusFlow y orderModifyFlow.
+ *
+ * /buscar-pedido prioriza order_id sobre phone/email, así que un pedido por
+ * número sólo se considera "del cliente" si aparece en la búsqueda por su
+ * teléfono/email (filtrada en WooCommerce por billing phone/email).
+ *
+ * @version 2.1.0
+ */
+
+import { logger } from "../utils/logger.js";
+import { csBuscarPedido } from "../integrations/wp_cs_client.js";
+import { getOrderId } from "../tania/secure_flows/flow_helpers.js";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BÚSQUEDA
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Consulta /buscar-pedido. Nunca lanza: en error regresa [].
+ *
+ * Los pedidos que vienen de una búsqueda por teléfono/email se anotan con
+ * billing_phone/billing_email (WooCommerce ya filtró por ese dato), para que
+ * validateOrderModificationAccess pueda verificarlos.
+ */
+export async function fetchOrders(query) {
+  try {
+    const r = await csBuscarPedido(query);
+    if (!r || !r.success) return [];
+
+    const orders = Array.isArray(r.orders) ? r.orders : [];
+    return orders.map(o => ({
+      ...(query.phone ? { billing_phone: query.phone } : {}),
+      ...(query.email && !query.phone ? { billing_email: query.email } : {}),
+      ...o,
+    }));
+  } catch (error) {
+    logger.warn({
+      err: error?.message || String(error),
+      by: Object.keys(query).filter(k => query[k]),
+    }, "OrderLookup: csBuscarPedido failed");
+    return [];
+  }
+}
+
+/**
+ * Pedidos del contacto (por teléfono, luego por email)
+ */
+export async function fetchOrdersForContact({ phone, email }) {
+  if (phone) {
+    const orders = await fetchOrders({ phone });
+    if (orders.length > 0) return orders;
+  }
+
+  if (email) {
+    return await fetchOrders({ email });
+  }
+
+  return [];
+}
+
+/**
+ * Busca un pedido por número y valida que pertenezca a la identidad dada.
+ *
+ * @returns {Promise<{ok: boolean, order?: Object, reason?: string}>}
+ */
+export async function findOwnedOrder({ order_id, phone, email }) {
+  for (const lookup of [{ phone }, { email }]) {
+    if (!lookup.phone && !lookup.email) continue;
+
+    const orders = await fetchOrders({ ...lookup, order_id });
+    const found = orders.find(o => String(getOrderId(o)) === String(order_id));
+    if (found) return { ok: true, order: found };
+  }
+
+  // Fallback: por número, comparando billing phone/email si el plugin los expone
+  const [order] = await fetchOrders({ order_id });
+  if (!order) return { ok: false, reason: "not_found" };
+
+  if (isOwnedBy(order, { phone, email })) {
+    return { ok: true, order };
+  }
+
+  return { ok: false, reason: "not_owned" };
+}
+
+/**
+ * ¿El pedido pertenece a este teléfono/email? (mismo criterio que
+ * season-rules.validateOrderModificationAccess)
+ */
+export function isOwnedBy(order, { phone, email }) {
+  const orderPhone = normalizePhone(order?.billing_phone || order?.phone || order?.billing?.phone);
+  const orderEmail = normalizeEmail(order?.billing_email || order?.email || order?.billing?.email);
+
+  if (orderPhone && phone && orderPhone === normalizePhone(phone)) return true;
+  if (orderEmail && email && orderEmail === normalizeEmail(email)) return true;
+
+  return false;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// PARSEO DE MENSAJES
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function extractOrderNumber(text) {
+  // 4-7 dígitos: evita confundir teléfonos (10 dígitos) con números de pedido
+  const match = String(text || "").match(/#?\b(\d{4,7})\b/);
+  return match ? match[1] : null;
+}
+
+export function extractIdentity(text) {
+  const raw = String(text || "");
+  const email = raw.match(/[^\s@]+@[^\s@]+\.[^\s@]+/)?.[0] || null;
+  const digits = raw.replace(/\D/g, "");
+  const phone = digits.length >= 10 ? digits.slice(-10) : null;
+  return { phone, email: email ? normalizeEmail(email) : null };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function normalizePhone(p) {
+  if (!p) return "";
+  return String(p).replace(/\D/g, "").slice(-10);
+}
+
+function normalizeEmail(e) {
+  return String(e || "").toLowerCase().trim();
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// EXPORT
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const orderLookupService = {
+  fetchOrders,
+  fetchOrdersForContact,
+  findOwnedOrder,
+  isOwnedBy,
+  extractOrderNumber,
+  extractIdentity,
+};
+
+export default orderLookupService;
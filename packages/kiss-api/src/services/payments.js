@@ -15,6 +15,7 @@
  * @version 1.0.0
  */
 
+import crypto from "crypto";
 import { logger } from "../utils/logger.js";
 import { config } from "../config.js";
 
@@ -31,6 +32,8 @@ const paymentsConfig = {
     accessToken: process.env.MP_ACCESS_TOKEN,
     publicKey: process.env.MP_PUBLIC_KEY,
     webhookSecret: process.env.MP_WEBHOOK_SECRET,
+    // Ventana de tolerancia del ts firmado (anti-replay)
+    signatureToleranceSeconds: parseInt(process.env.MP_WEBHOOK_TOLERANCE_SECONDS || "300", 10),
     sandbox: process.env.MP_SANDBOX === "true",
   },
   
@@ -362,40 +365,185 @@ export async function getStripeSessionStatus(sessionId) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// VERIFICACIÓN DE FIRMA - MERCADOPAGO
+// ═══════════════════════════════════════════════════════════════════════════
+
 /**
- * Procesa webhook de MercadoPago
+ * Parsea el header x-signature de MercadoPago
+ * Formato: "ts=1704908010,v1=618c85345248dd820d5fd456117c2ab2..."
+ * 
+ * @param {string} header
+ * @returns {{ts: string, v1: string}|null}
+ */
+function parseMercadoPagoSignature(header) {
+  if (!header || typeof header !== "string") return null;
+  
+  const parts = {};
+  for (const part of header.split(",")) {
+    const [key, value] = part.split("=").map(p => p?.trim());
+    if (key && value) parts[key] = value;
+  }
+  
+  if (!parts.ts || !parts.v1) return null;
+  return { ts: parts.ts, v1: parts.v1 };
+}
+
+/**
+ * Verifica la firma HMAC-SHA256 de un webhook de MercadoPago
+ * 
+ * Manifest firmado: "id:{data.id};request-id:{x-request-id};ts:{ts};"
+ * Cada parte se omite si el valor no viene en la notificación.
+ * 
+ * @param {Object} params
+ * @param {string} params.signature - Header x-signature
+ * @param {string} [params.requestId] - Header x-request-id
+ * @param {string} [params.dataId] - data.id (query string o body)
+ * @param {string} params.secret - Clave secreta del webhook
+ * @param {number} [params.toleranceSeconds] - Antigüedad máxima del ts
+ * @param {number} [params.now] - Timestamp actual en ms (para pruebas)
+ * @returns {{valid: boolean, reason?: string, ts?: number}}
  */
-export async function processMercadoPagoWebhook(body, signature) {
-  // Verificar firma si está configurado
-  if (paymentsConfig.mercadopago.webhookSecret && signature) {
-    // TODO: Implementar verificación de firma HMAC
+export function verifyMercadoPagoSignature({
+  signature,
+  requestId,
+  dataId,
+  secret,
+  toleranceSeconds = paymentsConfig.mercadopago.signatureToleranceSeconds,
+  now = Date.now(),
+}) {
+  const parsed = parseMercadoPagoSignature(signature);
+  if (!parsed) {
+    return { valid: false, reason: "signature_malformed" };
+  }
+  
+  // ts puede venir en segundos o milisegundos
+  const tsNumber = Number(parsed.ts);
+  if (!Number.isFinite(tsNumber)) {
+    return { valid: false, reason: "signature_malformed" };
+  }
+  const tsMs = tsNumber < 1e12 ? tsNumber * 1000 : tsNumber;
+  
+  // Anti-replay: rechazar firmas fuera de la ventana de tolerancia
+  if (Math.abs(now - tsMs) > toleranceSeconds * 1000) {
+    return { valid: false, reason: "signature_expired", ts: tsNumber };
   }
   
-  const { type, data } = body;
+  let manifest = "";
+  if (dataId) manifest += `id:${String(dataId).toLowerCase()};`;
+  if (requestId) manifest += `request-id:${requestId};`;
+  manifest += `ts:${parsed.ts};`;
+  
+  const expected = crypto
+    .createHmac("sha256", secret)
+    .update(manifest)
+    .digest("hex");
+  
+  const expectedBuf = Buffer.from(expected, "hex");
+  const receivedBuf = Buffer.from(parsed.v1, "hex");
+  
+  if (expectedBuf.length !== receivedBuf.length ||
+      !crypto.timingSafeEqual(expectedBuf, receivedBuf)) {
+    return { valid: false, reason: "signature_mismatch", ts: tsNumber };
+  }
+  
+  return { valid: true, ts: tsNumber };
+}
+
+/**
+ * Procesa webhook de MercadoPago
+ * 
+ * @param {Object} body - Body JSON de la notificación
+ * @param {string} signature - Header x-signature
+ * @param {Object} [context] - Datos de la petición
+ * @param {string} [context.requestId] - Header x-request-id
+ * @param {string} [context.dataId] - Query param data.id
+ * @param {string} [context.remoteIp] - IP de origen
+ * @param {Object} [context.headers] - Headers relevantes para auditoría
+ */
+export async function processMercadoPagoWebhook(body, signature, context = {}) {
+  const { requestId = null, remoteIp = null, headers = {} } = context;
+  const dataId = context.dataId || body?.data?.id || null;
+  const eventType = body?.type || body?.topic || null;
+  
+  const eventInfo = {
+    provider: "mercadopago",
+    requestId,
+    dataId: dataId ? String(dataId) : null,
+    eventType,
+    action: body?.action || null,
+    remoteIp,
+    headers,
+    payload: body,
+  };
   
-  if (type === "payment") {
-    const paymentId = data?.id;
-    if (!paymentId) return { ok: false, reason: "no_payment_id" };
+  // Verificar firma - fail-closed si hay secret configurado
+  let signatureTs = null;
+  if (paymentsConfig.mercadopago.webhookSecret) {
+    if (!signature) {
+      await recordWebhookRejection({ ...eventInfo, reason: "signature_required" });
+      return { ok: false, rejected: true, reason: "signature_required" };
+    }
     
-    const status = await getMercadoPagoPaymentStatus(paymentId);
-    if (!status) return { ok: false, reason: "payment_not_found" };
+    const verification = verifyMercadoPagoSignature({
+      signature,
+      requestId,
+      dataId,
+      secret: paymentsConfig.mercadopago.webhookSecret,
+    });
     
-    logger.info({
-      paymentId,
-      status: status.status,
-      orderId: status.externalReference,
-    }, "MercadoPago webhook processed");
+    if (!verification.valid) {
+      await recordWebhookRejection({ ...eventInfo, reason: verification.reason, signatureTs: verification.ts });
+      return { ok: false, rejected: true, reason: verification.reason };
+    }
     
-    return {
-      ok: true,
-      paymentId,
-      orderId: status.externalReference,
-      status: status.status,
-      approved: status.status === "approved",
-    };
+    signatureTs = verification.ts;
+  } else {
+    // ADVERTENCIA: Esto es inseguro en producción
+    logger.warn("MercadoPago webhook: No MP_WEBHOOK_SECRET configured - signature NOT verified");
+  }
+  
+  if (eventType !== "payment") {
+    return { ok: true, type: eventType, ignored: true };
+  }
+  
+  const paymentId = dataId;
+  if (!paymentId) return { ok: false, reason: "no_payment_id" };
+  
+  // Idempotencia sólo con campos firmados (manifest: data.id, x-request-id, ts).
+  // body.id no va en la firma: un webhook capturado se podría reenviar con otro id
+  const idempotencyKey = requestId
+    ? `request:${requestId}`
+    : `payment:${paymentId}:${signatureTs ?? eventInfo.action ?? ""}`;
+  const claim = await claimWebhookEvent({ ...eventInfo, idempotencyKey, signatureTs });
+  
+  if (claim.duplicate) {
+    logger.info({ paymentId, idempotencyKey }, "MercadoPago webhook duplicate ignored");
+    return { ok: true, duplicate: true, paymentId };
   }
   
-  return { ok: true, type, ignored: true };
+  const status = await getMercadoPagoPaymentStatus(paymentId);
+  if (!status) {
+    await finishWebhookEvent(claim.id, "failed", "payment_not_found");
+    return { ok: false, reason: "payment_not_found" };
+  }
+  
+  await finishWebhookEvent(claim.id, "processed");
+  
+  logger.info({
+    paymentId,
+    status: status.status,
+    orderId: status.externalReference,
+  }, "MercadoPago webhook processed");
+  
+  return {
+    ok: true,
+    paymentId,
+    orderId: status.externalReference,
+    status: status.status,
+    amount: status.amount,
+    approved: status.status === "approved",
+  };
 }
 
 /**
@@ -503,6 +651,7 @@ export function getPaymentsConfig() {
       enabled: paymentsConfig.mercadopago.enabled,
       sandbox: paymentsConfig.mercadopago.sandbox,
       configured: !!paymentsConfig.mercadopago.accessToken,
+      webhookSignatureVerified: !!paymentsConfig.mercadopago.webhookSecret,
     },
     stripe: {
       enabled: paymentsConfig.stripe.enabled,
@@ -754,6 +903,165 @@ export async function updatePaymentLinkStatus(orderId, status, extra = {}) {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// WEBHOOK EVENTS (idempotencia + auditoría de rechazos)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Registra un webhook rechazado (firma inválida, replay, etc.)
+ */
+async function recordWebhookRejection({
+  provider,
+  requestId,
+  dataId,
+  eventType,
+  action,
+  remoteIp,
+  headers = {},
+  payload = {},
+  reason,
+  signatureTs = null,
+}) {
+  logger.warn({ provider, reason, requestId, dataId, remoteIp }, "Payment webhook rejected");
+  
+  const pool = await getPool();
+  if (!pool) return;
+  
+  try {
+    await pool.query(`
+      INSERT INTO payment_webhook_events
+        (provider, request_id, data_id, event_type, action, status, reason,
+         signature_ts, remote_ip, headers, payload)
+      VALUES ($1, $2, $3, $4, $5, 'rejected', $6, $7, $8, $9, $10)
+    `, [
+      provider,
+      requestId,
+      dataId,
+      eventType,
+      action,
+      reason,
+      signatureTs,
+      remoteIp,
+      JSON.stringify(headers),
+      JSON.stringify(payload || {}),
+    ]);
+  } catch (error) {
+    if (error.code === '42P01') {
+      logger.warn("payment_webhook_events table not found - run migration 005");
+      return;
+    }
+    logger.error({ err: error.message, provider }, "Failed to record webhook rejection");
+  }
+}
+
+/**
+ * Reclama una notificación para procesarla (una sola vez por idempotency_key)
+ * 
+ * @returns {Promise<{id: number|null, duplicate: boolean}>}
+ */
+async function claimWebhookEvent({
+  provider,
+  idempotencyKey,
+  requestId,
+  dataId,
+  eventType,
+  action,
+  remoteIp,
+  headers = {},
+  payload = {},
+  signatureTs = null,
+}) {
+  const pool = await getPool();
+  if (!pool) return { id: null, duplicate: false };
+  
+  try {
+    const result = await pool.query(`
+      INSERT INTO payment_webhook_events
+        (provider, idempotency_key, request_id, data_id, event_type, action, status,
+         signature_ts, remote_ip, headers, payload)
+      VALUES ($1, $2, $3, $4, $5, $6, 'processing', $7, $8, $9, $10)
+      ON CONFLICT (provider, idempotency_key)
+        WHERE status IN ('processing', 'processed') AND idempotency_key IS NOT NULL
+        DO NOTHING
+      RETURNING id
+    `, [
+      provider,
+      idempotencyKey,
+      requestId,
+      dataId,
+      eventType,
+      action,
+      signatureTs,
+      remoteIp,
+      JSON.stringify(headers),
+      JSON.stringify(payload || {}),
+    ]);
+    
+    if (result.rows.length === 0) {
+      return { id: null, duplicate: true };
+    }
+    
+    return { id: result.rows[0].id, duplicate: false };
+    
+  } catch (error) {
+    if (error.code === '42P01') {
+      logger.warn("payment_webhook_events table not found - run migration 005");
+    } else {
+      logger.error({ err: error.message, provider }, "Failed to claim webhook event");
+    }
+    // Sin registro no podemos deduplicar; procesar de todos modos
+    return { id: null, duplicate: false };
+  }
+}
+
+/**
+ * Marca el resultado de una notificación reclamada
+ * 'failed' libera la idempotency_key para que el reintento del proveedor se procese
+ */
+async function finishWebhookEvent(id, status, reason = null) {
+  if (!id) return;
+  
+  const pool = await getPool();
+  if (!pool) return;
+  
+  try {
+    await pool.query(`
+      UPDATE payment_webhook_events
+      SET status = $2, reason = $3, updated_at = NOW()
+      WHERE id = $1
+    `, [id, status, reason]);
+  } catch (error) {
+    logger.error({ err: error.message, id }, "Failed to update webhook event");
+  }
+}
+
+/**
+ * Lista webhooks rechazados (auditoría)
+ */
+export async function getRejectedWebhooks({ provider = null, limit = 50 } = {}) {
+  const pool = await getPool();
+  if (!pool) return [];
+  
+  try {
+    const result = await pool.query(`
+      SELECT id, provider, request_id, data_id, event_type, action, reason,
+             signature_ts, remote_ip, created_at
+      FROM payment_webhook_events
+      WHERE status = 'rejected'
+        AND ($1::text IS NULL OR provider = $1)
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [provider, limit]);
+    
+    return result.rows;
+    
+  } catch (error) {
+    if (error.code === '42P01') return [];
+    logger.error({ err: error.message }, "Failed to get rejected webhooks");
+    return [];
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // EXPORTS
 // ═══════════════════════════════════════════════════════════════════════════
@@ -763,6 +1071,7 @@ export const paymentsService = {
   getMercadoPagoPaymentStatus,
   getStripeSessionStatus,
   processMercadoPagoWebhook,
+  verifyMercadoPagoSignature,
   processStripeWebhook,
   generatePaymentMessage,
   isEnabled: isPaymentsEnabled,
@@ -772,6 +1081,7 @@ export const paymentsService = {
   getConversationByOrderId,
   getConversationByPaymentId,
   updatePaymentLinkStatus,
+  getRejectedWebhooks,
 };
 
 export default paymentsService;
@@ -17,7 +17,14 @@
  *   pueden serializar en Redis. Ahora construimos sendMessage internamente
  *   usando accountId + conversationId que SÍ se serializan.
  * 
- * @version 1.2.0 - BullMQ retry fix
+ * CAMBIOS v1.3:
+ * - RAG: el retriever agrega chunks de documentos ingestados (agentHelper)
+ *   y sus IDs se pasan a generateTaniaReply para que la respuesta los cite
+ * - Grounding: validateResponse verifica precios, horarios y alérgenos
+ *   contra la evidencia recuperada (rag/groundingCheck.js)
+ * - Las fuentes y afirmaciones sin soporte se envían como nota privada
+ * 
+ * @version 1.3.0 - RAG citations + grounding
  */
 
 import { createStructuredJSON, generateTaniaReply } from "../openai_client_tania.js";
@@ -30,13 +37,25 @@ import path from "path";
 // ═══════════════════════════════════════════════════════════════════════════
 // FIX: Import sendChatwootMessage para fallback cuando callback se pierde
 // ═══════════════════════════════════════════════════════════════════════════
-import { sendChatwootMessage } from "../integrations/chatwoot_client.js";
+import { sendChatwootMessage, sendPrivateNote } from "../integrations/chatwoot_client.js";
 
 // ═══════════════════════════════════════════════════════════════════════════
 // PGVECTOR SEMANTIC SEARCH - Búsqueda semántica real
 // ═══════════════════════════════════════════════════════════════════════════
 import { vectorStore, searchSimilar } from "../vector/vectorStore.js";
 
+// ═══════════════════════════════════════════════════════════════════════════
+// RAG - Documentos ingestados, citas y grounding
+// ═══════════════════════════════════════════════════════════════════════════
+import { enrichPromptWithRAG } from "../rag/agentHelper.js";
+import {
+  checkGrounding,
+  groundingIssues,
+  groundingRevisionInstructions,
+  formatSourcesNote,
+  getGroundingConfig,
+} from "../rag/groundingCheck.js";
+
 // ═══════════════════════════════════════════════════════════════════════════
 // LANGSMITH TRACING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -210,6 +229,7 @@ export async function retrieveRelevantData({ conversationId, messageText, analys
     product_info: null,
     promo_info: null,
     semantic_matches: [],
+    rag_chunks: [],
   };
 
   try {
@@ -238,6 +258,12 @@ export async function retrieveRelevantData({ conversationId, messageText, analys
       }
     }
     
+    // RAG: chunks de documentos ingestados (menú, políticas, FAQ) citables por ID
+    const ragContext = await enrichPromptWithRAG(messageText);
+    if (ragContext.hasContext) {
+      retrieved.rag_chunks = ragContext.chunks || [];
+    }
+    
     // Add branch info if needed
     if (analysis?.data_needs?.includes("branches") || /sucursal|ubicaci[oó]n|direcci[oó]n/i.test(messageText)) {
       retrieved.branch_info = hubConfig?.branches || externalData?.branches || [];
@@ -262,6 +288,7 @@ export async function retrieveRelevantData({ conversationId, messageText, analys
     cannedCount: retrieved.canned_responses.length,
     faqCount: retrieved.faq_matches.length,
     semanticCount: retrieved.semantic_matches.length,
+    ragChunkCount: retrieved.rag_chunks.length,
   }, "Data retrieved");
   
   return retrieved;
@@ -271,7 +298,58 @@ export async function retrieveRelevantData({ conversationId, messageText, analys
 // STEP 4: VALIDATOR
 // ═══════════════════════════════════════════════════════════════════════════
 
-export async function validateResponse({ conversationId, customerMessage, analysis, proposedResponse }) {
+export async function validateResponse({
+  conversationId,
+  customerMessage,
+  analysis,
+  proposedResponse,
+  retrievedData = null,
+  citedChunkIds = [],
+}) {
+  // Grounding determinístico: corre aunque se salte el validador LLM.
+  // Sin retrievedData no hay evidencia contra la cual comparar.
+  const grounding = retrievedData
+    ? checkGrounding({
+        response: proposedResponse,
+        chunks: retrievedData.rag_chunks || [],
+        citedChunkIds,
+        retrievedData,
+      })
+    : null;
+  
+  if (grounding && !grounding.supported) {
+    logger.warn({
+      conversationId,
+      unsupported: grounding.unsupported.map(c => `${c.type}:${c.value}`),
+    }, "Grounding: unsupported claims in response");
+  }
+  
+  const validation = await runLLMValidation({ conversationId, customerMessage, analysis, proposedResponse });
+  return applyGrounding(validation, grounding);
+}
+
+/**
+ * Agrega issues de grounding al resultado del validador.
+ * En modo "revise" una respuesta aprobada con afirmaciones sin soporte
+ * pasa a needs_revision.
+ */
+function applyGrounding(validation, grounding) {
+  const issues = groundingIssues(grounding);
+  const result = {
+    ...validation,
+    issues_found: [...(validation.issues_found || []), ...issues],
+    grounding,
+  };
+  
+  if (issues.length && getGroundingConfig().mode === "revise" && result.verdict === "approve") {
+    result.verdict = "needs_revision";
+    result.revision_instructions = groundingRevisionInstructions(grounding);
+  }
+  
+  return result;
+}
+
+async function runLLMValidation({ conversationId, customerMessage, analysis, proposedResponse }) {
   // ═══════════════════════════════════════════════════════════════════════
   // QUICK WIN: Skip validator (ahorra 1 llamada AI por mensaje)
   // ═══════════════════════════════════════════════════════════════════════
@@ -384,6 +462,7 @@ Responde de forma concisa y útil.`;
     const result = await generateTaniaReply({
       instructions: fullPrompt,
       inputObject: input,
+      ragChunks: retrievedData?.rag_chunks || [],
       metadata: { task: "tania_reply", conversationId },
     });
     
@@ -396,6 +475,7 @@ Responde de forma concisa y útil.`;
       confidence: 0.3,
       used_promo: false,
       recommended_branches: [],
+      cited_chunk_ids: [],
     };
   }
 }
@@ -457,6 +537,7 @@ async function _runAgenticFlowInternal({
   
   // STEP 3 & 4: Generate and Validate (with revision loop)
   let response = null;
+  let validation = null;
   let revisionCount = 0;
   
   while (revisionCount <= MAX_REVISIONS) {
@@ -477,11 +558,13 @@ async function _runAgenticFlowInternal({
     
     // STEP 4: Validate
     logger.info({ conversationId }, "Agentic flow: Validating response");
-    const validation = await validateResponse({
+    validation = await validateResponse({
       conversationId,
       customerMessage: messageText,
       analysis,
       proposedResponse: response.customer_message,
+      retrievedData,
+      citedChunkIds: response.cited_chunk_ids || [],
     });
     
     logger.info({
@@ -489,6 +572,7 @@ async function _runAgenticFlowInternal({
       verdict: validation.verdict,
       confidence: validation.confidence,
       issuesCount: validation.issues_found?.length || 0,
+      grounded: validation.grounding?.supported,
     }, "Response validated");
     
     if (validation.verdict === "approve") {
@@ -566,6 +650,14 @@ async function _runAgenticFlowInternal({
         // NO re-lanzar - el mensaje se generó correctamente,
         // solo falló el envío. Evita retry infinito de BullMQ.
       }
+      
+      await sendSourcesNote({
+        accountId,
+        conversationId,
+        chunks: retrievedData?.rag_chunks || [],
+        citedChunkIds: response.cited_chunk_ids || [],
+        grounding: validation?.grounding,
+      });
     } else {
       // Solo pasa si no hay accountId
       logger.warn({ 
@@ -581,9 +673,32 @@ async function _runAgenticFlowInternal({
     analysis,
     retrievedData,
     wasRevised: revisionCount > 0,
+    sources: {
+      citedChunkIds: response?.cited_chunk_ids || [],
+      retrievedChunkIds: (retrievedData?.rag_chunks || []).map(c => c.id),
+    },
+    grounding: validation?.grounding || null,
   };
 }
 
+/**
+ * Nota privada en Chatwoot con fuentes citadas y afirmaciones sin soporte
+ * para que los agentes puedan auditar la respuesta. RAG_SOURCES_NOTE=false
+ * la desactiva.
+ */
+async function sendSourcesNote({ accountId, conversationId, chunks, citedChunkIds, grounding }) {
+  if (process.env.RAG_SOURCES_NOTE === "false" || !conversationId) return;
+  
+  const content = formatSourcesNote({ chunks, citedChunkIds, grounding });
+  if (!content) return;
+  
+  try {
+    await sendPrivateNote({ accountId, conversationId, content });
+  } catch (err) {
+    logger.warn({ err: err.message, conversationId }, "Agentic flow: Failed to send sources note");
+  }
+}
+
 /**
  * EXPORTED: runAgenticFlow con LangSmith tracing
  */
@@ -77,7 +77,7 @@ function getClient() {
 const embeddingCache = new Map();
 
 // Limpieza periódica del cache
-setInterval(() => {
+const cacheCleanup = setInterval(() => {
   const now = Date.now();
   let cleaned = 0;
   
@@ -92,6 +92,7 @@ setInterval(() => {
     logger.debug({ cleaned, remaining: embeddingCache.size }, "Cleaned embedding cache");
   }
 }, 5 * 60 * 1000); // cada 5 minutos
+cacheCleanup.unref?.();
 
 /**
  * Genera hash para cache key
@@ -46,6 +46,13 @@ const vectorConfig = {
     response: parseInt(process.env.VECTOR_TTL_RESPONSE_MS || String(2 * 60 * 60 * 1000), 10), // 2 horas
   },
   
+  // Configuración de Postgres full-text para la búsqueda por keywords
+  textSearchConfig: process.env.VECTOR_TEXT_SEARCH_CONFIG || "spanish",
+  
+  // ts_rank_cd mínimo (normalizado por longitud) para aceptar un hit por
+  // keywords; filtra documentos que sólo comparten un término suelto
+  keywordMinRank: parseFloat(process.env.VECTOR_KEYWORD_MIN_RANK || "0.01"),
+  
   // Índices HNSW para búsquedas rápidas
   hnsw: {
     m: parseInt(process.env.HNSW_M || "16", 10),
@@ -143,6 +150,22 @@ export async function initVectorStore() {
       ON vector_embeddings (source);
     `);
     
+    // Full-text (config spanish) para búsqueda híbrida: nombres exactos,
+    // SKUs y códigos de sucursal que el embedding no distingue
+    await p.query(`
+      ALTER TABLE vector_embeddings
+      ADD COLUMN IF NOT EXISTS content_tsv tsvector
+      GENERATED ALWAYS AS (
+        to_tsvector('${vectorConfig.textSearchConfig}',
+          coalesce(metadata->>'documentTitle', '') || ' ' || content_text)
+      ) STORED;
+    `);
+    
+    await p.query(`
+      CREATE INDEX IF NOT EXISTS idx_vector_embeddings_tsv 
+      ON vector_embeddings USING gin (content_tsv);
+    `);
+    
     await p.query(`
       CREATE INDEX IF NOT EXISTS idx_vector_embeddings_expires 
       ON vector_embeddings (expires_at) 
@@ -208,8 +231,10 @@ import crypto from "crypto";
 
 /**
  * Genera hash de contenido para deduplicación
+ * (es el content_hash de vector_embeddings; el pipeline RAG lo usa para
+ * saber qué chunks ya tienen embedding)
  */
-function hashContent(text) {
+export function hashContent(text) {
   return crypto
     .createHash("sha256")
     .update(normalizeForHash(text))
@@ -268,11 +293,7 @@ export async function upsertEmbedding({
   if (!p || !text) return null;
   
   try {
-    const contentHash = crypto
-      .createHash("sha256")
-      .update(normalizeForHash(text))
-      .digest("hex")
-      .substring(0, 16);
+    const contentHash = hashContent(text);
     
     // Generar embedding
     const embedding = await getEmbedding(text);
@@ -324,8 +345,13 @@ export async function upsertEmbedding({
 
 /**
  * Inserta múltiples documentos en batch (más eficiente)
+ * 
+ * @param {Array} documents - { text, category, source, metadata, ttlMs }
+ * @param {Object} [options]
+ * @param {boolean} [options.shared=false] - El mismo texto puede estar en
+ *   varios documentos (ver SHARED_CLAIM)
  */
-export async function upsertEmbeddingBatch(documents) {
+export async function upsertEmbeddingBatch(documents, { shared = false } = {}) {
   if (!pgvectorReady || !documents?.length) return { inserted: 0 };
   
   const p = ensurePool();
@@ -350,27 +376,13 @@ export async function upsertEmbeddingBatch(documents) {
       
       if (!embedding) continue;
       
-      const contentHash = crypto
-        .createHash("sha256")
-        .update(normalizeForHash(doc.text))
-        .digest("hex")
-        .substring(0, 16);
+      const contentHash = hashContent(doc.text);
       
       const ttl = doc.ttlMs || vectorConfig.ttl[doc.category] || vectorConfig.ttl.knowledge;
       const expiresAt = new Date(Date.now() + ttl).toISOString();
       
       try {
-        await p.query(`
-          INSERT INTO vector_embeddings 
-            (content_hash, category, source, content_text, metadata, embedding, expires_at, updated_at)
-          VALUES ($1, $2, $3, $4, $5, $6::vector, $7, NOW())
-          ON CONFLICT (content_hash) DO UPDATE SET
-            content_text = EXCLUDED.content_text,
-            metadata = EXCLUDED.metadata,
-            embedding = EXCLUDED.embedding,
-            expires_at = EXCLUDED.expires_at,
-            updated_at = NOW()
-        `, [
+        await p.query(shared ? UPSERT_SHARED_SQL : UPSERT_SQL, [
           contentHash,
           doc.category || "knowledge",
           doc.source || "batch",
@@ -395,6 +407,167 @@ export async function upsertEmbeddingBatch(documents) {
   }
 }
 
+const UPSERT_SQL = `
+  INSERT INTO vector_embeddings 
+    (content_hash, category, source, content_text, metadata, embedding, expires_at, updated_at)
+  VALUES ($1, $2, $3, $4, $5, $6::vector, $7, NOW())
+  ON CONFLICT (content_hash) DO UPDATE SET
+    content_text = EXCLUDED.content_text,
+    metadata = EXCLUDED.metadata,
+    embedding = EXCLUDED.embedding,
+    expires_at = EXCLUDED.expires_at,
+    updated_at = NOW()
+`;
+
+/**
+ * content_hash es único, así que un chunk idéntico en dos documentos es una
+ * sola fila, atribuida (source + metadata.documentKey) a uno de ellos. Con
+ * shared sólo se re-atribuye si la fila ya es de ese documento o expiró; si
+ * es de otro, sólo se actualiza el vector y se extiende el TTL.
+ */
+const SHARED_CLAIM = `(
+  vector_embeddings.expires_at <= NOW()
+  OR (vector_embeddings.source = EXCLUDED.source
+    AND vector_embeddings.metadata->>'documentKey' IS NOT DISTINCT FROM EXCLUDED.metadata->>'documentKey')
+)`;
+
+const UPSERT_SHARED_SQL = `
+  INSERT INTO vector_embeddings 
+    (content_hash, category, source, content_text, metadata, embedding, expires_at, updated_at)
+  VALUES ($1, $2, $3, $4, $5, $6::vector, $7, NOW())
+  ON CONFLICT (content_hash) DO UPDATE SET
+    category = CASE WHEN ${SHARED_CLAIM} THEN EXCLUDED.category ELSE vector_embeddings.category END,
+    source = CASE WHEN ${SHARED_CLAIM} THEN EXCLUDED.source ELSE vector_embeddings.source END,
+    content_text = CASE WHEN ${SHARED_CLAIM} THEN EXCLUDED.content_text ELSE vector_embeddings.content_text END,
+    metadata = CASE WHEN ${SHARED_CLAIM} THEN EXCLUDED.metadata ELSE vector_embeddings.metadata END,
+    embedding = EXCLUDED.embedding,
+    expires_at = CASE
+      WHEN ${SHARED_CLAIM} THEN EXCLUDED.expires_at
+      WHEN vector_embeddings.expires_at IS NULL THEN NULL
+      ELSE GREATEST(vector_embeddings.expires_at, EXCLUDED.expires_at)
+    END,
+    updated_at = NOW()
+`;
+
+/**
+ * De una lista de hashes, devuelve los que ya tienen embedding vigente
+ * 
+ * @param {string[]} hashes - content_hash (ver hashContent)
+ * @returns {Promise<Set<string>>}
+ */
+export async function findExistingHashes(hashes) {
+  if (!pgvectorReady || !hashes?.length) return new Set();
+  
+  const p = ensurePool();
+  if (!p) return new Set();
+  
+  try {
+    const result = await p.query(`
+      SELECT content_hash
+      FROM vector_embeddings
+      WHERE content_hash = ANY($1)
+        AND embedding IS NOT NULL
+        AND (expires_at IS NULL OR expires_at > NOW())
+    `, [hashes]);
+    
+    return new Set(result.rows.map(r => r.content_hash));
+    
+  } catch (error) {
+    logger.error({ error: error.message }, "Failed to look up existing embeddings");
+    return new Set();
+  }
+}
+
+/**
+ * Actualiza metadata, source y expiración de embeddings que ya existen,
+ * sin regenerar el vector (mismo formato de documentos que upsertEmbeddingBatch)
+ * 
+ * @param {Array} documents
+ * @param {Object} [options]
+ * @param {boolean} [options.shared=false] - Filas de otro documento sólo
+ *   extienden su TTL (ver SHARED_CLAIM)
+ * @param {{source: string, documentKey: string}} [options.takeOverFrom] -
+ *   Documento que suelta las filas: las suyas también se re-atribuyen
+ */
+export async function refreshEmbeddingBatch(documents, { shared = false, takeOverFrom = null } = {}) {
+  if (!pgvectorReady || !documents?.length) return { refreshed: 0 };
+  
+  const p = ensurePool();
+  if (!p) return { refreshed: 0 };
+  
+  const rows = documents.map(doc => {
+    const ttl = doc.ttlMs || vectorConfig.ttl[doc.category] || vectorConfig.ttl.knowledge;
+    return {
+      content_hash: hashContent(doc.text),
+      category: doc.category || "knowledge",
+      source: doc.source || "batch",
+      metadata: doc.metadata || {},
+      expires_at: new Date(Date.now() + ttl).toISOString(),
+    };
+  });
+  
+  // Sin shared toda fila se re-atribuye (comportamiento de siempre)
+  const claim = !shared ? "TRUE" : `(
+    (v.source = d.source AND v.metadata->>'documentKey' IS NOT DISTINCT FROM d.metadata->>'documentKey')
+    OR (v.source = $2 AND v.metadata->>'documentKey' IS NOT DISTINCT FROM $3)
+  )`;
+  
+  try {
+    const result = await p.query(`
+      UPDATE vector_embeddings v SET
+        category = CASE WHEN ${claim} THEN d.category ELSE v.category END,
+        source = CASE WHEN ${claim} THEN d.source ELSE v.source END,
+        metadata = CASE WHEN ${claim} THEN d.metadata ELSE v.metadata END,
+        expires_at = CASE
+          WHEN ${claim} THEN d.expires_at
+          WHEN v.expires_at IS NULL THEN NULL
+          ELSE GREATEST(v.expires_at, d.expires_at)
+        END,
+        updated_at = NOW()
+      FROM jsonb_to_recordset($1::jsonb) AS d(
+        content_hash TEXT, category TEXT, source TEXT, metadata JSONB, expires_at TIMESTAMPTZ
+      )
+      WHERE v.content_hash = d.content_hash
+    `, shared
+      ? [JSON.stringify(rows), takeOverFrom?.source ?? null, takeOverFrom?.documentKey ?? null]
+      : [JSON.stringify(rows)]);
+    
+    logger.debug({ total: documents.length, refreshed: result.rowCount }, "Refreshed existing embeddings");
+    return { refreshed: result.rowCount };
+    
+  } catch (error) {
+    logger.error({ error: error.message }, "Embedding refresh failed");
+    return { refreshed: 0, error: error.message };
+  }
+}
+
+/**
+ * Borra embeddings por hash, sólo los atribuidos a la fuente (y documento)
+ * indicados. Quien llama debe excluir los hashes que otro documento sigue
+ * usando (ver releaseHashes en el pipeline RAG)
+ */
+export async function deleteByHashes(hashes, { source, documentKey = null } = {}) {
+  if (!pgvectorReady || !hashes?.length) return { deleted: 0 };
+  
+  const p = ensurePool();
+  if (!p) return { deleted: 0 };
+  
+  try {
+    const result = await p.query(`
+      DELETE FROM vector_embeddings
+      WHERE content_hash = ANY($1)
+        AND source = $2
+        AND ($3::text IS NULL OR metadata->>'documentKey' = $3)
+    `, [hashes, source, documentKey]);
+    
+    return { deleted: result.rowCount };
+    
+  } catch (error) {
+    logger.error({ error: error.message, source }, "Delete by hash failed");
+    return { deleted: 0, error: error.message };
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // BÚSQUEDA SEMÁNTICA
 // ═══════════════════════════════════════════════════════════════════════════
@@ -507,6 +680,130 @@ export async function searchSimilar(query, options = {}) {
   }
 }
 
+/**
+ * Búsqueda por keywords (Postgres full-text)
+ * 
+ * Primero se exigen todos los términos (AND; las stopwords como "tienen" o
+ * "de" las descarta to_tsquery): "¿tienen rosca de nutella?" encuentra
+ * "Rosca Nutella". Si nada los contiene todos se reintenta con OR. En ambos
+ * casos se descartan los hits con ts_rank_cd < keywordMinRank, así una
+ * pregunta sin relación con la base no regresa documentos que sólo
+ * comparten una palabra.
+ * 
+ * @param {string} query - Texto de búsqueda
+ * @param {Object} options
+ * @param {string} options.category - Filtrar por categoría (opcional)
+ * @param {string} options.source - Filtrar por source (opcional)
+ * @param {number} options.limit - Número máximo de resultados
+ * @returns {Array} Resultados ordenados por rank
+ */
+export async function searchKeyword(query, options = {}) {
+  if (!pgvectorReady) {
+    return [];
+  }
+  
+  const p = ensurePool();
+  const allTerms = buildTsQuery(query, "&");
+  if (!p || !allTerms) return [];
+  
+  const {
+    category = null,
+    source = null,
+    limit = vectorConfig.maxResults,
+    minRank = vectorConfig.keywordMinRank,
+  } = options;
+  
+  try {
+    const strict = await runKeywordQuery(p, allTerms, { category, source, limit, minRank });
+    const anyTerm = buildTsQuery(query, "|");
+    const strictOnly = strict.length > 0 || anyTerm === allTerms;
+    const rows = strictOnly
+      ? strict
+      : await runKeywordQuery(p, anyTerm, { category, source, limit, minRank });
+    
+    logger.debug({
+      query: query.substring(0, 40),
+      tsQuery: strictOnly ? allTerms : anyTerm,
+      results: rows.length,
+      topRank: rows[0]?.rank,
+    }, "Keyword search completed");
+    
+    return rows.map(row => ({
+      id: row.id,
+      hash: row.content_hash,
+      category: row.category,
+      source: row.source,
+      text: row.content_text,
+      metadata: row.metadata,
+      rank: parseFloat(row.rank),
+      hitCount: row.hit_count,
+    }));
+    
+  } catch (error) {
+    logger.error({ error: error.message, query: query?.substring(0, 50) }, "Keyword search failed");
+    return [];
+  }
+}
+
+/**
+ * Ejecuta un tsquery ya construido con filtros y rank mínimo
+ */
+async function runKeywordQuery(p, tsQuery, { category, source, limit, minRank }) {
+  let sql = `
+    SELECT * FROM (
+      SELECT 
+        id,
+        content_hash,
+        category,
+        source,
+        content_text,
+        metadata,
+        ts_rank_cd(content_tsv, q, 1) AS rank,
+        hit_count
+      FROM vector_embeddings, to_tsquery('${vectorConfig.textSearchConfig}', $1) q
+      WHERE 
+        (expires_at IS NULL OR expires_at > NOW())
+        AND content_tsv @@ q
+  `;
+  
+  const params = [tsQuery, minRank];
+  let paramIndex = 3;
+  
+  if (category) {
+    sql += ` AND category = $${paramIndex}`;
+    params.push(category);
+    paramIndex++;
+  }
+  
+  if (source) {
+    sql += ` AND source = $${paramIndex}`;
+    params.push(source);
+    paramIndex++;
+  }
+  
+  sql += `
+    ) hits
+    WHERE rank >= $2
+    ORDER BY rank DESC
+    LIMIT $${paramIndex}
+  `;
+  params.push(limit);
+  
+  const result = await p.query(sql, params);
+  return result.rows;
+}
+
+/**
+ * Convierte texto libre en tsquery ("rosca & nutella" o "rosca | nutella").
+ * Sólo letras y dígitos, así el texto del usuario nunca rompe la sintaxis
+ * de to_tsquery.
+ */
+function buildTsQuery(query, operator = "|") {
+  const terms = (query || "").toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  const unique = [...new Set(terms.filter(t => t.length > 1 || /\d/.test(t)))];
+  return unique.length ? unique.join(` ${operator} `) : null;
+}
+
 /**
  * Encuentra el documento más similar a una query
  * Útil para matching exacto de productos, sucursales, etc.
@@ -867,9 +1164,14 @@ export const vectorStore = {
   // Embeddings
   upsert: upsertEmbedding,
   upsertBatch: upsertEmbeddingBatch,
+  refreshBatch: refreshEmbeddingBatch,
+  findExistingHashes,
+  deleteByHashes,
+  hashContent,
   
   // Search
   search: searchSimilar,
+  searchKeyword,
   findBestMatch,
   
   // Semantic Cache
@@ -0,0 +1,62 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import {
+  checkGrounding,
+  extractClaims,
+  groundingRevisionInstructions,
+} from "../src/rag/groundingCheck.js";
+
+const claimKeys = (text) => extractClaims(text).map(c => `${c.type}:${c.candidates.join("|")}`);
+
+test("alérgenos: la polaridad de la respuesta debe coincidir con la evidencia", () => {
+  const chunks = [{ id: 1, text: "Rosca tradicional. Contiene gluten, huevo." }];
+
+  const wrong = checkGrounding({ response: "Es libre de gluten y no contiene huevo.", chunks });
+  assert.equal(wrong.supported, false);
+  assert.deepEqual(wrong.unsupported.map(c => c.value).sort(), ["sin gluten", "sin huevo"]);
+
+  const right = checkGrounding({ response: "Lleva gluten y huevo.", chunks });
+  assert.equal(right.supported, true);
+});
+
+test("alérgenos: sin / libre de / no contiene / ni cuentan como ausencia", () => {
+  assert.deepEqual(claimKeys("No contiene gluten, huevo ni lácteos.").sort(), [
+    "allergen:gluten:free",
+    "allergen:huevo:free",
+    "allergen:lacteos:free",
+  ]);
+  assert.deepEqual(claimKeys("Pan sin gluten con huevo."), ["allergen:gluten:free", "allergen:huevo:contains"]);
+  assert.deepEqual(claimKeys("Es apto para celíacos."), ["allergen:gluten:free"]);
+});
+
+test("hedges: sólo se ignora la cláusula que remite a confirmar", () => {
+  assert.deepEqual(claimKeys("Cuesta $520, te lo confirmo en sucursal."), ["price:520"]);
+  assert.deepEqual(claimKeys("Te confirmo que cuesta $520."), ["price:520"]);
+  assert.deepEqual(claimKeys("No tengo el precio exacto, te recomiendo confirmar en sucursal."), []);
+});
+
+test("horarios: una duración no es un horario", () => {
+  assert.deepEqual(claimKeys("La entrega tarda 2 horas."), []);
+  assert.deepEqual(claimKeys("Abrimos a las 8:00 y cerramos a las 20:00 hrs."), ["hours:08:00|20:00", "hours:20:00"]);
+  assert.deepEqual(claimKeys("Horario de 8:00 a 20:00."), ["hours:08:00|20:00", "hours:20:00"]);
+});
+
+test("precios y horarios se respaldan con evidencia estructurada", () => {
+  const result = checkGrounding({
+    response: "La rosca grande cuesta $520 y abrimos a las 8:00 am.",
+    retrievedData: {
+      product_info: [{ name: "Rosca grande", precio: 520 }],
+      branch_info: { hours: "8:00 a 21:00" },
+    },
+  });
+
+  assert.equal(result.supported, true);
+  assert.equal(result.claims.length, 2);
+});
+
+test("la instrucción de revisión no invita a esconder el dato tras un hedge", () => {
+  const instructions = groundingRevisionInstructions({ unsupported: [{ value: "$520" }] });
+
+  assert.match(instructions, /\$520/);
+  assert.doesNotMatch(instructions, /confirmas con sucursal/);
+});
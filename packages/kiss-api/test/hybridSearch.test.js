@@ -0,0 +1,43 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { fuseResults, hybridSearch, normalizedScore } from "../src/rag/hybridSearch.js";
+
+const hit = (id, extra) => ({ id, text: `chunk ${id}`, metadata: {}, category: "faq", source: "doc", ...extra });
+
+test("fuseResults suma 1/(k+rank) de cada etapa y ordena por rrf", () => {
+  const vector = [hit(1, { similarity: 0.91 }), hit(2, { similarity: 0.8 })];
+  const keyword = [hit(2, { rank: 0.3 }), hit(3, { rank: 0.1 })];
+
+  const fused = fuseResults(vector, keyword, 60);
+
+  assert.deepEqual(fused.map(r => r.id), [2, 1, 3]);
+  assert.equal(fused[0].scores.rrf, 1 / 62 + 1 / 61);
+  assert.deepEqual(
+    { vectorRank: fused[0].scores.vectorRank, keywordRank: fused[0].scores.keywordRank },
+    { vectorRank: 2, keywordRank: 1 },
+  );
+  assert.equal(fused[2].scores.vector, undefined);
+});
+
+test("el score expuesto queda en 0-1 aunque el orden sea por rrf", () => {
+  const [both, vectorOnly, keywordOnly] = fuseResults(
+    [hit(1, { similarity: 0.88 }), hit(2, { similarity: 0.75 })],
+    [hit(1, { rank: 0.4 }), hit(3, { rank: 0.2 })],
+    60,
+  );
+
+  assert.equal(normalizedScore(both.scores, 2, 60), 0.88);
+  assert.equal(normalizedScore(vectorOnly.scores, 2, 60), 0.75);
+  // Sólo keywords y primer lugar: la mitad del máximo posible de dos etapas
+  assert.ok(Math.abs(normalizedScore(keywordOnly.scores, 2, 60) - (1 / 62) / (2 / 61)) < 1e-12);
+  assert.equal(normalizedScore({ rrf: 1 / 61 }, 1, 60), 1);
+  assert.equal(normalizedScore({ ...both.scores, rerank: 0.2 }, 2, 60), 0.2);
+});
+
+test("hybridSearch respeta el threshold de quien llama", async () => {
+  const { debug } = await hybridSearch("rosca nutella", { threshold: 0.7, debug: true });
+  assert.equal(debug.vectorThreshold, 0.7);
+
+  const { debug: defaults } = await hybridSearch("rosca nutella", { debug: true });
+  assert.equal(defaults.vectorThreshold, 0.5);
+});
@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { leadsToCsv } from "../src/services/leadService.js";
+import { detectsCorporateLead } from "../src/flows/leadFlow.js";
+
+test("leadsToCsv: texto del cliente no se exporta como fórmula", () => {
+  const csv = leadsToCsv([{
+    id: 1,
+    score: 72,
+    company: "=HYPERLINK(\"http://x\",\"clic\")",
+    contact_name: "@SUM(A1)",
+    contact_phone: "+5215550000000",
+    notes: "-2+3, urgente",
+  }]);
+  const [, row] = csv.split("\r\n");
+
+  assert.match(row, /^1,,,,72,"'=HYPERLINK\(""http:\/\/x"",""clic""\)",/);
+  assert.match(row, /,'@SUM\(A1\),'\+5215550000000,/);
+  assert.match(row, /,"'-2\+3, urgente"$/);
+});
+
+test("detectsCorporateLead: una posada o una cotización no bastan", () => {
+  assert.equal(detectsCorporateLead("Quiero 2 roscas para la posada de la oficina"), false);
+  assert.equal(detectsCorporateLead("Necesito una cotización de roscas"), false);
+  assert.equal(detectsCorporateLead("Son para la empresa donde trabajo"), false);
+
+  assert.equal(detectsCorporateLead("¿Venden por mayoreo?"), true);
+  assert.equal(detectsCorporateLead("Necesito una cotización para mi empresa"), true);
+  assert.equal(detectsCorporateLead("Roscas para todos los empleados"), true);
+  assert.equal(detectsCorporateLead("quiero 40 roscas"), true);
+});
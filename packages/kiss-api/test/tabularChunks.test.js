@@ -0,0 +1,91 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { loadFromBuffer } from "../src/rag/documentLoader.js";
+import { chunkDocument, getChunkerConfig } from "../src/rag/chunker.js";
+
+const loadCsv = (text) => loadFromBuffer(Buffer.from(text), "precios.csv");
+
+// xlsx es opcional (como pdf-parse y mammoth): sin instalar no hay qué probar
+const XLSX = await import("xlsx").then(mod => mod.default || mod, () => null);
+
+test("CSV: comillas, comillas escapadas, saltos dentro de celda y separador ;", async () => {
+  const { tables, metadata } = await loadCsv(
+    "\uFEFFProducto;Precio;Notas\r\n" +
+    "\"Rosca; grande\";$450.00;\"Lleva \"\"nuez\"\"\nbajo pedido\"\r\n" +
+    ";;\r\n" +
+    "Concha;$25.00;\n",
+  );
+
+  assert.equal(metadata.delimiter, ";");
+  assert.deepEqual(tables[0].columns, ["Producto", "Precio", "Notas"]);
+  assert.deepEqual(tables[0].rows, [
+    { row: 2, line: "Fila 2: Producto: Rosca; grande | Precio: $450.00 | Notas: Lleva \"nuez\" bajo pedido" },
+    { row: 4, line: "Fila 4: Producto: Concha | Precio: $25.00" },
+  ]);
+});
+
+test("buildTable: header vacío usa Columna N y el contexto lleva las columnas", async () => {
+  const { tables } = await loadCsv("\n\nSKU,,Sucursal\nA1,x,SUC01\n");
+
+  assert.deepEqual(tables[0].columns, ["SKU", "Columna 2", "Sucursal"]);
+  assert.equal(tables[0].headerRow, 3);
+  assert.equal(tables[0].context, "Columnas: SKU | Columna 2 | Sucursal");
+  assert.equal(tables[0].rows[0].line, "Fila 4: SKU: A1 | Columna 2: x | Sucursal: SUC01");
+});
+
+test("row-group: filas completas por chunk, contexto repetido y rango de filas", async () => {
+  const rows = Array.from({ length: 30 }, (_, idx) => `Rosca ${idx},$${400 + idx}.00`).join("\n");
+  const { content, tables } = await loadCsv(`Producto,Precio\n${rows}\n`);
+
+  const chunks = chunkDocument(content, { strategy: "row-group", tables, targetSize: 300 });
+
+  assert.ok(chunks.length > 1);
+  for (const chunk of chunks) {
+    assert.ok(chunk.text.startsWith("Columnas: Producto | Precio\n"));
+    assert.equal(chunk.text.split("\n").length - 1, chunk.metadata.rowCount);
+  }
+  assert.equal(chunks[0].metadata.rowStart, 2);
+  assert.equal(chunks.at(-1).metadata.rowEnd, 31);
+  assert.equal(chunks.reduce((sum, c) => sum + c.metadata.rowCount, 0), 30);
+});
+
+test("row-group: una fila más ancha que el máximo se parte por celdas", async () => {
+  const { maxChunkSize } = getChunkerConfig();
+  const header = Array.from({ length: 40 }, (_, idx) => `c${idx}`).join(",");
+  const wide = Array.from({ length: 40 }, () => "x".repeat(200)).join(",");
+  const { content, tables } = await loadCsv(`${header}\n${wide}\nA,B\n`);
+
+  const chunks = chunkDocument(content, { strategy: "row-group", tables });
+  const rowTwo = chunks.filter(c => c.metadata.rowStart === 2);
+
+  assert.ok(rowTwo.length > 1);
+  assert.ok(chunks.every(c => c.text.length <= maxChunkSize));
+  assert.match(rowTwo[1].text, /\nFila 2 \(cont\.\): c\d+: x+/);
+  assert.equal(chunks.at(-1).metadata.rowEnd, 3);
+});
+
+test("XLSX: cada hoja es una tabla y el chunk cita hoja y filas", { skip: !XLSX && "xlsx no instalado" }, async () => {
+  const workbook = XLSX.utils.book_new();
+  const roscas = [["Producto", "Precio"], ...Array.from({ length: 30 }, (_, idx) => [`Rosca ${idx}`, `$${400 + idx}.00`])];
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet(roscas), "Roscas");
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([]), "Vacía");
+  XLSX.utils.book_append_sheet(workbook, XLSX.utils.aoa_to_sheet([[], ["Alérgeno", "Producto"], ["Nuez", "Rosca"]]), "Alérgenos");
+  const buffer = XLSX.write(workbook, { type: "buffer", bookType: "xlsx" });
+
+  const { content, tables, metadata } = await loadFromBuffer(buffer, "precios.xlsx");
+
+  assert.deepEqual(metadata.sheets, ["Roscas", "Vacía", "Alérgenos"]);
+  assert.deepEqual(tables.map(t => t.sheet), ["Roscas", "Alérgenos"]);
+  assert.equal(tables[1].rows[0].line, "Fila 3: Alérgeno: Nuez | Producto: Rosca");
+
+  const chunks = chunkDocument(content, { strategy: "row-group", tables, targetSize: 300 });
+  const roscaChunks = chunks.filter(c => c.metadata.sheet === "Roscas");
+
+  assert.ok(roscaChunks.length > 1);
+  for (const chunk of roscaChunks) {
+    assert.ok(chunk.text.startsWith("Hoja: Roscas\nColumnas: Producto | Precio\n"));
+  }
+  assert.equal(roscaChunks.reduce((sum, c) => sum + c.metadata.rowCount, 0), 30);
+  assert.equal(chunks.at(-1).metadata.sheet, "Alérgenos");
+  assert.equal(chunks.at(-1).metadata.rowStart, 3);
+});
@@ -11,7 +11,19 @@
  * 3. Si AUTO → ejecuta inmediatamente
  * 4. Si DRAFT → crea draft, notifica para confirmación
  * 5. Si APPROVAL → encola para aprobación
- * 6. Si CRITICAL → requiere 2FA
+ * 6. Si CRITICAL → requiere 2FA (TOTP o código por WhatsApp, ver twoFactorService)
+ * 
+ * Si la acción excede sus límites (por sucursal / actor), baja de nivel:
+ * AUTO → DRAFT, DRAFT → APPROVAL (ver AutonomyLevels.checkLimits). Si ya
+ * no puede bajar (APPROVAL / CRITICAL) se rechaza con LIMITS_EXCEEDED.
+ * El uso cuenta al ejecutarse, no al proponer (AutonomyLevels.consumeLimits).
+ * 
+ * Rollback: una acción EXECUTED con snapshot (ver ActionExecutor) se puede
+ * deshacer con ActionBus.rollback(). Deshacer exige lo mismo que ejecutar:
+ * - AUTO reversible (AutonomyLevels.isReversible): un click
+ * - DRAFT / APPROVAL: un aprobador del nivel de la acción
+ * - No reversible: aprobador con identidad verificada (2FA o admin key)
+ * - CRITICAL / requires_2fa: aprobador + 2FA
  * 
  * Todas las acciones quedan registradas para auditoría.
  */
@@ -23,11 +35,19 @@ import {
   canAutoExecute, 
   requires2FA,
   checkLimits,
+  consumeLimits,
   getHandler,
+  isReversible,
   AutonomyLevel 
 } from "../autonomy/AutonomyLevels.js";
 import { actionExecutor } from "./ActionExecutor.js";
 import { approvalService } from "../approval/ApprovalService.js";
+import { logAudit } from "../services/auditService.js";
+import {
+  getTwoFactorStatus,
+  sendWhatsAppCode,
+  verifyTwoFactor,
+} from "../services/twoFactorService.js";
 
 /**
  * Estados de una acción
@@ -44,8 +64,27 @@ export const ActionState = {
   REJECTED: "REJECTED",       // Rechazada por humano
   CANCELLED: "CANCELLED",     // Cancelada
   EXPIRED: "EXPIRED",         // Expiró sin respuesta
+  ROLLBACK_PENDING_APPROVAL: "ROLLBACK_PENDING_APPROVAL", // Rollback esperando aprobador
+  ROLLING_BACK: "ROLLING_BACK",   // Revirtiendo
+  ROLLED_BACK: "ROLLED_BACK",     // Revertida
+  ROLLBACK_FAILED: "ROLLBACK_FAILED", // Falló el rollback (sigue ejecutada)
 };
 
+/**
+ * action_id de los códigos 2FA de rollback (distinto al de la aprobación
+ * para que un código de aprobación no sirva para deshacer)
+ */
+const rollbackCodeId = (actionId) => `${actionId}:ROLLBACK`;
+
+/**
+ * Estados desde los que se puede pedir rollback
+ */
+const ROLLBACKABLE_STATES = [
+  ActionState.EXECUTED,
+  ActionState.ROLLBACK_PENDING_APPROVAL,
+  ActionState.ROLLBACK_FAILED,
+];
+
 export class ActionBus {
   constructor() {
     this.handlers = new Map();
@@ -72,15 +111,36 @@ export class ActionBus {
 
     try {
       // 1. Determinar nivel de autonomía
-      const autonomyLevel = getAutonomyLevel(action.type);
+      const configuredLevel = getAutonomyLevel(action.type);
       const handler = getHandler(action.type);
 
-      // 2. Verificar límites
-      const limitsCheck = await checkLimits(action.type, action.context);
-      if (!limitsCheck.allowed) {
+      // 2. Verificar límites: si se excedieron, un humano decide.
+      //    AUTO se ejecuta ya mismo, así que verifica y cuenta en un solo paso;
+      //    los demás niveles sólo verifican y cuentan al ejecutarse.
+      const autoExecutes = configuredLevel === AutonomyLevel.AUTO;
+      const limitOptions = { actor: action.requestedBy, payload: action.payload };
+      const limitsCheck = autoExecutes
+        ? await consumeLimits(action.type, action.context, limitOptions)
+        : await checkLimits(action.type, action.context, limitOptions);
+      const autonomyLevel = limitsCheck.allowed
+        ? configuredLevel
+        : (limitsCheck.downgradeTo || configuredLevel);
+
+      // Excedida y sin un nivel más estricto al cual bajar
+      if (!limitsCheck.allowed && autonomyLevel === configuredLevel) {
         return this.rejectAction(actionId, action, "LIMITS_EXCEEDED", limitsCheck.reason);
       }
 
+      if (autonomyLevel !== configuredLevel) {
+        logger.warn({
+          actionId,
+          type: action.type,
+          from: configuredLevel,
+          to: autonomyLevel,
+          reason: limitsCheck.reason,
+        }, "Action downgraded by autonomy limits");
+      }
+
       // 3. Crear registro de acción
       const actionRecord = {
         action_id: actionId,
@@ -93,6 +153,11 @@ export class ActionBus {
         handler,
         state: ActionState.PROPOSED,
         created_at: new Date().toISOString(),
+        limits: limitsCheck.allowed ? null : {
+          configured_level: configuredLevel,
+          reason: limitsCheck.reason,
+          exceeded: limitsCheck.exceeded,
+        },
       };
 
       // 4. Persistir
@@ -133,7 +198,8 @@ export class ActionBus {
       approved_by: "AUTO",
     });
 
-    return this.execute(actionRecord.action_id);
+    // El uso ya se contó al verificar límites en propose()
+    return this.execute(actionRecord.action_id, { usageRecorded: true });
   }
 
   /**
@@ -153,8 +219,11 @@ export class ActionBus {
     return {
       actionId: actionRecord.action_id,
       state: ActionState.DRAFT,
-      message: "Draft creado, esperando confirmación",
+      message: actionRecord.limits
+        ? "Límite de autonomía excedido: draft creado, esperando confirmación"
+        : "Draft creado, esperando confirmación",
       expiresAt: actionRecord.expires_at,
+      ...(actionRecord.limits && { limits: actionRecord.limits }),
     };
   }
 
@@ -175,8 +244,11 @@ export class ActionBus {
     return {
       actionId: actionRecord.action_id,
       state: ActionState.PENDING_APPROVAL,
-      message: "Acción en cola de aprobación",
+      message: actionRecord.limits
+        ? "Límite de autonomía excedido: acción en cola de aprobación"
+        : "Acción en cola de aprobación",
       expiresAt: actionRecord.expires_at,
+      ...(actionRecord.limits && { limits: actionRecord.limits }),
     };
   }
 
@@ -220,16 +292,20 @@ export class ActionBus {
     }
 
     // Si requiere 2FA y no se proporcionó
-    if (actionRecord.requires_2fa && !options.verified2FA) {
+    if (this.requiresSecondFactor(actionRecord) && !options.verified2FA) {
       await this.updateState(actionId, ActionState.PENDING_2FA, {
         approval_started_by: approvedBy,
         approval_started_at: new Date().toISOString(),
       });
 
+      const twoFactor = await getTwoFactorStatus(approvedBy).catch(() => ({ methods: [] }));
+
       return {
         actionId,
         state: ActionState.PENDING_2FA,
         message: "Requiere verificación 2FA",
+        requires2FA: true,
+        methods: twoFactor.methods,
       };
     }
 
@@ -238,6 +314,21 @@ export class ActionBus {
     await this.updateState(actionId, ActionState.APPROVED, {
       approved_at: new Date().toISOString(),
       approved_by: approvedBy,
+      ...(options.twoFactor && { two_factor: options.twoFactor }),
+    });
+
+    await logAudit({
+      actorType: "user",
+      actorId: approvedBy,
+      action: "ACTION_APPROVED",
+      targetType: "action",
+      targetId: actionId,
+      changes: { from: actionRecord.state, to: ActionState.APPROVED },
+      context: {
+        action_type: actionRecord.action_type,
+        autonomy_level: actionRecord.autonomy_level,
+        two_factor_method: options.twoFactor?.method || null,
+      },
     });
 
     // Ejecutar
@@ -245,24 +336,99 @@ export class ActionBus {
   }
 
   /**
-   * Confirma un draft
+   * Confirma un draft. Si la acción es crítica, options.code es el código
+   * 2FA (TOTP o WhatsApp).
    */
-  async confirm(actionId, confirmedBy) {
+  async confirm(actionId, confirmedBy, options = {}) {
+    if (options.code) {
+      return this.verify2FAAndApprove(actionId, confirmedBy, options.code, options);
+    }
     return this.approve(actionId, confirmedBy);
   }
 
   /**
    * Verifica 2FA y aprueba
    */
-  async verify2FAAndApprove(actionId, approvedBy, verificationCode) {
-    // TODO: Verificar código 2FA real
-    const isValid = verificationCode && verificationCode.length === 6;
-    
-    if (!isValid) {
-      throw new Error("Invalid 2FA code");
+  async verify2FAAndApprove(actionId, approvedBy, verificationCode, options = {}) {
+    const actionRecord = await this.getPendingCriticalAction(actionId, approvedBy);
+
+    const verification = await verifyTwoFactor({
+      userId: approvedBy,
+      actionId,
+      code: verificationCode,
+      method: options.method || null,
+    });
+
+    if (!verification.valid) {
+      throw new Error(verification.reason === "locked"
+        ? `Too many failed 2FA attempts, try again in ${verification.retryAfterMinutes} min`
+        : `Invalid 2FA code (${verification.reason}, ${verification.attemptsRemaining} attempts left)`);
     }
 
-    return this.approve(actionId, approvedBy, { verified2FA: true });
+    return this.approve(actionRecord.action_id, approvedBy, {
+      verified2FA: true,
+      twoFactor: {
+        method: verification.method,
+        verified_at: new Date().toISOString(),
+      },
+    });
+  }
+
+  /**
+   * Envía el código 2FA por WhatsApp (fallback si no hay TOTP)
+   */
+  async send2FACode(actionId, requestedBy) {
+    const actionRecord = await this.getPendingCriticalAction(actionId, requestedBy);
+
+    return sendWhatsAppCode({
+      userId: requestedBy,
+      actionId,
+      summary: `${actionRecord.action_type} (${actionId.slice(0, 8)})`,
+    });
+  }
+
+  /**
+   * ¿La acción necesita segundo factor? requires_2fa vive en metadata
+   * una vez persistida.
+   */
+  requiresSecondFactor(actionRecord) {
+    return actionRecord.requires_2fa === true
+      || actionRecord.metadata?.requires_2fa === true
+      || actionRecord.autonomy_level === AutonomyLevel.CRITICAL;
+  }
+
+  /**
+   * Acción pendiente que requiere 2FA, validando que el usuario pueda aprobarla
+   */
+  async getPendingCriticalAction(actionId, userId) {
+    const actionRecord = await this.getAction(actionId);
+
+    if (!actionRecord) {
+      throw new Error(`Action not found: ${actionId}`);
+    }
+
+    if (![ActionState.PENDING_APPROVAL, ActionState.PENDING_2FA].includes(actionRecord.state)) {
+      throw new Error(`Action ${actionId} cannot be approved in state ${actionRecord.state}`);
+    }
+
+    if (!this.requiresSecondFactor(actionRecord)) {
+      throw new Error(`Action ${actionId} does not require 2FA`);
+    }
+
+    const approvers = approvalService.getApprovers(actionRecord.autonomy_level, actionRecord.action_type);
+    if (!approvers.includes(userId)) {
+      await logAudit({
+        actorType: "user",
+        actorId: userId,
+        action: "ACTION_2FA_UNAUTHORIZED",
+        targetType: "action",
+        targetId: actionId,
+        context: { action_type: actionRecord.action_type, approvers },
+      });
+      throw new Error(`User ${userId} cannot approve ${actionRecord.action_type}`);
+    }
+
+    return actionRecord;
   }
 
   /**
@@ -293,8 +459,12 @@ export class ActionBus {
 
   /**
    * Ejecuta una acción aprobada
+   *
+   * @param {string} actionId
+   * @param {Object} [options]
+   * @param {boolean} [options.usageRecorded] - El uso ya contó contra los límites
    */
-  async execute(actionId) {
+  async execute(actionId, { usageRecorded = false } = {}) {
     const actionRecord = await this.getAction(actionId);
     
     if (!actionRecord) {
@@ -307,6 +477,15 @@ export class ActionBus {
 
     logger.info({ actionId, handler: actionRecord.handler }, "Executing action");
 
+    // La aprobó un humano: cuenta contra los límites aunque los exceda
+    if (!usageRecorded) {
+      await consumeLimits(actionRecord.action_type, actionRecord.context, {
+        actor: actionRecord.requested_by,
+        payload: actionRecord.payload,
+        force: true,
+      });
+    }
+
     await this.updateState(actionId, ActionState.EXECUTING, {
       execution_started_at: new Date().toISOString(),
     });
@@ -320,6 +499,20 @@ export class ActionBus {
         execution_result: result,
       });
 
+      await logAudit({
+        actorType: "system",
+        actorId: actionRecord.handler,
+        action: "ACTION_EXECUTED",
+        targetType: "action",
+        targetId: actionId,
+        changes: { from: ActionState.APPROVED, to: ActionState.EXECUTED },
+        context: {
+          action_type: actionRecord.action_type,
+          case_id: actionRecord.context?.case_id || null,
+          rollback_supported: result.rollback?.supported === true,
+        },
+      });
+
       logger.info({ actionId, result }, "Action executed successfully");
 
       return {
@@ -344,6 +537,241 @@ export class ActionBus {
     }
   }
 
+  /**
+   * Qué exige deshacer la acción: el mismo nivel de aprobación (y 2FA)
+   * con el que se ejecutó
+   */
+  getRollbackPolicy(actionRecord) {
+    const level = actionRecord.autonomy_level;
+    const reversible = isReversible(actionRecord.action_type);
+    const requires2FA = this.requiresSecondFactor(actionRecord);
+
+    return {
+      requiresApprover: requires2FA || !reversible || level !== AutonomyLevel.AUTO,
+      // Aprobador con identidad verificada, no sólo el nombre del body
+      requiresVerifiedIdentity: requires2FA || !reversible,
+      requires2FA,
+      approvers: approvalService.getApprovers(level, actionRecord.action_type),
+    };
+  }
+
+  /**
+   * Revierte una acción ejecutada usando el snapshot de su ejecución.
+   * Si quien lo pide no es aprobador, el rollback queda en
+   * ROLLBACK_PENDING_APPROVAL (ver getRollbackPolicy).
+   *
+   * @param {Object} options
+   * @param {string} [options.reason]
+   * @param {string} [options.code] - Código 2FA (TOTP o WhatsApp de rollback)
+   * @param {string} [options.method] - totp | whatsapp
+   * @param {string} [options.authenticatedAs] - Identidad de la admin key
+   */
+  async rollback(actionId, requestedBy, options = {}) {
+    const actionRecord = await this.getAction(actionId);
+
+    if (!actionRecord) {
+      throw new Error(`Action not found: ${actionId}`);
+    }
+
+    if (!ROLLBACKABLE_STATES.includes(actionRecord.state)) {
+      throw new Error(`Action ${actionId} cannot be rolled back in state ${actionRecord.state}`);
+    }
+
+    const plan = actionRecord.metadata?.execution_result?.rollback;
+
+    if (!plan?.supported) {
+      throw new Error(`Action ${actionId} has no rollback snapshot`);
+    }
+
+    const reason = options.reason || actionRecord.metadata?.rollback_reason || null;
+    const auditContext = {
+      action_type: actionRecord.action_type,
+      case_id: actionRecord.context?.case_id || null,
+      reason,
+    };
+
+    const policy = this.getRollbackPolicy(actionRecord);
+    let twoFactor = null;
+
+    if (policy.requiresApprover) {
+      if (!policy.approvers.includes(requestedBy)) {
+        return this.requestRollbackApproval(actionRecord, requestedBy, { reason, policy, auditContext });
+      }
+
+      const identityVerified = !policy.requires2FA && options.authenticatedAs === requestedBy;
+
+      if ((policy.requiresVerifiedIdentity && !identityVerified) || policy.requires2FA) {
+        if (!options.code) {
+          const pending = await this.requestRollbackApproval(actionRecord, requestedBy, { reason, policy, auditContext });
+          const status = await getTwoFactorStatus(requestedBy).catch(() => ({ methods: [] }));
+
+          return {
+            ...pending,
+            message: "El rollback requiere verificación 2FA del aprobador",
+            requires2FA: true,
+            methods: status.methods,
+          };
+        }
+
+        const verification = await verifyTwoFactor({
+          userId: requestedBy,
+          actionId: rollbackCodeId(actionId),
+          code: options.code,
+          method: options.method || null,
+        });
+
+        if (!verification.valid) {
+          throw new Error(verification.reason === "locked"
+            ? `Too many failed 2FA attempts, try again in ${verification.retryAfterMinutes} min`
+            : `Invalid 2FA code (${verification.reason}, ${verification.attemptsRemaining} attempts left)`);
+        }
+
+        twoFactor = { method: verification.method, verified_at: new Date().toISOString() };
+      }
+    }
+
+    logger.info({ actionId, requestedBy }, "Rolling back action");
+
+    const requestedOriginally = actionRecord.metadata?.rollback_requested_by || requestedBy;
+
+    // Compare-and-set: dos rollbacks concurrentes no pueden correr ambos
+    const started = await this.transitionState(actionId, actionRecord.state, ActionState.ROLLING_BACK, {
+      rollback_started_at: new Date().toISOString(),
+      rollback_requested_by: requestedOriginally,
+      rollback_reason: reason,
+      ...(twoFactor && { rollback_two_factor: twoFactor }),
+    });
+
+    if (!started) {
+      throw new Error(`Action ${actionId} changed state, rollback already in progress or done`);
+    }
+
+    try {
+      const result = await actionExecutor.rollback({
+        ...actionRecord,
+        context: {
+          ...actionRecord.context,
+          action_id: actionId,
+          rolled_back_by: requestedBy,
+        },
+      });
+
+      await this.updateState(actionId, ActionState.ROLLED_BACK, {
+        rolled_back_at: new Date().toISOString(),
+        rolled_back_by: requestedBy,
+        rollback_result: result,
+      });
+
+      await logAudit({
+        actorType: "user",
+        actorId: requestedBy,
+        action: "ACTION_ROLLED_BACK",
+        targetType: "action",
+        targetId: actionId,
+        changes: { from: actionRecord.state, to: ActionState.ROLLED_BACK },
+        context: {
+          ...auditContext,
+          requested_by: requestedOriginally,
+          approved_by: requestedOriginally !== requestedBy ? requestedBy : null,
+          two_factor_method: twoFactor?.method || null,
+        },
+      });
+
+      return {
+        actionId,
+        state: ActionState.ROLLED_BACK,
+        result,
+      };
+
+    } catch (err) {
+      logger.error({ actionId, err: err?.message }, "Action rollback failed");
+
+      await this.updateState(actionId, ActionState.ROLLBACK_FAILED, {
+        rollback_failed_at: new Date().toISOString(),
+        rollback_failure_reason: err?.message,
+      });
+
+      await logAudit({
+        actorType: "user",
+        actorId: requestedBy,
+        action: "ACTION_ROLLBACK_FAILED",
+        targetType: "action",
+        targetId: actionId,
+        changes: { from: actionRecord.state, to: ActionState.ROLLBACK_FAILED },
+        context: { ...auditContext, error: err?.message },
+      });
+
+      return {
+        actionId,
+        state: ActionState.ROLLBACK_FAILED,
+        error: err?.message,
+      };
+    }
+  }
+
+  /**
+   * Deja el rollback en ROLLBACK_PENDING_APPROVAL hasta que un aprobador
+   * (verificado si la política lo exige) repita la llamada
+   */
+  async requestRollbackApproval(actionRecord, requestedBy, { reason, policy, auditContext }) {
+    const actionId = actionRecord.action_id;
+
+    if (actionRecord.state !== ActionState.ROLLBACK_PENDING_APPROVAL) {
+      await this.transitionState(actionId, actionRecord.state, ActionState.ROLLBACK_PENDING_APPROVAL, {
+        rollback_requested_by: requestedBy,
+        rollback_requested_at: new Date().toISOString(),
+        rollback_reason: reason,
+      });
+
+      await logAudit({
+        actorType: "user",
+        actorId: requestedBy,
+        action: "ACTION_ROLLBACK_REQUESTED",
+        targetType: "action",
+        targetId: actionId,
+        changes: { from: actionRecord.state, to: ActionState.ROLLBACK_PENDING_APPROVAL },
+        context: { ...auditContext, approvers: policy.approvers },
+      });
+    }
+
+    return {
+      actionId,
+      state: ActionState.ROLLBACK_PENDING_APPROVAL,
+      message: policy.requires2FA
+        ? "Deshacer esta acción requiere un aprobador con 2FA"
+        : "El rollback requiere un aprobador",
+      requiresApproval: true,
+      requires2FA: policy.requires2FA,
+      approvers: policy.approvers,
+    };
+  }
+
+  /**
+   * Envía por WhatsApp el código 2FA para deshacer una acción
+   */
+  async sendRollback2FACode(actionId, userId) {
+    const actionRecord = await this.getAction(actionId);
+
+    if (!actionRecord) {
+      throw new Error(`Action not found: ${actionId}`);
+    }
+
+    if (!ROLLBACKABLE_STATES.includes(actionRecord.state)) {
+      throw new Error(`Action ${actionId} cannot be rolled back in state ${actionRecord.state}`);
+    }
+
+    const { approvers } = this.getRollbackPolicy(actionRecord);
+    if (!approvers.includes(userId)) {
+      throw new Error(`User ${userId} cannot roll back ${actionRecord.action_type}`);
+    }
+
+    return sendWhatsAppCode({
+      userId,
+      actionId: rollbackCodeId(actionId),
+      summary: `deshacer ${actionRecord.action_type} (${actionId.slice(0, 8)})`,
+    });
+  }
+
   /**
    * Cancela una acción pendiente
    */
@@ -417,7 +845,7 @@ export class ActionBus {
         actionRecord.autonomy_level,
         actionRecord.handler,
         actionRecord.state,
-        JSON.stringify({}),
+        JSON.stringify(actionRecord.limits ? { limits: actionRecord.limits } : {}),
         actionRecord.created_at,
       ]);
     } catch (err) {
@@ -443,6 +871,27 @@ export class ActionBus {
     }
   }
 
+  /**
+   * Cambia de estado sólo si la acción sigue en fromState (compare-and-set).
+   * Falla cerrado: ante error de DB regresa false.
+   */
+  async transitionState(actionId, fromState, newState, metadata = {}) {
+    try {
+      const result = await query(`
+        UPDATE luca_action_bus 
+        SET state = $1, 
+            metadata = metadata || $2,
+            updated_at = NOW()
+        WHERE action_id = $3 AND state = $4
+      `, [newState, JSON.stringify(metadata), actionId, fromState]);
+
+      return result.rowCount > 0;
+    } catch (err) {
+      logger.warn({ actionId, err: err?.message }, "Failed to transition action state");
+      return false;
+    }
+  }
+
   /**
    * Obtiene una acción por ID
    */
@@ -476,7 +925,7 @@ export class ActionBus {
     try {
       let sql = `
         SELECT * FROM luca_action_bus 
-        WHERE state IN ('DRAFT', 'PENDING_APPROVAL', 'PENDING_2FA')
+        WHERE state IN ('DRAFT', 'PENDING_APPROVAL', 'PENDING_2FA', 'ROLLBACK_PENDING_APPROVAL')
       `;
       const params = [];
 
@@ -5,9 +5,15 @@
  * 
  * Ejecuta acciones usando el handler apropiado.
  * Maneja retry, timeouts y logging de resultados.
+ *
+ * Rollback: antes de ejecutar se pide al handler un snapshot del estado
+ * que la acción va a modificar (handler.snapshot). El snapshot viaja en
+ * execution_result.rollback y es lo que recibe handler.rollback para
+ * dejar las cosas como estaban.
  */
 
 import { logger } from "@tagers/shared";
+import { isReversible } from "../autonomy/AutonomyLevels.js";
 import { whatsappHandler } from "./handlers/whatsappHandler.js";
 import { chatwootHandler } from "./handlers/chatwootHandler.js";
 import { sheetsHandler } from "./handlers/sheetsHandler.js";
@@ -59,6 +65,9 @@ export class ActionExecutor {
       throw new Error(`Unknown handler: ${handler}`);
     }
 
+    // Estado previo para poder revertir
+    const rollbackPlan = await this.captureSnapshot(actionHandler, actionRecord);
+
     // Ejecutar con timeout y retry
     let lastError;
     
@@ -83,6 +92,7 @@ export class ActionExecutor {
           attempt,
           result,
           executedAt: new Date().toISOString(),
+          rollback: rollbackPlan,
         };
 
       } catch (err) {
@@ -206,6 +216,34 @@ export class ActionExecutor {
     };
   }
 
+  /**
+   * Captura el snapshot de rollback antes de ejecutar.
+   * Un fallo aquí no bloquea la ejecución: la acción queda sin plan de rollback.
+   */
+  async captureSnapshot(actionHandler, actionRecord) {
+    const { action_id, action_type, payload, context } = actionRecord;
+    let snapshot = null;
+
+    if (actionHandler.snapshot) {
+      try {
+        snapshot = await actionHandler.snapshot(action_type, payload, context);
+      } catch (err) {
+        logger.warn({
+          actionId: action_id,
+          actionType: action_type,
+          err: err?.message,
+        }, "Failed to capture rollback snapshot");
+      }
+    }
+
+    return {
+      supported: snapshot !== null && !!actionHandler.rollback,
+      reversible: isReversible(action_type),
+      snapshot,
+      capturedAt: new Date().toISOString(),
+    };
+  }
+
   /**
    * Revierte una acción ejecutada (si es reversible)
    */
@@ -220,7 +258,27 @@ export class ActionExecutor {
       throw new Error(`Handler ${handler} does not support rollback`);
     }
 
-    return actionHandler.rollback(action_type, payload, context, metadata.execution_result);
+    const executionResult = metadata?.execution_result || {};
+    const plan = executionResult.rollback;
+
+    if (!plan?.supported) {
+      throw new Error(`No rollback snapshot recorded for ${action_type}`);
+    }
+
+    const result = await actionHandler.rollback(
+      action_type,
+      payload,
+      context,
+      executionResult.result,
+      plan.snapshot
+    );
+
+    // Los webhooks reportan el error en el resultado en vez de lanzar
+    if (result?.success === false) {
+      throw new Error(result.error || `Rollback of ${action_type} failed`);
+    }
+
+    return result;
   }
 }
 
@@ -91,6 +91,7 @@ export const chatwootHandler = {
 
     // En Chatwoot, los "tickets" son conversaciones con labels especiales
     // Agregamos label de ticket y nota con detalles
+    let note = null;
 
     if (conversation_id) {
       // Agregar label de ticket
@@ -100,7 +101,7 @@ export const chatwootHandler = {
       }, context);
 
       // Agregar nota con detalles del ticket
-      await this.createInternalNote({
+      note = await this.createInternalNote({
         conversation_id,
         content: `📋 **TICKET CREADO**\n\n**Título:** ${title}\n**Prioridad:** ${priority}\n\n${description || ""}`,
       }, context);
@@ -118,6 +119,7 @@ export const chatwootHandler = {
       success: true,
       ticketId: `TKT-${Date.now()}`,
       conversationId: conversation_id,
+      noteId: note?.messageId,
       title,
       priority,
     };
@@ -256,7 +258,8 @@ export const chatwootHandler = {
         throw new Error(`Chatwoot API error: ${response.status}`);
       }
 
-      return response.json();
+      // DELETE responde sin cuerpo
+      return response.json().catch(() => ({}));
     } catch (err) {
       logger.error({ url, err: err?.message }, "Chatwoot request error");
       throw err;
@@ -304,31 +307,119 @@ export const chatwootHandler = {
   },
 
   /**
-   * Revierte una acción (si es posible)
+   * Estado previo de la conversación para rollback
    */
-  async rollback(actionType, payload, context, executionResult) {
+  async snapshot(actionType, payload, context) {
+    const { conversation_id } = payload;
+
     switch (actionType) {
+      case "CREATE_INTERNAL_NOTE":
+        return { conversation_id };
+
+      case "CREATE_TICKET":
+      case "ASSIGN_CONVERSATION":
       case "TAG_CONVERSATION":
-        // Remover los tags que agregamos
-        if (executionResult?.labels) {
-          // TODO: Chatwoot API para remover labels
-          logger.info({ labels: executionResult.labels }, "Would remove labels");
+      case "RESOLVE_CONVERSATION":
+      case "SNOOZE_CONVERSATION":
+        if (!conversation_id) return actionType === "CREATE_TICKET" ? {} : null;
+        return {
+          conversation_id,
+          ...(await this.getConversationState(conversation_id)),
+        };
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Lee estado, asignación y labels actuales de una conversación
+   */
+  async getConversationState(conversationId) {
+    const conversation = await this.chatwootRequest(`/conversations/${conversationId}`);
+
+    return {
+      status: conversation?.status || null,
+      assignee_id: conversation?.meta?.assignee?.id || null,
+      team_id: conversation?.meta?.team?.id || null,
+      labels: conversation?.labels || [],
+    };
+  },
+
+  /**
+   * Revierte una acción con el snapshot capturado antes de ejecutarla
+   */
+  async rollback(actionType, payload, context, executionResult, snapshot) {
+    const conversationId = snapshot?.conversation_id || payload.conversation_id;
+
+    switch (actionType) {
+      case "CREATE_INTERNAL_NOTE":
+        await this.deleteMessage(conversationId, executionResult?.messageId);
+        return { success: true, rolledBack: true };
+
+      case "CREATE_TICKET":
+        if (conversationId) {
+          await this.deleteMessage(conversationId, executionResult?.noteId);
+          await this.restoreLabels(conversationId, snapshot.labels);
+          if (payload.assignee_id) {
+            await this.restoreAssignment(conversationId, snapshot);
+          }
         }
         return { success: true, rolledBack: true };
 
+      case "TAG_CONVERSATION":
+        await this.restoreLabels(conversationId, snapshot.labels);
+        return { success: true, rolledBack: true, labels: snapshot.labels };
+
       case "ASSIGN_CONVERSATION":
-        // Desasignar conversación
+        await this.restoreAssignment(conversationId, snapshot);
+        return { success: true, rolledBack: true, assigneeId: snapshot.assignee_id };
+
+      case "RESOLVE_CONVERSATION":
+      case "SNOOZE_CONVERSATION":
         await this.chatwootRequest(
-          `/conversations/${payload.conversation_id}/assignments`,
+          `/conversations/${conversationId}/toggle_status`,
           "POST",
-          { assignee_id: null }
+          { status: snapshot.status || "open" }
         );
-        return { success: true, rolledBack: true };
+        return { success: true, rolledBack: true, status: snapshot.status || "open" };
 
       default:
         throw new Error(`Rollback not supported for ${actionType}`);
     }
   },
+
+  async deleteMessage(conversationId, messageId) {
+    if (!messageId) {
+      throw new Error("Cannot rollback: message id was not recorded");
+    }
+    return this.chatwootRequest(
+      `/conversations/${conversationId}/messages/${messageId}`,
+      "DELETE"
+    );
+  },
+
+  /**
+   * Chatwoot reemplaza el set completo de labels con el POST
+   */
+  async restoreLabels(conversationId, labels = []) {
+    return this.chatwootRequest(
+      `/conversations/${conversationId}/labels`,
+      "POST",
+      { labels }
+    );
+  },
+
+  async restoreAssignment(conversationId, snapshot) {
+    return this.chatwootRequest(
+      `/conversations/${conversationId}/assignments`,
+      "POST",
+      {
+        assignee_id: snapshot?.assignee_id || null,
+        ...(snapshot?.team_id && { team_id: snapshot.team_id }),
+      }
+    );
+  },
 };
 
 export default chatwootHandler;
@@ -443,11 +443,51 @@ export const internalHandler = {
     };
   },
 
+  /**
+   * Estado previo del caso para rollback
+   */
+  async snapshot(actionType, payload, context) {
+    switch (actionType) {
+      case "CREATE_CASE":
+      case "FLAG_EMPLOYEE":
+        return {};
+
+      case "CLOSE_CASE":
+      case "ESCALATE_CASE": {
+        const caso = await caseService.getCase(payload.case_id);
+        return {
+          case_id: payload.case_id,
+          state: caso?.state || null,
+          severity: caso?.severity || null,
+        };
+      }
+
+      default:
+        return null;
+    }
+  },
+
   /**
    * Rollback de acciones internas
    */
-  async rollback(actionType, payload, context, executionResult) {
+  async rollback(actionType, payload, context, executionResult, snapshot) {
+    const actorId = context.rolled_back_by || "LUCA";
+
     switch (actionType) {
+      case "CREATE_CASE":
+        // Cerrar el caso que se creó
+        await caseService.closeCase(executionResult?.case_id, {
+          outcome: { reason: "rolled_back", action_id: context.action_id },
+          actorId,
+          notes: "Creación revertida",
+        });
+        return { success: true, rolledBack: true, case_id: executionResult?.case_id };
+
+      case "CLOSE_CASE":
+        // Reabrir el caso
+        await caseService.reopenCase(payload.case_id, actorId, "Cierre revertido");
+        return { success: true, rolledBack: true, case_id: payload.case_id };
+
       case "FLAG_EMPLOYEE":
         // Desactivar flag
         try {
@@ -462,13 +502,22 @@ export const internalHandler = {
         return { success: true, rolledBack: true };
 
       case "ESCALATE_CASE":
-        // Agregar nota de des-escalamiento
+        // Restaurar severidad y dejar nota de des-escalamiento
+        if (snapshot?.severity && payload.new_severity) {
+          await query(`
+            UPDATE luca_cases SET severity = $2 WHERE case_id = $1
+          `, [payload.case_id, snapshot.severity]);
+        }
         await caseService.addEvidence(payload.case_id, {
           type: "ROLLBACK",
-          content: "Escalamiento revertido",
+          content: JSON.stringify({
+            message: "Escalamiento revertido",
+            restored_severity: snapshot?.severity || null,
+            action_id: context.action_id,
+          }),
           source: "internal_handler",
-        });
-        return { success: true, rolledBack: true };
+        }, actorId);
+        return { success: true, rolledBack: true, severity: snapshot?.severity || null };
 
       default:
         throw new Error(`Rollback not supported for ${actionType}`);
@@ -351,20 +351,85 @@ export const sheetsHandler = {
     };
   },
 
+  /**
+   * Estado previo para rollback: valores que la acción va a sobrescribir.
+   * Las acciones que sólo agregan filas no necesitan estado previo ({}).
+   */
+  async snapshot(actionType, payload, context) {
+    switch (actionType) {
+      case "UPDATE_CONFIG": {
+        const current = await this.sheetsRequest(SHEETS_CONFIG.config, {
+          action: "get",
+          sheet: payload.sheet,
+          key: payload.key,
+          row_id: payload.row_id,
+        });
+        return { previousValue: current?.value };
+      }
+
+      case "UPDATE_CELL": {
+        const current = await this.sheetsRequest(payload.sheet_url, {
+          action: "get_cell",
+          sheet: payload.sheet_name,
+          cell: payload.cell,
+        });
+        return { previousValue: current?.value };
+      }
+
+      case "UPDATE_INVENTORY_ALERT": {
+        const current = await this.sheetsRequest(SHEETS_CONFIG.inventory, {
+          action: "get_alert",
+          branch_id: payload.branch_id,
+          product_id: payload.product_id,
+          alert_type: payload.alert_type,
+        });
+        return { previousAlert: current?.alert || null };
+      }
+
+      case "SUGGEST_SCHEDULE_CHANGE":
+      case "DRAFT_PURCHASE_ORDER":
+      case "APPEND_ROW":
+        return {};
+
+      default:
+        return null;
+    }
+  },
+
   /**
    * Revierte una acción
    */
-  async rollback(actionType, payload, context, executionResult) {
+  async rollback(actionType, payload, context, executionResult, snapshot) {
+    const previousValue = snapshot?.previousValue !== undefined
+      ? snapshot.previousValue
+      : executionResult?.previousValue;
+
     switch (actionType) {
       case "UPDATE_CONFIG":
-        if (executionResult?.previousValue !== undefined) {
+        if (previousValue !== undefined) {
           return this.updateConfig({
             ...payload,
-            value: executionResult.previousValue,
+            value: previousValue,
           }, context);
         }
         throw new Error("Cannot rollback: no previous value");
 
+      case "UPDATE_CELL":
+        if (previousValue !== undefined) {
+          return this.updateCell({
+            ...payload,
+            value: previousValue,
+          }, context);
+        }
+        throw new Error("Cannot rollback: no previous value");
+
+      case "UPDATE_INVENTORY_ALERT":
+        // Restaurar la alerta anterior o cancelar la que creamos
+        if (snapshot?.previousAlert) {
+          return this.updateInventoryAlert(snapshot.previousAlert, context);
+        }
+        return this.updateInventoryAlert({ ...payload, status: "CANCELLED" }, context);
+
       case "SUGGEST_SCHEDULE_CHANGE":
         // Marcar sugerencia como cancelada
         return this.sheetsRequest(SHEETS_CONFIG.schedule, {
@@ -382,6 +447,16 @@ export const sheetsHandler = {
           updates: { status: "CANCELLED" },
         });
 
+      case "APPEND_ROW":
+        if (!executionResult?.rowId) {
+          throw new Error("Cannot rollback: row id was not recorded");
+        }
+        return this.sheetsRequest(payload.sheet_url, {
+          action: "delete_row",
+          sheet: payload.sheet_name,
+          row_id: executionResult.rowId,
+        });
+
       default:
         throw new Error(`Rollback not supported for ${actionType}`);
     }
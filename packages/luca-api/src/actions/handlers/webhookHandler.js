@@ -59,8 +59,11 @@ export const webhookHandler = {
     const actionSystems = {
       SUBMIT_PURCHASE_ORDER: "erp",
       APPROVE_SHIFT_SWAP: "buk",
+      REVERT_SHIFT_SWAP: "buk",
       SUSPEND_EMPLOYEE_ACCESS: "buk",
+      REACTIVATE_EMPLOYEE_ACCESS: "buk",
       BLOCK_POS_USER: "pos",
+      UNBLOCK_POS_USER: "pos",
       UPDATE_PRODUCT_AVAILABILITY: "woocommerce",
       SYNC_INVENTORY: "woocommerce",
     };
@@ -99,6 +102,13 @@ export const webhookHandler = {
           method: "POST",
         };
 
+      case "REVERT_SHIFT_SWAP":
+        return {
+          ...base,
+          endpoint: "/api/shifts/swap/revert",
+          method: "POST",
+        };
+
       case "SUSPEND_EMPLOYEE_ACCESS":
         return {
           ...base,
@@ -106,6 +116,13 @@ export const webhookHandler = {
           method: "POST",
         };
 
+      case "REACTIVATE_EMPLOYEE_ACCESS":
+        return {
+          ...base,
+          endpoint: `/api/employees/${payload.employee_id}/reactivate`,
+          method: "POST",
+        };
+
       case "BLOCK_POS_USER":
         return {
           ...base,
@@ -113,12 +130,19 @@ export const webhookHandler = {
           method: "POST",
         };
 
+      case "UNBLOCK_POS_USER":
+        return {
+          ...base,
+          endpoint: `/api/users/${payload.user_id}/unblock`,
+          method: "POST",
+        };
+
       case "UPDATE_PRODUCT_AVAILABILITY":
         return {
           ...base,
           endpoint: `/wp-json/wc/v3/products/${payload.product_id}`,
           method: "PUT",
-          body: {
+          body: payload.restore || {
             stock_status: payload.available ? "instock" : "outofstock",
             manage_stock: true,
             stock_quantity: payload.quantity || 0,
@@ -260,30 +284,92 @@ export const webhookHandler = {
     };
   },
 
+  /**
+   * Estado previo para rollback (null si la acción no se puede revertir)
+   */
+  async snapshot(actionType, payload, context) {
+    switch (actionType) {
+      case "SUSPEND_EMPLOYEE_ACCESS":
+        return { employee_id: payload.employee_id };
+
+      case "BLOCK_POS_USER":
+        return { user_id: payload.user_id };
+
+      case "APPROVE_SHIFT_SWAP":
+        return { swap: payload };
+
+      case "UPDATE_PRODUCT_AVAILABILITY":
+        return {
+          product_id: payload.product_id,
+          previous: await this.getProductStock(payload.product_id),
+        };
+
+      default:
+        return null;
+    }
+  },
+
+  /**
+   * Lee el stock actual de un producto en WooCommerce
+   */
+  async getProductStock(productId) {
+    const config = WEBHOOK_CONFIG.woocommerce;
+
+    if (!config.url || !config.consumerKey || !config.consumerSecret) {
+      return null;
+    }
+
+    const auth = Buffer.from(
+      `${config.consumerKey}:${config.consumerSecret}`
+    ).toString("base64");
+
+    const response = await fetch(`${config.url}/wp-json/wc/v3/products/${productId}`, {
+      headers: { "Authorization": `Basic ${auth}` },
+    });
+
+    if (!response.ok) {
+      throw new Error(`WooCommerce product lookup failed: ${response.status}`);
+    }
+
+    const product = await response.json();
+
+    return {
+      stock_status: product.stock_status,
+      manage_stock: product.manage_stock,
+      stock_quantity: product.stock_quantity,
+    };
+  },
+
   /**
    * Rollback (si el sistema lo soporta)
    */
-  async rollback(actionType, payload, context, executionResult) {
+  async rollback(actionType, payload, context, executionResult, snapshot) {
     // Los rollbacks de webhook dependen del sistema externo
     switch (actionType) {
       case "SUSPEND_EMPLOYEE_ACCESS":
         // Reactivar acceso
         return this.execute("REACTIVATE_EMPLOYEE_ACCESS", {
-          employee_id: payload.employee_id,
+          employee_id: snapshot?.employee_id || payload.employee_id,
         }, context);
 
       case "BLOCK_POS_USER":
         // Desbloquear usuario
         return this.execute("UNBLOCK_POS_USER", {
-          user_id: payload.user_id,
+          user_id: snapshot?.user_id || payload.user_id,
         }, context);
 
+      case "APPROVE_SHIFT_SWAP":
+        // Deshacer el intercambio en BUK
+        return this.execute("REVERT_SHIFT_SWAP", snapshot?.swap || payload, context);
+
       case "UPDATE_PRODUCT_AVAILABILITY":
-        // Revertir disponibilidad
+        // Restaurar el stock tal como estaba antes de la acción
+        if (!snapshot?.previous) {
+          throw new Error("Cannot rollback: previous stock was not captured");
+        }
         return this.execute("UPDATE_PRODUCT_AVAILABILITY", {
-          product_id: payload.product_id,
-          available: !payload.available,
-          quantity: executionResult?.previous_quantity,
+          product_id: snapshot.product_id,
+          restore: snapshot.previous,
         }, context);
 
       default:
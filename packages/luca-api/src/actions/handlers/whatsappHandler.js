@@ -228,6 +228,13 @@ export const whatsappHandler = {
     };
   },
 
+  /**
+   * Un mensaje enviado no se puede retirar: sin snapshot no hay rollback
+   */
+  async snapshot(actionType, payload, context) {
+    return null;
+  },
+
   /**
    * Template por defecto para convocatoria de turno
    */
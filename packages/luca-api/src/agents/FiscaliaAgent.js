@@ -217,6 +217,7 @@ export class FiscaliaAgent {
       finding_id: finding.finding_id,
       employee_id: finding.employee_id,
       branch_id: finding.branch_id,
+      provenance: finding.provenance,
       
       // Diagnóstico
       diagnosis: {
@@ -452,6 +453,7 @@ export class FiscaliaAgent {
       },
       source: "detector",
       detectorId: "fiscalia_fraud_v1",
+      provenance: diagnosis.provenance,
       createdBy: this.name,
     });
     
@@ -516,6 +518,7 @@ export class FiscaliaAgent {
         employee_id: diagnosis.employee_id,
         risk_score: diagnosis.risk_score,
         patterns: diagnosis.evidence?.patterns,
+        provenance: diagnosis.provenance,
       },
     });
     
@@ -16,7 +16,7 @@
  */
 
 import { logger, query } from "@tagers/shared";
-import { ForenseDetector } from "../detectors/sales/ForenseDetector.js";
+import { ForenseDetector, SALES_CHANNELS } from "../detectors/sales/ForenseDetector.js";
 import { memoryService, MemoryTypes } from "../memory/MemoryService.js";
 import caseService from "../services/caseService.js";
 import { getBranchName } from "../config/lucaConfig.js";
@@ -43,7 +43,7 @@ const AUTOPSY_DIMENSIONS = {
     id: "channel_mix",
     question: "¿Cambió el mix de canales?",
     metric: "channel_distribution",
-    threshold: 15, // % de cambio absoluto
+    threshold: 15, // Puntos de participación ganados/perdidos por un canal
     weight: 0.10,
   },
   DISCOUNTS: {
@@ -108,6 +108,13 @@ const HYPOTHESIS_TEMPLATES = {
     baseConfidence: 0.7,
     requiredSignals: ["discount_spike"],
   },
+  CHANNEL_COLLAPSE: {
+    id: "channel_collapse",
+    title: "Caída concentrada en un canal",
+    description: "La caída viene de un solo canal de venta; el resto se mantuvo cerca de lo normal",
+    baseConfidence: 0.6,
+    requiredSignals: ["channel_mix_shift"],
+  },
   STAFFING_IMPACT: {
     id: "staffing_impact",
     title: "Impacto por falta de personal",
@@ -244,6 +251,7 @@ export class ForenseAgent {
           value: result.value,
           change: result.change,
           significance: result.significance,
+          ...(result.narrative ? { narrative: result.narrative } : {}),
         });
       }
     }
@@ -308,8 +316,14 @@ export class ForenseAgent {
           break;
 
         case "channel_mix":
-          // TODO: Implementar cuando tengamos datos de canales
-          result.value = null;
+          const channelMix = await this.getChannelMix(finding.branch_id, finding.date);
+          if (!channelMix) break;
+          result.value = channelMix.shares;
+          result.baseline = channelMix.baselineShares;
+          // Cambio del canal que más participación perdió (negativo = perdió)
+          result.change = channelMix.topShift?.shareChangePts ?? null;
+          result.details = channelMix;
+          result.narrative = this.describeChannelShift(channelMix);
           break;
       }
 
@@ -342,6 +356,7 @@ export class ForenseAgent {
     const hasDiscountSpike = signals.some(s => s.dimension === "discounts");
     const hasStaffingIssue = signals.some(s => s.dimension === "staffing");
     const hasExternalFactor = signals.some(s => s.dimension === "external");
+    const hasChannelShift = signals.some(s => s.dimension === "channel_mix");
 
     if (hasTrafficDrop && hasStaffingIssue) {
       correlations.push({
@@ -367,6 +382,14 @@ export class ForenseAgent {
       });
     }
 
+    if (hasTrafficDrop && hasChannelShift) {
+      correlations.push({
+        pattern: "channel_traffic",
+        description: "La caída de tráfico se concentra en un canal de venta",
+        strength: 0.7,
+      });
+    }
+
     return correlations;
   }
 
@@ -383,6 +406,7 @@ export class ForenseAgent {
       if (s.dimension === "discounts") return "discount_spike";
       if (s.dimension === "staffing") return "staffing_issue";
       if (s.dimension === "external") return "external_factor";
+      if (s.dimension === "channel_mix") return "channel_mix_shift";
       return s.dimension;
     }));
 
@@ -419,12 +443,20 @@ export class ForenseAgent {
             matchingSignals.includes(`${s.dimension}_drop`) || 
             matchingSignals.includes(`${s.dimension}_spike`) ||
             matchingSignals.includes(`${s.dimension}_issue`) ||
-            matchingSignals.includes(`${s.dimension}_factor`)
+            matchingSignals.includes(`${s.dimension}_factor`) ||
+            matchingSignals.includes(`${s.dimension}_shift`)
           ),
         });
       }
     }
 
+    // Narrar el cambio de canal en la hipótesis (el template sólo trae texto genérico)
+    const channelSignal = autopsy.signals.find(s => s.dimension === "channel_mix");
+    const channelHypothesis = hypotheses.find(h => h.id === "channel_collapse");
+    if (channelSignal?.narrative && channelHypothesis) {
+      channelHypothesis.description = channelSignal.narrative;
+    }
+
     // Ordenar por confidence
     hypotheses.sort((a, b) => b.confidence - a.confidence);
 
@@ -442,6 +474,7 @@ export class ForenseAgent {
       allHypotheses: hypotheses,
       signalsAnalyzed: autopsy.signals.length,
       correlationsFound: autopsy.correlations.length,
+      channelShift: channelSignal?.narrative || null,
       diagnosedAt: new Date().toISOString(),
     };
   }
@@ -460,6 +493,7 @@ export class ForenseAgent {
         discount_spike: autopsy.signals.some(s => s.dimension === "discounts"),
         staffing_issue: autopsy.signals.some(s => s.dimension === "staffing"),
         external_factor: autopsy.signals.some(s => s.dimension === "external"),
+        channel_shift: autopsy.signals.some(s => s.dimension === "channel_mix"),
       };
 
       const similar = await memoryService.findSimilarAutopsies(characteristics, {
@@ -527,6 +561,13 @@ export class ForenseAgent {
         });
         break;
 
+      case "channel_collapse":
+        recommendations.push(this.getChannelRecommendation(
+          autopsy.dimensions.channel_mix?.details?.topShift,
+          branchName
+        ));
+        break;
+
       case "staffing_impact":
         recommendations.push({
           action: "REVIEW_STAFFING",
@@ -579,16 +620,16 @@ export class ForenseAgent {
     const caso = {
       title: `Autopsia: Caída de ventas en ${branchName} (${finding.date})`,
       description: `${diagnosis.primaryHypothesis.description}\n\nSeñales detectadas: ${autopsy.signals.map(s => s.question).join(", ")}`,
-      case_type: "AUTOPSY",
+      caseType: "AUTOPSY",
       severity: finding.severity,
       scope: {
         branch_id: finding.branch_id,
         date: finding.date,
-      },
-      source: {
-        detector: "forense",
         finding_id: finding.finding_id,
       },
+      source: "detector",
+      detectorId: "forense",
+      createdBy: "forense_agent",
     };
 
     try {
@@ -612,9 +653,9 @@ export class ForenseAgent {
       // Agregar acciones recomendadas
       for (const rec of recommendations.recommendations) {
         await caseService.recommendAction(created.case_id, {
+          type: rec.type,
           title: rec.title,
           description: rec.description,
-          action_type: rec.type,
           priority: rec.priority,
         });
       }
@@ -641,6 +682,9 @@ export class ForenseAgent {
       `Señales: ${autopsy.signals.map(s => s.question).join(", ")}`,
       `Diagnóstico: ${diagnosis.primaryHypothesis.title}`,
       `Descripción: ${diagnosis.primaryHypothesis.description}`,
+      ...(diagnosis.channelShift && diagnosis.primaryHypothesis.id !== "channel_collapse"
+        ? [`Canales: ${diagnosis.channelShift}`]
+        : []),
     ].join(". ");
 
     await memoryService.store({
@@ -705,6 +749,106 @@ export class ForenseAgent {
     return 1.5; // Mock
   }
 
+  /**
+   * Compara ventas por canal del día vs el baseline del ForenseDetector
+   */
+  async getChannelMix(branchId, date) {
+    const [current, baseline] = await Promise.all([
+      this.detector.getChannelMetrics(branchId, date),
+      this.detector.getBaselineChannelMetrics(branchId, new Date(date)),
+    ]);
+
+    // Sin datos reales de canal (error de DB o baseline vacío) no se opina
+    if (!current || !baseline) return null;
+
+    const currentTotal = Object.values(current).reduce((s, c) => s + c.total, 0);
+    const baselineTotal = Object.values(baseline).reduce((s, c) => s + c.total, 0);
+
+    if (currentTotal === 0 || baselineTotal === 0) return null;
+
+    const channels = [...new Set([...Object.keys(current), ...Object.keys(baseline)])]
+      .map(channel => {
+        const today = current[channel]?.total || 0;
+        const base = baseline[channel]?.total || 0;
+        const share = (today / currentTotal) * 100;
+        const baselineShare = (base / baselineTotal) * 100;
+
+        return {
+          channel,
+          label: SALES_CHANNELS[channel]?.label || "Otros",
+          total: Math.round(today),
+          baselineTotal: Math.round(base),
+          salesChangePct: base > 0 ? Math.round(((today - base) / base) * 1000) / 10 : null,
+          share: Math.round(share * 10) / 10,
+          baselineShare: Math.round(baselineShare * 10) / 10,
+          shareChangePts: Math.round((share - baselineShare) * 10) / 10 || 0,
+        };
+      })
+      // Primero el que más participación perdió: con dos canales la pérdida de
+      // uno es la ganancia del otro, y el colapso es siempre el que bajó
+      .sort((a, b) =>
+        a.shareChangePts - b.shareChangePts ||
+        (a.salesChangePct ?? Infinity) - (b.salesChangePct ?? Infinity)
+      );
+
+    return {
+      channels,
+      topShift: channels[0] || null,
+      shares: Object.fromEntries(channels.map(c => [c.channel, c.share])),
+      baselineShares: Object.fromEntries(channels.map(c => [c.channel, c.baselineShare])),
+    };
+  }
+
+  /**
+   * Narra el cambio de canal para el diagnóstico
+   */
+  describeChannelShift(channelMix) {
+    const top = channelMix?.topShift;
+    if (!top) return null;
+
+    const direction = top.shareChangePts < 0 ? "perdió" : "ganó";
+    const parts = [
+      `${top.label} ${direction} ${Math.abs(top.shareChangePts).toFixed(1)} puntos de participación ` +
+      `(${top.baselineShare.toFixed(1)}% → ${top.share.toFixed(1)}% de las ventas)`,
+    ];
+
+    if (top.salesChangePct !== null) {
+      parts.push(`sus ventas ${top.salesChangePct < 0 ? "cayeron" : "subieron"} ${Math.abs(top.salesChangePct).toFixed(0)}% vs el promedio del mismo día en las últimas 4 semanas`);
+    }
+
+    // Resto de canales: ¿se mantuvieron o también cayeron?
+    const others = channelMix.channels.filter(c => c.channel !== top.channel && c.salesChangePct !== null);
+    if (others.length > 0) {
+      const avgOthers = others.reduce((s, c) => s + c.salesChangePct, 0) / others.length;
+      parts.push(`el resto de los canales promedió ${avgOthers >= 0 ? "+" : ""}${avgOthers.toFixed(0)}%`);
+    }
+
+    return parts.join("; ") + ".";
+  }
+
+  /**
+   * Recomendación específica según el canal que cayó
+   */
+  getChannelRecommendation(topShift, branchName) {
+    const byChannel = {
+      delivery_apps: "Verificar que la sucursal no esté pausada en Rappi/Uber Eats/DiDi y revisar menú, tiempos de preparación y calificación",
+      web_preorder: "Revisar el sitio de preórdenes: pagos, disponibilidad de horarios y productos publicados",
+      dine_in: "Revisar la experiencia en salón: tiempos de espera, mesas disponibles y servicio",
+      takeaway: "Revisar tiempos de atención en mostrador y disponibilidad de producto para llevar",
+    };
+
+    const label = topShift?.label || "el canal afectado";
+
+    return {
+      action: "REVIEW_CHANNEL",
+      title: `Revisar canal: ${label}`,
+      description: `${byChannel[topShift?.channel] || "Revisar qué cambió en el canal afectado"} en ${branchName}`,
+      priority: "HIGH",
+      type: "OPERATIONS",
+      channel: topShift?.channel,
+    };
+  }
+
   async getStaffingData(branchId, date) {
     // Mock - en producción vendría de BUK
     return {
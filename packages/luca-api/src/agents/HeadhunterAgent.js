@@ -11,15 +11,30 @@
  * 4. draftConvocatoria()  → Prepara mensajes personalizados
  * 5. processResponses()   → Maneja aceptaciones/rechazos
  * 6. confirmAssignment()  → Confirma y actualiza BUK
+ * 7. cascade()            → Rechazo/timeout/sin WhatsApp → siguiente candidato por score
  * 
  * Flujo: PREDICT → DETECT → SEARCH → DRAFT → SEND → PROCESS → CONFIRM
+ *                                                  ↘ CASCADE → ESCALATE
+ *
+ * Las convocatorias viven en luca_staffing_convocatorias (convocatoriaService)
+ * y cada cambio se aplica con la fila bloqueada. Cada ronda de la cascada es
+ * su propia acción CONTACT_EVENTUAL_STAFF en ActionBus.
  */
 
 import { logger, query } from "@tagers/shared";
 import { bukClient } from "../integrations/buk/BukClient.js";
-import { actionBus } from "../actions/ActionBus.js";
+import { actionBus, ActionState } from "../actions/ActionBus.js";
+import {
+  ACTIVE_STATUSES,
+  claimEscalation,
+  listConvocatorias,
+  saveConvocatoria,
+  withConvocatoria,
+} from "../services/convocatoriaService.js";
 import { getBranchList, getBranchName } from "../config/lucaConfig.js";
 import { memoryService, MemoryTypes } from "../memory/MemoryService.js";
+import { externalContext } from "../integrations/external/ExternalContext.js";
+import { mexicoHolidays } from "../integrations/calendar/MexicoHolidays.js";
 
 /**
  * Configuración de staffing por tipo de día
@@ -39,6 +54,24 @@ const STAFFING_REQUIREMENTS = {
   },
 };
 
+/**
+ * Feriados oficiales si LUCA_HOLIDAYS no está cargado
+ */
+const FALLBACK_HOLIDAYS = [
+  "2026-01-01", // Año Nuevo
+  "2026-02-02", // Constitución
+  "2026-03-16", // Benito Juárez
+  "2026-05-01", // Día del Trabajo
+  "2026-09-16", // Independencia
+  "2026-11-16", // Revolución
+  "2026-12-25", // Navidad
+];
+
+/**
+ * Factores por debajo de este cambio no se reportan como causa del gap
+ */
+const MIN_FACTOR_CHANGE = 0.05;
+
 /**
  * Criterios para selección de eventuales
  */
@@ -50,11 +83,12 @@ const SELECTION_CRITERIA = {
   responseWaitHours: 4,
 };
 
-export class HeadhunterAgent {
-  constructor() {
-    this.pendingConvocatorias = new Map(); // actionId -> convocatoria
-  }
+/**
+ * Estados de ActionBus en los que una ronda ya no se va a enviar
+ */
+const NOT_SENT_STATES = [ActionState.REJECTED, ActionState.CANCELLED, ActionState.EXPIRED, ActionState.FAILED];
 
+export class HeadhunterAgent {
   /**
    * Ejecuta el flujo completo del Headhunter
    */
@@ -109,6 +143,8 @@ export class HeadhunterAgent {
 
         if (candidates.length === 0) {
           logger.warn({ gap }, "No candidates found for gap");
+          await this.escalateToManager(gap, { reason: "no_candidates" });
+          results.escalated = [...(results.escalated || []), gap.gapId];
           continue;
         }
 
@@ -165,22 +201,19 @@ export class HeadhunterAgent {
         const dayType = isHoliday ? "holiday" : (isWeekend ? "weekend" : "weekday");
         const requirements = STAFFING_REQUIREMENTS[dayType];
 
-        // Ajustar por factores históricos y estacionalidad
-        const adjustmentFactor = await this.getSeasonalAdjustment(branch.id, dateStr);
+        // Ajustar por calendario (puentes, Semana Santa, rosca, eventos, escuela)
+        // y por estacionalidad histórica
+        const demand = await this.getDemandFactor(branch.id, dateStr, dayType);
 
         predictions.push({
           branchId: branch.id,
           date: dateStr,
           dayType,
+          demandFactor: demand.factor,
+          demandCauses: demand.causes,
           shifts: {
-            morning: {
-              required: Math.ceil(requirements.morning.optimal * adjustmentFactor),
-              minimum: requirements.morning.min,
-            },
-            afternoon: {
-              required: Math.ceil(requirements.afternoon.optimal * adjustmentFactor),
-              minimum: requirements.afternoon.min,
-            },
+            morning: this.adjustRequirements(requirements.morning, demand.factor),
+            afternoon: this.adjustRequirements(requirements.afternoon, demand.factor),
           },
         });
 
@@ -228,6 +261,10 @@ export class HeadhunterAgent {
           const actual = scheduled[shift] || 0;
 
           if (actual < minimum) {
+            // Si el mínimo subió por calendario, ese factor es la causa del gap
+            const baseMinimum = STAFFING_REQUIREMENTS[prediction.dayType][shift].min;
+            const calendarDriven = actual >= baseMinimum;
+
             gaps.push({
               gapId: `GAP-${branch.id}-${prediction.date}-${shift}`,
               branchId: branch.id,
@@ -239,6 +276,10 @@ export class HeadhunterAgent {
               deficit: minimum - actual,
               severity: actual === 0 ? "CRITICAL" : (actual < minimum ? "HIGH" : "MEDIUM"),
               dayType: prediction.dayType,
+              demandFactor: prediction.demandFactor,
+              causes: prediction.demandCauses,
+              cause: this.describeGapCause(prediction, actual, baseMinimum, minimum),
+              calendarDriven,
             });
           }
         }
@@ -355,13 +396,17 @@ export class HeadhunterAgent {
     const convocatoria = {
       id: `CONV-${Date.now()}-${gap.branchId}`,
       gap,
+      // queued → contacted → accepted | declined | timeout | unreachable | not_needed
       candidates: candidates.map(c => ({
         employeeId: c.employeeId,
         name: c.name,
         phone: c.phone,
         score: c.score,
-        status: "pending",
+        status: "queued",
       })),
+      status: "awaiting_approval", // awaiting_approval → open → filled | escalated | closed
+      waves: [], // { actionId, trigger, employeeIds, state }
+      cause: gap.cause,
       message: this.generateConvocatoriaMessage({
         branchName,
         date: gap.date,
@@ -411,19 +456,23 @@ _Responde SI para confirmar o NO si no puedes._
   async sendConvocatoria(convocatoria, context) {
     logger.info({ convocatoriaId: convocatoria.id }, "Phase 5: SEND CONVOCATORIA");
 
-    // Guardar convocatoria para tracking
-    this.pendingConvocatorias.set(convocatoria.id, convocatoria);
+    // Primera ronda: sólo los mejores N (N = déficit). El resto queda en cola
+    // para la cascada cuando alguien rechace o no conteste.
+    const firstWave = this.getNextCandidates(convocatoria, convocatoria.gap.deficit);
+    for (const candidate of firstWave) {
+      candidate.status = "contacted";
+    }
 
     // Proponer acción via ActionBus (requiere APPROVAL)
     const result = await actionBus.propose({
       type: "CONTACT_EVENTUAL_STAFF",
       payload: {
-        candidates: convocatoria.candidates.map(c => ({
+        candidates: firstWave.map(c => ({
           phone: c.phone,
           name: c.name,
         })),
         shift_date: convocatoria.gap.date,
-        shift_time: convocatoria.gap.shift === "morning" ? "7:00 - 15:00" : "15:00 - 22:00",
+        shift_time: this.getShiftTimeLabel(convocatoria.gap.shift),
         branch_id: convocatoria.gap.branchId,
         message_template: convocatoria.message,
         convocatoria_id: convocatoria.id,
@@ -432,11 +481,25 @@ _Responde SI para confirmar o NO si no puedes._
         gap_id: convocatoria.gap.gapId,
         deficit: convocatoria.gap.deficit,
         convocatoria_id: convocatoria.id,
+        demand_factor: convocatoria.gap.demandFactor,
+        demand_causes: convocatoria.gap.causes,
       },
-      reason: `Cubrir ${convocatoria.gap.deficit} posición(es) el ${convocatoria.gap.date} turno ${convocatoria.gap.shift}`,
+      reason: `Cubrir ${convocatoria.gap.deficit} posición(es) el ${convocatoria.gap.date} turno ${convocatoria.gap.shift}` +
+        (convocatoria.gap.cause ? ` (${convocatoria.gap.cause})` : ""),
       requestedBy: "headhunter_agent",
     });
 
+    convocatoria.actionId = result.actionId;
+    convocatoria.waves.push(this.buildWave(result, "initial", firstWave));
+
+    // Si se ejecutó de inmediato (AUTO), arranca el reloj de respuesta
+    if (result.state === ActionState.EXECUTED) {
+      this.markWaveContacted(convocatoria, firstWave, result.result);
+      await this.cascadeUnreachable(convocatoria, firstWave);
+    }
+
+    await saveConvocatoria(convocatoria);
+
     return result;
   }
 
@@ -446,8 +509,15 @@ _Responde SI para confirmar o NO si no puedes._
   async processResponse(convocatoriaId, employeePhone, response) {
     logger.info({ convocatoriaId, employeePhone, response }, "Processing candidate response");
 
-    const convocatoria = this.pendingConvocatorias.get(convocatoriaId);
-    
+    return withConvocatoria(convocatoriaId, convocatoria =>
+      this.applyResponse(convocatoria, convocatoriaId, employeePhone, response)
+    );
+  }
+
+  /**
+   * Aplica la respuesta con la convocatoria ya bloqueada
+   */
+  async applyResponse(convocatoria, convocatoriaId, employeePhone, response) {
     if (!convocatoria) {
       logger.warn({ convocatoriaId }, "Convocatoria not found");
       return { success: false, error: "Convocatoria not found" };
@@ -460,9 +530,28 @@ _Responde SI para confirmar o NO si no puedes._
       return { success: false, error: "Candidate not found" };
     }
 
+    // Una respuesta implica que la convocatoria ya salió aunque no hayamos visto la ejecución
+    if (convocatoria.status === "awaiting_approval") {
+      await this.syncApprovalState(convocatoria);
+      if (convocatoria.status === "awaiting_approval") {
+        this.markWaveContacted(convocatoria, convocatoria.candidates.filter(c => c.status === "contacted" && !c.contactedAt));
+      }
+    }
+    candidate.respondedAt = new Date().toISOString();
+
     const isAccept = this.parseResponse(response);
 
     if (isAccept) {
+      // El turno ya se cubrió con otros candidatos
+      if (this.countByStatus(convocatoria, "accepted") >= convocatoria.gap.deficit) {
+        candidate.status = "not_needed";
+        return {
+          success: true,
+          action: "already_filled",
+          remainingDeficit: 0,
+        };
+      }
+
       // Candidato aceptó
       candidate.status = "accepted";
       candidate.acceptedAt = new Date().toISOString();
@@ -473,10 +562,18 @@ _Responde SI para confirmar o NO si no puedes._
       // Notificar confirmación
       await this.notifyConfirmation(convocatoria, candidate);
 
+      const remainingDeficit = convocatoria.gap.deficit - this.countByStatus(convocatoria, "accepted");
+      if (remainingDeficit <= 0) {
+        convocatoria.status = "filled";
+        convocatoria.closedAt = new Date().toISOString();
+        logger.info({ convocatoriaId }, "Convocatoria filled");
+      }
+
       return {
         success: true,
         action: "accepted",
         assignment,
+        remainingDeficit: Math.max(0, remainingDeficit),
       };
 
     } else {
@@ -485,18 +582,13 @@ _Responde SI para confirmar o NO si no puedes._
       candidate.declinedAt = new Date().toISOString();
 
       // Contactar siguiente candidato si hay déficit pendiente
-      const accepted = convocatoria.candidates.filter(c => c.status === "accepted").length;
-      const pending = convocatoria.candidates.filter(c => c.status === "pending");
-
-      if (accepted < convocatoria.gap.deficit && pending.length > 0) {
-        // TODO: Contactar siguiente candidato
-        logger.info({ nextCandidate: pending[0].name }, "Would contact next candidate");
-      }
+      const cascade = await this.cascade(convocatoria, "declined");
 
       return {
         success: true,
         action: "declined",
-        remainingDeficit: convocatoria.gap.deficit - accepted,
+        remainingDeficit: convocatoria.gap.deficit - this.countByStatus(convocatoria, "accepted"),
+        cascade,
       };
     }
   }
@@ -550,6 +642,354 @@ _Responde SI para confirmar o NO si no puedes._
     });
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CASCADA
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Contacta a los siguientes candidatos (por score) hasta cubrir el déficit.
+   * Si la lista se agota sin cubrirlo, escala al gerente de la sucursal.
+   *
+   * Cada ronda pasa por ActionBus como CONTACT_EVENTUAL_STAFF (aprobación,
+   * auditoría y límites). Mientras espera aprobación sus candidatos cuentan
+   * como contactados sin reloj; syncApprovalState lo arranca al ejecutarse.
+   * Se llama con la convocatoria bloqueada (withConvocatoria).
+   */
+  async cascade(convocatoria, trigger) {
+    if (convocatoria.status !== "open") {
+      return { contacted: [], status: convocatoria.status };
+    }
+
+    const contacted = [];
+
+    // Loop por si algún número falla: se marca unreachable y se sigue con el siguiente
+    while (true) {
+      const accepted = this.countByStatus(convocatoria, "accepted");
+      const awaiting = this.countByStatus(convocatoria, "contacted");
+      const needed = convocatoria.gap.deficit - accepted - awaiting;
+
+      if (needed <= 0) break;
+
+      const next = this.getNextCandidates(convocatoria, needed);
+
+      if (next.length === 0) {
+        // Nadie más en cola; si tampoco hay respuestas pendientes, escalar
+        if (awaiting === 0) {
+          await this.escalateToManager(convocatoria.gap, {
+            reason: "candidates_exhausted",
+            convocatoria,
+          });
+        }
+        break;
+      }
+
+      logger.info({
+        convocatoriaId: convocatoria.id,
+        trigger,
+        next: next.map(c => ({ name: c.name, score: c.score })),
+      }, "Cascading convocatoria to next candidates");
+
+      const wave = await this.proposeWave(convocatoria, next, trigger);
+
+      // Rechazada o bloqueada por límites: no insistir con el resto de la cola
+      if (!wave.sent) {
+        await this.escalateToManager(convocatoria.gap, {
+          reason: "cascade_not_approved",
+          convocatoria,
+        });
+        break;
+      }
+
+      contacted.push(...next.filter(c => c.status === "contacted").map(c => c.name));
+    }
+
+    return {
+      contacted,
+      status: convocatoria.status,
+      remainingQueue: this.countByStatus(convocatoria, "queued"),
+    };
+  }
+
+  /**
+   * Propone una ronda de la cascada en ActionBus
+   */
+  async proposeWave(convocatoria, candidates, trigger) {
+    let result = null;
+
+    try {
+      result = await actionBus.propose({
+        type: "CONTACT_EVENTUAL_STAFF",
+        payload: {
+          candidates: candidates.map(c => ({ phone: c.phone, name: c.name })),
+          shift_date: convocatoria.gap.date,
+          shift_time: this.getShiftTimeLabel(convocatoria.gap.shift),
+          branch_id: convocatoria.gap.branchId,
+          message_template: convocatoria.message,
+          convocatoria_id: convocatoria.id,
+        },
+        context: {
+          gap_id: convocatoria.gap.gapId,
+          deficit: convocatoria.gap.deficit,
+          convocatoria_id: convocatoria.id,
+          parent_action_id: convocatoria.actionId,
+          cascade_trigger: trigger,
+          wave: convocatoria.waves.length + 1,
+        },
+        reason: `Cascada (${trigger}): ${candidates.length} eventual(es) para ${convocatoria.gap.date} turno ${convocatoria.gap.shift}`,
+        requestedBy: "headhunter_agent",
+      });
+    } catch (err) {
+      logger.warn({ convocatoriaId: convocatoria.id, err: err?.message }, "Cascade wave proposal failed");
+    }
+
+    if (!result?.actionId || NOT_SENT_STATES.includes(result.state)) {
+      return { sent: false, state: result?.state || null };
+    }
+
+    const wave = this.buildWave(result, trigger, candidates);
+    convocatoria.waves.push(wave);
+
+    if (result.state === ActionState.EXECUTED) {
+      this.markWaveContacted(convocatoria, candidates, result.result);
+    } else {
+      // Pendiente de aprobación: ocupan el lugar pero sin reloj de respuesta
+      for (const candidate of candidates) candidate.status = "contacted";
+    }
+
+    return { sent: true, ...wave };
+  }
+
+  buildWave(result, trigger, candidates) {
+    return {
+      actionId: result.actionId,
+      trigger,
+      employeeIds: candidates.map(c => c.employeeId),
+      state: result.state,
+    };
+  }
+
+  /**
+   * Revisa convocatorias abiertas: sincroniza aprobación, marca timeouts
+   * y cascada a los siguientes candidatos. Lo llama staffingCascadeJob.
+   */
+  async checkTimeouts(now = new Date()) {
+    const summary = { checked: 0, timedOut: 0, cascaded: 0, escalated: 0, closed: 0 };
+    const active = await listConvocatorias({ statuses: ACTIVE_STATUSES, limit: 500 });
+
+    for (const { id } of active) {
+      try {
+        await withConvocatoria(id, convocatoria =>
+          convocatoria && this.checkConvocatoria(convocatoria, now, summary)
+        );
+      } catch (err) {
+        logger.warn({ convocatoriaId: id, err: err?.message }, "Convocatoria timeout check failed");
+      }
+    }
+
+    if (summary.timedOut > 0 || summary.closed > 0) {
+      logger.info(summary, "Convocatoria timeouts processed");
+    }
+
+    return summary;
+  }
+
+  /**
+   * Timeouts y cascada de una convocatoria (bloqueada por withConvocatoria)
+   */
+  async checkConvocatoria(convocatoria, now, summary) {
+    const waitMs = SELECTION_CRITERIA.responseWaitHours * 60 * 60 * 1000;
+    const today = now.toISOString().split("T")[0];
+
+    const synced = await this.syncApprovalState(convocatoria);
+    if (synced) {
+      summary.cascaded += synced.contacted.length;
+      if (convocatoria.status === "escalated") summary.escalated++;
+    }
+    if (convocatoria.status !== "open") return;
+
+    summary.checked++;
+
+    // El turno ya pasó: no tiene caso seguir contactando
+    if (convocatoria.gap.date < today) {
+      convocatoria.status = "closed";
+      convocatoria.closedAt = now.toISOString();
+      summary.closed++;
+      return;
+    }
+
+    const timedOut = convocatoria.candidates.filter(c =>
+      c.status === "contacted" &&
+      c.contactedAt &&
+      now.getTime() - new Date(c.contactedAt).getTime() >= waitMs
+    );
+
+    for (const candidate of timedOut) {
+      candidate.status = "timeout";
+      candidate.timedOutAt = now.toISOString();
+    }
+    summary.timedOut += timedOut.length;
+
+    if (timedOut.length > 0) {
+      const result = await this.cascade(convocatoria, "timeout");
+      summary.cascaded += result.contacted.length;
+      if (convocatoria.status === "escalated") summary.escalated++;
+    }
+  }
+
+  /**
+   * Sincroniza las rondas pendientes con su acción en ActionBus: al
+   * ejecutarse arranca el reloj de respuesta; si no se envió, la primera
+   * ronda cierra la convocatoria y una ronda de cascada la escala.
+   * Si al ejecutarse hubo números sin WhatsApp, cascada por sus lugares
+   * (devuelve el resultado de esa cascada).
+   */
+  async syncApprovalState(convocatoria) {
+    const waves = convocatoria.waves || [];
+    const pending = waves.filter(w => w.state !== ActionState.EXECUTED && !NOT_SENT_STATES.includes(w.state));
+    const executed = [];
+
+    for (const wave of pending) {
+      const action = await actionBus.getAction(wave.actionId);
+      if (!action) continue;
+
+      const candidates = convocatoria.candidates.filter(c =>
+        wave.employeeIds.includes(c.employeeId) && c.status === "contacted" && !c.contactedAt
+      );
+
+      if (action.state === ActionState.EXECUTED) {
+        wave.state = action.state;
+        this.markWaveContacted(
+          convocatoria,
+          candidates,
+          action.metadata?.execution_result,
+          action.metadata?.executed_at
+        );
+        executed.push(...candidates);
+      } else if (NOT_SENT_STATES.includes(action.state)) {
+        wave.state = action.state;
+
+        if (wave === waves[0]) {
+          convocatoria.status = "closed";
+          convocatoria.closedAt = new Date().toISOString();
+          logger.info({ convocatoriaId: convocatoria.id, actionState: action.state }, "Convocatoria closed (action not executed)");
+        } else if (convocatoria.status === "open") {
+          for (const candidate of candidates) candidate.status = "queued";
+          await this.escalateToManager(convocatoria.gap, { reason: "cascade_not_approved", convocatoria });
+        }
+      }
+    }
+
+    return this.cascadeUnreachable(convocatoria, executed);
+  }
+
+  /**
+   * Cascada por los candidatos de una ronda ejecutada cuyo envío falló.
+   * cascade() sólo contacta si el déficit sigue sin cubrirse.
+   */
+  async cascadeUnreachable(convocatoria, wave) {
+    if (!wave.some(c => c.status === "unreachable")) return null;
+    return this.cascade(convocatoria, "unreachable");
+  }
+
+  /**
+   * Marca una ronda como contactada según el resultado del envío
+   */
+  markWaveContacted(convocatoria, wave, sendResult, contactedAt = new Date().toISOString()) {
+    const results = sendResult?.results || [];
+
+    for (const candidate of wave) {
+      const sent = results.find(r => r.phone === candidate.phone);
+
+      if (sent && !sent.success) {
+        candidate.status = "unreachable";
+        candidate.error = sent.error;
+        continue;
+      }
+
+      candidate.status = "contacted";
+      candidate.contactedAt = contactedAt;
+    }
+
+    if (convocatoria.status === "awaiting_approval") {
+      convocatoria.status = "open";
+    }
+  }
+
+  /**
+   * Escala un gap sin cubrir al gerente de la sucursal
+   */
+  async escalateToManager(gap, { reason, convocatoria = null }) {
+    if (convocatoria?.escalatedAt) return;
+
+    const branchName = await getBranchName(gap.branchId);
+    const accepted = convocatoria ? this.countByStatus(convocatoria, "accepted") : 0;
+    const missing = gap.deficit - accepted;
+
+    let detail = "No hay eventuales disponibles para ese turno.";
+    if (convocatoria) {
+      const declined = this.countByStatus(convocatoria, "declined");
+      const timedOut = this.countByStatus(convocatoria, "timeout");
+      const unreachable = this.countByStatus(convocatoria, "unreachable");
+      detail = `Se contactó a ${convocatoria.candidates.length} eventual(es): ` +
+        `${accepted} aceptaron, ${declined} rechazaron, ${timedOut} sin respuesta` +
+        (unreachable > 0 ? `, ${unreachable} sin WhatsApp` : "") + ".";
+
+      convocatoria.status = "escalated";
+      convocatoria.escalatedAt = new Date().toISOString();
+    }
+
+    // Una sola vez por gap entre corridas, rondas y réplicas
+    const claimed = await claimEscalation(gap.gapId, { reason, convocatoriaId: convocatoria?.id });
+    if (!claimed) {
+      logger.info({ gapId: gap.gapId, reason }, "Uncovered shift already escalated");
+      return;
+    }
+
+    logger.warn({ gapId: gap.gapId, reason, missing }, "Escalating uncovered shift to branch manager");
+
+    try {
+      await actionBus.propose({
+        type: "NOTIFY_GERENTE",
+        payload: {
+          branch_id: gap.branchId,
+          urgency: "urgent",
+          message: `Turno sin cubrir en ${branchName}: ${gap.date} (${this.getShiftTimeLabel(gap.shift)}). ` +
+            `Faltan ${missing} persona(s). ` +
+            (gap.cause ? `Motivo: ${gap.cause}. ` : "") +
+            detail,
+        },
+        context: {
+          gap_id: gap.gapId,
+          convocatoria_id: convocatoria?.id,
+          escalation_reason: reason,
+          demand_causes: gap.causes,
+        },
+        reason: "Escalar turno sin cubrir al gerente",
+        requestedBy: "headhunter_agent",
+      });
+    } catch (err) {
+      logger.error({ gapId: gap.gapId, err: err?.message }, "Failed to escalate uncovered shift");
+    }
+  }
+
+  /**
+   * Siguientes candidatos en cola, mejor score primero
+   */
+  getNextCandidates(convocatoria, count) {
+    return convocatoria.candidates
+      .filter(c => c.status === "queued")
+      .sort((a, b) => b.score - a.score)
+      .slice(0, count);
+  }
+
+  countByStatus(convocatoria, status) {
+    return convocatoria.candidates.filter(c => c.status === status).length;
+  }
+
+  getShiftTimeLabel(shift) {
+    return shift === "morning" ? "7:00 - 15:00" : "15:00 - 22:00";
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // HELPERS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -586,17 +1026,79 @@ _Responde SI para confirmar o NO si no puedes._
    * Verifica si una fecha es feriado
    */
   async isHoliday(dateStr) {
-    // TODO: Integrar con calendario de feriados
-    const holidays = [
-      "2026-01-01", // Año Nuevo
-      "2026-02-03", // Constitución
-      "2026-03-16", // Benito Juárez
-      "2026-05-01", // Día del Trabajo
-      "2026-09-16", // Independencia
-      "2026-11-16", // Revolución
-      "2026-12-25", // Navidad
-    ];
-    return holidays.includes(dateStr);
+    const info = mexicoHolidays.getDateInfo(`${dateStr}T12:00:00`);
+    if (info.holiday) return true;
+    return FALLBACK_HOLIDAYS.includes(dateStr);
+  }
+
+  /**
+   * Factor de demanda para una sucursal y fecha, con sus causas.
+   * Combina ExternalContext (feriados, puentes, temporadas, eventos, escuela)
+   * con la estacionalidad histórica guardada en memoria.
+   */
+  async getDemandFactor(branchId, dateStr, dayType) {
+    const date = new Date(`${dateStr}T12:00:00`);
+    const combined = externalContext.getCalendarImpact(branchId, date);
+
+    // STAFFING_REQUIREMENTS.holiday ya contempla el feriado: no contarlo dos veces
+    const holiday = dayType === "holiday" ? mexicoHolidays.getDateInfo(date).holiday : null;
+    const factors = combined.factors
+      .map(f => (f.source === "calendar" && holiday?.impact)
+        ? { ...f, factor: f.factor / holiday.impact }
+        : f)
+      .filter(f => f.factor !== 1.0);
+
+    const seasonal = await this.getSeasonalAdjustment(branchId, dateStr);
+    if (seasonal !== 1.0) {
+      factors.push({ source: "history", factor: seasonal, description: "estacionalidad histórica" });
+    }
+
+    const factor = factors.reduce((acc, f) => acc * f.factor, 1.0);
+
+    return {
+      factor: Math.round(factor * 100) / 100,
+      causes: factors
+        .filter(f => Math.abs(f.factor - 1) >= MIN_FACTOR_CHANGE)
+        .map(f => ({
+          source: f.source,
+          description: f.description,
+          factor: Math.round(f.factor * 100) / 100,
+        })),
+    };
+  }
+
+  /**
+   * Escala requerimientos por demanda. El mínimo sólo sube: en días flojos
+   * se mantiene el mínimo operativo.
+   */
+  adjustRequirements(requirements, factor) {
+    return {
+      required: Math.ceil(requirements.optimal * factor),
+      minimum: Math.max(requirements.min, Math.ceil(requirements.min * factor)),
+    };
+  }
+
+  /**
+   * Causa del gap: falta de personal base, demanda de calendario o ambas
+   */
+  describeGapCause(prediction, actual, baseMinimum, minimum) {
+    const understaffed = "Personal programado por debajo del mínimo";
+    if (minimum <= baseMinimum) return understaffed;
+
+    const demand = this.describeDemandCauses(prediction.demandCauses);
+    return actual >= baseMinimum ? demand : `${understaffed}; además ${demand.charAt(0).toLowerCase()}${demand.slice(1)}`;
+  }
+
+  /**
+   * Texto para el gerente: por qué se pide más personal
+   */
+  describeDemandCauses(causes = []) {
+    const increases = causes.filter(c => c.factor > 1);
+    if (increases.length === 0) return "Demanda esperada mayor a lo normal";
+
+    return "Demanda esperada por " + increases
+      .map(c => `${c.description} (+${Math.round((c.factor - 1) * 100)}%)`)
+      .join(", ");
   }
 
   /**
@@ -15,7 +15,7 @@
  * Integra: KISS (Chatwoot) + Encuestas + Reviews + Historial de compras
  */
 
-import { logger, query } from "@tagers/shared";
+import { logger, query, parseIntSafe } from "@tagers/shared";
 import {
   calculateHealthScore,
   getRecommendedAction,
@@ -24,9 +24,11 @@ import {
   segmentCustomers,
   HealthCategories,
 } from "./CustomerHealthScore.js";
-import { actionBus } from "../actions/ActionBus.js";
+import { actionBus, ActionState } from "../actions/ActionBus.js";
 import { memoryService, MemoryTypes } from "../memory/MemoryService.js";
 import caseService from "../services/caseService.js";
+import winbackService, { CampaignStatus } from "../services/winbackService.js";
+import { roiCalculator } from "../metrics/ROICalculator.js";
 
 /**
  * Configuración del Showman
@@ -35,6 +37,9 @@ const SHOWMAN_CONFIG = {
   // Límites de procesamiento
   maxCustomersPerRun: 100,
   minDaysBetweenContacts: 7,
+
+  // Días después del envío en que una compra del cliente cuenta como win
+  attributionWindowDays: parseIntSafe(process.env.WINBACK_ATTRIBUTION_DAYS, 14),
   
   // Umbrales de acción
   healthScoreThreshold: 0.5,     // Actuar si score < 0.5
@@ -164,7 +169,9 @@ export class ShowmanAgent {
       customersAnalyzed: 0,
       atRiskIdentified: 0,
       campaignsCreated: [],
+      skippedCooldown: 0,
       wins: [],
+      lost: [],
     };
 
     try {
@@ -191,6 +198,7 @@ export class ShowmanAgent {
       for (const customer of results.phases.analyze.customersToContact) {
         // Verificar cooldown
         if (await this.isInCooldown(customer.customerId)) {
+          results.skippedCooldown++;
           continue;
         }
 
@@ -210,7 +218,9 @@ export class ShowmanAgent {
       }
 
       // Fase 5: Verificar wins recientes (clientes recuperados)
-      results.wins = await this.checkForWins();
+      const outcomes = await this.checkOutcomes();
+      results.wins = outcomes.wins;
+      results.lost = outcomes.lost;
 
       // Fase 6: Actualizar métricas
       await this.updateMetrics(results);
@@ -406,6 +416,8 @@ export class ShowmanAgent {
       healthScore: customer.healthScore.score,
       winbackPotential: customer.winbackPotential,
       churnSignals: customer.churnSignals,
+      status: CampaignStatus.PENDING,
+      attributionWindowDays: SHOWMAN_CONFIG.attributionWindowDays,
       createdAt: new Date().toISOString(),
       expiresAt: this.getExpiryDate(7),
     };
@@ -445,6 +457,23 @@ export class ShowmanAgent {
     campaign.actionId = result.actionId;
     campaign.actionState = result.state;
 
+    try {
+      await winbackService.saveCampaign(campaign);
+    } catch (err) {
+      logger.warn({ campaignId: campaign.campaignId, err: err?.message }, "Failed to persist campaign");
+    }
+
+    // El cooldown arranca desde la propuesta: no volver a proponer mientras
+    // está en aprobación o en medición
+    await winbackService.setCooldown(campaign.customerId, {
+      campaignId: campaign.campaignId,
+      days: this.getCooldownDays(),
+    });
+
+    if (result.state === ActionState.EXECUTED) {
+      await this.markCampaignSent(campaign, result.result?.executed_at);
+    }
+
     return result;
   }
 
@@ -452,18 +481,32 @@ export class ShowmanAgent {
    * Fase 6: Verifica wins (clientes recuperados)
    */
   async checkForWins() {
+    const { wins } = await this.checkOutcomes();
+    return wins;
+  }
+
+  /**
+   * Mide campañas abiertas: WON si el cliente compró dentro de la ventana,
+   * LOST si la ventana venció sin compra
+   */
+  async checkOutcomes(now = new Date()) {
     logger.info("Phase 6: CHECK FOR WINS");
 
     const wins = [];
+    const lost = [];
+
+    for (const campaign of await this.loadOpenCampaigns()) {
+      if (campaign.status === CampaignStatus.PENDING) {
+        await this.syncCampaignState(campaign);
+      }
+      if (campaign.status !== CampaignStatus.SENT) continue;
 
-    // Verificar campañas activas
-    for (const [campaignId, campaign] of this.activeCampaigns) {
       // Verificar si el cliente volvió
-      const returned = await this.checkCustomerReturned(campaign.customerId, campaign.createdAt);
+      const returned = await this.checkCustomerReturned(campaign);
 
       if (returned) {
         wins.push({
-          campaignId,
+          campaignId: campaign.campaignId,
           customerId: campaign.customerId,
           customerName: campaign.customerName,
           campaignType: campaign.type,
@@ -474,15 +517,102 @@ export class ShowmanAgent {
         });
 
         // Marcar campaña como exitosa
-        campaign.status = "WON";
+        campaign.status = CampaignStatus.WON;
         campaign.wonAt = returned.returnDate;
+        campaign.outcome = returned;
+        await this.persistOutcome(campaign, returned);
 
         // Guardar en memoria para aprendizaje
         await this.learnFromWin(campaign, returned);
+      } else if (new Date(campaign.attributionEndsAt) <= now) {
+        campaign.status = CampaignStatus.LOST;
+        lost.push({
+          campaignId: campaign.campaignId,
+          customerId: campaign.customerId,
+          campaignType: campaign.type,
+        });
+        await this.persistOutcome(campaign, null);
       }
     }
 
-    return wins;
+    return { wins, lost };
+  }
+
+  /**
+   * Campañas PENDING/SENT de DB (sobreviven reinicios) + las de memoria
+   */
+  async loadOpenCampaigns() {
+    try {
+      for (const stored of await winbackService.getOpenCampaigns()) {
+        if (!this.activeCampaigns.has(stored.campaignId)) {
+          this.activeCampaigns.set(stored.campaignId, stored);
+        }
+      }
+    } catch (err) {
+      logger.debug({ err: err?.message }, "Open campaigns not loaded from DB, using memory");
+    }
+
+    return Array.from(this.activeCampaigns.values())
+      .filter(c => c.status === CampaignStatus.PENDING || c.status === CampaignStatus.SENT);
+  }
+
+  /**
+   * Sincroniza una campaña PENDING con su acción en el ActionBus
+   */
+  async syncCampaignState(campaign) {
+    if (!campaign.actionId) return;
+
+    const action = await actionBus.getAction(campaign.actionId);
+    if (!action) return;
+
+    if (action.state === ActionState.EXECUTED) {
+      await this.markCampaignSent(campaign, action.metadata?.executed_at);
+    } else if ([ActionState.REJECTED, ActionState.CANCELLED, ActionState.EXPIRED, ActionState.FAILED].includes(action.state)) {
+      campaign.status = CampaignStatus.CANCELLED;
+      await this.persistOutcome(campaign, null);
+    }
+  }
+
+  /**
+   * Abre la ventana de atribución desde el envío
+   */
+  async markCampaignSent(campaign, executedAt) {
+    const sentAt = executedAt ? new Date(executedAt) : new Date();
+    const windowDays = campaign.attributionWindowDays || SHOWMAN_CONFIG.attributionWindowDays;
+
+    campaign.status = CampaignStatus.SENT;
+    campaign.sentAt = sentAt.toISOString();
+    campaign.attributionEndsAt = new Date(sentAt.getTime() + windowDays * 86400000).toISOString();
+
+    try {
+      await winbackService.markCampaignSent(campaign.campaignId, {
+        sentAt: campaign.sentAt,
+        attributionEndsAt: campaign.attributionEndsAt,
+      });
+    } catch (err) {
+      logger.warn({ campaignId: campaign.campaignId, err: err?.message }, "Failed to persist campaign send");
+    }
+  }
+
+  async persistOutcome(campaign, purchase) {
+    campaign.closedAt = new Date().toISOString();
+    try {
+      await winbackService.closeCampaign(campaign.campaignId, campaign.status, purchase);
+    } catch (err) {
+      logger.warn({ campaignId: campaign.campaignId, err: err?.message }, "Failed to persist campaign outcome");
+    }
+  }
+
+  /**
+   * Guarda un evento de tracking en la campaña. No se traga el error:
+   * POST /track tiene que saber si el evento no quedó guardado.
+   */
+  async recordCampaignEvent(campaign, event) {
+    const saved = await winbackService.appendCampaignEvent(campaign.campaignId, event);
+    if (!saved) {
+      throw new Error(`Campaign ${campaign.campaignId} not persisted`);
+    }
+    campaign.events = [...(campaign.events || []), event];
   }
 
   /**
@@ -517,13 +647,135 @@ export class ShowmanAgent {
    * Actualiza métricas del Showman
    */
   async updateMetrics(results) {
-    // TODO: Persistir métricas para dashboard
+    try {
+      await winbackService.recordRun(results);
+    } catch (err) {
+      logger.warn({ runId: results.runId, err: err?.message }, "Failed to persist Showman run metrics");
+    }
+
     logger.info({
       campaigns: results.campaignsCreated.length,
+      skippedCooldown: results.skippedCooldown,
       wins: results.wins.length,
+      lost: results.lost.length,
     }, "Showman metrics updated");
   }
 
+  // ═══════════════════════════════════════════════════════════════════════════
+  // CAMPAÑAS Y ROI
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Campaña por ID (memoria o DB)
+   */
+  async getCampaign(campaignId) {
+    if (this.activeCampaigns.has(campaignId)) {
+      return this.activeCampaigns.get(campaignId);
+    }
+    try {
+      return await winbackService.getCampaign(campaignId);
+    } catch (err) {
+      logger.debug({ campaignId, err: err?.message }, "Campaign not loaded from DB");
+      return null;
+    }
+  }
+
+  /**
+   * Lista campañas (DB; memoria si no hay DB)
+   */
+  async listCampaigns(filters = {}) {
+    try {
+      return await winbackService.listCampaigns(filters);
+    } catch (err) {
+      logger.debug({ err: err?.message }, "Campaigns not loaded from DB, using memory");
+      return Array.from(this.activeCampaigns.values())
+        .filter(c => !filters.status || c.status === filters.status)
+        .filter(c => !filters.type || c.type === filters.type);
+    }
+  }
+
+  /**
+   * ROI de una campaña individual
+   */
+  getCampaignROI(campaign) {
+    const stats = this.summarizeCampaigns([campaign]);
+    return roiCalculator.calculateWinbackROI(stats);
+  }
+
+  /**
+   * Métricas agregadas de campañas + ROI de retención
+   */
+  async getCampaignMetrics(days = 30) {
+    let byType;
+    try {
+      byType = await winbackService.getCampaignStats(days);
+    } catch (err) {
+      logger.debug({ err: err?.message }, "Campaign stats not loaded from DB, using memory");
+      const campaigns = Array.from(this.activeCampaigns.values());
+      byType = [...new Set(campaigns.map(c => c.type))]
+        .map(type => ({ type, ...this.summarizeCampaigns(campaigns.filter(c => c.type === type)) }));
+    }
+
+    const totals = byType.reduce((acc, t) => {
+      for (const key of ["total", "pending", "measuring", "won", "lost", "cancelled", "offersRedeemed", "recoveredRevenue", "discountCost"]) {
+        acc[key] = (acc[key] || 0) + (t[key] || 0);
+      }
+      return acc;
+    }, {});
+
+    const closed = (totals.won || 0) + (totals.lost || 0);
+    const avgHealthScore = this.weightedAverage(byType, "avgHealthScore");
+    const avgWinbackPotential = this.weightedAverage(byType, "avgWinbackPotential");
+
+    return {
+      periodDays: days,
+      attributionWindowDays: SHOWMAN_CONFIG.attributionWindowDays,
+      ...totals,
+      conversionRate: closed > 0 ? Math.round((totals.won / closed) * 100) : 0,
+      avgHealthScoreAtContact: avgHealthScore !== null ? Math.round(avgHealthScore * 100) / 100 : null,
+      avgWinbackPotential: avgWinbackPotential !== null ? Math.round(avgWinbackPotential) : null,
+      byType: Object.fromEntries(byType.map(t => [t.type, t])),
+      roi: roiCalculator.calculateWinbackROI(totals),
+    };
+  }
+
+  /**
+   * Conteos por estado desde campañas en memoria
+   */
+  summarizeCampaigns(campaigns) {
+    const count = status => campaigns.filter(c => c.status === status).length;
+    const won = campaigns.filter(c => c.status === CampaignStatus.WON);
+
+    return {
+      total: campaigns.length,
+      pending: count(CampaignStatus.PENDING),
+      measuring: count(CampaignStatus.SENT),
+      won: won.length,
+      lost: count(CampaignStatus.LOST),
+      cancelled: count(CampaignStatus.CANCELLED),
+      offersRedeemed: won.filter(c => c.outcome?.usedOffer).length,
+      recoveredRevenue: won.reduce((sum, c) => sum + (c.outcome?.orderValue || 0), 0),
+      discountCost: won.reduce((sum, c) => sum + (c.outcome?.discountAmount || 0), 0),
+      avgHealthScore: campaigns.length > 0
+        ? campaigns.reduce((sum, c) => sum + (c.healthScore || 0), 0) / campaigns.length
+        : null,
+      avgWinbackPotential: campaigns.length > 0
+        ? campaigns.reduce((sum, c) => sum + (c.winbackPotential || 0), 0) / campaigns.length
+        : null,
+    };
+  }
+
+  /**
+   * Promedio de un campo por tipo, ponderado por número de campañas
+   */
+  weightedAverage(byType, field) {
+    const withValue = byType.filter(t => t[field] !== null && t[field] !== undefined && t.total > 0);
+    const count = withValue.reduce((sum, t) => sum + t.total, 0);
+    if (count === 0) return null;
+
+    return withValue.reduce((sum, t) => sum + t[field] * t.total, 0) / count;
+  }
+
   // ═══════════════════════════════════════════════════════════════════════════
   // HELPERS
   // ═══════════════════════════════════════════════════════════════════════════
@@ -532,8 +784,19 @@ export class ShowmanAgent {
    * Verifica si cliente está en cooldown
    */
   async isInCooldown(customerId) {
-    // TODO: Verificar última campaña enviada
-    return false;
+    const cooldown = await winbackService.getCooldown(customerId);
+    if (cooldown) {
+      logger.debug({ customerId, until: cooldown.until, campaignId: cooldown.campaignId }, "Customer in cooldown");
+    }
+    return !!cooldown;
+  }
+
+  /**
+   * El cooldown cubre al menos la ventana de atribución: no se vuelve a
+   * contactar a alguien cuya campaña sigue en medición
+   */
+  getCooldownDays() {
+    return Math.max(SHOWMAN_CONFIG.minDaysBetweenContacts, SHOWMAN_CONFIG.attributionWindowDays);
   }
 
   /**
@@ -554,18 +817,18 @@ export class ShowmanAgent {
   /**
    * Verifica si cliente volvió después de campaña
    */
-  async checkCustomerReturned(customerId, campaignDate) {
-    // TODO: Verificar en datos de ventas
-    // Mock: 30% de probabilidad de retorno
-    if (Math.random() < 0.3) {
-      return {
-        returnDate: new Date().toISOString(),
-        daysToReturn: Math.floor(Math.random() * 7) + 1,
-        orderValue: Math.floor(Math.random() * 200) + 50,
-        usedOffer: Math.random() > 0.3,
-      };
+  async checkCustomerReturned(campaign) {
+    try {
+      return await winbackService.findAttributedPurchase({
+        customerId: campaign.customerId,
+        sentAt: campaign.sentAt,
+        attributionEndsAt: campaign.attributionEndsAt,
+        offerCode: campaign.offerCode,
+      });
+    } catch (err) {
+      logger.warn({ campaignId: campaign.campaignId, err: err?.message }, "Failed to check customer purchases");
+      return null;
     }
-    return null;
   }
 
   /**
@@ -596,7 +859,7 @@ export class ShowmanAgent {
       .slice(-5);
 
     const activeCampaigns = Array.from(this.activeCampaigns.values())
-      .filter(c => !c.status || c.status === "SENT")
+      .filter(c => c.status === CampaignStatus.PENDING || c.status === CampaignStatus.SENT)
       .length;
 
     return {
@@ -14,7 +14,7 @@
  * ZERO-HARDCODE: La configuración real debe venir de Google Sheets.
  */
 
-import { logger } from "@tagers/shared";
+import { logger, getRedisClient } from "@tagers/shared";
 
 /**
  * Niveles de autonomía
@@ -277,19 +277,353 @@ export function isReversible(actionType) {
   return config?.reversible === true;
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// LÍMITES (ventanas deslizantes por sucursal y por actor)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Ventanas de los límites de frecuencia
+ */
+const LIMIT_WINDOWS = {
+  max_per_hour: { windowMs: 60 * 60 * 1000, label: "hour" },
+  max_per_day: { windowMs: 24 * 60 * 60 * 1000, label: "day" },
+};
+
+const USAGE_KEY_PREFIX = "luca:autonomy:usage";
+
+// Fallback sin Redis: key → [timestamps]
+const memoryUsage = new Map();
+
+/**
+ * A qué nivel baja una acción cuando excede sus límites
+ * (configurable por acción con limits.on_exceed)
+ */
+const DOWNGRADE_ON_EXCEED = {
+  [AutonomyLevel.AUTO]: AutonomyLevel.DRAFT,
+  [AutonomyLevel.DRAFT]: AutonomyLevel.APPROVAL,
+};
+
+const LEVEL_ORDER = [
+  AutonomyLevel.AUTO,
+  AutonomyLevel.DRAFT,
+  AutonomyLevel.APPROVAL,
+  AutonomyLevel.CRITICAL,
+];
+
+function usageKey(actionType, scope, scopeId) {
+  return `${USAGE_KEY_PREFIX}:${actionType}:${scope}:${scopeId}`;
+}
+
+/**
+ * Scopes contra los que se cuentan los límites.
+ * Cada límite aplica por sucursal y por actor; sin ninguno, global.
+ */
+function resolveScopes(context = {}, { actor, payload } = {}) {
+  const branchId = context.branch_id || context.branchId || payload?.branch_id || null;
+  const actorId = actor || context.actor || context.requested_by || null;
+
+  const scopes = [];
+  if (branchId) scopes.push({ scope: "branch", scopeId: String(branchId) });
+  if (actorId) scopes.push({ scope: "actor", scopeId: String(actorId) });
+  if (scopes.length === 0) scopes.push({ scope: "global", scopeId: "all" });
+
+  return scopes;
+}
+
+/**
+ * Cuenta usos dentro de la ventana. No poda: la misma key sirve a todas las
+ * ventanas de la acción (consumeLimits poda con la más larga).
+ */
+async function countInWindow(key, windowMs, now = Date.now()) {
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      return await redis.zcount(key, `(${now - windowMs}`, "+inf");
+    } catch (err) {
+      logger.warn({ err: err?.message, key }, "Autonomy usage read failed, using memory");
+    }
+  }
+
+  return (memoryUsage.get(key) || []).filter(ts => ts > now - windowMs).length;
+}
+
 /**
- * Verifica límites de una acción
+ * Límites estáticos (monto, contactos) contra el payload
  */
-export async function checkLimits(actionType, context = {}) {
+function checkPayloadLimits(limits, payload = {}) {
+  const exceeded = [];
+
+  if (limits.max_amount !== undefined) {
+    const amount = Number(payload.amount ?? payload.total ?? payload.total_amount);
+    if (Number.isFinite(amount) && amount > limits.max_amount) {
+      exceeded.push({ limit: "max_amount", used: amount, max: limits.max_amount });
+    }
+  }
+
+  if (limits.max_contacts !== undefined) {
+    const contacts = payload.contacts || payload.recipients || payload.candidates;
+    const count = Array.isArray(contacts) ? contacts.length : Number(payload.contact_count);
+    if (Number.isFinite(count) && count > limits.max_contacts) {
+      exceeded.push({ limit: "max_contacts", used: count, max: limits.max_contacts });
+    }
+  }
+
+  return exceeded;
+}
+
+/**
+ * Ventanas de frecuencia configuradas para la acción
+ */
+function configuredWindows(limits) {
+  return Object.entries(LIMIT_WINDOWS)
+    .filter(([limitName]) => limits[limitName] !== undefined && limits[limitName] !== null)
+    .map(([limitName, window]) => ({ limitName, ...window, max: limits[limitName] }));
+}
+
+/**
+ * Resultado de la verificación a partir de los límites excedidos
+ */
+function limitsResult(actionType, exceeded) {
+  if (exceeded.length === 0) {
+    return { allowed: true, exceeded };
+  }
+
+  const reason = exceeded
+    .map(e => e.scope ? `${e.limit} (${e.scope}:${e.scope_id}) ${e.used}/${e.max}` : `${e.limit} ${e.used}/${e.max}`)
+    .join(", ");
+
+  logger.info({ actionType, exceeded }, "Autonomy limits exceeded");
+
+  return {
+    allowed: false,
+    reason,
+    exceeded,
+    downgradeTo: getDowngradeLevel(actionType),
+  };
+}
+
+/**
+ * Verifica límites de una acción (sólo lectura; no registra el uso)
+ *
+ * @param {string} actionType
+ * @param {Object} context - Contexto de la acción (branch_id, ...)
+ * @param {Object} options
+ * @param {string} [options.actor] - Quién propone (agente, detector, usuario)
+ * @param {Object} [options.payload] - Payload (para max_amount / max_contacts)
+ * @returns {Promise<{allowed: boolean, reason?: string, exceeded: Array, downgradeTo?: string}>}
+ */
+export async function checkLimits(actionType, context = {}, options = {}) {
   const config = AutonomyConfig[actionType];
   
   if (!config?.limits) {
-    return { allowed: true };
+    return { allowed: true, exceeded: [] };
+  }
+
+  const exceeded = checkPayloadLimits(config.limits, options.payload);
+  const now = Date.now();
+
+  for (const window of configuredWindows(config.limits)) {
+    for (const { scope, scopeId } of resolveScopes(context, options)) {
+      const used = await countInWindow(usageKey(actionType, scope, scopeId), window.windowMs, now);
+      if (used >= window.max) {
+        exceeded.push({ limit: window.limitName, scope, scope_id: scopeId, used, max: window.max, window: window.label });
+      }
+    }
+  }
+
+  return limitsResult(actionType, exceeded);
+}
+
+/**
+ * Nivel al que baja una acción que excedió límites (nunca sube de autonomía)
+ */
+export function getDowngradeLevel(actionType) {
+  const config = AutonomyConfig[actionType];
+  const level = config?.level || AutonomyLevel.APPROVAL;
+  const target = config?.limits?.on_exceed || DOWNGRADE_ON_EXCEED[level] || level;
+
+  return LEVEL_ORDER.indexOf(target) > LEVEL_ORDER.indexOf(level) ? target : level;
+}
+
+/**
+ * Poda, cuenta y (si nada excede o force) registra en todas las keys en un
+ * solo paso. Regresa [índice de key, índice de ventana, usados] por exceso.
+ *
+ * KEYS: una por scope
+ * ARGV: now, member, ttlMs, force, n, (windowMs, max) × n
+ */
+const CONSUME_SCRIPT = `
+local now = tonumber(ARGV[1])
+local ttl = tonumber(ARGV[3])
+local force = ARGV[4] == "1"
+local n = tonumber(ARGV[5])
+local exceeded = {}
+
+for i, key in ipairs(KEYS) do
+  redis.call("ZREMRANGEBYSCORE", key, 0, now - ttl)
+  for w = 1, n do
+    local windowMs = tonumber(ARGV[4 + w * 2])
+    local max = tonumber(ARGV[5 + w * 2])
+    local used = redis.call("ZCOUNT", key, "(" .. (now - windowMs), "+inf")
+    if used >= max then
+      table.insert(exceeded, i)
+      table.insert(exceeded, w)
+      table.insert(exceeded, used)
+    end
+  end
+end
+
+if #exceeded == 0 or force then
+  for _, key in ipairs(KEYS) do
+    redis.call("ZADD", key, now, ARGV[2])
+    redis.call("PEXPIRE", key, ttl)
+  end
+end
+
+return exceeded
+`;
+
+/**
+ * Verifica y registra las ventanas de frecuencia de forma atómica
+ */
+async function consumeWindows(actionType, scopes, windows, force) {
+  // La ventana más larga define cuánto hay que guardar
+  const ttlMs = Math.max(...windows.map(w => w.windowMs));
+  const now = Date.now();
+  const member = `${now}-${Math.random().toString(36).slice(2, 10)}`;
+  const keys = scopes.map(({ scope, scopeId }) => usageKey(actionType, scope, scopeId));
+
+  const toExceeded = (scopeIdx, windowIdx, used) => ({
+    limit: windows[windowIdx].limitName,
+    scope: scopes[scopeIdx].scope,
+    scope_id: scopes[scopeIdx].scopeId,
+    used,
+    max: windows[windowIdx].max,
+    window: windows[windowIdx].label,
+  });
+
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const raw = await redis.eval(
+        CONSUME_SCRIPT,
+        keys.length,
+        ...keys,
+        now,
+        member,
+        ttlMs,
+        force ? "1" : "0",
+        windows.length,
+        ...windows.flatMap(w => [w.windowMs, w.max]),
+      );
+
+      const exceeded = [];
+      for (let i = 0; i < raw.length; i += 3) {
+        exceeded.push(toExceeded(raw[i] - 1, raw[i + 1] - 1, raw[i + 2]));
+      }
+      return exceeded;
+    } catch (err) {
+      logger.warn({ err: err?.message, actionType }, "Autonomy usage write failed, using memory");
+    }
+  }
+
+  // Sin Redis: todo es síncrono, así que también es atómico dentro del proceso
+  const exceeded = [];
+  const stampsByKey = keys.map(key => (memoryUsage.get(key) || []).filter(ts => ts > now - ttlMs));
+
+  stampsByKey.forEach((stamps, scopeIdx) => {
+    windows.forEach((window, windowIdx) => {
+      const used = stamps.filter(ts => ts > now - window.windowMs).length;
+      if (used >= window.max) exceeded.push(toExceeded(scopeIdx, windowIdx, used));
+    });
+  });
+
+  keys.forEach((key, idx) => {
+    if (exceeded.length === 0 || force) stampsByKey[idx].push(now);
+    memoryUsage.set(key, stampsByKey[idx]);
+  });
+
+  return exceeded;
+}
+
+/**
+ * Verifica límites y registra el uso en un mismo paso atómico. Se llama al
+ * ejecutar, así dos acciones concurrentes no pasan ambas con el último cupo.
+ * Si algo excede no se registra nada, salvo con force (la ejecución ya la
+ * aprobó un humano y cuenta igual).
+ *
+ * @param {string} actionType
+ * @param {Object} context
+ * @param {Object} options - actor, payload, force
+ * @returns {Promise<{allowed: boolean, reason?: string, exceeded: Array, downgradeTo?: string}>}
+ */
+export async function consumeLimits(actionType, context = {}, options = {}) {
+  const config = AutonomyConfig[actionType];
+
+  if (!config?.limits) {
+    return { allowed: true, exceeded: [] };
+  }
+
+  const exceeded = checkPayloadLimits(config.limits, options.payload);
+  const windows = configuredWindows(config.limits);
+
+  if (windows.length > 0 && (exceeded.length === 0 || options.force)) {
+    const scopes = resolveScopes(context, options);
+    exceeded.push(...await consumeWindows(actionType, scopes, windows, !!options.force));
+  }
+
+  return limitsResult(actionType, exceeded);
+}
+
+/**
+ * Uso actual contra límites
+ *
+ * @param {Object} [filters]
+ * @param {string} [filters.actionType] - Sólo esta acción
+ * @param {string} [filters.branchId]
+ * @param {string} [filters.actor]
+ */
+export async function getUsage({ actionType = null, branchId = null, actor = null } = {}) {
+  const now = Date.now();
+  const scopes = resolveScopes({ branch_id: branchId }, { actor });
+
+  const entries = Object.entries(AutonomyConfig)
+    .filter(([type, config]) => config.limits && (!actionType || type === actionType));
+
+  const usage = [];
+
+  for (const [type, config] of entries) {
+    const windows = [];
+
+    for (const [limitName, window] of Object.entries(LIMIT_WINDOWS)) {
+      const max = config.limits[limitName];
+      if (max === undefined || max === null) continue;
+
+      for (const { scope, scopeId } of scopes) {
+        const used = await countInWindow(usageKey(type, scope, scopeId), window.windowMs, now);
+        windows.push({
+          limit: limitName,
+          window: window.label,
+          scope,
+          scope_id: scopeId,
+          used,
+          max,
+          remaining: Math.max(0, max - used),
+          exceeded: used >= max,
+        });
+      }
+    }
+
+    usage.push({
+      type,
+      level: config.level,
+      downgrade_to: getDowngradeLevel(type),
+      limits: config.limits,
+      windows,
+    });
   }
 
-  // TODO: Implementar verificación real contra Redis/DB
-  // Por ahora, siempre permitir
-  return { allowed: true };
+  return usage;
 }
 
 /**
@@ -331,6 +665,9 @@ export default {
   requires2FA,
   isReversible,
   checkLimits,
+  getDowngradeLevel,
+  consumeLimits,
+  getUsage,
   getHandler,
   listActions,
   listActionsByLevel,
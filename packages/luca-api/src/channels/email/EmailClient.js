@@ -0,0 +1,119 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EMAIL CLIENT - Transporte SMTP
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Cliente para enviar correos por SMTP usando nodemailer.
+ * Funciona contra cualquier servidor SMTP, incluyendo un stand-in local
+ * (MailHog, Mailpit, smtp4dev) para pruebas: SMTP_HOST=localhost SMTP_PORT=1025
+ *
+ * Requiere:
+ * - SMTP_HOST: Host del servidor SMTP
+ * - SMTP_PORT: Puerto (587 por defecto, 465 con SMTP_SECURE=true)
+ * - SMTP_USER / SMTP_PASS: Credenciales (opcionales para stand-ins locales)
+ * - SMTP_FROM: Remitente, ej: "LUCA <luca@tagers.mx>"
+ */
+
+import nodemailer from "nodemailer";
+import { logger, parseBool, parseIntSafe } from "@tagers/shared";
+
+export class EmailClient {
+  constructor(config = {}) {
+    this.host = config.host || process.env.SMTP_HOST;
+    this.port = config.port || parseIntSafe(process.env.SMTP_PORT, 587);
+    this.secure = config.secure ?? parseBool(process.env.SMTP_SECURE, this.port === 465);
+    this.user = config.user || process.env.SMTP_USER;
+    this.pass = config.pass || process.env.SMTP_PASS;
+    this.from = config.from || process.env.SMTP_FROM || "LUCA <luca@tagers.mx>";
+    this.ignoreTLS = config.ignoreTLS ?? parseBool(process.env.SMTP_IGNORE_TLS, false);
+
+    if (!this.host) {
+      logger.warn("SMTP not configured - email client will be in mock mode");
+      this.mockMode = true;
+      this.transporter = null;
+      return;
+    }
+
+    this.mockMode = false;
+    this.transporter = nodemailer.createTransport({
+      host: this.host,
+      port: this.port,
+      secure: this.secure,
+      ignoreTLS: this.ignoreTLS,
+      auth: this.user ? { user: this.user, pass: this.pass } : undefined,
+      pool: true,
+      maxConnections: 2,
+    });
+  }
+
+  /**
+   * Envía un correo con versión HTML y texto plano
+   */
+  async send({ to, subject, html, text, headers = {} }) {
+    if (this.mockMode) {
+      logger.info({ to, subject }, "Email MOCK: Would send email");
+      return {
+        success: true,
+        mock: true,
+        messageId: `mock_${Date.now()}`,
+      };
+    }
+
+    try {
+      const info = await this.transporter.sendMail({
+        from: this.from,
+        to,
+        subject,
+        html,
+        text,
+        headers,
+      });
+
+      logger.info({
+        to,
+        subject,
+        messageId: info.messageId,
+      }, "Email sent");
+
+      return {
+        success: true,
+        messageId: info.messageId,
+        accepted: info.accepted,
+        rejected: info.rejected,
+      };
+
+    } catch (err) {
+      logger.error({ err: err?.message, to, code: err?.code }, "Email send failed");
+
+      // 4xx SMTP y errores de conexión son transitorios; 5xx son permanentes
+      const responseCode = err?.responseCode;
+      return {
+        success: false,
+        error: err?.message || "SMTP error",
+        code: err?.code,
+        retryable: !responseCode || (responseCode >= 400 && responseCode < 500),
+      };
+    }
+  }
+
+  /**
+   * Verifica conexión con el servidor SMTP
+   */
+  async verify() {
+    if (this.mockMode) {
+      return { ok: true, mock: true };
+    }
+
+    try {
+      await this.transporter.verify();
+      return { ok: true, host: this.host, port: this.port };
+    } catch (err) {
+      return { ok: false, error: err?.message };
+    }
+  }
+}
+
+// Export singleton instance
+export const emailClient = new EmailClient();
+
+export default EmailClient;
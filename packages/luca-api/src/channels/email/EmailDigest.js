@@ -0,0 +1,199 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EMAIL DIGEST - Agrupa notificaciones de baja severidad por correo
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * En lugar de un correo por alerta LOW/MEDIUM, se acumulan por usuario y se
+ * envía un resumen cada hora o cada día (emailDigestJob).
+ *
+ * Modo por usuario (lucaConfig users): email_digest = "off" | "hourly" | "daily"
+ * Default: LUCA_EMAIL_DIGEST_MODE (off)
+ *
+ * Buffer en Redis (compartido entre réplicas); en memoria si no hay Redis.
+ */
+
+import { logger, getRedisClient } from "@tagers/shared";
+
+export const DigestModes = {
+  OFF: "off",
+  HOURLY: "hourly",
+  DAILY: "daily",
+};
+
+/**
+ * Severidades que se agrupan. HIGH/CRITICAL siempre salen de inmediato.
+ */
+const DIGESTIBLE_SEVERITIES = ["LOW", "MEDIUM"];
+
+/**
+ * Tipos que nunca se agrupan (requieren respuesta o son ya un resumen)
+ */
+const NON_DIGESTIBLE_TYPES = ["approval", "briefing", "digest"];
+
+const MAX_ITEMS_PER_USER = 200;
+const BUFFER_TTL_SECONDS = 3 * 24 * 60 * 60;
+
+const keyFor = (userId) => `luca:email:digest:${userId}`;
+const USERS_KEY = "luca:email:digest:users";
+
+export class EmailDigest {
+  constructor() {
+    this.memoryBuffer = new Map(); // userId -> { email, userName, items[] }
+    this.defaultMode = process.env.LUCA_EMAIL_DIGEST_MODE || DigestModes.OFF;
+  }
+
+  /**
+   * Modo de digest de un usuario
+   */
+  getMode(user) {
+    const mode = user?.email_digest || this.defaultMode;
+    return Object.values(DigestModes).includes(mode) ? mode : DigestModes.OFF;
+  }
+
+  /**
+   * Decide si una notificación va al digest en vez de enviarse sola
+   */
+  shouldDigest(user, { type, severity }) {
+    if (this.getMode(user) === DigestModes.OFF) return false;
+    if (NON_DIGESTIBLE_TYPES.includes(type)) return false;
+    return DIGESTIBLE_SEVERITIES.includes(severity || "MEDIUM");
+  }
+
+  /**
+   * Agrega una notificación al buffer del usuario
+   */
+  async add({ userId, userName, email }, notification) {
+    const item = {
+      type: notification.type,
+      severity: notification.severity,
+      topic: notification.topic,
+      data: notification.data,
+      queuedAt: notification.queuedAt || new Date().toISOString(),
+    };
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const key = keyFor(userId);
+        await redis.multi()
+          .rpush(key, JSON.stringify(item))
+          .ltrim(key, -MAX_ITEMS_PER_USER, -1)
+          .expire(key, BUFFER_TTL_SECONDS)
+          .hset(USERS_KEY, userId, JSON.stringify({ email, userName }))
+          .exec();
+        return { buffered: true };
+      } catch (err) {
+        logger.warn({ err: err?.message, userId }, "Digest buffer write failed, using memory");
+      }
+    }
+
+    const entry = this.memoryBuffer.get(userId) || { email, userName, items: [] };
+    entry.email = email;
+    entry.userName = userName;
+    entry.items.push(item);
+    if (entry.items.length > MAX_ITEMS_PER_USER) {
+      entry.items = entry.items.slice(-MAX_ITEMS_PER_USER);
+    }
+    this.memoryBuffer.set(userId, entry);
+
+    return { buffered: true };
+  }
+
+  /**
+   * Usuarios con items pendientes
+   */
+  async getPendingUsers() {
+    const pending = new Map();
+
+    for (const [userId, entry] of this.memoryBuffer) {
+      if (entry.items.length > 0) {
+        pending.set(userId, { email: entry.email, userName: entry.userName });
+      }
+    }
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const users = await redis.hgetall(USERS_KEY);
+        for (const [userId, raw] of Object.entries(users || {})) {
+          pending.set(userId, JSON.parse(raw));
+        }
+      } catch (err) {
+        logger.warn({ err: err?.message }, "Failed to read digest users");
+      }
+    }
+
+    return pending;
+  }
+
+  /**
+   * Saca (y vacía) los items pendientes de un usuario
+   */
+  async drain(userId) {
+    const items = [];
+
+    const memory = this.memoryBuffer.get(userId);
+    if (memory) {
+      items.push(...memory.items);
+      this.memoryBuffer.delete(userId);
+    }
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const key = keyFor(userId);
+        const [[, raw]] = await redis.multi()
+          .lrange(key, 0, -1)
+          .del(key)
+          .hdel(USERS_KEY, userId)
+          .exec();
+        items.push(...(raw || []).map(r => JSON.parse(r)));
+      } catch (err) {
+        logger.warn({ err: err?.message, userId }, "Failed to drain digest buffer");
+      }
+    }
+
+    return items.sort((a, b) => new Date(a.queuedAt) - new Date(b.queuedAt));
+  }
+
+  /**
+   * Devuelve items al buffer (ej: el envío se pospuso por quiet hours)
+   */
+  async restore(recipient, items) {
+    for (const item of items) {
+      await this.add(recipient, item);
+    }
+  }
+
+  /**
+   * Resumen del buffer actual
+   */
+  async getStats() {
+    const pending = await this.getPendingUsers();
+    const redis = getRedisClient();
+    const byUser = {};
+
+    for (const userId of pending.keys()) {
+      let count = this.memoryBuffer.get(userId)?.items.length || 0;
+      if (redis) {
+        try {
+          count += await redis.llen(keyFor(userId));
+        } catch (err) {
+          // ignore
+        }
+      }
+      byUser[userId] = count;
+    }
+
+    return {
+      defaultMode: this.defaultMode,
+      pendingUsers: pending.size,
+      byUser,
+    };
+  }
+}
+
+// Export singleton
+export const emailDigest = new EmailDigest();
+
+export default EmailDigest;
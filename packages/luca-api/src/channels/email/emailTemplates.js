@@ -0,0 +1,259 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EMAIL TEMPLATES - HTML + texto plano para notificaciones LUCA
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Cada template regresa { subject, html, text }.
+ * El contenido reutiliza messageFormatter (mismo texto que WhatsApp) para
+ * que alertas, casos y briefings digan lo mismo en todos los canales.
+ */
+
+import messageFormatter from "../whatsapp/messageFormatter.js";
+
+const TOWER_URL = process.env.LUCA_TOWER_URL || "https://tower.tagers.mx";
+
+const SEVERITY_COLORS = {
+  CRITICAL: "#c0392b",
+  HIGH: "#e67e22",
+  MEDIUM: "#2980b9",
+  LOW: "#7f8c8d",
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Escapa texto para HTML
+ */
+export function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;")
+    .replace(/'/g, "&#39;");
+}
+
+/**
+ * Convierte el markup de WhatsApp (*negritas*, _itálicas_) a HTML
+ */
+function markupToHtml(text) {
+  return escapeHtml(text)
+    .replace(/\*([^*\n]+)\*/g, "<strong>$1</strong>")
+    .replace(/(^|[\s(])_([^_\n]+)_/g, "$1<em>$2</em>")
+    .replace(/\n/g, "<br>");
+}
+
+/**
+ * Quita el markup de WhatsApp para la versión de texto plano
+ */
+function markupToText(text) {
+  return String(text ?? "")
+    .replace(/\*([^*\n]+)\*/g, "$1")
+    .replace(/(^|[\s(])_([^_\n]+)_/g, "$1$2");
+}
+
+/**
+ * Layout común: encabezado con color de severidad, cuerpo y botón a la Tower
+ */
+function layout({ heading, severity, bodyHtml, cta }) {
+  const color = SEVERITY_COLORS[severity] || "#2c3e50";
+  const button = cta
+    ? `<p style="margin:24px 0 0"><a href="${escapeHtml(cta.url)}" style="background:${color};color:#fff;padding:10px 18px;border-radius:4px;text-decoration:none;display:inline-block">${escapeHtml(cta.label)}</a></p>`
+    : "";
+
+  return `<!DOCTYPE html>
+<html lang="es">
+<head><meta charset="UTF-8"><meta name="viewport" content="width=device-width, initial-scale=1.0"></head>
+<body style="margin:0;padding:0;background:#f4f5f7;font-family:'Segoe UI',Tahoma,Geneva,Verdana,sans-serif;color:#333">
+  <table role="presentation" width="100%" cellpadding="0" cellspacing="0" style="padding:24px 0">
+    <tr><td align="center">
+      <table role="presentation" width="600" cellpadding="0" cellspacing="0" style="background:#fff;border-radius:6px;overflow:hidden">
+        <tr><td style="background:${color};color:#fff;padding:16px 24px;font-size:18px;font-weight:600">${escapeHtml(heading)}</td></tr>
+        <tr><td style="padding:24px;font-size:14px;line-height:1.6">${bodyHtml}${button}</td></tr>
+        <tr><td style="padding:12px 24px;font-size:11px;color:#999;border-top:1px solid #eee">LUCA Control Tower · Tagers</td></tr>
+      </table>
+    </td></tr>
+  </table>
+</body>
+</html>`;
+}
+
+function textWithLink(text, cta) {
+  return cta ? `${markupToText(text)}\n\n${cta.label}: ${cta.url}\n` : `${markupToText(text)}\n`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TEMPLATES
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Alerta individual
+ */
+export async function renderAlert(alert, severity = alert.severity) {
+  const body = await messageFormatter.formatAlert({
+    created_at: new Date(),
+    message: "",
+    alert_type: "alerta",
+    ...alert,
+    severity,
+  });
+  const cta = alert.alert_id
+    ? { label: "Ver alerta", url: `${TOWER_URL}/alerts/${alert.alert_id}` }
+    : null;
+
+  return {
+    subject: `[LUCA ${severity || "ALERTA"}] ${alert.title}`,
+    html: layout({ heading: alert.title, severity, bodyHtml: markupToHtml(body), cta }),
+    text: textWithLink(body, cta),
+  };
+}
+
+/**
+ * Caso (creado o actualizado)
+ */
+export async function renderCase(caso, event = null) {
+  const body = await messageFormatter.formatCase(caso);
+  const cta = caso.case_id
+    ? { label: "Abrir expediente", url: `${TOWER_URL}/cases/${caso.case_id}` }
+    : null;
+  const prefix = event ? `${event}: ` : "";
+
+  return {
+    subject: `[LUCA Caso] ${prefix}${caso.title}`,
+    html: layout({ heading: caso.title, severity: caso.severity, bodyHtml: markupToHtml(body), cta }),
+    text: textWithLink(body, cta),
+  };
+}
+
+/**
+ * Solicitud de aprobación
+ */
+export function renderApproval(action, caso) {
+  const body = messageFormatter.formatApprovalRequest(action, caso);
+  const cta = action.action_id
+    ? { label: "Revisar acción", url: `${TOWER_URL}/actions/${action.action_id}` }
+    : null;
+
+  return {
+    subject: `[LUCA Aprobación] ${action.title}`,
+    html: layout({ heading: "Solicitud de aprobación", severity: caso?.severity, bodyHtml: markupToHtml(body), cta }),
+    text: textWithLink(body, cta),
+  };
+}
+
+/**
+ * Morning briefing
+ */
+export function renderBriefing(briefing, recipientName) {
+  const body = briefing.briefingType === "HEADLINES"
+    ? messageFormatter.formatHeadlines(briefing, recipientName)
+    : messageFormatter.formatBriefing(briefing, recipientName);
+  const cta = { label: "Abrir Control Tower", url: TOWER_URL };
+
+  return {
+    subject: `[LUCA] Briefing ${messageFormatter.formatDate(new Date(), "long")}`,
+    html: layout({ heading: "Morning Briefing", bodyHtml: markupToHtml(body), cta }),
+    text: textWithLink(body, cta),
+  };
+}
+
+/**
+ * Digest: agrupa notificaciones de baja severidad
+ *
+ * @param {Array} items - [{ type, severity, data, queuedAt }]
+ * @param {string} period - "hourly" | "daily"
+ */
+export function renderDigest(items, recipientName, period = "daily") {
+  const periodLabel = period === "hourly" ? "la última hora" : "hoy";
+  const periodPhrase = period === "hourly" ? "en la última hora" : "hoy";
+  const rows = items.map(item => {
+    const data = item.data || {};
+    const title = data.title || data.action?.title || item.type;
+    const detail = data.message || data.description || "";
+    const time = messageFormatter.formatDate(item.queuedAt || new Date(), "time");
+    return { title, detail, time, severity: item.severity };
+  });
+
+  const htmlRows = rows.map(row => `
+    <tr>
+      <td style="padding:8px 0;border-bottom:1px solid #eee;vertical-align:top;width:60px;color:#999;font-size:12px">${escapeHtml(row.time)}</td>
+      <td style="padding:8px 0;border-bottom:1px solid #eee">
+        <span style="color:${SEVERITY_COLORS[row.severity] || "#333"};font-size:11px;font-weight:600">${escapeHtml(row.severity || "")}</span>
+        <div style="font-weight:600">${escapeHtml(row.title)}</div>
+        ${row.detail ? `<div style="color:#666">${escapeHtml(row.detail)}</div>` : ""}
+      </td>
+    </tr>`).join("");
+
+  const intro = `Hola ${recipientName || ""}, esto es lo que pasó ${periodPhrase} (${items.length} notificación${items.length === 1 ? "" : "es"}):`;
+  const cta = { label: "Ver todo en la Tower", url: TOWER_URL };
+
+  const text = [
+    intro,
+    "",
+    ...rows.map(row => `• [${row.time}] ${row.severity ? `${row.severity} ` : ""}${row.title}${row.detail ? ` — ${row.detail}` : ""}`),
+  ].join("\n");
+
+  return {
+    subject: `[LUCA] Resumen de ${periodLabel}: ${items.length} notificación${items.length === 1 ? "" : "es"}`,
+    html: layout({
+      heading: "Resumen de notificaciones",
+      bodyHtml: `<p style="margin:0 0 12px">${escapeHtml(intro)}</p><table role="presentation" width="100%" cellpadding="0" cellspacing="0">${htmlRows}</table>`,
+      cta,
+    }),
+    text: textWithLink(text, cta),
+  };
+}
+
+/**
+ * Genérico (mensajes libres)
+ */
+export function renderGeneric(data, severity) {
+  const body = data.message || data.text || JSON.stringify(data, null, 2);
+  const title = data.title || "Notificación LUCA";
+
+  return {
+    subject: `[LUCA] ${title}`,
+    html: layout({ heading: title, severity, bodyHtml: markupToHtml(body) }),
+    text: textWithLink(body, null),
+  };
+}
+
+/**
+ * Renderiza una notificación de la cola según su tipo
+ */
+export async function renderNotification({ type, severity, data = {} }, recipientName) {
+  switch (type) {
+    case "alert":
+      return renderAlert(data, severity);
+    case "case":
+      return renderCase(data.case || data, data.event);
+    case "approval":
+      return renderApproval(data.action, data.case);
+    case "briefing":
+      return renderBriefing(data, recipientName);
+    case "digest":
+      return renderDigest(data.items || [], recipientName, data.period);
+    case "fraud":
+      return renderAlert({
+        ...data,
+        title: `Posible fraude: ${data.title}`,
+        message: `${data.description || ""}\n\nConfianza: ${Math.round((data.confidence || 0) * 100)}%`,
+        alert_type: "fraud",
+      }, severity);
+    default:
+      return renderGeneric(data, severity);
+  }
+}
+
+export default {
+  escapeHtml,
+  renderAlert,
+  renderCase,
+  renderApproval,
+  renderBriefing,
+  renderDigest,
+  renderGeneric,
+  renderNotification,
+};
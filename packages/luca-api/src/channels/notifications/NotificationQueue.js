@@ -15,6 +15,17 @@ import { logger, getRedisClient } from "@tagers/shared";
 import { whatsappClient } from "../whatsapp/WhatsAppClient.js";
 import messageFormatter from "../whatsapp/messageFormatter.js";
 import { Templates, buildTemplateComponents, getTemplateName } from "../whatsapp/templates.js";
+import { webPushClient } from "../push/WebPushClient.js";
+import { emailClient } from "../email/EmailClient.js";
+import { emailDigest } from "../email/EmailDigest.js";
+import { renderNotification } from "../email/emailTemplates.js";
+import { notificationRouter } from "./NotificationRouter.js";
+import {
+  getActiveSubscriptions,
+  markExpired,
+  recordAttempt,
+  recordReceipt,
+} from "../../services/pushSubscriptionService.js";
 
 /**
  * Configuración de rate limiting
@@ -128,7 +139,9 @@ export class NotificationQueue {
 
         if (result.success) {
           this.metrics.sent++;
-          await this.incrementRateLimit(notification);
+          if (!result.digested) {
+            await this.incrementRateLimit(notification);
+          }
           
           logger.info({
             channel: notification.channel,
@@ -264,28 +277,177 @@ export class NotificationQueue {
    * Envía notificación push (PWA)
    */
   async sendPush(notification) {
-    // Por ahora solo loguear - la implementación real requiere web-push
-    logger.info({
-      userId: notification.userId,
-      type: notification.notification.type,
-    }, "Push notification would be sent");
-
-    // TODO: Implementar con web-push cuando tengamos service worker
-    return { success: true, mock: true };
+    const { id, userId, notification: notif } = notification;
+
+    try {
+      const subscriptions = await getActiveSubscriptions(userId);
+
+      if (subscriptions.length === 0) {
+        logger.debug({ userId }, "No active push subscriptions");
+        return { success: false, error: "No active push subscriptions", retryable: false };
+      }
+
+      const payload = this.buildPushPayload(notification);
+      const options = {
+        urgency: webPushClient.getUrgency(notif.severity),
+        ttl: notif.severity === "CRITICAL" ? 60 * 60 * 24 : undefined,
+      };
+
+      let delivered = 0;
+      let mocked = 0;
+      let retryable = false;
+      let lastError = null;
+
+      for (const subscription of subscriptions) {
+        const result = await webPushClient.send(subscription, payload, options);
+
+        // Sin VAPID no sale nada: el recibo no cuenta como entrega
+        const status = result.mock
+          ? "mock"
+          : result.success ? "delivered" : result.expired ? "expired" : "failed";
+
+        if (result.expired) {
+          await markExpired(subscription.id, result.statusCode);
+        } else if (!result.mock) {
+          await recordAttempt(subscription.id, result);
+        }
+
+        await recordReceipt({
+          notificationId: id,
+          userId,
+          subscriptionId: subscription.id,
+          type: notif.type,
+          severity: notif.severity,
+          title: payload.title,
+          status,
+          statusCode: result.statusCode,
+          error: result.error,
+        });
+
+        if (result.mock) {
+          mocked++;
+        } else if (result.success) {
+          delivered++;
+        } else {
+          lastError = result.error;
+          retryable = retryable || Boolean(result.retryable);
+        }
+      }
+
+      return {
+        success: delivered + mocked > 0,
+        delivered,
+        ...(mocked > 0 && { mock: true, mocked }),
+        devices: subscriptions.length,
+        error: delivered + mocked > 0 ? undefined : lastError,
+        retryable: delivered + mocked === 0 && retryable,
+      };
+
+    } catch (err) {
+      return {
+        success: false,
+        error: err?.message,
+        retryable: true,
+      };
+    }
+  }
+
+  /**
+   * Construye el payload que recibe el service worker del PWA
+   */
+  buildPushPayload(notification) {
+    const { id, notification: notif } = notification;
+    const { type, severity, data = {} } = notif;
+
+    let title;
+    let url = "/";
+
+    switch (type) {
+      case "alert":
+        title = `${severity === "CRITICAL" ? "🚨" : "⚠️"} ${data.title || "Nueva alerta"}`;
+        url = data.alert_id ? `/alerts/${data.alert_id}` : "/alerts";
+        break;
+      case "case":
+        title = `📁 ${data.title || "Actualización de caso"}`;
+        url = data.case_id ? `/cases/${data.case_id}` : "/cases";
+        break;
+      case "approval":
+        title = "✋ Acción pendiente de aprobación";
+        url = data.action?.action_id ? `/actions/${data.action.action_id}` : "/actions";
+        break;
+      case "fraud":
+        title = "🔍 Posible fraude detectado";
+        url = data.case_id ? `/cases/${data.case_id}` : "/cases";
+        break;
+      case "briefing":
+        title = "☀️ Tu briefing está listo";
+        url = "/briefing";
+        break;
+      default:
+        title = data.title || "LUCA";
+    }
+
+    const body = data.message || data.description || data.text
+      || (type === "approval" ? data.action?.title : null)
+      || "";
+
+    return {
+      title,
+      body: String(body).substring(0, 240),
+      tag: this.getDedupeKey(notification),
+      url,
+      severity,
+      type,
+      notificationId: id,
+      requireInteraction: severity === "CRITICAL",
+      timestamp: Date.now(),
+    };
   }
 
   /**
    * Envía notificación por email
+   * LOW/MEDIUM van al digest si el usuario lo tiene activo
    */
   async sendEmail(notification) {
-    // Por ahora solo loguear - la implementación real requiere SMTP
-    logger.info({
-      email: notification.email,
-      type: notification.notification.type,
-    }, "Email notification would be sent");
-
-    // TODO: Implementar con nodemailer o servicio de email
-    return { success: true, mock: true };
+    const { userId, userName, email, notification: notif } = notification;
+
+    if (!email) {
+      return { success: false, error: "No email address", retryable: false };
+    }
+
+    try {
+      const user = await notificationRouter.getUser(userId);
+
+      if (emailDigest.shouldDigest(user, notif)) {
+        await emailDigest.add({ userId, userName, email }, notif);
+        logger.debug({ userId, type: notif.type }, "Email notification added to digest");
+        return { success: true, digested: true };
+      }
+
+      const { subject, html, text } = await renderNotification(notif, userName);
+
+      const result = await emailClient.send({
+        to: email,
+        subject,
+        html,
+        text,
+        headers: { "X-LUCA-Notification-Id": notification.id },
+      });
+
+      return {
+        success: result.success,
+        messageId: result.messageId,
+        error: result.error,
+        retryable: result.retryable,
+      };
+
+    } catch (err) {
+      return {
+        success: false,
+        error: err?.message,
+        retryable: true,
+      };
+    }
   }
 
   /**
@@ -353,7 +515,7 @@ export class NotificationQueue {
     const { type, data } = notification;
     
     // Usar un identificador único del contenido
-    const contentId = data?.alert_id || data?.case_id || data?.action_id || "";
+    const contentId = data?.alert_id || data?.case_id || data?.action_id || data?.digest_id || "";
     return `${userId}:${channel}:${type}:${contentId}`;
   }
 
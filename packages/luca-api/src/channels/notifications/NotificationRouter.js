@@ -249,11 +249,13 @@ export class NotificationRouter {
   async getBriefingRecipients() {
     const users = await this.getUsersConfig();
     return Object.entries(users)
-      .filter(([_, user]) => user.briefing_type && user.phone)
+      .filter(([_, user]) => user.briefing_type
+        && (user.channels?.[0] === "email" ? user.email : user.phone))
       .map(([id, user]) => ({
         id,
         name: user.name,
         phone: user.phone,
+        email: user.email,
         channel: user.channels[0],
         briefingType: user.briefing_type,
       }));
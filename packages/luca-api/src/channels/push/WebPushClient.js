@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * WEB PUSH CLIENT - Notificaciones push para el Control Tower PWA
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Envía notificaciones Web Push (RFC 8030) firmadas con VAPID (RFC 8292).
+ * El payload se cifra por suscripción (aes128gcm, RFC 8291) vía web-push.
+ *
+ * Requiere:
+ * - VAPID_PUBLIC_KEY: Llave pública VAPID (base64url)
+ * - VAPID_PRIVATE_KEY: Llave privada VAPID (base64url)
+ * - VAPID_SUBJECT: mailto: o URL de contacto para el push service
+ *
+ * Generar llaves: npx web-push generate-vapid-keys
+ */
+
+import webpush from "web-push";
+import { logger } from "@tagers/shared";
+
+/**
+ * Status codes del push service que indican suscripción muerta
+ */
+const EXPIRED_STATUS_CODES = [404, 410];
+
+/**
+ * TTL por defecto (segundos) que el push service retiene el mensaje
+ */
+const DEFAULT_TTL_SECONDS = 60 * 60 * 12;
+
+export class WebPushClient {
+  constructor(config = {}) {
+    this.publicKey = config.publicKey || process.env.VAPID_PUBLIC_KEY;
+    this.privateKey = config.privateKey || process.env.VAPID_PRIVATE_KEY;
+    this.subject = config.subject || process.env.VAPID_SUBJECT || "mailto:luca@tagers.mx";
+
+    if (!this.publicKey || !this.privateKey) {
+      logger.warn("VAPID keys not configured - push client will be in mock mode");
+      this.mockMode = true;
+      return;
+    }
+
+    try {
+      webpush.setVapidDetails(this.subject, this.publicKey, this.privateKey);
+      this.mockMode = false;
+    } catch (err) {
+      logger.error({ err: err?.message }, "Invalid VAPID configuration - push client will be in mock mode");
+      this.mockMode = true;
+    }
+  }
+
+  /**
+   * Llave pública que el PWA usa como applicationServerKey
+   */
+  getPublicKey() {
+    return this.publicKey || null;
+  }
+
+  /**
+   * Envía un payload a una suscripción
+   *
+   * @param {Object} subscription - { endpoint, keys: { p256dh, auth } }
+   * @param {Object} payload - Se serializa a JSON y se cifra
+   * @param {Object} options - { ttl, urgency, topic }
+   */
+  async send(subscription, payload, options = {}) {
+    if (this.mockMode) {
+      logger.info({ endpoint: subscription?.endpoint, payload }, "Push MOCK: Would send notification");
+      return {
+        success: true,
+        mock: true,
+        statusCode: 201,
+      };
+    }
+
+    try {
+      const response = await webpush.sendNotification(subscription, JSON.stringify(payload), {
+        TTL: options.ttl ?? DEFAULT_TTL_SECONDS,
+        urgency: options.urgency || "normal",
+        topic: options.topic,
+      });
+
+      return {
+        success: true,
+        statusCode: response.statusCode,
+      };
+
+    } catch (err) {
+      const statusCode = err?.statusCode;
+      const expired = EXPIRED_STATUS_CODES.includes(statusCode);
+
+      if (!expired) {
+        logger.warn({
+          statusCode,
+          endpoint: subscription?.endpoint,
+          err: err?.body || err?.message,
+        }, "Push send failed");
+      }
+
+      return {
+        success: false,
+        statusCode,
+        expired,
+        error: err?.body || err?.message || "Push error",
+        retryable: !expired && (!statusCode || statusCode === 429 || statusCode >= 500),
+      };
+    }
+  }
+
+  /**
+   * Mapea severidad LUCA a urgencia Web Push
+   */
+  getUrgency(severity) {
+    switch (severity) {
+      case "CRITICAL":
+        return "high";
+      case "HIGH":
+        return "normal";
+      case "LOW":
+        return "very-low";
+      default:
+        return "low";
+    }
+  }
+}
+
+// Export singleton instance
+export const webPushClient = new WebPushClient();
+
+export default WebPushClient;
@@ -45,6 +45,9 @@ export const config = {
     database: process.env.REDSHIFT_DATABASE || "",
     user: process.env.REDSHIFT_USER || "",
     password: process.env.REDSHIFT_PASSWORD || "",
+    // TLS: se verifica el certificado; CA propio en PEM (ruta o contenido)
+    sslCa: process.env.REDSHIFT_SSL_CA || "",
+    sslRejectUnauthorized: parseBool(process.env.REDSHIFT_SSL_REJECT_UNAUTHORIZED, true),
   },
   
   // Control Tower
@@ -17,7 +17,7 @@
  */
 
 import { logger } from "@tagers/shared";
-import { contextManager, ConversationContext } from "./context/ConversationContext.js";
+import { contextManager } from "./context/ConversationContext.js";
 import { intents, detectIntent } from "./intents/index.js";
 import { audioBriefingGenerator } from "../voice/AudioBriefingGenerator.js";
 import OpenAI from "openai";
@@ -69,7 +69,7 @@ export class LucaConversation {
 
     try {
       // Obtener/crear contexto
-      const context = contextManager.getContext(userId);
+      const context = await contextManager.getContext(userId);
 
       // Guardar mensaje del usuario
       context.addMessage("user", message, metadata);
@@ -79,10 +79,14 @@ export class LucaConversation {
 
       // Si hay un flujo activo, manejarlo primero
       if (context.hasActiveFlow()) {
+        const activeFlow = context.flow.current;
         const flowResponse = await this.handleActiveFlow(message, context);
         if (flowResponse) {
-          context.addMessage("assistant", flowResponse.text);
-          contextManager.saveContext(context);
+          context.addMessage("assistant", flowResponse.text, {
+            channel: metadata.channel,
+            intent: activeFlow,
+          });
+          await contextManager.saveContext(context);
           return flowResponse;
         }
       }
@@ -114,9 +118,12 @@ export class LucaConversation {
       }
 
       // Guardar respuesta
-      context.addMessage("assistant", response.text);
+      context.addMessage("assistant", response.text, {
+        channel: metadata.channel,
+        intent: response.intent,
+      });
       context.lastResponse = response;
-      contextManager.saveContext(context);
+      await contextManager.saveContext(context);
 
       return response;
 
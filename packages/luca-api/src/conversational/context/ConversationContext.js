@@ -8,14 +8,22 @@
  * - Entidades mencionadas (sucursales, empleados, fechas)
  * - Estado de flujos en progreso
  * - Preferencias del usuario
+ * 
+ * Persistencia:
+ * - Redis (hash por usuario con data + version, TTL deslizante) para que
+ *   el contexto sobreviva reinicios y se comparta entre réplicas.
+ * - Locking optimista: cada save compara la versión leída; si otra réplica
+ *   guardó antes, se re-aplican los cambios del turno sobre la última versión.
+ * - Sin Redis cae a memoria (una sola instancia).
+ * - Cada mensaje nuevo queda en luca_conversation_transcripts (auditoría).
  */
 
-import { logger } from "@tagers/shared";
+import { logger, query, getRedisClient, parseIntSafe } from "@tagers/shared";
 
 /**
- * TTL de contextos (30 minutos)
+ * TTL de contextos (30 minutos por defecto)
  */
-const CONTEXT_TTL_MS = 30 * 60 * 1000;
+const CONTEXT_TTL_MS = parseIntSafe(process.env.LUCA_CONTEXT_TTL_MINUTES, 30) * 60 * 1000;
 
 /**
  * Máximo de mensajes en historial
@@ -23,10 +31,47 @@ const CONTEXT_TTL_MS = 30 * 60 * 1000;
 const MAX_HISTORY = 10;
 
 /**
- * Store en memoria para contextos
- * En producción, usar Redis
+ * Reintentos de save ante conflicto de versión
+ */
+const MAX_SAVE_ATTEMPTS = 5;
+
+const CONTEXT_KEY_PREFIX = "luca:conversation:context";
+
+/**
+ * Compare-and-set: escribe sólo si la versión guardada es la esperada.
+ * Devuelve [1, nuevaVersion] o [0, versionActual].
+ */
+const SAVE_SCRIPT = `
+local current = tonumber(redis.call("HGET", KEYS[1], "version") or "0")
+if current ~= tonumber(ARGV[1]) then
+  return {0, current}
+end
+local nextVersion = current + 1
+redis.call("HSET", KEYS[1], "version", nextVersion, "data", ARGV[2])
+redis.call("PEXPIRE", KEYS[1], ARGV[3])
+return {1, nextVersion}
+`;
+
+/**
+ * Fallback en memoria (sin Redis): userId → { version, data, updatedAt }
  */
-const contextStore = new Map();
+const memoryStore = new Map();
+
+function contextKey(userId) {
+  return `${CONTEXT_KEY_PREFIX}:${userId}`;
+}
+
+/**
+ * Otra réplica guardó el contexto y los reintentos se agotaron
+ */
+export class ContextConflictError extends Error {
+  constructor(userId, version) {
+    super(`Conversation context for ${userId} changed concurrently (version ${version})`);
+    this.name = "ContextConflictError";
+    this.userId = userId;
+    this.version = version;
+  }
+}
 
 export class ConversationContext {
   constructor(userId) {
@@ -34,6 +79,13 @@ export class ConversationContext {
     this.createdAt = Date.now();
     this.updatedAt = Date.now();
     
+    // Versión persistida (locking optimista)
+    this.version = 0;
+    
+    // Cambios del turno aún no guardados (para re-aplicar ante conflicto)
+    this.pendingMessages = [];
+    this.flowChanged = false;
+    
     // Historial de mensajes
     this.messages = [];
     
@@ -68,19 +120,25 @@ export class ConversationContext {
    * Añade mensaje al historial
    */
   addMessage(role, content, metadata = {}) {
-    this.messages.push({
+    const message = {
       role,        // 'user' o 'assistant'
       content,
       timestamp: Date.now(),
       ...metadata,
-    });
+    };
+
+    this.appendToHistory(message);
+    this.pendingMessages.push(message);
+    this.updatedAt = Date.now();
+  }
+
+  appendToHistory(message) {
+    this.messages.push(message);
 
     // Mantener límite de historial
     if (this.messages.length > MAX_HISTORY) {
       this.messages = this.messages.slice(-MAX_HISTORY);
     }
-
-    this.updatedAt = Date.now();
   }
 
   /**
@@ -162,6 +220,7 @@ export class ConversationContext {
       data,
       startedAt: Date.now(),
     };
+    this.flowChanged = true;
     this.updatedAt = Date.now();
   }
 
@@ -173,6 +232,7 @@ export class ConversationContext {
     
     this.flow.step = step;
     this.flow.data = { ...this.flow.data, ...data };
+    this.flowChanged = true;
     this.updatedAt = Date.now();
   }
 
@@ -186,6 +246,7 @@ export class ConversationContext {
       step: null,
       data: {},
     };
+    this.flowChanged = true;
     this.updatedAt = Date.now();
     return completed;
   }
@@ -222,17 +283,62 @@ export class ConversationContext {
     return summary.join("\n");
   }
 
+  /**
+   * Re-aplica los cambios de este turno sobre la versión más reciente
+   * (otra réplica guardó mientras procesábamos el mensaje)
+   */
+  rebase(latest) {
+    const mine = {
+      messages: this.pendingMessages,
+      entities: this.entities,
+      flow: this.flowChanged ? this.flow : null,
+      lastResponse: this.lastResponse,
+    };
+
+    this.version = latest.version;
+    this.createdAt = latest.createdAt;
+    this.messages = [...latest.messages];
+    this.preferences = latest.preferences;
+    this.flow = mine.flow || latest.flow;
+    this.lastResponse = mine.lastResponse || latest.lastResponse;
+
+    for (const message of mine.messages) {
+      this.appendToHistory(message);
+    }
+
+    const merged = { ...latest.entities };
+    for (const [type, values] of Object.entries(mine.entities)) {
+      const base = merged[type] || [];
+      const added = values.filter(v => !base.some(b => JSON.stringify(b) === JSON.stringify(v)));
+      merged[type] = [...base, ...added];
+    }
+    this.entities = merged;
+
+    this.updatedAt = Date.now();
+  }
+
+  /**
+   * Marca el turno como guardado
+   */
+  markSaved(version) {
+    this.version = version;
+    this.pendingMessages = [];
+    this.flowChanged = false;
+  }
+
   /**
    * Serializa el contexto
    */
   toJSON() {
     return {
       userId: this.userId,
+      version: this.version,
       createdAt: this.createdAt,
       updatedAt: this.updatedAt,
       messages: this.messages,
       entities: this.entities,
       flow: this.flow,
+      lastResponse: this.lastResponse,
       preferences: this.preferences,
     };
   }
@@ -242,11 +348,13 @@ export class ConversationContext {
    */
   static fromJSON(data) {
     const ctx = new ConversationContext(data.userId);
+    ctx.version = data.version || 0;
     ctx.createdAt = data.createdAt;
     ctx.updatedAt = data.updatedAt;
     ctx.messages = data.messages || [];
     ctx.entities = data.entities || ctx.entities;
     ctx.flow = data.flow || ctx.flow;
+    ctx.lastResponse = data.lastResponse || null;
     ctx.preferences = data.preferences || ctx.preferences;
     return ctx;
   }
@@ -257,52 +365,202 @@ export class ConversationContext {
  */
 export class ContextManager {
   constructor() {
-    // Limpiar contextos expirados periódicamente
+    // Limpiar contextos expirados del fallback en memoria
     setInterval(() => this.cleanup(), 5 * 60 * 1000);
   }
 
   /**
    * Obtiene o crea contexto para usuario
    */
-  getContext(userId) {
-    let context = contextStore.get(userId);
-    
-    if (!context) {
-      context = new ConversationContext(userId);
-      contextStore.set(userId, context);
-    } else if (Date.now() - context.updatedAt > CONTEXT_TTL_MS) {
-      // Contexto expirado, crear nuevo
-      context = new ConversationContext(userId);
-      contextStore.set(userId, context);
+  async getContext(userId) {
+    const stored = await this.load(userId);
+
+    if (!stored) {
+      return new ConversationContext(userId);
     }
-    
-    return context;
+
+    return ConversationContext.fromJSON({
+      ...stored.data,
+      userId,
+      version: stored.version,
+    });
   }
 
   /**
-   * Guarda contexto
+   * Guarda contexto con locking optimista. Ante conflicto re-aplica el
+   * turno sobre la última versión y reintenta.
    */
-  saveContext(context) {
-    contextStore.set(context.userId, context);
+  async saveContext(context) {
+    const messages = [...context.pendingMessages];
+
+    for (let attempt = 1; attempt <= MAX_SAVE_ATTEMPTS; attempt++) {
+      const { saved, version } = await this.compareAndSet(context);
+
+      if (saved) {
+        context.markSaved(version);
+        await this.appendTranscript(context.userId, messages, version);
+        return context;
+      }
+
+      logger.info({
+        userId: context.userId,
+        expected: context.version,
+        current: version,
+        attempt,
+      }, "Conversation context conflict, rebasing turn");
+
+      const latest = await this.getContext(context.userId);
+      context.rebase(latest);
+    }
+
+    throw new ContextConflictError(context.userId, context.version);
   }
 
   /**
    * Elimina contexto
    */
-  deleteContext(userId) {
-    contextStore.delete(userId);
+  async deleteContext(userId) {
+    memoryStore.delete(userId);
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        await redis.del(contextKey(userId));
+      } catch (err) {
+        logger.warn({ err: err?.message, userId }, "Failed to delete conversation context");
+      }
+    }
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // STORE
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Lee { version, data } del store (null si no existe o expiró)
+   */
+  async load(userId) {
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const stored = await redis.hgetall(contextKey(userId));
+        if (!stored?.data) return null;
+        return { version: parseInt(stored.version, 10) || 0, data: JSON.parse(stored.data) };
+      } catch (err) {
+        logger.warn({ err: err?.message, userId }, "Conversation context read failed, using memory");
+      }
+    }
+
+    const entry = memoryStore.get(userId);
+    if (!entry) return null;
+
+    if (Date.now() - entry.updatedAt > CONTEXT_TTL_MS) {
+      memoryStore.delete(userId);
+      return null;
+    }
+
+    return entry;
+  }
+
+  /**
+   * Escribe si la versión no cambió desde que se leyó
+   */
+  async compareAndSet(context) {
+    const data = context.toJSON();
+
+    const redis = getRedisClient();
+    if (redis) {
+      try {
+        const [saved, version] = await redis.eval(
+          SAVE_SCRIPT,
+          1,
+          contextKey(context.userId),
+          context.version,
+          JSON.stringify(data),
+          CONTEXT_TTL_MS
+        );
+        return { saved: saved === 1, version };
+      } catch (err) {
+        logger.warn({ err: err?.message, userId: context.userId }, "Conversation context write failed, using memory");
+      }
+    }
+
+    const current = memoryStore.get(context.userId)?.version || 0;
+    if (current !== context.version) {
+      return { saved: false, version: current };
+    }
+
+    const version = current + 1;
+    memoryStore.set(context.userId, { version, data: { ...data, version }, updatedAt: Date.now() });
+    return { saved: true, version };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // TRANSCRIPT
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Registra los mensajes del turno en luca_conversation_transcripts
+   */
+  async appendTranscript(userId, messages, version) {
+    for (const message of messages) {
+      const { role, content, timestamp, channel, intent, ...metadata } = message;
+
+      try {
+        await query(`
+          INSERT INTO luca_conversation_transcripts (
+            user_id, role, content, channel, intent, context_version, metadata, created_at
+          ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8)
+        `, [
+          userId,
+          role,
+          content,
+          channel || null,
+          intent || null,
+          version,
+          JSON.stringify(metadata),
+          new Date(timestamp).toISOString(),
+        ]);
+      } catch (err) {
+        logger.warn({ err: err?.message, userId }, "Failed to persist transcript, table may not exist");
+        return;
+      }
+    }
+  }
+
+  /**
+   * Transcript de un usuario (más reciente primero)
+   */
+  async getTranscript(userId, { limit = 50, since } = {}) {
+    const params = [userId];
+    let sql = `
+      SELECT role, content, channel, intent, context_version, metadata, created_at
+      FROM luca_conversation_transcripts
+      WHERE user_id = $1
+    `;
+
+    if (since) {
+      params.push(since);
+      sql += ` AND created_at >= $${params.length}`;
+    }
+
+    params.push(limit);
+    sql += ` ORDER BY created_at DESC, id DESC LIMIT $${params.length}`;
+
+    const result = await query(sql, params);
+    return result.rows;
   }
 
   /**
-   * Limpia contextos expirados
+   * Limpia contextos expirados (fallback en memoria; Redis expira solo)
    */
   cleanup() {
     const now = Date.now();
     let cleaned = 0;
     
-    for (const [userId, context] of contextStore.entries()) {
-      if (now - context.updatedAt > CONTEXT_TTL_MS) {
-        contextStore.delete(userId);
+    for (const [userId, entry] of memoryStore.entries()) {
+      if (now - entry.updatedAt > CONTEXT_TTL_MS) {
+        memoryStore.delete(userId);
         cleaned++;
       }
     }
@@ -317,7 +575,8 @@ export class ContextManager {
    */
   getStats() {
     return {
-      activeContexts: contextStore.size,
+      store: getRedisClient() ? "redis" : "memory",
+      memoryContexts: memoryStore.size,
       ttlMs: CONTEXT_TTL_MS,
     };
   }
@@ -9,10 +9,13 @@
  * - branchIntent    → "¿Qué pasa en Zavaleta?" / "¿Cómo va Angelópolis?"
  * - alertsIntent    → "¿Hay alertas?" / "¿Qué alertas tenemos?"
  * - actionIntent    → "Aprueba la PO" / "Confirma el turno"
+ * - simulationIntent → "¿Qué pasa si llueve el sábado en Angelópolis?"
  * - helpIntent      → "¿Qué puedes hacer?" / "Ayuda"
  */
 
 import { logger } from "@tagers/shared";
+import { lucaConfigHub } from "../../config/LucaConfigHub.js";
+import { simulator, ScenarioTypes } from "../../twin/Simulator.js";
 
 /**
  * Base Intent Class
@@ -444,6 +447,337 @@ export class ActionIntent extends BaseIntent {
   }
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// SIMULATION INTENT - "¿Qué pasa si llueve el sábado?"
+// ═══════════════════════════════════════════════════════════════════════════
+
+const NUMBER_WORDS = { un: 1, uno: 1, una: 1, dos: 2, tres: 3, cuatro: 4, cinco: 5 };
+
+const WEEKDAYS = ["domingo", "lunes", "martes", "miercoles", "jueves", "viernes", "sabado"];
+
+const STAFF_ROLES = [
+  { pattern: /cociner|cocina/, role: "kitchen", label: "cocinero" },
+  { pattern: /barista|barra/, role: "baristas", label: "barista" },
+  { pattern: /meser|piso/, role: "floor", label: "mesero" },
+  { pattern: /cajer|caja/, role: "cashier", label: "cajero" },
+];
+
+const WEATHER_LABELS = {
+  rain: "lluvia",
+  storm: "tormenta",
+  extreme_heat: "calor extremo",
+  cold: "frío",
+};
+
+const INTENSITY_LABELS = { light: " leve", moderate: "", heavy: " fuerte" };
+
+// Escenario con magnitud: clima, personal o un porcentaje explícito.
+// "¿y si...?" y "compara..." sólo son simulación si lo traen; sin esto
+// "compara las ventas con ayer" o "¿y si me das el resumen?" caían aquí.
+const SCENARIO_CUE = "llov|lluev|lluvia|tormenta|granizo|calor|fr[ií]o\\b|helada|cociner|barista|meser|cajer|\\d+(?:\\.\\d+)?\\s*(?:%|por ?ciento)";
+
+const PERCENT_PROMPTS = {
+  [ScenarioTypes.PRICE_CHANGE]: "¿De cuánto sería el cambio de precio? Dime el porcentaje, por ejemplo: \"¿qué tal si subimos precios 5%?\"",
+  [ScenarioTypes.DEMAND_CHANGE]: "¿De cuánto sería el cambio en ventas? Dime el porcentaje, por ejemplo: \"¿qué pasa si suben las ventas 20%?\"",
+};
+
+const STATUS_LABELS = {
+  optimal: "óptima",
+  warning: "alta",
+  critical: "crítica",
+  underutilized: "baja",
+};
+
+const BOTTLENECK_LABELS = {
+  drinks: "barra (bebidas)",
+  dishes: "cocina",
+  transactions: "caja",
+};
+
+/** Sin acentos y en minúsculas, para comparar texto libre */
+function normalize(text) {
+  return text.toLowerCase().normalize("NFD").replace(/[\u0300-\u036f]/g, "");
+}
+
+function formatMoney(amount) {
+  return `$${Math.round(amount).toLocaleString("es-MX")}`;
+}
+
+export class SimulationIntent extends BaseIntent {
+  constructor() {
+    super("simulation", [
+      /qu[ée] pasar?[íi]?a? si\b/i,
+      /qu[ée] tal si\b/i,
+      /\bsimul(?:a|ar|ame|alo|emos|aci[oó]n)\b/i,
+      new RegExp(`(?:^|¿)\\s*y si\\b.*(?:${SCENARIO_CUE})`, "i"),
+      new RegExp(`\\bcomp[aá]r.*(?:${SCENARIO_CUE})`, "i"),
+    ]);
+    this.priority = 12;
+  }
+
+  extractParams(message, context) {
+    const text = normalize(message);
+    const flowData = context.flow.current === "simulation" ? context.flow.data : null;
+
+    // "¿y si...?" / "compáralo con..." retoman la simulación anterior
+    const previous = flowData && /(?:^|¿)\s*y si\b|compara|\bvs\b|contra/.test(text)
+      ? flowData.scenario
+      : null;
+
+    return {
+      branchId: this.extractBranch(text, context) || flowData?.branchId || null,
+      date: this.extractDate(text) || previous?.date || null,
+      scenarios: this.splitComparison(text).map(part => this.extractScenario(part)),
+      previous,
+    };
+  }
+
+  async execute(message, context, params) {
+    const scenarios = params.scenarios.filter(Boolean);
+
+    if (scenarios.length === 0) {
+      return {
+        text: "¿Qué escenario quieres simular? Por ejemplo:\n\n" +
+          "• \"¿Qué pasa si llueve el sábado en Angelópolis?\"\n" +
+          "• \"¿Y si quitamos un cocinero?\"\n" +
+          "• \"¿Qué pasa si suben las ventas 20%?\"\n" +
+          "• \"¿Qué tal si subimos precios 5%?\"",
+        needsInput: true,
+        inputType: "scenario",
+      };
+    }
+
+    if (!params.branchId) {
+      const names = lucaConfigHub.getAllBranches().map(b => b.name).join(", ");
+      return {
+        text: `¿En qué sucursal lo simulo? Tenemos: ${names}.`,
+        needsInput: true,
+        inputType: "branch",
+      };
+    }
+
+    // Precio / demanda sin porcentaje: se pregunta, no se inventa
+    const missingPercent = scenarios.find(scenario => scenario.missing === "percent");
+    if (missingPercent) {
+      return {
+        text: PERCENT_PROMPTS[missingPercent.type],
+        needsInput: true,
+        inputType: "percent",
+      };
+    }
+
+    for (const scenario of scenarios) {
+      scenario.date = params.date;
+    }
+
+    try {
+      // "Compara lluvia con calor" o "¿y si...?" sobre una simulación previa
+      if (scenarios.length > 1 || params.previous) {
+        const toCompare = scenarios.length > 1 ? scenarios : [params.previous, scenarios[0]];
+        const comparison = await simulator.compareScenarios(params.branchId, toCompare);
+        context.endFlow();
+
+        return {
+          text: this.formatComparison(comparison),
+          data: comparison,
+        };
+      }
+
+      const result = await simulator.simulate(params.branchId, scenarios[0]);
+      context.startFlow("simulation", { branchId: params.branchId, scenario: scenarios[0] });
+
+      return {
+        text: this.formatResult(result),
+        data: result,
+        followUp: "¿Lo comparo con otro escenario? Dime, por ejemplo: \"¿y si quitamos un barista?\"",
+      };
+    } catch (err) {
+      logger.warn({ branchId: params.branchId, err: err?.message }, "Simulation intent failed");
+      return {
+        text: `No pude correr la simulación: ${err?.message}`,
+        error: err?.message,
+      };
+    }
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Extracción
+  // ─────────────────────────────────────────────────────────────────────────
+
+  /**
+   * Sucursal por nombre (del mensaje o la última mencionada) → branch_id
+   */
+  extractBranch(text, context) {
+    const branches = lucaConfigHub.getAllBranches();
+    const byName = (candidate) => branches.find(b => candidate.includes(normalize(b.name)));
+
+    let branch = byName(text);
+    if (!branch) {
+      const lastBranch = context.getLastBranch();
+      branch = lastBranch ? byName(normalize(lastBranch)) : null;
+    }
+    if (!branch) return null;
+
+    const name = branch.name.toLowerCase();
+    if (!context.entities.branches.includes(name)) {
+      context.entities.branches.push(name);
+    }
+
+    return branch.branch_id;
+  }
+
+  /**
+   * hoy / mañana / pasado mañana / nombre de día (próxima ocurrencia) → YYYY-MM-DD
+   */
+  extractDate(text) {
+    const date = new Date();
+
+    if (/pasado manana/.test(text)) {
+      date.setDate(date.getDate() + 2);
+    } else if (/\bmanana\b/.test(text)) {
+      date.setDate(date.getDate() + 1);
+    } else if (!/\bhoy\b/.test(text)) {
+      const weekday = WEEKDAYS.findIndex(day => new RegExp(`\\b${day}\\b`).test(text));
+      if (weekday === -1) return null;
+      date.setDate(date.getDate() + ((weekday - date.getDay() + 7) % 7));
+    }
+
+    return [
+      date.getFullYear(),
+      String(date.getMonth() + 1).padStart(2, "0"),
+      String(date.getDate()).padStart(2, "0"),
+    ].join("-");
+  }
+
+  /**
+   * "compara lluvia con calor" → ["compara lluvia", "calor"]
+   */
+  splitComparison(text) {
+    if (!/compara|\bvs\b|contra/.test(text)) return [text];
+    return text.split(/\s+(?:vs\.?|contra|con|o)\s+/).filter(part => part.trim());
+  }
+
+  /**
+   * Tipo de escenario y magnitud → scenario de Simulator.simulate
+   */
+  extractScenario(text) {
+    const percentMatch = text.match(/(\d+(?:\.\d+)?)\s*(?:%|por ?ciento)/);
+    const percent = percentMatch ? parseFloat(percentMatch[1]) : null;
+    const decrease = /\bbaj|\bcae|caen|caida|menos|reduc|descuento|-\s*\d/.test(text);
+
+    // Clima
+    const weatherType =
+      /tormenta|granizo/.test(text) ? "storm" :
+      /llov|lluev|lluvia/.test(text) ? "rain" :
+      /calor/.test(text) ? "extreme_heat" :
+      /\bfrio\b|helada/.test(text) ? "cold" : null;
+
+    if (weatherType) {
+      const intensity =
+        /fuerte|much[oa]|intens|torrencial|extrem/.test(text) ? "heavy" :
+        /poc[oa]|liger|llovizna|leve/.test(text) ? "light" : "moderate";
+
+      return {
+        type: ScenarioTypes.WEATHER_EVENT,
+        name: `${WEATHER_LABELS[weatherType]}${INTENSITY_LABELS[intensity]}`,
+        params: { weatherType, intensity },
+      };
+    }
+
+    // Personal
+    const staff = STAFF_ROLES.find(r => r.pattern.test(text));
+    if (staff) {
+      const countMatch = text.match(/(\d+|un[oa]?|dos|tres|cuatro|cinco)\s+(?:\w+\s+)?(?:cociner|cocina|barista|barra|meser|piso|cajer|caja)/);
+      const count = countMatch ? (NUMBER_WORDS[countMatch[1]] || parseInt(countMatch[1], 10)) : 1;
+      const delta = /quit|sin\b|menos|reduc|falta|falt/.test(text) ? -count : count;
+
+      return {
+        type: ScenarioTypes.STAFF_CHANGE,
+        name: `${delta > 0 ? "+" : ""}${delta} ${staff.label}${Math.abs(delta) === 1 ? "" : "s"}`,
+        params: { staffChanges: { [staff.role]: delta } },
+      };
+    }
+
+    // Precio
+    if (/precio/.test(text)) {
+      if (percent === null) return { type: ScenarioTypes.PRICE_CHANGE, missing: "percent" };
+
+      const priceChangePercent = percent * (decrease ? -1 : 1);
+      return {
+        type: ScenarioTypes.PRICE_CHANGE,
+        name: `precio ${priceChangePercent > 0 ? "+" : ""}${priceChangePercent}%`,
+        params: { priceChangePercent },
+      };
+    }
+
+    // Demanda
+    if (/venta|demanda|cliente|trafico|afluencia/.test(text) || percent !== null) {
+      if (percent === null) return { type: ScenarioTypes.DEMAND_CHANGE, missing: "percent" };
+
+      const changePercent = percent * (decrease ? -1 : 1);
+      return {
+        type: ScenarioTypes.DEMAND_CHANGE,
+        name: `demanda ${changePercent > 0 ? "+" : ""}${changePercent}%`,
+        params: { changePercent },
+      };
+    }
+
+    return null;
+  }
+
+  // ─────────────────────────────────────────────────────────────────────────
+  // Respuesta
+  // ─────────────────────────────────────────────────────────────────────────
+
+  formatResult(result) {
+    const { baseline, capacity } = result;
+    const sales = result.simulated.dailySales ?? baseline.dailySales;
+    const diff = Math.round(((sales / baseline.dailySales) - 1) * 100);
+    const when = baseline.date
+      ? `, ${new Date(`${baseline.date}T12:00:00`).toLocaleDateString("es-MX", { weekday: "long", day: "numeric", month: "short" })}`
+      : "";
+
+    const parts = [
+      `🔮 *Simulación: ${result.scenario.name}* — ${result.branchName}${when}`,
+      "",
+      `Ventas pronosticadas: ${formatMoney(sales)} (${diff > 0 ? "+" : ""}${diff}% vs ${formatMoney(baseline.dailySales)} normal)`,
+      `Utilización: ${capacity.utilizationPercent}% (${STATUS_LABELS[capacity.status] || capacity.status})`,
+      `Cuello de botella: ${BOTTLENECK_LABELS[capacity.bottleneck] || capacity.bottleneck}${capacity.isOverCapacity ? " ⚠️ saturado" : ""}`,
+    ];
+
+    if (result.impact.monthlyCostChange) {
+      const cost = result.impact.monthlyCostChange;
+      parts.push(`Costo de personal: ${cost > 0 ? "+" : "-"}${formatMoney(Math.abs(cost))} al mes`);
+    }
+
+    if (result.recommendations.length > 0) {
+      parts.push("");
+      for (const rec of result.recommendations) {
+        parts.push(`• *${rec.action}*: ${rec.details}`);
+      }
+    }
+
+    return parts.join("\n");
+  }
+
+  formatComparison(comparison) {
+    const parts = [`⚖️ *Comparación de escenarios* — ${comparison.best.branchName}`];
+
+    for (const result of comparison.scenarios) {
+      const sales = result.simulated.dailySales ?? result.baseline.dailySales;
+      parts.push("");
+      parts.push(`*${result.scenarioName}*`);
+      parts.push(`  Ventas: ${formatMoney(sales)} • Utilización: ${result.capacity.utilizationPercent}% (${STATUS_LABELS[result.capacity.status] || result.capacity.status})`);
+      parts.push(`  Cuello de botella: ${BOTTLENECK_LABELS[result.capacity.bottleneck] || result.capacity.bottleneck}${result.capacity.isOverCapacity ? " ⚠️ saturado" : ""}`);
+    }
+
+    parts.push("");
+    parts.push(`✅ Mejor: *${comparison.best.scenarioName}*. Peor: *${comparison.worst.scenarioName}*.`);
+
+    return parts.join("\n");
+  }
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // HELP INTENT - "¿Qué puedes hacer?"
 // ═══════════════════════════════════════════════════════════════════════════
@@ -479,6 +813,9 @@ Puedes preguntarme:
 ✅ *Aprobaciones*
 "Aprueba la PO" • "Rechaza la acción"
 
+🔮 *Simulaciones*
+"¿Qué pasa si llueve el sábado en Angelópolis?" • "¿Y si quitamos un cocinero?"
+
 🎙️ *Audio briefing*
 "Mándame el audio" • "Briefing de audio"
 
@@ -496,6 +833,7 @@ export const intents = [
   new BranchIntent(),
   new AlertsIntent(),
   new ActionIntent(),
+  new SimulationIntent(),
   new HelpIntent(),
 ];
 
@@ -129,6 +129,11 @@ export async function resetMigrations() {
     "registry_data_products",
     "registry_datasets",
     "registry_sources",
+    "push_delivery_receipts",
+    "tower_push_subscriptions",
+    "tower_user_totp",
+    "luca_2fa_codes",
+    "luca_2fa_attempts",
     "tower_users",
     "tower_sessions",
     "case_evidence",
@@ -136,6 +141,12 @@ export async function resetMigrations() {
     "case_diagnoses",
     "case_actions",
     "case_transitions",
+    "luca_winback_campaigns",
+    "luca_showman_runs",
+    "luca_conversation_transcripts",
+    "luca_cx_events",
+    "luca_staffing_convocatorias",
+    "luca_staffing_escalations",
   ];
   
   // Drop views first
@@ -0,0 +1,85 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 004: Web Push
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Suscripciones Web Push por dispositivo y recibos de entrega por usuario.
+-- Reemplaza la columna única tower_users.push_subscription (un dispositivo).
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- 001 creó tower_users sin esta columna; 003 la asume
+ALTER TABLE tower_users ADD COLUMN IF NOT EXISTS push_subscription JSONB;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- PUSH SUBSCRIPTIONS (una por dispositivo/navegador)
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS tower_push_subscriptions (
+  id SERIAL PRIMARY KEY,
+  user_id VARCHAR(100) NOT NULL,
+
+  -- PushSubscription (W3C)
+  endpoint TEXT NOT NULL UNIQUE,
+  p256dh TEXT NOT NULL,
+  auth TEXT NOT NULL,
+  expiration_time TIMESTAMPTZ,
+
+  -- Dispositivo
+  user_agent TEXT,
+
+  -- Estado
+  active BOOLEAN DEFAULT true,
+  failure_count INT DEFAULT 0,
+  last_success_at TIMESTAMPTZ,
+  last_failure_at TIMESTAMPTZ,
+  last_error TEXT,
+  expired_at TIMESTAMPTZ,                            -- 404/410 del push service
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_subs_user ON tower_push_subscriptions(user_id) WHERE active = true;
+
+-- Migrar suscripciones existentes de tower_users
+INSERT INTO tower_push_subscriptions (user_id, endpoint, p256dh, auth)
+SELECT
+  user_id,
+  push_subscription->>'endpoint',
+  push_subscription->'keys'->>'p256dh',
+  push_subscription->'keys'->>'auth'
+FROM tower_users
+WHERE push_subscription IS NOT NULL
+  AND push_subscription->>'endpoint' IS NOT NULL
+  AND push_subscription->'keys'->>'p256dh' IS NOT NULL
+  AND push_subscription->'keys'->>'auth' IS NOT NULL
+ON CONFLICT (endpoint) DO NOTHING;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- PUSH RECEIPTS (un registro por intento de entrega a un dispositivo)
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS push_delivery_receipts (
+  id SERIAL PRIMARY KEY,
+  notification_id VARCHAR(100) NOT NULL,
+  user_id VARCHAR(100) NOT NULL,
+  subscription_id INT REFERENCES tower_push_subscriptions(id) ON DELETE SET NULL,
+
+  -- Contenido
+  notification_type VARCHAR(50),
+  severity VARCHAR(20),
+  title TEXT,
+
+  -- Resultado
+  status VARCHAR(20) NOT NULL,                       -- delivered, expired, failed, mock
+  status_code INT,
+  error TEXT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_push_receipts_user ON push_delivery_receipts(user_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_push_receipts_notification ON push_delivery_receipts(notification_id);
+
+DROP TRIGGER IF EXISTS update_tower_push_subscriptions_updated_at ON tower_push_subscriptions;
+CREATE TRIGGER update_tower_push_subscriptions_updated_at
+  BEFORE UPDATE ON tower_push_subscriptions
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
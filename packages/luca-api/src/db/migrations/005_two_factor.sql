@@ -0,0 +1,71 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 005: Two-Factor (acciones CRITICAL)
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Enrolamiento TOTP por usuario de LUCA, códigos de un solo uso por WhatsApp
+-- (fallback) y bitácora de intentos para rate limiting.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- TOTP (RFC 6238) - un secreto por usuario
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS tower_user_totp (
+  user_id TEXT PRIMARY KEY REFERENCES tower_users(user_id) ON DELETE CASCADE,
+
+  -- Secreto base32 cifrado con AES-256-GCM (LUCA_2FA_ENCRYPTION_KEY)
+  secret_enc TEXT NOT NULL,
+
+  -- pending: QR generado, falta el primer código; active: enrolado
+  status VARCHAR(20) NOT NULL DEFAULT 'pending',
+  confirmed_at TIMESTAMPTZ,
+
+  -- Anti-replay: último time-step aceptado
+  last_used_step BIGINT,
+
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+DROP TRIGGER IF EXISTS update_tower_user_totp_updated_at ON tower_user_totp;
+CREATE TRIGGER update_tower_user_totp_updated_at
+  BEFORE UPDATE ON tower_user_totp
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- CÓDIGOS DE UN SOLO USO (WhatsApp)
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS luca_2fa_codes (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  action_id TEXT NOT NULL,
+  channel VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+
+  -- Sólo el hash; el código nunca se guarda en claro
+  code_hash TEXT NOT NULL,
+  attempts INT NOT NULL DEFAULT 0,
+
+  expires_at TIMESTAMPTZ NOT NULL,
+  consumed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_2fa_codes_lookup ON luca_2fa_codes(user_id, action_id, created_at DESC)
+  WHERE consumed_at IS NULL;
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- INTENTOS (rate limiting de verificación y envío)
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS luca_2fa_attempts (
+  id SERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  action_id TEXT,
+  kind VARCHAR(20) NOT NULL,                         -- verify, send
+  method VARCHAR(20),                                -- totp, whatsapp
+  success BOOLEAN NOT NULL,
+  reason VARCHAR(50),
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_2fa_attempts_user ON luca_2fa_attempts(user_id, kind, created_at DESC);
@@ -0,0 +1,80 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 006: Campañas win-back (El Showman)
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Campañas enviadas, atribución de la siguiente compra del cliente dentro de
+-- la ventana de medición y métricas por corrida para el dashboard de CX.
+-- El cooldown por cliente vive en Redis (TTL).
+-- ═══════════════════════════════════════════════════════════════════════════
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- CAMPAÑAS
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS luca_winback_campaigns (
+  campaign_id TEXT PRIMARY KEY,
+  customer_id TEXT NOT NULL,
+  customer_name TEXT,
+  campaign_type VARCHAR(30) NOT NULL,               -- WINBACK_LIGHT, WINBACK_AGGRESSIVE, REACTIVATION
+  channel VARCHAR(20) NOT NULL DEFAULT 'whatsapp',
+
+  offer_code TEXT,
+  offer_value NUMERIC(5,2),                         -- % descuento
+  health_score NUMERIC(4,3),
+  winback_potential INT,
+  churn_signals JSONB DEFAULT '[]',
+
+  action_id TEXT,
+
+  -- PENDING: propuesta en ActionBus; SENT: mensaje enviado, midiendo
+  -- WON: compró dentro de la ventana; LOST: ventana vencida sin compra
+  -- CANCELLED: la acción no se ejecutó (rechazada, expirada, fallida)
+  status VARCHAR(20) NOT NULL DEFAULT 'PENDING',
+
+  sent_at TIMESTAMPTZ,
+  attribution_window_days INT NOT NULL DEFAULT 14,
+  attribution_ends_at TIMESTAMPTZ,
+
+  -- Compra atribuida
+  won_at TIMESTAMPTZ,
+  return_transaction_id TEXT,
+  return_branch_id TEXT,
+  return_order_value NUMERIC(12,2),
+  return_discount_amount NUMERIC(12,2),
+  used_offer BOOLEAN,
+  days_to_return INT,
+
+  closed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_winback_customer ON luca_winback_campaigns(customer_id, created_at DESC);
+CREATE INDEX IF NOT EXISTS idx_winback_open ON luca_winback_campaigns(status, attribution_ends_at)
+  WHERE status IN ('PENDING', 'SENT');
+CREATE INDEX IF NOT EXISTS idx_winback_created ON luca_winback_campaigns(created_at DESC);
+
+DROP TRIGGER IF EXISTS update_luca_winback_campaigns_updated_at ON luca_winback_campaigns;
+CREATE TRIGGER update_luca_winback_campaigns_updated_at
+  BEFORE UPDATE ON luca_winback_campaigns
+  FOR EACH ROW EXECUTE FUNCTION update_updated_at_column();
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- MÉTRICAS POR CORRIDA
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS luca_showman_runs (
+  run_id TEXT PRIMARY KEY,
+  customers_analyzed INT NOT NULL DEFAULT 0,
+  at_risk_identified INT NOT NULL DEFAULT 0,
+  campaigns_created INT NOT NULL DEFAULT 0,
+  skipped_cooldown INT NOT NULL DEFAULT 0,
+  wins INT NOT NULL DEFAULT 0,
+  lost INT NOT NULL DEFAULT 0,
+  recovered_revenue NUMERIC(12,2) NOT NULL DEFAULT 0,
+  status VARCHAR(20),
+  started_at TIMESTAMPTZ,
+  completed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_showman_runs_created ON luca_showman_runs(created_at DESC);
@@ -0,0 +1,12 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 007: Procedencia de casos
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Cada caso guarda de qué fuente salieron los datos del finding (Redshift,
+-- Postgres, drop de OpenPOS) y se marca como demo cuando viene de datos
+-- sintéticos (LUCA_DEMO_MODE).
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE luca_cases ADD COLUMN IF NOT EXISTS is_demo BOOLEAN NOT NULL DEFAULT false;
+ALTER TABLE luca_cases ADD COLUMN IF NOT EXISTS provenance JSONB;
+
+CREATE INDEX IF NOT EXISTS idx_cases_demo ON luca_cases(is_demo) WHERE is_demo = true;
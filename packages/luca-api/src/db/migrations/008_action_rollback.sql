@@ -0,0 +1,13 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 008: Rollback de acciones
+-- ═══════════════════════════════════════════════════════════════════════════
+-- El snapshot de rollback vive en luca_action_bus.metadata.execution_result.
+-- El timeline del caso busca las acciones del bus por context->>'case_id' y
+-- los rollbacks pedidos sin aprobador entran a la cola de pendientes.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE INDEX IF NOT EXISTS idx_action_bus_case ON luca_action_bus ((context->>'case_id'));
+
+DROP INDEX IF EXISTS idx_action_bus_pending;
+CREATE INDEX IF NOT EXISTS idx_action_bus_pending ON luca_action_bus(state, created_at)
+  WHERE state IN ('DRAFT', 'PENDING_APPROVAL', 'PENDING_2FA', 'ROLLBACK_PENDING_APPROVAL');
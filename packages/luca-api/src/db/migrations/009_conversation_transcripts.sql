@@ -0,0 +1,22 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 009: Transcripts de conversación
+-- ═══════════════════════════════════════════════════════════════════════════
+-- El contexto activo de cada conversación vive en Redis (TTL, versión para
+-- locking optimista entre réplicas). Aquí queda el transcript completo de
+-- cada turno para auditoría: el contexto expira, el transcript no.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS luca_conversation_transcripts (
+  id BIGSERIAL PRIMARY KEY,
+  user_id TEXT NOT NULL,
+  role VARCHAR(20) NOT NULL,                        -- user, assistant
+  content TEXT NOT NULL,
+  channel VARCHAR(30),                              -- api, whatsapp, voice
+  intent VARCHAR(60),
+  context_version INT,                              -- versión del contexto que guardó el turno
+  metadata JSONB DEFAULT '{}',
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_conversation_transcripts_user
+  ON luca_conversation_transcripts(user_id, created_at DESC);
@@ -0,0 +1,39 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 010: Eventos CX desde KISS
+-- ═══════════════════════════════════════════════════════════════════════════
+-- KISS publica quejas, elogios y sentimiento por mensaje en el feed CX
+-- (Redis stream de @tagers/shared). LUCA los consume y los guarda aquí:
+-- el stream es un buffer, esta tabla es la historia para los baselines de
+-- ComplaintSpikeDetector y SentimentDropDetector.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS luca_cx_events (
+  id BIGSERIAL PRIMARY KEY,
+  event_id TEXT NOT NULL UNIQUE,                    -- ID del origen o del stream
+  stream_id TEXT,
+  source VARCHAR(30) NOT NULL DEFAULT 'kiss',
+  kind VARCHAR(20) NOT NULL,                        -- complaint, praise, message
+  event_type VARCHAR(60),                           -- complaint_wait_time, praise_staff...
+  event_category VARCHAR(30),                       -- categoría del catálogo de KISS
+  complaint_category VARCHAR(30),                   -- categoría de LUCA (servicio_lento...)
+  branch_id VARCHAR(50),
+  branch_name TEXT,
+  channel VARCHAR(30),
+  sentiment VARCHAR(20),                            -- positive, neutral, negative
+  sentiment_score NUMERIC(4,3),                     -- -1 a 1
+  frustration_level INT DEFAULT 0,
+  conversation_id TEXT,
+  message_id TEXT,
+  summary TEXT,
+  occurred_at TIMESTAMPTZ NOT NULL,
+  ingested_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_cx_events_kind_time
+  ON luca_cx_events(kind, occurred_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_cx_events_branch_time
+  ON luca_cx_events(branch_id, occurred_at DESC);
+
+CREATE INDEX IF NOT EXISTS idx_cx_events_conversation
+  ON luca_cx_events(conversation_id, occurred_at);
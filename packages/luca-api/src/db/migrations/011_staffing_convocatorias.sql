@@ -0,0 +1,40 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 011: Convocatorias del Headhunter
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Estado de cada convocatoria (candidatos, rondas de la cascada y su acción
+-- en ActionBus) para que sobreviva reinicios y lo compartan las réplicas.
+-- Cada cambio se hace con la fila bloqueada (SELECT ... FOR UPDATE).
+-- ═══════════════════════════════════════════════════════════════════════════
+
+CREATE TABLE IF NOT EXISTS luca_staffing_convocatorias (
+  convocatoria_id TEXT PRIMARY KEY,
+  gap_id TEXT NOT NULL,
+  branch_id TEXT NOT NULL,
+  shift_date DATE NOT NULL,
+
+  -- awaiting_approval → open → filled | escalated | closed
+  status VARCHAR(20) NOT NULL DEFAULT 'awaiting_approval',
+  action_id TEXT,                                   -- acción de la primera ronda
+  data JSONB NOT NULL,                              -- convocatoria completa (candidatos, rondas)
+
+  escalated_at TIMESTAMPTZ,
+  closed_at TIMESTAMPTZ,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW(),
+  updated_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
+
+CREATE INDEX IF NOT EXISTS idx_staffing_convocatorias_status
+  ON luca_staffing_convocatorias(status, shift_date);
+
+-- ═══════════════════════════════════════════════════════════════════════════
+-- ESCALAMIENTOS
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Un gap se escala al gerente una sola vez, aunque lo intenten varias
+-- réplicas, corridas o rondas de la cascada.
+
+CREATE TABLE IF NOT EXISTS luca_staffing_escalations (
+  gap_id TEXT PRIMARY KEY,
+  convocatoria_id TEXT,
+  reason VARCHAR(40) NOT NULL,
+  created_at TIMESTAMPTZ NOT NULL DEFAULT NOW()
+);
@@ -0,0 +1,8 @@
+-- ═══════════════════════════════════════════════════════════════════════════
+-- LUCA Migration 012: Eventos de campañas win-back
+-- ═══════════════════════════════════════════════════════════════════════════
+-- Eventos que llegan por POST /cx/campaigns/:campaignId/track (canje de la
+-- oferta, clics, respuestas). Se agregan al final; nunca se reescriben.
+-- ═══════════════════════════════════════════════════════════════════════════
+
+ALTER TABLE luca_winback_campaigns ADD COLUMN IF NOT EXISTS events JSONB NOT NULL DEFAULT '[]';
@@ -8,10 +8,18 @@
  * - Por categoría (producto, servicio, tiempo de espera)
  * - Por canal (WhatsApp, Instagram, Facebook)
  * - Por empleado
+ * 
+ * Las quejas vienen del feed CX de KISS (ver cxEventService): últimos 7
+ * días contra los 30 anteriores.
  */
 
 import { logger } from "@tagers/shared";
 import { BaseDetector } from "../../engine/BaseDetector.js";
+import {
+  ingestCxEvents,
+  getComplaints,
+  windowRange,
+} from "../../services/cxEventService.js";
 
 /**
  * Configuración del detector
@@ -30,6 +38,7 @@ const DETECTOR_CONFIG = {
     "precio",
     "limpieza",
     "pedido_incorrecto",
+    "delivery",
     "otro",
   ],
   lookbackDays: 7,
@@ -56,6 +65,9 @@ export class ComplaintSpikeDetector extends BaseDetector {
     const findings = [];
 
     try {
+      // Traer lo nuevo del feed CX antes de consultar
+      await ingestCxEvents();
+
       // Obtener quejas recientes
       const recentComplaints = await this.getRecentComplaints(context);
       
@@ -274,29 +286,27 @@ export class ComplaintSpikeDetector extends BaseDetector {
   }
 
   /**
-   * Obtiene quejas recientes (mock)
+   * Quejas de los últimos lookbackDays
    */
   async getRecentComplaints(context) {
-    // TODO: Obtener de Chatwoot/KISS
-    return [
-      { complaintId: "CMP001", branchId: "SUC01", category: "servicio_lento", channel: "whatsapp", sentiment: 2, summary: "Esperé 20 minutos" },
-      { complaintId: "CMP002", branchId: "SUC01", category: "servicio_lento", channel: "whatsapp", sentiment: 1, summary: "Muy tardado" },
-      { complaintId: "CMP003", branchId: "SUC01", category: "producto_calidad", channel: "instagram", sentiment: 2, summary: "Pan duro" },
-      { complaintId: "CMP004", branchId: "SUC03", category: "servicio_atencion", channel: "whatsapp", sentiment: 2, summary: "Mal servicio" },
-      { complaintId: "CMP005", branchId: "SUC01", category: "servicio_lento", channel: "facebook", sentiment: 3, summary: "Un poco lento" },
-    ];
+    return getComplaints({
+      ...windowRange(0, this.config.lookbackDays),
+      branchId: context.branch_id || null,
+    });
   }
 
   /**
-   * Obtiene baseline de quejas (mock)
+   * Quejas de los baselineDays previos a la ventana reciente
    */
   async getComplaintBaseline(context) {
+    const complaints = await getComplaints({
+      ...windowRange(this.config.lookbackDays, this.config.baselineDays),
+      branchId: context.branch_id || null,
+    });
+
     return {
-      days: 30,
-      complaints: [
-        { branchId: "SUC01", category: "servicio_lento", channel: "whatsapp" },
-        { branchId: "SUC02", category: "producto_calidad", channel: "whatsapp" },
-      ],
+      days: this.config.baselineDays,
+      complaints,
     };
   }
 }
@@ -8,22 +8,34 @@
  * - Reviews en Google/TripAdvisor
  * - Encuestas de satisfacción
  * - Menciones en redes sociales
+ * 
+ * Hoy la fuente real es el feed CX de KISS (ver cxEventService): una
+ * muestra por conversación y día, sentimiento convertido a escala 1-5.
+ * Los mensajes sin señal de sentimiento no cuentan (KISS manda null), así
+ * que el promedio normal ronda 3 y los umbrales están calibrados a eso.
+ * Sin baseline no se compara contra nada: no se detecta.
  */
 
 import { logger } from "@tagers/shared";
 import { BaseDetector } from "../../engine/BaseDetector.js";
+import {
+  ingestCxEvents,
+  getSentimentSamples,
+  windowRange,
+} from "../../services/cxEventService.js";
 
 /**
  * Configuración del detector
  */
 const DETECTOR_CONFIG = {
   thresholds: {
-    scoreDrop: 0.5,              // Alerta si score cae 0.5 puntos
-    absoluteMin: 3.0,            // Alerta si score < 3.0
-    criticalMin: 2.5,            // Crítico si score < 2.5
+    scoreDrop: 0.4,              // Alerta si score cae 0.4 puntos (0.2 en escala KISS)
+    absoluteMin: 2.6,            // Alerta si score < 2.6 (un mensaje "negative" de KISS)
+    criticalMin: 2.0,            // Crítico si score < 2.0 (-0.5 en escala KISS)
     minSamples: 5,               // Mínimo de muestras para alertar
+    minBaselineSamples: 10,      // Mínimo de muestras de baseline para comparar
   },
-  sources: ["chatwoot", "google_reviews", "surveys", "social"],
+  sources: ["kiss", "chatwoot", "google_reviews", "surveys", "social"],
   lookbackDays: 7,
   baselineDays: 30,
 };
@@ -48,12 +60,26 @@ export class SentimentDropDetector extends BaseDetector {
     const findings = [];
 
     try {
+      // Traer lo nuevo del feed CX antes de consultar
+      await ingestCxEvents();
+
       // Obtener sentimiento reciente
       const recentSentiment = await this.getRecentSentiment(context);
       
       // Obtener baseline
       const baseline = await this.getSentimentBaseline(context);
 
+      if (baseline.samples.length < this.config.thresholds.minBaselineSamples) {
+        logger.info({ baselineSamples: baseline.samples.length }, "SentimentDropDetector skipped: not enough baseline");
+        return {
+          detector: this.name,
+          timestamp: new Date().toISOString(),
+          findings,
+          skipped: "insufficient_baseline",
+          summary: this.createSummary(findings, recentSentiment, baseline),
+        };
+      }
+
       // Analizar por sucursal
       const branchFindings = this.analyzeByBranch(recentSentiment, baseline);
       findings.push(...branchFindings);
@@ -98,7 +124,7 @@ export class SentimentDropDetector extends BaseDetector {
       if (samples.length < this.config.thresholds.minSamples) continue;
 
       const recentAvg = this.average(samples.map(s => s.score));
-      const baselineAvg = baselineByBranch[branchId] || baseline.overallAvg || 4.0;
+      const baselineAvg = baselineByBranch[branchId] ?? baseline.overallAvg;
       
       const drop = baselineAvg - recentAvg;
       
@@ -156,7 +182,7 @@ export class SentimentDropDetector extends BaseDetector {
       if (samples.length < this.config.thresholds.minSamples) continue;
 
       const recentAvg = this.average(samples.map(s => s.score));
-      const baselineAvg = baselineBySource[source] || baseline.overallAvg || 4.0;
+      const baselineAvg = baselineBySource[source] ?? baseline.overallAvg;
       
       const drop = baselineAvg - recentAvg;
       
@@ -194,7 +220,7 @@ export class SentimentDropDetector extends BaseDetector {
     }
 
     const recentAvg = this.average(recentSentiment.map(s => s.score));
-    const baselineAvg = baseline.overallAvg || 4.0;
+    const baselineAvg = baseline.overallAvg;
     
     const drop = baselineAvg - recentAvg;
 
@@ -309,7 +335,8 @@ export class SentimentDropDetector extends BaseDetector {
     return {
       totalSamples: recentSentiment.length,
       currentAvg: Math.round(this.average(recentSentiment.map(s => s.score)) * 100) / 100,
-      baselineAvg: Math.round((baseline.overallAvg || 4.0) * 100) / 100,
+      baselineAvg: baseline.overallAvg !== null ? Math.round(baseline.overallAvg * 100) / 100 : null,
+      baselineSamples: baseline.samples.length,
       dropsDetected: findings.length,
       bySeverity: {
         CRITICAL: findings.filter(f => f.severity === "CRITICAL").length,
@@ -325,32 +352,28 @@ export class SentimentDropDetector extends BaseDetector {
   }
 
   /**
-   * Obtiene sentimiento reciente (mock)
+   * Muestras de los últimos lookbackDays
    */
   async getRecentSentiment(context) {
-    // TODO: Obtener de Chatwoot, Google Reviews, encuestas
-    return [
-      { branchId: "SUC01", source: "chatwoot", score: 3.0, date: "2026-01-17", comment: "Servicio lento" },
-      { branchId: "SUC01", source: "chatwoot", score: 2.5, date: "2026-01-16", comment: "Mala experiencia" },
-      { branchId: "SUC01", source: "google_reviews", score: 3.0, date: "2026-01-15", comment: "Ha bajado la calidad" },
-      { branchId: "SUC01", source: "surveys", score: 3.5, date: "2026-01-15", comment: "" },
-      { branchId: "SUC01", source: "chatwoot", score: 2.0, date: "2026-01-14", comment: "No volvería" },
-      { branchId: "SUC02", source: "chatwoot", score: 4.0, date: "2026-01-17", comment: "Buen servicio" },
-      { branchId: "SUC02", source: "google_reviews", score: 4.5, date: "2026-01-16", comment: "Excelente" },
-    ];
+    return getSentimentSamples({
+      ...windowRange(0, this.config.lookbackDays),
+      branchId: context.branch_id || null,
+    });
   }
 
   /**
-   * Obtiene baseline de sentimiento (mock)
+   * Muestras de los baselineDays previos a la ventana reciente
    */
   async getSentimentBaseline(context) {
+    const samples = await getSentimentSamples({
+      ...windowRange(this.config.lookbackDays, this.config.baselineDays),
+      branchId: context.branch_id || null,
+    });
+
     return {
-      overallAvg: 4.2,
-      samples: [
-        { branchId: "SUC01", source: "chatwoot", score: 4.0 },
-        { branchId: "SUC01", source: "google_reviews", score: 4.5 },
-        { branchId: "SUC02", source: "chatwoot", score: 4.3 },
-      ],
+      days: this.config.baselineDays,
+      overallAvg: samples.length > 0 ? this.average(samples.map(s => s.score)) : null,
+      samples,
     };
   }
 }
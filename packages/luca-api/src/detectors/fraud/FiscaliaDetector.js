@@ -10,18 +10,28 @@
  * - Cash Preference (preferencia por efectivo)
  * - Time Concentration (horarios sospechosos)
  * - Collusion (colusión cajero-mesero-cliente)
+ * - Void After Payment (cancelaciones después del cobro)
+ * - Refund Without Ticket (devoluciones sin ticket original)
+ * - No-Sale Drawer (aperturas de cajón sin venta)
+ * 
+ * Las transacciones vienen de la fuente POS configurada (Redshift, Postgres,
+ * drop de OpenPOS o demo); cada finding lleva su tag de procedencia.
  * 
  * Hereda de BaseDetector para integración con el engine.
  */
 
 import { BaseDetector } from "../../engine/BaseDetector.js";
 import { logger, query } from "@tagers/shared";
+import { getTransactionSource } from "../../integrations/pos/index.js";
 
 // Import patterns
 import sweetheartingPattern from "./patterns/sweetheartingPattern.js";
 import cashPreferencePattern from "./patterns/cashPreferencePattern.js";
 import timeConcentrationPattern from "./patterns/timeConcentrationPattern.js";
 import collusionPattern from "./patterns/collusionPattern.js";
+import voidAfterPaymentPattern from "./patterns/voidAfterPaymentPattern.js";
+import refundWithoutTicketPattern from "./patterns/refundWithoutTicketPattern.js";
+import noSaleDrawerPattern from "./patterns/noSaleDrawerPattern.js";
 
 export class FiscaliaDetector extends BaseDetector {
   constructor(config = {}) {
@@ -30,7 +40,7 @@ export class FiscaliaDetector extends BaseDetector {
       name: "La Fiscalía - Detector de Fraude",
       category: "fraud",
       agent_name: "La Fiscalía",
-      input_data_products: ["dp_transactions", "dp_employees"],
+      input_data_products: ["dp_transactions", "dp_employees", "dp_pos_adjustments", "dp_drawer_events"],
       output_type: "case", // Siempre genera casos
       thresholds: {
         minConfidence: 0.6,
@@ -47,7 +57,20 @@ export class FiscaliaDetector extends BaseDetector {
       cashPreferencePattern,
       timeConcentrationPattern,
       collusionPattern,
+      voidAfterPaymentPattern,
+      refundWithoutTicketPattern,
+      noSaleDrawerPattern,
     ];
+    
+    // Fuente de transacciones del POS (inyectable; si no, la configurada)
+    this.transactionSource = config.transactionSource || null;
+  }
+
+  /**
+   * Fuente de transacciones a usar en esta corrida
+   */
+  getTransactionSource() {
+    return this.transactionSource || getTransactionSource();
   }
 
   /**
@@ -57,146 +80,70 @@ export class FiscaliaDetector extends BaseDetector {
     const dateFrom = scope.dateFrom || this.getDefaultDateFrom();
     const dateTo = scope.dateTo || new Date().toISOString().split("T")[0];
     const branchId = scope.branch_id;
+    const source = this.getTransactionSource();
+    const range = { dateFrom, dateTo, branchId };
     
-    logger.info({ dateFrom, dateTo, branchId }, "Loading data for fraud analysis");
+    logger.info({ dateFrom, dateTo, branchId, source: source.type }, "Loading data for fraud analysis");
     
-    // Query transacciones (simulado - en producción vendría de Redshift)
-    // Por ahora generamos datos de prueba
-    const transactions = await this.loadTransactions(dateFrom, dateTo, branchId);
+    const transactions = await this.loadTransactions(source, range);
     const employees = await this.loadEmployees(branchId);
+    const adjustments = await this.loadAdjustments(source, range, { transactions });
+    const drawerEvents = await this.loadDrawerEvents(source, range, { adjustments });
     
     return {
       transactions,
       employees,
+      adjustments,
+      drawerEvents,
+      provenance: source.getProvenance({
+        date_from: dateFrom,
+        date_to: dateTo,
+        branch_id: branchId || null,
+        rows: {
+          transactions: transactions.length,
+          adjustments: adjustments.length,
+          drawer_events: drawerEvents.length,
+        },
+      }),
       scope: { dateFrom, dateTo, branch_id: branchId },
     };
   }
 
   /**
-   * Carga transacciones para análisis
+   * Carga transacciones para análisis. Sin transacciones no hay análisis:
+   * si la fuente falla, la corrida falla (no se inventan datos).
    */
-  async loadTransactions(dateFrom, dateTo, branchId) {
+  async loadTransactions(source, range) {
     try {
-      // Intentar cargar de la tabla de transacciones si existe
-      const result = await query(`
-        SELECT 
-          transaction_id,
-          branch_id,
-          employee_id,
-          cashier_id,
-          server_id,
-          customer_id,
-          customer_phone,
-          customer_name,
-          subtotal,
-          discount_amount,
-          discount_reason,
-          discount_type,
-          total,
-          payment_method,
-          created_at,
-          DATE(created_at) as date
-        FROM transactions
-        WHERE DATE(created_at) BETWEEN $1 AND $2
-          ${branchId ? "AND branch_id = $3" : ""}
-        ORDER BY created_at DESC
-        LIMIT 10000
-      `, branchId ? [dateFrom, dateTo, branchId] : [dateFrom, dateTo]);
-      
-      return result.rows;
+      return await source.loadTransactions(range);
     } catch (err) {
-      // Si no existe la tabla, generar datos de prueba
-      logger.warn("Transactions table not found, generating test data");
-      return this.generateTestTransactions(dateFrom, dateTo, branchId);
+      logger.error({ source: source.type, error: err?.message }, "POS transactions not available");
+      throw new Error(`POS transactions not available from ${source.name}: ${err?.message}`);
     }
   }
 
   /**
-   * Genera transacciones de prueba para desarrollo
+   * Carga cancelaciones y devoluciones del POS
    */
-  generateTestTransactions(dateFrom, dateTo, branchId) {
-    const transactions = [];
-    const branches = branchId ? [branchId] : ["SUC01", "SUC02", "SUC03"];
-    const employees = ["EMP001", "EMP002", "EMP003", "EMP004", "EMP005"];
-    const servers = ["SRV001", "SRV002", "SRV003"];
-    const paymentMethods = ["cash", "card", "card", "card"]; // 25% efectivo
-    const discountReasons = ["cortesía", "promoción", "empleado", "cumpleaños", null, null, null];
-    
-    // Crear empleado sospechoso
-    const suspiciousEmployee = "EMP003";
-    const suspiciousCustomer = "CUST_FRIEND_001";
-    
-    const startDate = new Date(dateFrom);
-    const endDate = new Date(dateTo);
-    const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
-    
-    for (let d = 0; d < daysDiff; d++) {
-      const date = new Date(startDate);
-      date.setDate(date.getDate() + d);
-      const dateStr = date.toISOString().split("T")[0];
-      
-      // Generar ~50-100 transacciones por día
-      const txCount = 50 + Math.floor(Math.random() * 50);
-      
-      for (let i = 0; i < txCount; i++) {
-        const branch = branches[Math.floor(Math.random() * branches.length)];
-        const employee = employees[Math.floor(Math.random() * employees.length)];
-        const server = servers[Math.floor(Math.random() * servers.length)];
-        const hour = 8 + Math.floor(Math.random() * 14); // 8am - 10pm
-        
-        const subtotal = 100 + Math.floor(Math.random() * 400);
-        let discountAmount = 0;
-        let discountReason = null;
-        let paymentMethod = paymentMethods[Math.floor(Math.random() * paymentMethods.length)];
-        let customerId = Math.random() > 0.7 ? `CUST${Math.floor(Math.random() * 100)}` : null;
-        
-        // Simular comportamiento sospechoso del empleado
-        if (employee === suspiciousEmployee) {
-          // 40% de probabilidad de descuento (vs 10% normal)
-          if (Math.random() < 0.4) {
-            discountAmount = subtotal * (0.1 + Math.random() * 0.2); // 10-30%
-            discountReason = discountReasons[Math.floor(Math.random() * 3)]; // Solo cortesía/promoción/empleado
-            paymentMethod = Math.random() < 0.8 ? "cash" : "card"; // 80% efectivo
-            
-            // A veces es el mismo "amigo"
-            if (Math.random() < 0.3) {
-              customerId = suspiciousCustomer;
-            }
-          }
-        } else {
-          // Comportamiento normal
-          if (Math.random() < 0.1) {
-            discountAmount = subtotal * (0.05 + Math.random() * 0.1);
-            discountReason = discountReasons[Math.floor(Math.random() * discountReasons.length)];
-          }
-        }
-        
-        transactions.push({
-          transaction_id: `TXN-${dateStr}-${String(i).padStart(4, "0")}`,
-          branch_id: branch,
-          employee_id: employee,
-          cashier_id: employee,
-          server_id: server,
-          customer_id: customerId,
-          customer_phone: customerId ? `555${Math.floor(Math.random() * 10000000)}` : null,
-          subtotal,
-          discount_amount: Math.round(discountAmount * 100) / 100,
-          discount_reason: discountReason,
-          discount_type: discountReason ? "manual" : null,
-          total: Math.round((subtotal - discountAmount) * 100) / 100,
-          payment_method: paymentMethod,
-          created_at: `${dateStr}T${String(hour).padStart(2, "0")}:${String(Math.floor(Math.random() * 60)).padStart(2, "0")}:00`,
-          date: dateStr,
-        });
-      }
+  async loadAdjustments(source, range, context) {
+    try {
+      return await source.loadAdjustments(range, context);
+    } catch (err) {
+      logger.warn({ source: source.type, error: err?.message }, "POS adjustments not available, skipping void/refund patterns");
+      return [];
+    }
+  }
+
+  /**
+   * Carga eventos de apertura de cajón
+   */
+  async loadDrawerEvents(source, range, context) {
+    try {
+      return await source.loadDrawerEvents(range, context);
+    } catch (err) {
+      logger.warn({ source: source.type, error: err?.message }, "Cash drawer events not available, skipping no-sale pattern");
+      return [];
     }
-    
-    logger.info({ 
-      transactionCount: transactions.length,
-      dateRange: `${dateFrom} to ${dateTo}`,
-    }, "Generated test transactions");
-    
-    return transactions;
   }
 
   /**
@@ -225,6 +172,8 @@ export class FiscaliaDetector extends BaseDetector {
     
     logger.info({
       transactionCount: data.transactions?.length,
+      adjustmentCount: data.adjustments?.length,
+      drawerEventCount: data.drawerEvents?.length,
       patternCount: this.patterns.length,
     }, "Starting fraud pattern analysis");
     
@@ -253,10 +202,10 @@ export class FiscaliaDetector extends BaseDetector {
     // Consolidar findings por empleado (evitar duplicados)
     const consolidated = this.consolidateFindings(allFindings);
     
-    // Filtrar por confianza mínima
-    const filtered = consolidated.filter(f => 
-      f.confidence >= this.thresholds.minConfidence
-    );
+    // Filtrar por confianza mínima y etiquetar procedencia
+    const filtered = consolidated
+      .filter(f => f.confidence >= this.thresholds.minConfidence)
+      .map(f => this.tagProvenance(f, data.provenance));
     
     logger.info({
       totalFindings: allFindings.length,
@@ -267,6 +216,19 @@ export class FiscaliaDetector extends BaseDetector {
     return filtered;
   }
 
+  /**
+   * Agrega la procedencia de los datos al finding y a su evidencia
+   */
+  tagProvenance(finding, provenance) {
+    if (!provenance) return finding;
+    
+    return {
+      ...finding,
+      provenance,
+      evidence: { ...finding.evidence, provenance },
+    };
+  }
+
   /**
    * Consolida findings del mismo empleado
    */
@@ -22,6 +22,7 @@ export class EvidenceCollector {
       "timeline",          // Timeline de eventos
       "statistics",        // Estadísticas comparativas
       "patterns",          // Patrones detectados
+      "drawer_events",     // Aperturas de cajón sin venta
     ];
   }
 
@@ -99,6 +100,7 @@ export class EvidenceCollector {
     
     // Calcular impacto estimado
     const totalDiscount = this.calculateTotalDiscount(finding);
+    const cashAdjusted = this.calculateCashAdjusted(finding);
     
     return {
       title: `Reporte de Fraude - ${finding.employee_id}`,
@@ -113,7 +115,10 @@ export class EvidenceCollector {
         `Empleado: ${finding.employee_id}`,
         `Sucursal: ${finding.branch_id}`,
         `Patrones detectados: ${patternsDetected.join(", ")}`,
-        `Impacto estimado: $${totalDiscount.toFixed(2)} MXN`,
+        `Impacto estimado: $${(totalDiscount + cashAdjusted).toFixed(2)} MXN`,
+        ...(cashAdjusted > 0
+          ? [`Efectivo en cancelaciones/devoluciones: $${cashAdjusted.toFixed(2)} MXN`]
+          : []),
       ],
       
       recommended_action: investigation?.hypotheses?.[0]?.recommended_actions?.[0] 
@@ -150,6 +155,18 @@ export class EvidenceCollector {
     return total;
   }
 
+  /**
+   * Calcula efectivo anulado o devuelto en los patrones de ajustes
+   */
+  calculateCashAdjusted(finding) {
+    const evidences = finding.all_evidence
+      ? Object.values(finding.all_evidence)
+      : [finding.evidence || {}];
+    
+    return evidences.reduce((total, e) =>
+      total + (e?.cash_voided_amount || 0) + (e?.cash_refunded_amount || 0), 0);
+  }
+
   /**
    * Recolecta transacciones sospechosas
    */
@@ -217,8 +234,11 @@ export class EvidenceCollector {
     return {
       count: Object.keys(unique).length,
       total_discount: Object.values(unique).reduce((s, t) => s + (t.discount || t.discount_amount || 0), 0),
+      total_adjusted: Object.values(unique)
+        .filter(t => t.adjustment_type)
+        .reduce((s, t) => s + (t.amount || 0), 0),
       list: Object.values(unique).sort((a, b) => 
-        (b.discount || b.discount_amount || 0) - (a.discount || a.discount_amount || 0)
+        (b.discount || b.discount_amount || b.amount || 0) - (a.discount || a.discount_amount || a.amount || 0)
       ),
     };
   }
@@ -296,6 +316,24 @@ export class EvidenceCollector {
     
     // Agregar transacciones como eventos
     for (const t of transactions?.list || []) {
+      if (t.adjustment_type) {
+        events.push({
+          date: t.date,
+          time: t.created_at,
+          type: t.adjustment_type,
+          description: `${t.adjustment_type === "void" ? "Cancelación" : "Devolución"} ${t.transaction_id}: $${t.amount || 0} (${t.payment_method || "N/A"})`,
+          details: {
+            amount: t.amount,
+            reason: t.reason,
+            authorized_by: t.authorized_by,
+            original_transaction_id: t.original_transaction_id,
+            minutes_after_payment: t.minutes_after_payment,
+            flagged_for: t.flagged_for,
+          },
+        });
+        continue;
+      }
+      
       events.push({
         date: t.date,
         time: t.time || t.created_at,
@@ -309,8 +347,27 @@ export class EvidenceCollector {
       });
     }
     
+    // Agregar aperturas de cajón sin venta
+    const drawerOpens = finding.all_evidence?.no_sale_drawer?.drawer_opens
+      || (finding.type === "no_sale_drawer" ? finding.evidence?.drawer_opens : null)
+      || [];
+    for (const e of drawerOpens) {
+      events.push({
+        date: e.date,
+        time: e.created_at,
+        type: "drawer_open",
+        description: e.after_adjustment
+          ? `Cajón abierto sin venta tras ${e.after_adjustment.adjustment_type === "void" ? "cancelación" : "devolución"} ${e.after_adjustment.transaction_id}`
+          : "Cajón abierto sin venta",
+        details: {
+          reason: e.reason,
+          after_adjustment: e.after_adjustment,
+        },
+      });
+    }
+    
     // Ordenar cronológicamente
-    events.sort((a, b) => new Date(a.date) - new Date(b.date));
+    events.sort((a, b) => new Date(a.time || a.date) - new Date(b.time || b.date));
     
     return {
       event_count: events.length,
@@ -349,6 +406,27 @@ export class EvidenceCollector {
         peak_hour: finding.all_evidence?.time_concentration?.peak_hour,
       },
       
+      void_after_payment: {
+        rate_per_100: finding.all_evidence?.void_after_payment?.void_rate_per_100,
+        peer_avg_rate_per_100: finding.all_evidence?.void_after_payment?.peer_avg_rate_per_100,
+        z_score: finding.all_evidence?.void_after_payment?.z_score,
+        cash_voided_amount: finding.all_evidence?.void_after_payment?.cash_voided_amount,
+      },
+      
+      refund_without_ticket: {
+        rate_per_100: finding.all_evidence?.refund_without_ticket?.refund_rate_per_100,
+        peer_avg_rate_per_100: finding.all_evidence?.refund_without_ticket?.peer_avg_rate_per_100,
+        z_score: finding.all_evidence?.refund_without_ticket?.z_score,
+        cash_refunded_amount: finding.all_evidence?.refund_without_ticket?.cash_refunded_amount,
+      },
+      
+      no_sale_drawer: {
+        rate_per_100: finding.all_evidence?.no_sale_drawer?.open_rate_per_100,
+        peer_avg_rate_per_100: finding.all_evidence?.no_sale_drawer?.peer_avg_rate_per_100,
+        z_score: finding.all_evidence?.no_sale_drawer?.z_score,
+        linked_to_adjustments: finding.all_evidence?.no_sale_drawer?.linked_to_adjustments,
+      },
+      
       // De la investigación
       risk_indicators: investigation?.risk_indicators || [],
       confidence_adjustment: investigation?.confidence_adjustment || 0,
@@ -406,6 +484,26 @@ export class EvidenceCollector {
       priority: "medium",
     });
     
+    const patterns = finding.patterns_detected || [finding.type];
+    
+    if (patterns.includes("void_after_payment") || patterns.includes("refund_without_ticket")) {
+      docs.push({
+        type: "pos_adjustment_log",
+        description: "Bitácora de cancelaciones y devoluciones del POS con usuario que autorizó",
+        status: "to_collect",
+        priority: "high",
+      });
+    }
+    
+    if (patterns.includes("no_sale_drawer")) {
+      docs.push({
+        type: "cash_count",
+        description: "Arqueos de caja de los turnos con aperturas sin venta",
+        status: "to_collect",
+        priority: "high",
+      });
+    }
+    
     docs.push({
       type: "policy_acknowledgment",
       description: "Confirmación de lectura de políticas de descuento",
@@ -425,12 +523,29 @@ export class EvidenceCollector {
       cash_preference: "Preferencia por efectivo",
       time_concentration: "Concentración horaria",
       collusion: "Posible colusión",
+      void_after_payment: "Cancelación después del cobro",
+      refund_without_ticket: "Devolución sin ticket original",
+      no_sale_drawer: "Cajón abierto sin venta",
       discount_anomaly: "Anomalía en descuentos",
       customer_repeat: "Cliente repetido",
       new_employee_anomaly: "Empleado nuevo con anomalías",
       peer_outlier: "Diferente a compañeros",
       increasing_trend: "Tendencia creciente",
       day_concentration: "Concentración por día",
+      void_vs_peers: "Cancelaciones por encima de compañeros",
+      void_cash_tickets: "Cancelaciones sobre tickets en efectivo",
+      void_late_voids: "Cancelaciones tardías",
+      void_self_authorized: "Cancelaciones sin autorización",
+      refund_vs_peers: "Devoluciones por encima de compañeros",
+      refund_cash_refunds: "Devoluciones en efectivo",
+      refund_payment_mismatch: "Venta con tarjeta devuelta en efectivo",
+      refund_self_authorized: "Devoluciones sin autorización",
+      drawer_vs_peers: "Aperturas de cajón por encima de compañeros",
+      drawer_linked_adjustments: "Cajón abierto tras cancelación/devolución",
+      drawer_no_reason: "Aperturas de cajón sin motivo",
+      drawer_low_supervision: "Aperturas en horas de baja supervisión",
+      cash_extraction_cycle: "Ciclo de extracción de efectivo",
+      unauthorized_adjustments: "Ajustes sin autorización",
     };
     
     return descriptions[patternType] || patternType;
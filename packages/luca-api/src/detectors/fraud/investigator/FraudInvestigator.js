@@ -12,6 +12,10 @@
 
 import { logger, query } from "@tagers/shared";
 
+// Patrones que mueven efectivo fuera del corte (cancelación/devolución + cajón)
+const ADJUSTMENT_PATTERNS = ["void_after_payment", "refund_without_ticket"];
+const DRAWER_PATTERN = "no_sale_drawer";
+
 export class FraudInvestigator {
   constructor() {
     this.investigationDepth = {
@@ -302,6 +306,37 @@ export class FraudInvestigator {
       });
     }
     
+    // Patrón: Ciclo de extracción (ajuste en efectivo + cajón sin venta)
+    const detected = this.getDetectedPatterns(finding);
+    const adjustmentPatterns = detected.filter(p => ADJUSTMENT_PATTERNS.includes(p));
+    
+    if (adjustmentPatterns.length > 0 && detected.includes(DRAWER_PATTERN)) {
+      const drawerEvidence = this.getPatternEvidence(finding, DRAWER_PATTERN);
+      patterns.push({
+        type: "cash_extraction_cycle",
+        description: "Cancelaciones/devoluciones seguidas de aperturas de cajón sin venta",
+        severity: "high",
+        detail: {
+          adjustment_patterns: adjustmentPatterns,
+          linked_drawer_opens: drawerEvidence?.linked_to_adjustments || 0,
+        },
+      });
+    }
+    
+    // Patrón: Ajustes sin autorización de un tercero
+    const selfAuthorizedPcts = adjustmentPatterns
+      .map(p => this.getPatternEvidence(finding, p)?.self_authorized_pct)
+      .filter(v => typeof v === "number");
+    
+    if (selfAuthorizedPcts.some(v => v >= 0.5)) {
+      patterns.push({
+        type: "unauthorized_adjustments",
+        description: "Cancelaciones/devoluciones autorizadas por el mismo empleado",
+        severity: "medium",
+        detail: { self_authorized_pct: Math.max(...selfAuthorizedPcts) },
+      });
+    }
+    
     // Patrón: Concentración en días específicos
     if (historicalAnalysis?.daily_stats?.length > 0) {
       const dayOfWeekCounts = {};
@@ -361,6 +396,15 @@ export class FraudInvestigator {
       });
     }
     
+    // Ciclo de extracción de efectivo
+    if (investigation.pattern_analysis?.some(p => p.type === "cash_extraction_cycle")) {
+      indicators.push({
+        type: "cash_extraction_cycle",
+        level: "high",
+        description: "Ajustes en efectivo seguidos de aperturas de cajón sin venta",
+      });
+    }
+    
     // Múltiples patrones detectados
     if (investigation.pattern_analysis?.length > 2) {
       indicators.push({
@@ -415,6 +459,46 @@ export class FraudInvestigator {
       });
     }
     
+    // Hipótesis 4: Sustracción de efectivo vía cancelaciones/devoluciones
+    const detected = this.getDetectedPatterns(finding);
+    const cashPatterns = detected.filter(p => ADJUSTMENT_PATTERNS.includes(p) || p === DRAWER_PATTERN);
+    
+    if (cashPatterns.length > 0) {
+      const hasCycle = investigation.pattern_analysis?.some(p => p.type === "cash_extraction_cycle");
+      hypotheses.push({
+        id: "h4_cash_skimming",
+        hypothesis: "Sustracción de efectivo",
+        description: "El empleado anula ventas ya cobradas o registra devoluciones falsas y retira el efectivo del cajón",
+        confidence: hasCycle ? 0.75 : 0.55,
+        supporting_evidence: [
+          cashPatterns.join(", "),
+          ...(hasCycle ? ["Aperturas de cajón sin venta minutos después de los ajustes"] : []),
+        ],
+        recommended_actions: [
+          "Arqueo sorpresa de caja",
+          "Revisar cámaras en los horarios de las cancelaciones y aperturas de cajón",
+          "Cruzar devoluciones con tickets y vouchers originales",
+        ],
+      });
+    }
+    
+    // Hipótesis 5: Falta de control en autorizaciones del POS
+    if (investigation.pattern_analysis?.some(p => p.type === "unauthorized_adjustments")) {
+      hypotheses.push({
+        id: "h5_control_gap",
+        hypothesis: "Falta de control en autorizaciones",
+        description: "El POS permite cancelar o devolver sin autorización del gerente",
+        confidence: 0.45,
+        supporting_evidence: [
+          "Ajustes autorizados por el mismo empleado",
+        ],
+        recommended_actions: [
+          "Exigir PIN de gerente para cancelaciones posteriores al cobro y devoluciones",
+          "Revisar permisos del usuario en el POS",
+        ],
+      });
+    }
+    
     // Hipótesis 3: Presión externa
     hypotheses.push({
       id: "h3_external_pressure",
@@ -434,6 +518,23 @@ export class FraudInvestigator {
     return hypotheses.sort((a, b) => b.confidence - a.confidence);
   }
 
+  /**
+   * Patrones detectados en el finding (consolidado o individual)
+   */
+  getDetectedPatterns(finding) {
+    return finding.patterns_detected || [finding.type];
+  }
+
+  /**
+   * Evidencia de un patrón específico del finding
+   */
+  getPatternEvidence(finding, patternType) {
+    if (finding.all_evidence) {
+      return finding.all_evidence[patternType] || null;
+    }
+    return finding.type === patternType ? finding.evidence : null;
+  }
+
   /**
    * Calcula ajuste de confianza basado en investigación
    */
@@ -0,0 +1,305 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * NO-SALE DRAWER PATTERN - Aperturas de Cajón sin Venta
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Detecta empleados que abren el cajón sin venta con frecuencia anormal.
+ * Es el paso que cierra el ciclo de una cancelación o devolución falsa:
+ * el ticket se anula y el efectivo sale con un "no sale".
+ *
+ * Señales:
+ * - Aperturas sin venta por cada 100 tickets > 2σ vs peers
+ * - Aperturas sin motivo capturado
+ * - Aperturas poco después de una cancelación/devolución en efectivo
+ * - Aperturas concentradas en horas de baja supervisión
+ */
+
+import { logger } from "@tagers/shared";
+
+export const PATTERN_ID = "no_sale_drawer";
+export const PATTERN_NAME = "Aperturas de Cajón sin Venta";
+
+const THRESHOLDS = {
+  peerStdDevMultiplier: 2,       // Frecuencia > 2 desviaciones estándar vs peers
+  noReasonPct: 0.60,             // 60%+ sin motivo
+  linkedWindowMinutes: 15,       // Apertura dentro de 15 min de un void/refund
+  linkedCount: 2,                // 2+ aperturas ligadas a ajustes en efectivo
+  lowSupervisionHours: [7, 8, 21, 22, 23], // Mismas horas que time_concentration
+  lowSupervisionPct: 0.40,       // 40%+ en horas de baja supervisión
+  minTransactions: 30,           // Mínimo de transacciones del empleado
+  minOpens: 5,                   // Mínimo de aperturas sin venta
+  minPeers: 2,                   // Mínimo de compañeros para comparar
+};
+
+const CONFIDENCE_WEIGHTS = {
+  vsPeers: 0.45,
+  linkedAdjustments: 0.20,
+  noReason: 0.20,
+  lowSupervision: 0.15,
+};
+
+/**
+ * Analiza eventos de cajón en busca de aperturas sin venta sospechosas
+ * @param {Object} data - { transactions, drawerEvents, adjustments }
+ * @param {Object} scope - Scope del análisis (branch, dates)
+ * @returns {Array} Findings de aperturas sin venta
+ */
+export async function analyze(data, scope = {}) {
+  const findings = [];
+  const { transactions = [], drawerEvents = [], adjustments = [] } = data;
+
+  const noSaleOpens = drawerEvents.filter(e => e.event_type === "no_sale");
+
+  if (transactions.length < THRESHOLDS.minTransactions || noSaleOpens.length === 0) {
+    return findings;
+  }
+
+  const txByEmployee = groupByEmployee(transactions);
+  const opensByEmployee = groupByEmployee(noSaleOpens);
+  const cashAdjustmentsByEmployee = groupByEmployee(
+    adjustments.filter(a => isCash(a.payment_method))
+  );
+
+  // Aperturas sin venta por cada 100 transacciones
+  const rates = {};
+  for (const [employeeId, empTxs] of Object.entries(txByEmployee)) {
+    if (empTxs.length < THRESHOLDS.minTransactions) continue;
+    rates[employeeId] = ((opensByEmployee[employeeId] || []).length / empTxs.length) * 100;
+  }
+
+  for (const [employeeId, empOpens] of Object.entries(opensByEmployee)) {
+    if (rates[employeeId] === undefined) continue;
+
+    const peerStats = calculatePeerStats(rates, employeeId);
+    if (!peerStats) continue;
+
+    const finding = analyzeEmployee(
+      employeeId,
+      empOpens,
+      cashAdjustmentsByEmployee[employeeId] || [],
+      txByEmployee[employeeId],
+      rates[employeeId],
+      peerStats,
+      scope
+    );
+    if (finding) {
+      findings.push(finding);
+    }
+  }
+
+  logger.info({
+    pattern: PATTERN_ID,
+    opensAnalyzed: noSaleOpens.length,
+    findingsCount: findings.length
+  }, "No-sale drawer analysis complete");
+
+  return findings;
+}
+
+function analyzeEmployee(employeeId, opens, cashAdjustments, transactions, openRate, peerStats, scope) {
+  if (opens.length < THRESHOLDS.minOpens) {
+    return null;
+  }
+
+  // 1. Frecuencia vs peers (z-score)
+  const zScore = (openRate - peerStats.mean) / peerStats.stdDev;
+
+  // 2. Aperturas sin motivo capturado
+  const noReason = opens.filter(e => !e.reason || !String(e.reason).trim());
+  const noReasonPct = noReason.length / opens.length;
+
+  // 3. Aperturas poco después de un void/refund en efectivo del mismo empleado
+  const windowMs = THRESHOLDS.linkedWindowMinutes * 60000;
+  const linked = opens
+    .map(e => {
+      const openedAt = new Date(e.created_at).getTime();
+      const adjustment = cashAdjustments.find(a => {
+        const diff = openedAt - new Date(a.created_at).getTime();
+        return diff >= 0 && diff <= windowMs;
+      });
+      return adjustment ? { open: e, adjustment } : null;
+    })
+    .filter(Boolean);
+
+  // 4. Horas de baja supervisión
+  const byHour = {};
+  for (const e of opens) {
+    const hour = new Date(e.created_at).getHours();
+    byHour[hour] = (byHour[hour] || 0) + 1;
+  }
+  const lowSupervisionCount = THRESHOLDS.lowSupervisionHours
+    .reduce((sum, h) => sum + (byHour[h] || 0), 0);
+  const lowSupervisionPct = lowSupervisionCount / opens.length;
+
+  const signals = {
+    vsPeers: {
+      detected: zScore > THRESHOLDS.peerStdDevMultiplier,
+      score: Math.min(1, Math.max(0, zScore / 4)),
+      value: zScore,
+    },
+    linkedAdjustments: {
+      detected: linked.length >= THRESHOLDS.linkedCount,
+      score: Math.min(1, linked.length / (THRESHOLDS.linkedCount * 2)),
+      value: linked.length,
+    },
+    noReason: {
+      detected: noReasonPct >= THRESHOLDS.noReasonPct,
+      score: Math.min(1, noReasonPct / THRESHOLDS.noReasonPct),
+      value: noReasonPct,
+    },
+    lowSupervision: {
+      detected: lowSupervisionPct >= THRESHOLDS.lowSupervisionPct,
+      score: Math.min(1, lowSupervisionPct / THRESHOLDS.lowSupervisionPct),
+      value: lowSupervisionPct,
+    },
+  };
+
+  if (!signals.vsPeers.detected) {
+    return null;
+  }
+
+  let confidence = 0;
+  for (const [key, signal] of Object.entries(signals)) {
+    if (signal.detected) {
+      confidence += CONFIDENCE_WEIGHTS[key] * signal.score;
+    }
+  }
+
+  if (confidence < 0.55) {
+    return null;
+  }
+
+  const linkedIds = new Set(linked.map(l => l.open.event_id));
+
+  return {
+    type: PATTERN_ID,
+    pattern_name: PATTERN_NAME,
+    severity: getSeverity(confidence),
+    confidence: Math.round(confidence * 100) / 100,
+    employee_id: employeeId,
+    branch_id: scope.branch_id,
+    title: `Aperturas de cajón sin venta - Empleado ${employeeId}`,
+    description: buildDescription(signals, openRate, peerStats),
+    evidence: {
+      no_sale_count: opens.length,
+      open_rate_per_100: round2(openRate),
+      peer_avg_rate_per_100: round2(peerStats.mean),
+      peer_std_dev: round2(peerStats.stdDev),
+      peer_count: peerStats.count,
+      z_score: round2(zScore),
+      no_reason_pct: noReasonPct,
+      linked_to_adjustments: linked.length,
+      low_supervision_pct: lowSupervisionPct,
+      distribution_by_hour: byHour,
+      total_transactions: transactions.length,
+      drawer_opens: opens
+        .sort((a, b) => Number(linkedIds.has(b.event_id)) - Number(linkedIds.has(a.event_id)))
+        .slice(0, 10)
+        .map(e => {
+          const link = linked.find(l => l.open === e);
+          return {
+            event_id: e.event_id,
+            date: e.date,
+            created_at: e.created_at,
+            reason: e.reason || null,
+            after_adjustment: link ? {
+              transaction_id: link.adjustment.transaction_id,
+              adjustment_type: link.adjustment.adjustment_type,
+              amount: link.adjustment.amount,
+            } : null,
+          };
+        }),
+    },
+    metric_value: round2(openRate),
+    baseline_value: round2(peerStats.mean),
+    deviation_pct: peerStats.mean > 0 ? ((openRate - peerStats.mean) / peerStats.mean) * 100 : 100,
+    signals: Object.entries(signals)
+      .filter(([_, s]) => s.detected)
+      .map(([type, s]) => ({
+        type: `drawer_${toSnake(type)}`,
+        value: s.value,
+        severity: s.score > 0.8 ? "high" : "medium",
+      })),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Media y σ de la tasa de los demás empleados (excluye al analizado)
+ */
+function calculatePeerStats(rates, employeeId) {
+  const peerRates = Object.entries(rates)
+    .filter(([id]) => id !== employeeId)
+    .map(([_, rate]) => rate);
+
+  if (peerRates.length < THRESHOLDS.minPeers) {
+    return null;
+  }
+
+  const mean = peerRates.reduce((a, b) => a + b, 0) / peerRates.length;
+  const variance = peerRates.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / peerRates.length;
+
+  return {
+    mean,
+    stdDev: Math.max(Math.sqrt(variance), 0.5),
+    count: peerRates.length,
+  };
+}
+
+function groupByEmployee(rows) {
+  return rows.reduce((acc, r) => {
+    const empId = r.employee_id || r.cashier_id || "unknown";
+    if (!acc[empId]) acc[empId] = [];
+    acc[empId].push(r);
+    return acc;
+  }, {});
+}
+
+function isCash(paymentMethod) {
+  return paymentMethod === "cash" || paymentMethod === "efectivo";
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toSnake(key) {
+  return key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+function getSeverity(confidence) {
+  if (confidence >= 0.85) return "CRITICAL";
+  if (confidence >= 0.70) return "HIGH";
+  if (confidence >= 0.55) return "MEDIUM";
+  return "LOW";
+}
+
+function buildDescription(signals, openRate, peerStats) {
+  const parts = [];
+
+  if (signals.vsPeers.detected) {
+    parts.push(`${openRate.toFixed(1)} aperturas sin venta por cada 100 tickets (peers: ${peerStats.mean.toFixed(1)})`);
+  }
+  if (signals.linkedAdjustments.detected) {
+    parts.push(`${signals.linkedAdjustments.value} aperturas minutos después de una cancelación o devolución en efectivo`);
+  }
+  if (signals.noReason.detected) {
+    parts.push(`${(signals.noReason.value * 100).toFixed(0)}% sin motivo capturado`);
+  }
+  if (signals.lowSupervision.detected) {
+    parts.push(`${(signals.lowSupervision.value * 100).toFixed(0)}% en horas de baja supervisión`);
+  }
+
+  return parts.join(". ") + ".";
+}
+
+export default {
+  PATTERN_ID,
+  PATTERN_NAME,
+  THRESHOLDS,
+  CONFIDENCE_WEIGHTS,
+  analyze,
+};
@@ -0,0 +1,298 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REFUND WITHOUT TICKET PATTERN - Devoluciones sin Ticket Original
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Detecta devoluciones registradas sin ligarlas a un ticket de venta.
+ * Sin ticket original no hay forma de comprobar que el producto se
+ * vendió, y la devolución en efectivo sale directo del cajón.
+ *
+ * Señales:
+ * - Tasa de devoluciones sin ticket > 2σ vs peers
+ * - 80%+ de esas devoluciones pagadas en efectivo
+ * - Ticket original pagado con tarjeta pero devuelto en efectivo
+ * - Devoluciones autorizadas por el mismo empleado
+ */
+
+import { logger } from "@tagers/shared";
+
+export const PATTERN_ID = "refund_without_ticket";
+export const PATTERN_NAME = "Devoluciones sin Ticket Original";
+
+const THRESHOLDS = {
+  peerStdDevMultiplier: 2,       // Tasa > 2 desviaciones estándar vs peers
+  cashPctInRefunds: 0.80,        // 80%+ devueltas en efectivo
+  paymentMismatchCount: 2,       // 2+ devoluciones tarjeta → efectivo
+  selfAuthorizedPct: 0.50,       // 50%+ autorizadas por el mismo empleado
+  minTransactions: 30,           // Mínimo de transacciones del empleado
+  minRefunds: 3,                 // Mínimo de devoluciones sin ticket
+  minPeers: 2,                   // Mínimo de compañeros para comparar
+};
+
+const CONFIDENCE_WEIGHTS = {
+  vsPeers: 0.40,
+  cashRefunds: 0.25,
+  paymentMismatch: 0.20,
+  selfAuthorized: 0.15,
+};
+
+/**
+ * Analiza devoluciones en busca de reembolsos sin ticket original
+ * @param {Object} data - { transactions, adjustments }
+ * @param {Object} scope - Scope del análisis (branch, dates)
+ * @returns {Array} Findings de devoluciones sin ticket
+ */
+export async function analyze(data, scope = {}) {
+  const findings = [];
+  const { transactions = [], adjustments = [] } = data;
+
+  const refunds = adjustments.filter(a => a.adjustment_type === "refund");
+
+  if (transactions.length < THRESHOLDS.minTransactions || refunds.length === 0) {
+    return findings;
+  }
+
+  const txById = new Map(transactions.map(t => [t.transaction_id, t]));
+  const txByEmployee = groupByEmployee(transactions);
+
+  // Sólo cuenta como "sin ticket" cuando no viene el ID del original.
+  // Si viene un ID fuera del periodo cargado no podemos afirmar nada.
+  const withoutTicket = refunds.filter(r => !r.original_transaction_id);
+  const withoutTicketByEmployee = groupByEmployee(withoutTicket);
+  const refundsByEmployee = groupByEmployee(refunds);
+
+  // Devoluciones sin ticket por cada 100 transacciones
+  const rates = {};
+  for (const [employeeId, empTxs] of Object.entries(txByEmployee)) {
+    if (empTxs.length < THRESHOLDS.minTransactions) continue;
+    rates[employeeId] = ((withoutTicketByEmployee[employeeId] || []).length / empTxs.length) * 100;
+  }
+
+  for (const [employeeId, empRefunds] of Object.entries(withoutTicketByEmployee)) {
+    if (rates[employeeId] === undefined) continue;
+
+    const peerStats = calculatePeerStats(rates, employeeId);
+    if (!peerStats) continue;
+
+    const finding = analyzeEmployee(
+      employeeId,
+      empRefunds,
+      refundsByEmployee[employeeId],
+      txByEmployee[employeeId],
+      txById,
+      rates[employeeId],
+      peerStats,
+      scope
+    );
+    if (finding) {
+      findings.push(finding);
+    }
+  }
+
+  logger.info({
+    pattern: PATTERN_ID,
+    refundsAnalyzed: refunds.length,
+    withoutTicket: withoutTicket.length,
+    findingsCount: findings.length
+  }, "Refund without ticket analysis complete");
+
+  return findings;
+}
+
+function analyzeEmployee(employeeId, refundsWithoutTicket, allRefunds, transactions, txById, refundRate, peerStats, scope) {
+  if (refundsWithoutTicket.length < THRESHOLDS.minRefunds) {
+    return null;
+  }
+
+  // 1. Tasa vs peers (z-score)
+  const zScore = (refundRate - peerStats.mean) / peerStats.stdDev;
+
+  // 2. Devoluciones sin ticket pagadas en efectivo
+  const cashRefunds = refundsWithoutTicket.filter(r => isCash(r.payment_method));
+  const cashPct = cashRefunds.length / refundsWithoutTicket.length;
+
+  // 3. Original con tarjeta, devolución en efectivo (de las que sí traen ticket)
+  const mismatched = allRefunds.filter(r => {
+    const original = r.original_transaction_id && txById.get(r.original_transaction_id);
+    return original && !isCash(original.payment_method) && isCash(r.payment_method);
+  });
+
+  // 4. Autorizadas por el mismo empleado (o sin autorización)
+  const selfAuthorized = refundsWithoutTicket.filter(r => !r.authorized_by || r.authorized_by === employeeId);
+  const selfAuthorizedPct = selfAuthorized.length / refundsWithoutTicket.length;
+
+  const signals = {
+    vsPeers: {
+      detected: zScore > THRESHOLDS.peerStdDevMultiplier,
+      score: Math.min(1, Math.max(0, zScore / 4)),
+      value: zScore,
+    },
+    cashRefunds: {
+      detected: cashPct >= THRESHOLDS.cashPctInRefunds,
+      score: Math.min(1, cashPct / THRESHOLDS.cashPctInRefunds),
+      value: cashPct,
+    },
+    paymentMismatch: {
+      detected: mismatched.length >= THRESHOLDS.paymentMismatchCount,
+      score: Math.min(1, mismatched.length / (THRESHOLDS.paymentMismatchCount * 2)),
+      value: mismatched.length,
+    },
+    selfAuthorized: {
+      detected: selfAuthorizedPct >= THRESHOLDS.selfAuthorizedPct,
+      score: Math.min(1, selfAuthorizedPct / THRESHOLDS.selfAuthorizedPct),
+      value: selfAuthorizedPct,
+    },
+  };
+
+  if (!signals.vsPeers.detected) {
+    return null;
+  }
+
+  let confidence = 0;
+  for (const [key, signal] of Object.entries(signals)) {
+    if (signal.detected) {
+      confidence += CONFIDENCE_WEIGHTS[key] * signal.score;
+    }
+  }
+
+  if (confidence < 0.55) {
+    return null;
+  }
+
+  const refundedAmount = refundsWithoutTicket.reduce((s, r) => s + (r.amount || 0), 0);
+  const cashRefundedAmount = cashRefunds.reduce((s, r) => s + (r.amount || 0), 0);
+
+  return {
+    type: PATTERN_ID,
+    pattern_name: PATTERN_NAME,
+    severity: getSeverity(confidence),
+    confidence: Math.round(confidence * 100) / 100,
+    employee_id: employeeId,
+    branch_id: scope.branch_id,
+    title: `Devoluciones sin ticket original - Empleado ${employeeId}`,
+    description: buildDescription(signals, refundRate, peerStats),
+    evidence: {
+      refund_count: allRefunds.length,
+      refunds_without_ticket: refundsWithoutTicket.length,
+      refund_rate_per_100: round2(refundRate),
+      peer_avg_rate_per_100: round2(peerStats.mean),
+      peer_std_dev: round2(peerStats.stdDev),
+      peer_count: peerStats.count,
+      z_score: round2(zScore),
+      cash_pct_in_refunds: cashPct,
+      payment_mismatch_count: mismatched.length,
+      self_authorized_pct: selfAuthorizedPct,
+      refunded_amount: round2(refundedAmount),
+      cash_refunded_amount: round2(cashRefundedAmount),
+      total_transactions: transactions.length,
+      transactions: [...refundsWithoutTicket, ...mismatched]
+        .sort((a, b) => (b.amount || 0) - (a.amount || 0))
+        .slice(0, 10)
+        .map(r => ({
+          transaction_id: r.transaction_id,
+          date: r.date,
+          created_at: r.created_at,
+          adjustment_type: "refund",
+          amount: r.amount,
+          payment_method: r.payment_method,
+          original_transaction_id: r.original_transaction_id || null,
+          original_payment_method: r.original_transaction_id
+            ? txById.get(r.original_transaction_id)?.payment_method || null
+            : null,
+          authorized_by: r.authorized_by || null,
+          reason: r.reason || null,
+        })),
+    },
+    metric_value: round2(refundRate),
+    baseline_value: round2(peerStats.mean),
+    deviation_pct: peerStats.mean > 0 ? ((refundRate - peerStats.mean) / peerStats.mean) * 100 : 100,
+    signals: Object.entries(signals)
+      .filter(([_, s]) => s.detected)
+      .map(([type, s]) => ({
+        type: `refund_${toSnake(type)}`,
+        value: s.value,
+        severity: s.score > 0.8 ? "high" : "medium",
+      })),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Media y σ de la tasa de los demás empleados (excluye al analizado)
+ */
+function calculatePeerStats(rates, employeeId) {
+  const peerRates = Object.entries(rates)
+    .filter(([id]) => id !== employeeId)
+    .map(([_, rate]) => rate);
+
+  if (peerRates.length < THRESHOLDS.minPeers) {
+    return null;
+  }
+
+  const mean = peerRates.reduce((a, b) => a + b, 0) / peerRates.length;
+  const variance = peerRates.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / peerRates.length;
+
+  return {
+    mean,
+    stdDev: Math.max(Math.sqrt(variance), 0.5),
+    count: peerRates.length,
+  };
+}
+
+function groupByEmployee(rows) {
+  return rows.reduce((acc, r) => {
+    const empId = r.employee_id || r.cashier_id || "unknown";
+    if (!acc[empId]) acc[empId] = [];
+    acc[empId].push(r);
+    return acc;
+  }, {});
+}
+
+function isCash(paymentMethod) {
+  return paymentMethod === "cash" || paymentMethod === "efectivo";
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toSnake(key) {
+  return key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+function getSeverity(confidence) {
+  if (confidence >= 0.85) return "CRITICAL";
+  if (confidence >= 0.70) return "HIGH";
+  if (confidence >= 0.55) return "MEDIUM";
+  return "LOW";
+}
+
+function buildDescription(signals, refundRate, peerStats) {
+  const parts = [];
+
+  if (signals.vsPeers.detected) {
+    parts.push(`${refundRate.toFixed(1)} devoluciones sin ticket por cada 100 tickets (peers: ${peerStats.mean.toFixed(1)})`);
+  }
+  if (signals.cashRefunds.detected) {
+    parts.push(`${(signals.cashRefunds.value * 100).toFixed(0)}% devueltas en efectivo`);
+  }
+  if (signals.paymentMismatch.detected) {
+    parts.push(`${signals.paymentMismatch.value} ventas con tarjeta devueltas en efectivo`);
+  }
+  if (signals.selfAuthorized.detected) {
+    parts.push(`${(signals.selfAuthorized.value * 100).toFixed(0)}% sin autorización de un tercero`);
+  }
+
+  return parts.join(". ") + ".";
+}
+
+export default {
+  PATTERN_ID,
+  PATTERN_NAME,
+  THRESHOLDS,
+  CONFIDENCE_WEIGHTS,
+  analyze,
+};
@@ -0,0 +1,294 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * VOID AFTER PAYMENT PATTERN - Cancelaciones Posteriores al Cobro
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Detecta cuando un empleado cancela tickets que ya fueron cobrados,
+ * sobre todo en efectivo. El cliente se va con su producto, el ticket
+ * desaparece del corte y el efectivo sobra en el cajón.
+ *
+ * Señales:
+ * - Tasa de cancelaciones post-cobro > 2σ vs peers
+ * - 80%+ de las cancelaciones sobre tickets en efectivo
+ * - Cancelaciones mucho después del cobro (cliente ya se fue)
+ * - Cancelaciones autorizadas por el mismo empleado
+ */
+
+import { logger } from "@tagers/shared";
+
+export const PATTERN_ID = "void_after_payment";
+export const PATTERN_NAME = "Cancelaciones Posteriores al Cobro";
+
+const THRESHOLDS = {
+  peerStdDevMultiplier: 2,       // Tasa > 2 desviaciones estándar vs peers
+  cashPctInVoids: 0.80,          // 80%+ de cancelaciones sobre efectivo
+  lateVoidMinutes: 10,           // Cancelación 10+ min después del cobro
+  lateVoidPct: 0.50,             // 50%+ de cancelaciones tardías
+  selfAuthorizedPct: 0.50,       // 50%+ autorizadas por el mismo empleado
+  minTransactions: 30,           // Mínimo de transacciones del empleado
+  minVoids: 3,                   // Mínimo de cancelaciones post-cobro
+  minPeers: 2,                   // Mínimo de compañeros para comparar
+};
+
+const CONFIDENCE_WEIGHTS = {
+  vsPeers: 0.40,
+  cashTickets: 0.30,
+  lateVoids: 0.15,
+  selfAuthorized: 0.15,
+};
+
+/**
+ * Analiza cancelaciones en busca de voids sospechosos después del cobro
+ * @param {Object} data - { transactions, adjustments }
+ * @param {Object} scope - Scope del análisis (branch, dates)
+ * @returns {Array} Findings de cancelaciones post-cobro
+ */
+export async function analyze(data, scope = {}) {
+  const findings = [];
+  const { transactions = [], adjustments = [] } = data;
+
+  const voids = adjustments.filter(a => a.adjustment_type === "void" && a.original_paid_at);
+
+  if (transactions.length < THRESHOLDS.minTransactions || voids.length === 0) {
+    return findings;
+  }
+
+  const txByEmployee = groupByEmployee(transactions);
+  const voidsByEmployee = groupByEmployee(voids);
+
+  // Tasa de cancelaciones post-cobro por cada 100 transacciones
+  const rates = {};
+  for (const [employeeId, empTxs] of Object.entries(txByEmployee)) {
+    if (empTxs.length < THRESHOLDS.minTransactions) continue;
+    rates[employeeId] = ((voidsByEmployee[employeeId] || []).length / empTxs.length) * 100;
+  }
+
+  for (const [employeeId, empVoids] of Object.entries(voidsByEmployee)) {
+    if (rates[employeeId] === undefined) continue;
+
+    const peerStats = calculatePeerStats(rates, employeeId);
+    if (!peerStats) continue;
+
+    const finding = analyzeEmployee(
+      employeeId,
+      empVoids,
+      txByEmployee[employeeId],
+      rates[employeeId],
+      peerStats,
+      scope
+    );
+    if (finding) {
+      findings.push(finding);
+    }
+  }
+
+  logger.info({
+    pattern: PATTERN_ID,
+    voidsAnalyzed: voids.length,
+    findingsCount: findings.length
+  }, "Void after payment analysis complete");
+
+  return findings;
+}
+
+function analyzeEmployee(employeeId, voids, transactions, voidRate, peerStats, scope) {
+  if (voids.length < THRESHOLDS.minVoids) {
+    return null;
+  }
+
+  // 1. Tasa vs peers (z-score)
+  const zScore = (voidRate - peerStats.mean) / peerStats.stdDev;
+
+  // 2. Cancelaciones sobre tickets en efectivo
+  const cashVoids = voids.filter(v => isCash(v.payment_method));
+  const cashPct = cashVoids.length / voids.length;
+
+  // 3. Minutos entre cobro y cancelación
+  const delays = voids.map(v => minutesBetween(v.original_paid_at, v.created_at));
+  const lateVoids = voids.filter((_, i) => delays[i] >= THRESHOLDS.lateVoidMinutes);
+  const lateVoidPct = lateVoids.length / voids.length;
+
+  // 4. Autorizadas por el mismo empleado (o sin autorización)
+  const selfAuthorized = voids.filter(v => !v.authorized_by || v.authorized_by === employeeId);
+  const selfAuthorizedPct = selfAuthorized.length / voids.length;
+
+  const signals = {
+    vsPeers: {
+      detected: zScore > THRESHOLDS.peerStdDevMultiplier,
+      score: Math.min(1, Math.max(0, zScore / 4)),
+      value: zScore,
+    },
+    cashTickets: {
+      detected: cashPct >= THRESHOLDS.cashPctInVoids,
+      score: Math.min(1, cashPct / THRESHOLDS.cashPctInVoids),
+      value: cashPct,
+    },
+    lateVoids: {
+      detected: lateVoidPct >= THRESHOLDS.lateVoidPct,
+      score: Math.min(1, lateVoidPct / THRESHOLDS.lateVoidPct),
+      value: lateVoidPct,
+    },
+    selfAuthorized: {
+      detected: selfAuthorizedPct >= THRESHOLDS.selfAuthorizedPct,
+      score: Math.min(1, selfAuthorizedPct / THRESHOLDS.selfAuthorizedPct),
+      value: selfAuthorizedPct,
+    },
+  };
+
+  // Sin desviación vs peers no hay caso: cancelar es parte normal del turno
+  if (!signals.vsPeers.detected) {
+    return null;
+  }
+
+  let confidence = 0;
+  for (const [key, signal] of Object.entries(signals)) {
+    if (signal.detected) {
+      confidence += CONFIDENCE_WEIGHTS[key] * signal.score;
+    }
+  }
+
+  if (confidence < 0.55) {
+    return null;
+  }
+
+  const voidedAmount = voids.reduce((s, v) => s + (v.amount || 0), 0);
+  const cashVoidedAmount = cashVoids.reduce((s, v) => s + (v.amount || 0), 0);
+
+  return {
+    type: PATTERN_ID,
+    pattern_name: PATTERN_NAME,
+    severity: getSeverity(confidence),
+    confidence: Math.round(confidence * 100) / 100,
+    employee_id: employeeId,
+    branch_id: scope.branch_id,
+    title: `Cancelaciones después del cobro - Empleado ${employeeId}`,
+    description: buildDescription(signals, voidRate, peerStats),
+    evidence: {
+      void_count: voids.length,
+      void_rate_per_100: round2(voidRate),
+      peer_avg_rate_per_100: round2(peerStats.mean),
+      peer_std_dev: round2(peerStats.stdDev),
+      peer_count: peerStats.count,
+      z_score: round2(zScore),
+      cash_pct_in_voids: cashPct,
+      late_void_pct: lateVoidPct,
+      avg_minutes_after_payment: round2(delays.reduce((a, b) => a + b, 0) / delays.length),
+      self_authorized_pct: selfAuthorizedPct,
+      voided_amount: round2(voidedAmount),
+      cash_voided_amount: round2(cashVoidedAmount),
+      total_transactions: transactions.length,
+      transactions: voids
+        .sort((a, b) => (b.amount || 0) - (a.amount || 0))
+        .slice(0, 10)
+        .map(v => ({
+          transaction_id: v.transaction_id,
+          date: v.date,
+          created_at: v.created_at,
+          adjustment_type: "void",
+          amount: v.amount,
+          payment_method: v.payment_method,
+          paid_at: v.original_paid_at,
+          minutes_after_payment: round2(minutesBetween(v.original_paid_at, v.created_at)),
+          authorized_by: v.authorized_by || null,
+          reason: v.reason || null,
+        })),
+    },
+    metric_value: round2(voidRate),
+    baseline_value: round2(peerStats.mean),
+    deviation_pct: peerStats.mean > 0 ? ((voidRate - peerStats.mean) / peerStats.mean) * 100 : 100,
+    signals: Object.entries(signals)
+      .filter(([_, s]) => s.detected)
+      .map(([type, s]) => ({
+        type: `void_${toSnake(type)}`,
+        value: s.value,
+        severity: s.score > 0.8 ? "high" : "medium",
+      })),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Media y σ de la tasa de los demás empleados (excluye al analizado)
+ */
+function calculatePeerStats(rates, employeeId) {
+  const peerRates = Object.entries(rates)
+    .filter(([id]) => id !== employeeId)
+    .map(([_, rate]) => rate);
+
+  if (peerRates.length < THRESHOLDS.minPeers) {
+    return null;
+  }
+
+  const mean = peerRates.reduce((a, b) => a + b, 0) / peerRates.length;
+  const variance = peerRates.reduce((sum, r) => sum + Math.pow(r - mean, 2), 0) / peerRates.length;
+
+  return {
+    mean,
+    // Piso de σ para no disparar z-scores infinitos cuando los peers no cancelan
+    stdDev: Math.max(Math.sqrt(variance), 0.5),
+    count: peerRates.length,
+  };
+}
+
+function groupByEmployee(rows) {
+  return rows.reduce((acc, r) => {
+    const empId = r.employee_id || r.cashier_id || "unknown";
+    if (!acc[empId]) acc[empId] = [];
+    acc[empId].push(r);
+    return acc;
+  }, {});
+}
+
+function isCash(paymentMethod) {
+  return paymentMethod === "cash" || paymentMethod === "efectivo";
+}
+
+function minutesBetween(from, to) {
+  const diff = (new Date(to) - new Date(from)) / 60000;
+  return Number.isFinite(diff) ? Math.max(0, diff) : 0;
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+function toSnake(key) {
+  return key.replace(/[A-Z]/g, c => `_${c.toLowerCase()}`);
+}
+
+function getSeverity(confidence) {
+  if (confidence >= 0.85) return "CRITICAL";
+  if (confidence >= 0.70) return "HIGH";
+  if (confidence >= 0.55) return "MEDIUM";
+  return "LOW";
+}
+
+function buildDescription(signals, voidRate, peerStats) {
+  const parts = [];
+
+  if (signals.vsPeers.detected) {
+    parts.push(`${voidRate.toFixed(1)} cancelaciones post-cobro por cada 100 tickets (peers: ${peerStats.mean.toFixed(1)})`);
+  }
+  if (signals.cashTickets.detected) {
+    parts.push(`${(signals.cashTickets.value * 100).toFixed(0)}% sobre tickets pagados en efectivo`);
+  }
+  if (signals.lateVoids.detected) {
+    parts.push(`${(signals.lateVoids.value * 100).toFixed(0)}% canceladas ${THRESHOLDS.lateVoidMinutes}+ minutos después del cobro`);
+  }
+  if (signals.selfAuthorized.detected) {
+    parts.push(`${(signals.selfAuthorized.value * 100).toFixed(0)}% sin autorización de un tercero`);
+  }
+
+  return parts.join(". ") + ".";
+}
+
+export default {
+  PATTERN_ID,
+  PATTERN_NAME,
+  THRESHOLDS,
+  CONFIDENCE_WEIGHTS,
+  analyze,
+};
@@ -30,6 +30,33 @@ const DETECTION_THRESHOLDS = {
   min_severity_score: 30, // Score mínimo para generar finding
 };
 
+/**
+ * Ventana del baseline: mismo día de la semana, últimas 4 semanas
+ */
+const BASELINE_WINDOW_DAYS = 28;
+
+/**
+ * Canales de venta y los valores que llegan del POS para cada uno
+ */
+export const SALES_CHANNELS = {
+  dine_in: {
+    label: "Salón",
+    aliases: ["dine_in", "dine-in", "salon", "salón", "mesa", "comedor"],
+  },
+  takeaway: {
+    label: "Para llevar",
+    aliases: ["takeaway", "take_away", "para_llevar", "mostrador", "pickup"],
+  },
+  delivery_apps: {
+    label: "Apps de delivery",
+    aliases: ["delivery", "delivery_apps", "rappi", "uber_eats", "ubereats", "didi", "didi_food"],
+  },
+  web_preorder: {
+    label: "Preorden web",
+    aliases: ["web", "web_preorder", "preorder", "preorden", "ecommerce", "online"],
+  },
+};
+
 /**
  * Pesos para calcular severity score
  */
@@ -247,7 +274,7 @@ export class ForenseDetector extends BaseDetector {
    * Obtiene baseline (promedio móvil 4 semanas, mismo día)
    */
   async getBaselineMetrics(branchId, date) {
-    const dayOfWeek = date.getDay();
+    const { dayOfWeek, dateStr } = this.getBaselineWindow(date);
     
     try {
       const result = await query(`
@@ -265,11 +292,11 @@ export class ForenseDetector extends BaseDetector {
           FROM transactions
           WHERE branch_id = $1 
             AND EXTRACT(DOW FROM created_at) = $2
-            AND created_at >= $3::date - INTERVAL '28 days'
+            AND created_at >= $3::date - make_interval(days => $4::int)
             AND created_at < $3::date
           GROUP BY DATE(created_at)
         ) daily
-      `, [branchId, dayOfWeek, date.toISOString().split("T")[0]]);
+      `, [branchId, dayOfWeek, dateStr, BASELINE_WINDOW_DAYS]);
 
       if (result.rows[0]?.avg_total) {
         return {
@@ -287,6 +314,99 @@ export class ForenseDetector extends BaseDetector {
     return this.getMockBaseline(branchId);
   }
 
+  /**
+   * Ventas por canal de una sucursal para una fecha.
+   * null si no se pudo consultar: sin datos reales no hay dimensión de canal
+   */
+  async getChannelMetrics(branchId, dateStr) {
+    try {
+      const result = await query(`
+        SELECT 
+          LOWER(COALESCE(channel, 'dine_in')) as channel,
+          SUM(total) as total,
+          COUNT(*) as order_count
+        FROM transactions
+        WHERE branch_id = $1 AND DATE(created_at) = $2
+        GROUP BY 1
+      `, [branchId, dateStr]);
+
+      return this.normalizeChannels(result.rows.map(r => ({
+        channel: r.channel,
+        total: parseFloat(r.total) || 0,
+        order_count: parseInt(r.order_count) || 0,
+      })));
+    } catch (err) {
+      logger.warn({ branchId, dateStr, err: err?.message }, "Failed to get channel metrics (table may not exist)");
+      return null;
+    }
+  }
+
+  /**
+   * Baseline por canal: misma ventana que getBaselineMetrics.
+   * Promedia sobre todos los días de la ventana, así un canal que no
+   * vendió un día cuenta como 0 en lugar de desaparecer del promedio.
+   * null si no se pudo consultar o la ventana no tiene ventas.
+   */
+  async getBaselineChannelMetrics(branchId, date) {
+    const { dayOfWeek, dateStr } = this.getBaselineWindow(date);
+
+    try {
+      const result = await query(`
+        WITH window_tx AS (
+          SELECT channel, total, DATE(created_at) as day
+          FROM transactions
+          WHERE branch_id = $1 
+            AND EXTRACT(DOW FROM created_at) = $2
+            AND created_at >= $3::date - make_interval(days => $4::int)
+            AND created_at < $3::date
+        ),
+        days AS (SELECT COUNT(DISTINCT day) as n FROM window_tx)
+        SELECT 
+          LOWER(COALESCE(channel, 'dine_in')) as channel,
+          SUM(total) / NULLIF((SELECT n FROM days), 0) as avg_total,
+          COUNT(*)::numeric / NULLIF((SELECT n FROM days), 0) as avg_orders
+        FROM window_tx
+        GROUP BY 1
+      `, [branchId, dayOfWeek, dateStr, BASELINE_WINDOW_DAYS]);
+
+      if (result.rows.length === 0) return null;
+
+      return this.normalizeChannels(result.rows.map(r => ({
+        channel: r.channel,
+        total: parseFloat(r.avg_total) || 0,
+        order_count: parseFloat(r.avg_orders) || 0,
+      })));
+    } catch (err) {
+      logger.warn({ branchId, err: err?.message }, "Failed to get channel baseline (table may not exist)");
+      return null;
+    }
+  }
+
+  /**
+   * Agrupa valores crudos del POS en los canales de SALES_CHANNELS
+   */
+  normalizeChannels(rows) {
+    const channels = {};
+
+    for (const row of rows) {
+      const key = Object.entries(SALES_CHANNELS)
+        .find(([_, def]) => def.aliases.includes(row.channel))?.[0] || "other";
+
+      if (!channels[key]) channels[key] = { total: 0, order_count: 0 };
+      channels[key].total += row.total;
+      channels[key].order_count += row.order_count;
+    }
+
+    return channels;
+  }
+
+  getBaselineWindow(date) {
+    return {
+      dayOfWeek: date.getDay(),
+      dateStr: date.toISOString().split("T")[0],
+    };
+  }
+
   /**
    * Calcula severity score (0-100)
    */
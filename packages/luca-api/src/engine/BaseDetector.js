@@ -17,6 +17,7 @@
 
 import { logger, query } from "@tagers/shared";
 import { updateDetectorStatus } from "../services/registryService.js";
+import { DEMO_TITLE_PREFIX } from "../services/caseService.js";
 
 export class BaseDetector {
   constructor(config) {
@@ -429,19 +430,22 @@ export class BaseDetector {
     await query(`
       INSERT INTO luca_cases (
         case_id, case_type, severity, title, description,
-        scope, evidence, source, detector_id, run_id
-      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10)
+        scope, evidence, source, detector_id, run_id,
+        is_demo, provenance
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12)
     `, [
       caseId,
       this.category.toUpperCase(),
       finding.severity.toUpperCase(),
-      finding.title,
+      finding.provenance?.demo ? `${DEMO_TITLE_PREFIX} ${finding.title}` : finding.title,
       finding.description,
       { branch_id: finding.branch_id, employee_id: finding.employee_id },
       [finding.evidence],
       this.agentName,
       this.detectorId,
       this.runId,
+      finding.provenance?.demo === true,
+      finding.provenance || null,
     ]);
     
     logger.info({ caseId, finding: finding.title }, "Case created");
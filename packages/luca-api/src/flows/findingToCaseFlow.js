@@ -162,6 +162,7 @@ async function createCaseFromFinding(finding, detector) {
     source: "detector",
     detectorId: detector?.detector_id,
     runId: finding.run_id,
+    provenance: finding.provenance || null,
     createdBy: "luca",
   });
   
@@ -232,6 +233,7 @@ async function createConsolidatedCase(findings, detector) {
     source: "detector",
     detectorId: detector?.detector_id,
     runId: primaryFinding.run_id,
+    provenance: mergeProvenance(findings),
     createdBy: "luca",
   });
   
@@ -274,6 +276,7 @@ async function createAlertFromFinding(finding, detector) {
       metric_value: finding.metric_value,
       baseline_value: finding.baseline_value,
       deviation_pct: finding.deviation_pct,
+      provenance: finding.provenance,
     },
   });
   
@@ -378,6 +381,20 @@ async function processConsolidatedFindings(findings, detector) {
   }
 }
 
+/**
+ * Procedencia de un grupo de findings: la del primero, marcada como demo
+ * si cualquiera de ellos lo es
+ */
+function mergeProvenance(findings) {
+  const tagged = findings.map(f => f.provenance).filter(Boolean);
+  if (tagged.length === 0) return null;
+  
+  return {
+    ...tagged[0],
+    demo: tagged.some(p => p.demo === true),
+  };
+}
+
 /**
  * Obtiene severidad máxima
  */
@@ -67,7 +67,10 @@ export class MexicoHolidays {
       isPanDeMuertoSeason: this.isPanDeMuertoSeason(d),
       
       // Impacto combinado
-      combinedImpact: this.calculateCombinedImpact(holiday, season, isSemanaSanta),
+      combinedImpact: this.calculateCombinedImpact(holiday, season, isSemanaSanta, {
+        isPuente,
+        isRoscaSeason: this.isRoscaSeason(d),
+      }),
     };
   }
 
@@ -232,7 +235,7 @@ export class MexicoHolidays {
   /**
    * Calcula impacto combinado
    */
-  calculateCombinedImpact(holiday, season, isSemanaSanta) {
+  calculateCombinedImpact(holiday, season, isSemanaSanta, { isPuente = false, isRoscaSeason = false } = {}) {
     let impact = 1.0;
     
     if (holiday) {
@@ -248,6 +251,16 @@ export class MexicoHolidays {
       const ssImpact = configLoader.getThresholdValue("calendar", "semana_santa_impact", 0.75);
       impact *= ssImpact;
     }
+
+    if (isPuente && !holiday) {
+      // Puente: la gente sale de la ciudad
+      impact *= configLoader.getThresholdValue("calendar", "puente_impact", 0.9);
+    }
+
+    // Rosca de reyes sin temporada configurada en LUCA_SEASONS
+    if (isRoscaSeason && season?.seasonId !== "rosca_season") {
+      impact *= configLoader.getThresholdValue("calendar", "rosca_season_impact", 1.4);
+    }
     
     return Math.round(impact * 100) / 100;
   }
@@ -102,6 +102,7 @@ export class ExternalContext {
     const holidayInfo = this.holidays.getDateInfo(date);
     context.calendar = {
       ...holidayInfo,
+      impact: holidayInfo.combinedImpact,
       upcoming: this.holidays.getUpcoming(7),
       isRoscaSeason: this.holidays.isRoscaSeason(date),
       isPanDeMuertoSeason: this.holidays.isPanDeMuertoSeason(date),
@@ -111,8 +112,8 @@ export class ExternalContext {
       context.alerts.push({
         source: "calendar",
         type: "SPECIAL_DAY",
-        message: `Hoy es ${holidayInfo.holidays[0]?.name || holidayInfo.seasons[0]?.name}`,
-        impact: holidayInfo.impactFormatted,
+        message: `Hoy es ${this.getCalendarLabel(holidayInfo)}`,
+        impact: this.formatImpact(holidayInfo.combinedImpact),
       });
     }
 
@@ -196,7 +197,7 @@ export class ExternalContext {
       factors.push({
         source: "calendar",
         factor: context.calendar.impact,
-        description: context.calendar.holidays[0]?.name || context.calendar.seasons[0]?.name,
+        description: this.getCalendarLabel(context.calendar),
       });
     }
 
@@ -222,12 +223,44 @@ export class ExternalContext {
 
     return {
       overall: Math.round(overall * 100) / 100,
-      overallFormatted: `${overall >= 1 ? "+" : ""}${Math.round((overall - 1) * 100)}%`,
+      overallFormatted: this.formatImpact(overall),
       factors,
       confidence: this.calculateConfidence(factors),
     };
   }
 
+  /**
+   * Impacto combinado sólo de calendario (feriados, eventos, escuela) para
+   * planear días futuros. No incluye clima: el clima de hoy no predice el
+   * de pasado mañana.
+   */
+  getCalendarImpact(branchId, date = new Date()) {
+    const holidayInfo = this.holidays.getDateInfo(date);
+
+    return this.calculateCombinedImpact({
+      weather: {},
+      calendar: { ...holidayInfo, impact: holidayInfo.combinedImpact },
+      events: { branchImpact: branchId ? this.events.calculateImpact(branchId, date) : null },
+      school: this.school.isSchoolDay(date),
+    });
+  }
+
+  /**
+   * Nombre legible del día especial
+   */
+  getCalendarLabel(calendar) {
+    return calendar.holiday?.name ||
+      calendar.season?.name ||
+      (calendar.semanaSanta ? "Semana Santa" : null) ||
+      (calendar.isPuente ? "Puente" : null) ||
+      (calendar.isRoscaSeason ? "Temporada de rosca" : null) ||
+      "Día especial";
+  }
+
+  formatImpact(factor = 1) {
+    return `${factor >= 1 ? "+" : ""}${Math.round((factor - 1) * 100)}%`;
+  }
+
   /**
    * Calcula confianza de la predicción
    */
@@ -260,8 +293,8 @@ export class ExternalContext {
       
       // Día especial
       specialDay: context.calendar.isSpecialDay ? {
-        name: context.calendar.holidays[0]?.name || context.calendar.seasons[0]?.name,
-        impact: context.calendar.impactFormatted,
+        name: this.getCalendarLabel(context.calendar),
+        impact: this.formatImpact(context.calendar.impact),
       } : null,
       
       // Eventos
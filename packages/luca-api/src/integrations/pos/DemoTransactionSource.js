@@ -0,0 +1,225 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * DEMO TRANSACTION SOURCE - Datos sintéticos para demos y desarrollo
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Sólo se usa con LUCA_DEMO_MODE=true. Simula dos empleados sospechosos:
+ * - EMP003: descuentos frecuentes en efectivo al mismo "amigo"
+ * - EMP004: cancelaciones/devoluciones en efectivo seguidas de "no sale"
+ *
+ * Los findings salen con provenance.demo = true y caseService marca los
+ * casos como demo.
+ */
+
+import { logger, parseBool } from "@tagers/shared";
+import { TransactionSource, SourceType } from "./TransactionSource.js";
+
+export const DEMO_MODE = parseBool(process.env.LUCA_DEMO_MODE, false);
+
+export class DemoTransactionSource extends TransactionSource {
+  constructor({ enabled = DEMO_MODE } = {}) {
+    super({ type: SourceType.DEMO, name: "Demo (sintético)" });
+    this.enabled = enabled;
+  }
+
+  isConfigured() {
+    return this.enabled;
+  }
+
+  async loadTransactions({ dateFrom, dateTo, branchId }) {
+    this.assertEnabled();
+    return this.generateTestTransactions(dateFrom, dateTo, branchId);
+  }
+
+  async loadAdjustments(range, { transactions = [] } = {}) {
+    this.assertEnabled();
+    return this.generateTestAdjustments(transactions);
+  }
+
+  async loadDrawerEvents(range, { adjustments = [] } = {}) {
+    this.assertEnabled();
+    return this.generateTestDrawerEvents(adjustments);
+  }
+
+  assertEnabled() {
+    if (!this.enabled) {
+      throw new Error("Demo transaction source requires LUCA_DEMO_MODE=true");
+    }
+  }
+
+  /**
+   * Genera transacciones de prueba para desarrollo
+   */
+  generateTestTransactions(dateFrom, dateTo, branchId) {
+    const transactions = [];
+    const branches = branchId ? [branchId] : ["SUC01", "SUC02", "SUC03"];
+    const employees = ["EMP001", "EMP002", "EMP003", "EMP004", "EMP005"];
+    const servers = ["SRV001", "SRV002", "SRV003"];
+    const paymentMethods = ["cash", "card", "card", "card"]; // 25% efectivo
+    const discountReasons = ["cortesía", "promoción", "empleado", "cumpleaños", null, null, null];
+    
+    // Crear empleado sospechoso
+    const suspiciousEmployee = "EMP003";
+    const suspiciousCustomer = "CUST_FRIEND_001";
+    
+    const startDate = new Date(dateFrom);
+    const endDate = new Date(dateTo);
+    const daysDiff = Math.ceil((endDate - startDate) / (1000 * 60 * 60 * 24));
+    
+    for (let d = 0; d < daysDiff; d++) {
+      const date = new Date(startDate);
+      date.setDate(date.getDate() + d);
+      const dateStr = date.toISOString().split("T")[0];
+      
+      // Generar ~50-100 transacciones por día
+      const txCount = 50 + Math.floor(Math.random() * 50);
+      
+      for (let i = 0; i < txCount; i++) {
+        const branch = branches[Math.floor(Math.random() * branches.length)];
+        const employee = employees[Math.floor(Math.random() * employees.length)];
+        const server = servers[Math.floor(Math.random() * servers.length)];
+        const hour = 8 + Math.floor(Math.random() * 14); // 8am - 10pm
+        
+        const subtotal = 100 + Math.floor(Math.random() * 400);
+        let discountAmount = 0;
+        let discountReason = null;
+        let paymentMethod = paymentMethods[Math.floor(Math.random() * paymentMethods.length)];
+        let customerId = Math.random() > 0.7 ? `CUST${Math.floor(Math.random() * 100)}` : null;
+        
+        // Simular comportamiento sospechoso del empleado
+        if (employee === suspiciousEmployee) {
+          // 40% de probabilidad de descuento (vs 10% normal)
+          if (Math.random() < 0.4) {
+            discountAmount = subtotal * (0.1 + Math.random() * 0.2); // 10-30%
+            discountReason = discountReasons[Math.floor(Math.random() * 3)]; // Solo cortesía/promoción/empleado
+            paymentMethod = Math.random() < 0.8 ? "cash" : "card"; // 80% efectivo
+            
+            // A veces es el mismo "amigo"
+            if (Math.random() < 0.3) {
+              customerId = suspiciousCustomer;
+            }
+          }
+        } else {
+          // Comportamiento normal
+          if (Math.random() < 0.1) {
+            discountAmount = subtotal * (0.05 + Math.random() * 0.1);
+            discountReason = discountReasons[Math.floor(Math.random() * discountReasons.length)];
+          }
+        }
+        
+        transactions.push({
+          transaction_id: `TXN-${dateStr}-${String(i).padStart(4, "0")}`,
+          branch_id: branch,
+          employee_id: employee,
+          cashier_id: employee,
+          server_id: server,
+          customer_id: customerId,
+          customer_phone: customerId ? `555${Math.floor(Math.random() * 10000000)}` : null,
+          subtotal,
+          discount_amount: Math.round(discountAmount * 100) / 100,
+          discount_reason: discountReason,
+          discount_type: discountReason ? "manual" : null,
+          total: Math.round((subtotal - discountAmount) * 100) / 100,
+          payment_method: paymentMethod,
+          created_at: `${dateStr}T${String(hour).padStart(2, "0")}:${String(Math.floor(Math.random() * 60)).padStart(2, "0")}:00`,
+          date: dateStr,
+        });
+      }
+    }
+    
+    logger.info({ 
+      transactionCount: transactions.length,
+      dateRange: `${dateFrom} to ${dateTo}`,
+    }, "Generated test transactions");
+    
+    return transactions;
+  }
+
+  /**
+   * Genera cancelaciones/devoluciones de prueba a partir de las transacciones
+   */
+  generateTestAdjustments(transactions) {
+    const adjustments = [];
+    const suspiciousEmployee = "EMP004";
+    
+    for (const t of transactions) {
+      const isSuspicious = t.employee_id === suspiciousEmployee;
+      const roll = Math.random();
+      
+      // ~1% normal, ~6% para el empleado sospechoso
+      if (roll >= (isSuspicious ? 0.06 : 0.01)) continue;
+      
+      const paidAt = new Date(t.created_at);
+      const minutesAfter = isSuspicious ? 15 + Math.floor(Math.random() * 90) : Math.floor(Math.random() * 5);
+      const createdAt = new Date(paidAt.getTime() + minutesAfter * 60000);
+      const isRefund = Math.random() < 0.5;
+      
+      adjustments.push({
+        adjustment_id: `ADJ-${t.transaction_id}`,
+        adjustment_type: isRefund ? "refund" : "void",
+        transaction_id: isRefund ? `RFD-${t.transaction_id}` : t.transaction_id,
+        original_transaction_id: isRefund && !isSuspicious ? t.transaction_id : null,
+        branch_id: t.branch_id,
+        employee_id: t.employee_id,
+        authorized_by: isSuspicious ? null : "MGR001",
+        amount: t.total,
+        payment_method: isSuspicious ? "cash" : t.payment_method,
+        reason: isSuspicious ? null : "error de captura",
+        original_paid_at: isRefund ? null : t.created_at,
+        created_at: createdAt.toISOString(),
+        date: t.date,
+      });
+    }
+    
+    logger.info({ adjustmentCount: adjustments.length }, "Generated test POS adjustments");
+    
+    return adjustments;
+  }
+
+  /**
+   * Genera aperturas de cajón sin venta de prueba
+   */
+  generateTestDrawerEvents(adjustments) {
+    const events = [];
+    
+    // El empleado sospechoso abre el cajón después de sus ajustes en efectivo
+    for (const a of adjustments) {
+      if (a.employee_id !== "EMP004" || a.payment_method !== "cash") continue;
+      
+      const openedAt = new Date(new Date(a.created_at).getTime() + (2 + Math.floor(Math.random() * 8)) * 60000);
+      events.push({
+        event_id: `DRW-${a.adjustment_id}`,
+        branch_id: a.branch_id,
+        employee_id: a.employee_id,
+        event_type: "no_sale",
+        transaction_id: null,
+        reason: null,
+        created_at: openedAt.toISOString(),
+        date: a.date,
+      });
+    }
+    
+    // Aperturas normales (cambio de morralla) para el resto
+    const dates = [...new Set(adjustments.map(a => a.date))];
+    for (const date of dates) {
+      for (const employee of ["EMP001", "EMP002", "EMP003", "EMP005"]) {
+        if (Math.random() < 0.5) continue;
+        const hour = 10 + Math.floor(Math.random() * 8);
+        events.push({
+          event_id: `DRW-${date}-${employee}`,
+          branch_id: adjustments[0]?.branch_id,
+          employee_id: employee,
+          event_type: "no_sale",
+          transaction_id: null,
+          reason: "cambio",
+          created_at: `${date}T${String(hour).padStart(2, "0")}:00:00`,
+          date,
+        });
+      }
+    }
+    
+    return events;
+  }
+}
+
+export default DemoTransactionSource;
@@ -0,0 +1,214 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * FILE TRANSACTION SOURCE - Exports de OpenPOS (CSV / Parquet)
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Lee los archivos que OpenPOS deja en POS_DROP_DIR. El dataset se
+ * reconoce por el prefijo del nombre:
+ * - transactions*.csv|parquet
+ * - pos_adjustments*, adjustments*
+ * - cash_drawer_events*, drawer_events*
+ *
+ * Las columnas del export de OpenPOS se traducen a las de LUCA con
+ * COLUMN_ALIASES; las que ya vienen con nombre de LUCA pasan tal cual.
+ *
+ * Sólo se leen los archivos del rango pedido: la fecha del nombre
+ * (transactions_2025-01-15.csv, transactions_20250115.parquet) o, si no
+ * trae, el mtime (un archivo escrito antes de dateFrom no tiene filas del rango).
+ */
+
+import fs from "fs/promises";
+import path from "path";
+import { logger, parseCsv } from "@tagers/shared";
+import { asyncBufferFromFile, parquetReadObjects } from "hyparquet";
+import {
+  TransactionSource,
+  SourceType,
+  normalizeTransaction,
+  normalizeAdjustment,
+  normalizeDrawerEvent,
+  filterByRange,
+} from "./TransactionSource.js";
+
+const POS_DROP_DIR = process.env.POS_DROP_DIR;
+
+const DATASET_PREFIXES = {
+  transactions: ["transactions"],
+  adjustments: ["pos_adjustments", "adjustments"],
+  drawerEvents: ["cash_drawer_events", "drawer_events"],
+};
+
+const SUPPORTED_EXTENSIONS = [".csv", ".parquet"];
+
+const FILE_DATE_PATTERN = /(20\d{2})-?(\d{2})-?(\d{2})/;
+
+/**
+ * Columnas del export de OpenPOS → columnas de LUCA
+ */
+const COLUMN_ALIASES = {
+  trans_id: "transaction_id",
+  business_unit_id: "branch_id",
+  store_id: "branch_id",
+  username: "employee_id",
+  operator_id: "employee_id",
+  cashier: "cashier_id",
+  server: "server_id",
+  customer_number: "customer_id",
+  discount_total: "discount_amount",
+  total_amount: "total",
+  tender_type: "payment_method",
+  end_time: "created_at",
+  timestamp: "created_at",
+  business_date: "date",
+  original_trans_id: "original_transaction_id",
+  approved_by: "authorized_by",
+  reason_code: "reason",
+};
+
+export class FileTransactionSource extends TransactionSource {
+  constructor({ dropDir = POS_DROP_DIR } = {}) {
+    super({ type: SourceType.FILE_DROP, name: "OpenPOS file drop" });
+    this.dropDir = dropDir;
+    this.lastFiles = [];
+  }
+
+  isConfigured() {
+    return !!this.dropDir;
+  }
+
+  async loadTransactions(range) {
+    this.lastFiles = [];
+    const rows = await this.readDataset("transactions", range);
+    return filterByRange(rows.map(normalizeTransaction), range);
+  }
+
+  async loadAdjustments(range) {
+    const rows = await this.readDataset("adjustments", range);
+    return filterByRange(rows.map(normalizeAdjustment), range);
+  }
+
+  async loadDrawerEvents(range) {
+    const rows = await this.readDataset("drawerEvents", range);
+    return filterByRange(
+      rows.map(normalizeDrawerEvent).filter(e => e.event_type === "no_sale"),
+      range
+    );
+  }
+
+  describe() {
+    return {
+      drop_dir: this.dropDir,
+      files: this.lastFiles,
+    };
+  }
+
+  // ═══════════════════════════════════════════════════════════════════════════
+  // LECTURA
+  // ═══════════════════════════════════════════════════════════════════════════
+
+  /**
+   * Lee y concatena los archivos de un dataset que caen en el rango
+   */
+  async readDataset(dataset, range = {}) {
+    if (!this.isConfigured()) {
+      throw new Error("POS_DROP_DIR not configured");
+    }
+
+    const files = await this.findFiles(dataset, range);
+
+    if (files.length === 0) {
+      throw new Error(`No ${dataset} files found in ${this.dropDir}`);
+    }
+
+    const rows = [];
+    for (const file of files) {
+      const fileRows = await this.readFile(file);
+      rows.push(...fileRows.map(mapColumns));
+      this.lastFiles.push(path.basename(file));
+    }
+
+    logger.info({
+      dataset,
+      files: files.length,
+      rows: rows.length,
+    }, "POS drop files loaded");
+
+    return rows;
+  }
+
+  async findFiles(dataset, { dateFrom, dateTo } = {}) {
+    const entries = await fs.readdir(this.dropDir);
+    const prefixes = DATASET_PREFIXES[dataset];
+
+    const candidates = entries
+      .filter(name => SUPPORTED_EXTENSIONS.includes(path.extname(name).toLowerCase()))
+      .filter(name => prefixes.some(p => name.toLowerCase().startsWith(p)))
+      .sort();
+
+    const files = [];
+    for (const name of candidates) {
+      const fileDate = dateFromFileName(name);
+
+      if (fileDate) {
+        if (dateFrom && fileDate < dateFrom) continue;
+        if (dateTo && fileDate > dateTo) continue;
+      } else if (dateFrom) {
+        const { mtime } = await fs.stat(path.join(this.dropDir, name));
+        if (mtime.toISOString().slice(0, 10) < dateFrom) continue;
+      }
+
+      files.push(path.join(this.dropDir, name));
+    }
+
+    return files;
+  }
+
+  async readFile(file) {
+    if (path.extname(file).toLowerCase() === ".parquet") {
+      const buffer = await asyncBufferFromFile(file);
+      return parquetReadObjects({ file: buffer });
+    }
+
+    const content = await fs.readFile(file, "utf8");
+    return csvToObjects(content);
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+function mapColumns(row) {
+  const mapped = {};
+  for (const [key, value] of Object.entries(row)) {
+    const column = key.trim().toLowerCase();
+    const target = COLUMN_ALIASES[column] || column;
+    // Si el export trae ambas columnas, gana la que ya tiene nombre de LUCA
+    if (mapped[target] === undefined || target === column) {
+      mapped[target] = value;
+    }
+  }
+  return mapped;
+}
+
+/**
+ * Fecha del nombre del archivo (YYYY-MM-DD o YYYYMMDD), o null
+ */
+function dateFromFileName(name) {
+  const match = name.match(FILE_DATE_PATTERN);
+  return match ? `${match[1]}-${match[2]}-${match[3]}` : null;
+}
+
+/**
+ * CSV → objetos por header. Celdas vacías → null.
+ */
+function csvToObjects(content) {
+  const [header, ...rows] = parseCsv(content).filter(r => r.some(cell => cell !== ""));
+  if (!header) return [];
+
+  return rows.map(cells => Object.fromEntries(
+    header.map((column, idx) => [column, cells[idx] === undefined || cells[idx] === "" ? null : cells[idx]])
+  ));
+}
+
+export default FileTransactionSource;
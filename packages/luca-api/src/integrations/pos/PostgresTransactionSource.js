@@ -0,0 +1,129 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POSTGRES TRANSACTION SOURCE - Tablas del POS en la base de LUCA
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Lee transactions, pos_adjustments y cash_drawer_events de la misma base
+ * que usa LUCA (DATABASE_URL). Redshift hereda de aquí y sólo cambia la
+ * conexión y el esquema.
+ */
+
+import { query } from "@tagers/shared";
+import {
+  TransactionSource,
+  SourceType,
+  normalizeTransaction,
+  normalizeAdjustment,
+  normalizeDrawerEvent,
+} from "./TransactionSource.js";
+
+const LIMITS = {
+  transactions: 10000,
+  adjustments: 5000,
+  drawerEvents: 5000,
+};
+
+export class PostgresTransactionSource extends TransactionSource {
+  constructor({ type = SourceType.POSTGRES, name = "Postgres", schema = null } = {}) {
+    super({ type, name });
+    this.schema = schema;
+  }
+
+  isConfigured() {
+    return !!process.env.DATABASE_URL;
+  }
+
+  /**
+   * Ejecuta una consulta (Redshift lo sobreescribe con su propio pool)
+   */
+  async runQuery(sql, params) {
+    return query(sql, params);
+  }
+
+  table(name) {
+    return this.schema ? `${this.schema}.${name}` : name;
+  }
+
+  async loadTransactions({ dateFrom, dateTo, branchId }) {
+    const result = await this.runQuery(`
+      SELECT
+        transaction_id,
+        branch_id,
+        employee_id,
+        cashier_id,
+        server_id,
+        customer_id,
+        customer_phone,
+        customer_name,
+        subtotal,
+        discount_amount,
+        discount_reason,
+        discount_type,
+        total,
+        payment_method,
+        created_at,
+        TO_CHAR(created_at, 'YYYY-MM-DD') as date
+      FROM ${this.table("transactions")}
+      WHERE DATE(created_at) BETWEEN $1 AND $2
+        ${branchId ? "AND branch_id = $3" : ""}
+      ORDER BY created_at DESC
+      LIMIT ${LIMITS.transactions}
+    `, branchId ? [dateFrom, dateTo, branchId] : [dateFrom, dateTo]);
+
+    return result.rows.map(normalizeTransaction);
+  }
+
+  async loadAdjustments({ dateFrom, dateTo, branchId }) {
+    const result = await this.runQuery(`
+      SELECT
+        adjustment_id,
+        adjustment_type,
+        transaction_id,
+        original_transaction_id,
+        branch_id,
+        employee_id,
+        authorized_by,
+        amount,
+        payment_method,
+        reason,
+        original_paid_at,
+        created_at,
+        TO_CHAR(created_at, 'YYYY-MM-DD') as date
+      FROM ${this.table("pos_adjustments")}
+      WHERE DATE(created_at) BETWEEN $1 AND $2
+        ${branchId ? "AND branch_id = $3" : ""}
+      ORDER BY created_at DESC
+      LIMIT ${LIMITS.adjustments}
+    `, branchId ? [dateFrom, dateTo, branchId] : [dateFrom, dateTo]);
+
+    return result.rows.map(normalizeAdjustment);
+  }
+
+  async loadDrawerEvents({ dateFrom, dateTo, branchId }) {
+    const result = await this.runQuery(`
+      SELECT
+        event_id,
+        branch_id,
+        employee_id,
+        event_type,
+        transaction_id,
+        reason,
+        created_at,
+        TO_CHAR(created_at, 'YYYY-MM-DD') as date
+      FROM ${this.table("cash_drawer_events")}
+      WHERE event_type = 'no_sale'
+        AND DATE(created_at) BETWEEN $1 AND $2
+        ${branchId ? "AND branch_id = $3" : ""}
+      ORDER BY created_at DESC
+      LIMIT ${LIMITS.drawerEvents}
+    `, branchId ? [dateFrom, dateTo, branchId] : [dateFrom, dateTo]);
+
+    return result.rows.map(normalizeDrawerEvent);
+  }
+
+  describe() {
+    return this.schema ? { schema: this.schema } : {};
+  }
+}
+
+export default PostgresTransactionSource;
@@ -0,0 +1,91 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * REDSHIFT TRANSACTION SOURCE - Data warehouse del POS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Mismas consultas que la fuente Postgres, pero contra Redshift
+ * (REDSHIFT_* en config) y el esquema POS_REDSHIFT_SCHEMA.
+ * El pool se crea la primera vez que se consulta.
+ * TLS verifica el certificado del cluster (REDSHIFT_SSL_CA para un CA propio;
+ * REDSHIFT_SSL_REJECT_UNAUTHORIZED=false sólo como excepción explícita).
+ */
+
+import { readFileSync } from "node:fs";
+import { logger } from "@tagers/shared";
+import { config } from "../../config.js";
+import { SourceType } from "./TransactionSource.js";
+import { PostgresTransactionSource } from "./PostgresTransactionSource.js";
+
+const POS_REDSHIFT_SCHEMA = process.env.POS_REDSHIFT_SCHEMA || "public";
+
+export class RedshiftTransactionSource extends PostgresTransactionSource {
+  constructor({ redshift = config.redshift, schema = POS_REDSHIFT_SCHEMA } = {}) {
+    super({ type: SourceType.REDSHIFT, name: "Redshift", schema });
+    this.redshift = redshift;
+    this.pool = null;
+  }
+
+  isConfigured() {
+    const { enabled, host, database, user, password } = this.redshift || {};
+    return !!(enabled && host && database && user && password);
+  }
+
+  async getPool() {
+    if (this.pool) return this.pool;
+
+    if (!this.isConfigured()) {
+      throw new Error("Redshift not configured (REDSHIFT_ENABLED, REDSHIFT_HOST, REDSHIFT_DATABASE, REDSHIFT_USER, REDSHIFT_PASSWORD)");
+    }
+
+    const { default: pg } = await import("pg");
+    this.pool = new pg.Pool({
+      host: this.redshift.host,
+      port: this.redshift.port,
+      database: this.redshift.database,
+      user: this.redshift.user,
+      password: this.redshift.password,
+      ssl: this.sslOptions(),
+      max: 2,
+      idleTimeoutMillis: 30000,
+    });
+
+    this.pool.on("error", (err) => {
+      logger.error({ err: err?.message }, "Redshift pool error");
+    });
+
+    return this.pool;
+  }
+
+  /**
+   * Opciones TLS del pool
+   */
+  sslOptions() {
+    const { sslCa, sslRejectUnauthorized = true } = this.redshift || {};
+
+    if (sslRejectUnauthorized === false) {
+      logger.warn("Redshift TLS certificate verification disabled (REDSHIFT_SSL_REJECT_UNAUTHORIZED=false)");
+      return { rejectUnauthorized: false };
+    }
+
+    if (!sslCa) {
+      return { rejectUnauthorized: true };
+    }
+
+    const ca = sslCa.includes("-----BEGIN") ? sslCa : readFileSync(sslCa, "utf8");
+    return { rejectUnauthorized: true, ca };
+  }
+
+  async runQuery(sql, params) {
+    const pool = await this.getPool();
+    return pool.query(sql, params);
+  }
+
+  describe() {
+    return {
+      schema: this.schema,
+      database: this.redshift?.database,
+    };
+  }
+}
+
+export default RedshiftTransactionSource;
@@ -0,0 +1,145 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TRANSACTION SOURCE - Interfaz de fuentes de transacciones del POS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Toda fuente (Redshift, tabla en Postgres, archivos de OpenPOS, demo)
+ * expone lo mismo:
+ * - loadTransactions(range)        → ventas
+ * - loadAdjustments(range, ctx)    → cancelaciones y devoluciones
+ * - loadDrawerEvents(range, ctx)   → aperturas de cajón sin venta
+ * - getProvenance(extra)           → de dónde salieron los datos
+ *
+ * range = { dateFrom, dateTo, branchId }. Las filas salen normalizadas
+ * (montos numéricos, `date` en YYYY-MM-DD) para que los patterns no
+ * dependan del origen.
+ */
+
+/**
+ * Tipos de fuente
+ */
+export const SourceType = {
+  REDSHIFT: "redshift",
+  POSTGRES: "postgres",
+  FILE_DROP: "file_drop",
+  DEMO: "demo",
+};
+
+const TRANSACTION_NUMERIC_FIELDS = ["subtotal", "discount_amount", "total"];
+const ADJUSTMENT_NUMERIC_FIELDS = ["amount"];
+
+export class TransactionSource {
+  constructor({ type, name }) {
+    this.type = type;
+    this.name = name;
+  }
+
+  /**
+   * Verifica si la fuente tiene lo necesario para leer
+   */
+  isConfigured() {
+    return false;
+  }
+
+  /**
+   * Implementar en subclase
+   */
+  async loadTransactions(range) {
+    throw new Error(`${this.name}: loadTransactions() must be implemented by subclass`);
+  }
+
+  /**
+   * Implementar en subclase. Lanza error si la fuente no trae ajustes.
+   */
+  async loadAdjustments(range, context = {}) {
+    throw new Error(`${this.name}: POS adjustments not available`);
+  }
+
+  /**
+   * Implementar en subclase. Lanza error si la fuente no trae eventos de cajón.
+   */
+  async loadDrawerEvents(range, context = {}) {
+    throw new Error(`${this.name}: cash drawer events not available`);
+  }
+
+  /**
+   * Detalle adicional de la última lectura (archivos, esquema, etc.)
+   */
+  describe() {
+    return {};
+  }
+
+  /**
+   * Tag de procedencia que viaja con cada finding
+   */
+  getProvenance(extra = {}) {
+    return {
+      source: this.type,
+      source_name: this.name,
+      demo: this.type === SourceType.DEMO,
+      loaded_at: new Date().toISOString(),
+      ...this.describe(),
+      ...extra,
+    };
+  }
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// NORMALIZACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function normalizeTransaction(row) {
+  return normalizeRow(row, TRANSACTION_NUMERIC_FIELDS);
+}
+
+export function normalizeAdjustment(row) {
+  return normalizeRow(row, ADJUSTMENT_NUMERIC_FIELDS);
+}
+
+export function normalizeDrawerEvent(row) {
+  return normalizeRow(row, []);
+}
+
+/**
+ * Filtra filas por rango de fechas y sucursal (fuentes sin SQL)
+ */
+export function filterByRange(rows, { dateFrom, dateTo, branchId } = {}) {
+  return rows.filter(r => {
+    if (dateFrom && r.date < dateFrom) return false;
+    if (dateTo && r.date > dateTo) return false;
+    if (branchId && r.branch_id !== branchId) return false;
+    return true;
+  });
+}
+
+function normalizeRow(row, numericFields) {
+  const normalized = { ...row };
+
+  for (const [key, value] of Object.entries(normalized)) {
+    // Parquet entrega INT64 como BigInt
+    if (typeof value === "bigint") {
+      normalized[key] = Number(value);
+    }
+  }
+
+  for (const field of numericFields) {
+    if (normalized[field] !== undefined && normalized[field] !== null) {
+      normalized[field] = parseFloat(normalized[field]) || 0;
+    }
+  }
+
+  normalized.date = toDateString(normalized.date) || toDateString(normalized.created_at);
+
+  return normalized;
+}
+
+function toDateString(value) {
+  if (!value) return null;
+  if (value instanceof Date) {
+    return isNaN(value) ? null : value.toISOString().split("T")[0];
+  }
+  const str = String(value);
+  return /^\d{4}-\d{2}-\d{2}/.test(str) ? str.slice(0, 10) : null;
+}
+
+export default TransactionSource;
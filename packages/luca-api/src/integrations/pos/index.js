@@ -0,0 +1,83 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * POS TRANSACTION SOURCES - Selección de fuente
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * POS_SOURCE = redshift | postgres | files | auto (default)
+ * - auto: Redshift si está configurado, si no el drop de OpenPOS si hay
+ *   POS_DROP_DIR, si no la tabla de Postgres.
+ * - LUCA_DEMO_MODE=true fuerza la fuente demo (datos sintéticos).
+ *   Es la única forma de obtener datos de prueba.
+ */
+
+import { logger } from "@tagers/shared";
+import { SourceType } from "./TransactionSource.js";
+import { PostgresTransactionSource } from "./PostgresTransactionSource.js";
+import { RedshiftTransactionSource } from "./RedshiftTransactionSource.js";
+import { FileTransactionSource } from "./FileTransactionSource.js";
+import { DemoTransactionSource, DEMO_MODE } from "./DemoTransactionSource.js";
+
+const POS_SOURCE = (process.env.POS_SOURCE || "auto").toLowerCase();
+
+const SOURCE_ALIASES = {
+  redshift: SourceType.REDSHIFT,
+  postgres: SourceType.POSTGRES,
+  files: SourceType.FILE_DROP,
+  file_drop: SourceType.FILE_DROP,
+  demo: SourceType.DEMO,
+};
+
+let instance = null;
+
+/**
+ * Crea una fuente por tipo
+ */
+export function createTransactionSource(type, options = {}) {
+  switch (SOURCE_ALIASES[type] || type) {
+    case SourceType.REDSHIFT:
+      return new RedshiftTransactionSource(options);
+    case SourceType.POSTGRES:
+      return new PostgresTransactionSource(options);
+    case SourceType.FILE_DROP:
+      return new FileTransactionSource(options);
+    case SourceType.DEMO:
+      return new DemoTransactionSource(options);
+    default:
+      throw new Error(`Unknown POS transaction source: ${type}`);
+  }
+}
+
+/**
+ * Resuelve la fuente configurada (singleton)
+ */
+export function getTransactionSource() {
+  if (instance) return instance;
+
+  if (DEMO_MODE) {
+    instance = new DemoTransactionSource({ enabled: true });
+  } else if (POS_SOURCE === SourceType.DEMO) {
+    throw new Error("POS_SOURCE=demo requires LUCA_DEMO_MODE=true");
+  } else if (POS_SOURCE !== "auto") {
+    instance = createTransactionSource(POS_SOURCE);
+  } else {
+    instance = [
+      new RedshiftTransactionSource(),
+      new FileTransactionSource(),
+    ].find(s => s.isConfigured()) || new PostgresTransactionSource();
+  }
+
+  logger.info({
+    source: instance.type,
+    configured: instance.isConfigured(),
+    demo: instance.type === SourceType.DEMO,
+  }, "POS transaction source resolved");
+
+  return instance;
+}
+
+export { SourceType, DEMO_MODE };
+
+export default {
+  getTransactionSource,
+  createTransactionSource,
+};
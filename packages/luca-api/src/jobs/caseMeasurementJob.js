@@ -0,0 +1,92 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CASE MEASUREMENT JOB - Medición de impacto de acciones ejecutadas
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Cada mañana revisa los casos en EXECUTED/MEASURING: cuando ya pasó la
+ * ventana de medición compara la métrica objetivo antes vs después,
+ * adjunta la medición al caso y lo pasa a MEASURED.
+ */
+
+import cron from "node-cron";
+import { logger } from "@tagers/shared";
+import { measurePendingCases } from "../services/caseMeasurementService.js";
+
+// Timezone de México
+const TIMEZONE = "America/Mexico_City";
+
+const CRON_EXPRESSION = process.env.LUCA_MEASUREMENT_CRON || "30 6 * * *";
+
+let job = null;
+let lastRun = null;
+
+/**
+ * Inicia el job de medición
+ */
+export function startCaseMeasurementJob() {
+  if (job) {
+    logger.warn("Case measurement job already running");
+    return;
+  }
+
+  job = cron.schedule(
+    CRON_EXPRESSION,
+    async () => {
+      await runCaseMeasurement();
+    },
+    {
+      timezone: TIMEZONE,
+    }
+  );
+
+  logger.info({
+    cron: CRON_EXPRESSION,
+    timezone: TIMEZONE,
+  }, "Case measurement job started");
+}
+
+/**
+ * Detiene el job
+ */
+export function stopCaseMeasurementJob() {
+  if (job) {
+    job.stop();
+    job = null;
+    logger.info("Case measurement job stopped");
+  }
+}
+
+/**
+ * Mide los casos pendientes
+ */
+export async function runCaseMeasurement() {
+  try {
+    const summary = await measurePendingCases();
+    const { results, ...counts } = summary;
+    lastRun = { at: new Date().toISOString(), ...counts };
+    return summary;
+  } catch (err) {
+    logger.error({ err: err?.message }, "Case measurement run failed");
+    lastRun = { at: new Date().toISOString(), error: err?.message };
+    return { error: err?.message };
+  }
+}
+
+/**
+ * Obtiene el estado del job
+ */
+export function getJobStatus() {
+  return {
+    running: job !== null,
+    schedule: CRON_EXPRESSION,
+    timezone: TIMEZONE,
+    lastRun,
+  };
+}
+
+export default {
+  start: startCaseMeasurementJob,
+  stop: stopCaseMeasurementJob,
+  run: runCaseMeasurement,
+  status: getJobStatus,
+};
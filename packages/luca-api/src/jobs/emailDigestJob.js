@@ -0,0 +1,171 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * EMAIL DIGEST JOB - Cron para enviar los resúmenes por correo
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Cada hora envía el digest a usuarios en modo "hourly"; una vez al día
+ * (LUCA_EMAIL_DIGEST_HOUR, 19:00 por defecto) a usuarios en modo "daily".
+ *
+ * Respeta quiet hours (NotificationRouter.shouldNotify): si el usuario está
+ * en quiet hours, el digest se queda en el buffer hasta la siguiente corrida.
+ * El envío pasa por NotificationQueue, así que aplica el rate limit de email.
+ */
+
+import cron from "node-cron";
+import { logger, parseIntSafe } from "@tagers/shared";
+import { emailDigest, DigestModes } from "../channels/email/EmailDigest.js";
+import { notificationRouter } from "../channels/notifications/NotificationRouter.js";
+import { notificationQueue } from "../channels/notifications/NotificationQueue.js";
+
+// Timezone de México
+const TIMEZONE = "America/Mexico_City";
+
+// Hora del digest diario
+const DAILY_HOUR = parseIntSafe(process.env.LUCA_EMAIL_DIGEST_HOUR, 19);
+
+const HOURLY_CRON = "0 * * * *";
+
+const SEVERITY_ORDER = ["LOW", "MEDIUM", "HIGH", "CRITICAL"];
+
+let job = null;
+
+/**
+ * Inicia el job de digest
+ */
+export function startEmailDigestJob() {
+  if (job) {
+    logger.warn("Email digest job already running");
+    return;
+  }
+
+  job = cron.schedule(
+    HOURLY_CRON,
+    async () => {
+      const hour = parseInt(new Intl.DateTimeFormat("en-US", {
+        hour: "numeric",
+        hour12: false,
+        timeZone: TIMEZONE,
+      }).format(new Date()));
+
+      await runEmailDigest(DigestModes.HOURLY);
+      if (hour === DAILY_HOUR) {
+        await runEmailDigest(DigestModes.DAILY);
+      }
+    },
+    {
+      timezone: TIMEZONE,
+    }
+  );
+
+  logger.info({
+    cron: HOURLY_CRON,
+    dailyHour: DAILY_HOUR,
+    timezone: TIMEZONE,
+  }, "Email digest job started");
+}
+
+/**
+ * Detiene el job
+ */
+export function stopEmailDigestJob() {
+  if (job) {
+    job.stop();
+    job = null;
+    logger.info("Email digest job stopped");
+  }
+}
+
+/**
+ * Envía el digest a los usuarios con el modo indicado
+ *
+ * @param {string} mode - "hourly" | "daily"
+ * @param {Object} options - { force: ignora quiet hours (envío manual) }
+ */
+export async function runEmailDigest(mode, { force = false } = {}) {
+  const results = {
+    mode,
+    sent: 0,
+    postponed: 0,
+    skipped: 0,
+  };
+
+  const pending = await emailDigest.getPendingUsers();
+
+  for (const [userId, info] of pending) {
+    const user = await notificationRouter.getUser(userId);
+
+    if (emailDigest.getMode(user) !== mode) {
+      results.skipped++;
+      continue;
+    }
+
+    const recipient = {
+      userId,
+      userName: user?.name || info.userName,
+      email: user?.email || info.email,
+    };
+
+    const items = await emailDigest.drain(userId);
+    if (items.length === 0 || !recipient.email) {
+      results.skipped++;
+      continue;
+    }
+
+    const severity = items
+      .map(i => i.severity)
+      .sort((a, b) => SEVERITY_ORDER.indexOf(b) - SEVERITY_ORDER.indexOf(a))[0] || "LOW";
+
+    // Mismas reglas que cualquier otra notificación (quiet hours)
+    if (user && !force) {
+      const decision = notificationRouter.shouldNotify(user, { type: "digest", severity });
+      if (!decision.notify && decision.reason === "quiet_hours") {
+        await emailDigest.restore(recipient, items);
+        results.postponed++;
+        continue;
+      }
+    }
+
+    await notificationQueue.enqueue([{
+      userId,
+      userName: recipient.userName,
+      channel: "email",
+      email: recipient.email,
+      priority: 4,
+      notification: {
+        type: "digest",
+        severity,
+        data: {
+          items,
+          period: mode,
+          digest_id: `${mode}_${Date.now()}`,
+        },
+      },
+    }]);
+
+    results.sent++;
+  }
+
+  logger.info(results, "Email digest run completed");
+
+  return results;
+}
+
+/**
+ * Obtiene el estado del job
+ */
+export async function getJobStatus() {
+  return {
+    running: job !== null,
+    schedule: HOURLY_CRON,
+    dailyHour: DAILY_HOUR,
+    timezone: TIMEZONE,
+    buffer: await emailDigest.getStats(),
+  };
+}
+
+export default {
+  start: startEmailDigestJob,
+  stop: stopEmailDigestJob,
+  run: runEmailDigest,
+  status: getJobStatus,
+};
@@ -95,6 +95,7 @@ export async function runMorningBriefing() {
           userName: recipient.name,
           channel: recipient.channel,
           phone: recipient.phone,
+          email: recipient.email,
           priority: 3, // Normal priority
           notification: {
             type: "briefing",
@@ -166,6 +167,7 @@ export async function triggerBriefing(userId = null) {
       userName: user.name,
       channel: user.channels[0],
       phone: user.phone,
+      email: user.email,
       priority: 2,
       notification: {
         type: "briefing",
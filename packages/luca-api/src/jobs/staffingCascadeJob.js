@@ -0,0 +1,92 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * STAFFING CASCADE JOB - Timeouts de convocatorias del Headhunter
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Cada 15 minutos revisa las convocatorias abiertas: los eventuales que no
+ * contestaron en SELECTION_CRITERIA.responseWaitHours pasan a "timeout" y el
+ * Headhunter contacta al siguiente candidato. Si se acaba la lista, escala
+ * al gerente de la sucursal.
+ */
+
+import cron from "node-cron";
+import { logger } from "@tagers/shared";
+import { headhunterAgent } from "../agents/HeadhunterAgent.js";
+
+// Timezone de México
+const TIMEZONE = "America/Mexico_City";
+
+const CRON_EXPRESSION = "*/15 * * * *";
+
+let job = null;
+let lastRun = null;
+
+/**
+ * Inicia el job de cascada
+ */
+export function startStaffingCascadeJob() {
+  if (job) {
+    logger.warn("Staffing cascade job already running");
+    return;
+  }
+
+  job = cron.schedule(
+    CRON_EXPRESSION,
+    async () => {
+      await runStaffingCascade();
+    },
+    {
+      timezone: TIMEZONE,
+    }
+  );
+
+  logger.info({
+    cron: CRON_EXPRESSION,
+    timezone: TIMEZONE,
+  }, "Staffing cascade job started");
+}
+
+/**
+ * Detiene el job
+ */
+export function stopStaffingCascadeJob() {
+  if (job) {
+    job.stop();
+    job = null;
+    logger.info("Staffing cascade job stopped");
+  }
+}
+
+/**
+ * Procesa timeouts de convocatorias abiertas
+ */
+export async function runStaffingCascade() {
+  try {
+    const summary = await headhunterAgent.checkTimeouts();
+    lastRun = { at: new Date().toISOString(), ...summary };
+    return summary;
+  } catch (err) {
+    logger.error({ err: err?.message }, "Staffing cascade run failed");
+    lastRun = { at: new Date().toISOString(), error: err?.message };
+    return { error: err?.message };
+  }
+}
+
+/**
+ * Obtiene el estado del job
+ */
+export function getJobStatus() {
+  return {
+    running: job !== null,
+    schedule: CRON_EXPRESSION,
+    timezone: TIMEZONE,
+    lastRun,
+  };
+}
+
+export default {
+  start: startStaffingCascadeJob,
+  stop: stopStaffingCascadeJob,
+  run: runStaffingCascade,
+  status: getJobStatus,
+};
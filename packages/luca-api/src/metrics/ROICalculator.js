@@ -59,10 +59,13 @@ export class ROICalculator {
 
   /**
    * Calcula ROI de retención de cliente
+   * @param {number} customersRetained - Clientes contactados
+   * @param {number} actionCost - Costo de las acciones
+   * @param {Object} options - { preventionRate } medida (si no, la de config)
    */
-  calculateRetentionROI(customersRetained, actionCost = 0) {
+  calculateRetentionROI(customersRetained, actionCost = 0, { preventionRate } = {}) {
     const clv = this.getValue("customer_lifetime_value", 5000);
-    const churnPreventionRate = this.getValue("churn_prevention_rate", 0.3);
+    const churnPreventionRate = preventionRate ?? this.getValue("churn_prevention_rate", 0.3);
     
     const expectedRetention = customersRetained * churnPreventionRate;
     const valueRetained = expectedRetention * clv;
@@ -73,6 +76,7 @@ export class ROICalculator {
       customersTargeted: customersRetained,
       expectedRetained: Math.round(expectedRetention),
       churnPreventionRate,
+      measured: preventionRate !== undefined,
       valueRetained,
       clv,
       actionCost,
@@ -82,6 +86,38 @@ export class ROICalculator {
     };
   }
 
+  /**
+   * Calcula ROI de campañas win-back del Showman con resultados medidos
+   * @param {Object} stats - { won, lost, measuring, discountCost, recoveredRevenue }
+   */
+  calculateWinbackROI(stats = {}) {
+    const { won = 0, lost = 0, measuring = 0, discountCost = 0, recoveredRevenue = 0 } = stats;
+    const messageCost = this.getValue("winback_message_cost", 1);
+
+    const sent = won + lost + measuring;
+    const closed = won + lost;
+    const actionCost = sent * messageCost + discountCost;
+
+    // Tasa de recuperación medida sólo sobre campañas con ventana cerrada
+    const retention = this.calculateRetentionROI(
+      sent,
+      actionCost,
+      closed > 0 ? { preventionRate: won / closed } : {}
+    );
+
+    return {
+      ...retention,
+      campaignsSent: sent,
+      campaignsClosed: closed,
+      costs: {
+        messages: sent * messageCost,
+        discounts: discountCost,
+        total: actionCost,
+      },
+      recoveredRevenue,
+    };
+  }
+
   /**
    * Calcula ROI de optimización de staffing
    */
@@ -11,9 +11,19 @@ import { actionExecutor } from "../actions/ActionExecutor.js";
 import { approvalService } from "../approval/ApprovalService.js";
 import { 
   AutonomyConfig, 
+  AutonomyLevel,
+  getUsage,
   listActions, 
   listActionsByLevel 
 } from "../autonomy/AutonomyLevels.js";
+import {
+  confirmTotpEnrollment,
+  getTwoFactorStatus,
+  resetTotp,
+  sendEnrollmentCode,
+  startTotpEnrollment,
+} from "../services/twoFactorService.js";
+import { getAdminIdentity, requireAdminAuth } from "./adminAuth.js";
 
 const router = Router();
 
@@ -55,7 +65,7 @@ router.post("/propose", async (req, res) => {
 router.post("/:actionId/approve", async (req, res) => {
   try {
     const { actionId } = req.params;
-    const { approvedBy, code2FA } = req.body;
+    const { approvedBy, code2FA, method2FA } = req.body;
 
     if (!approvedBy) {
       return res.status(400).json({ error: "approvedBy required" });
@@ -64,7 +74,7 @@ router.post("/:actionId/approve", async (req, res) => {
     let result;
 
     if (code2FA) {
-      result = await actionBus.verify2FAAndApprove(actionId, approvedBy, code2FA);
+      result = await actionBus.verify2FAAndApprove(actionId, approvedBy, code2FA, { method: method2FA });
     } else {
       result = await actionBus.approve(actionId, approvedBy);
     }
@@ -83,13 +93,13 @@ router.post("/:actionId/approve", async (req, res) => {
 router.post("/:actionId/confirm", async (req, res) => {
   try {
     const { actionId } = req.params;
-    const { confirmedBy } = req.body;
+    const { confirmedBy, code2FA, method2FA } = req.body;
 
     if (!confirmedBy) {
       return res.status(400).json({ error: "confirmedBy required" });
     }
 
-    const result = await actionBus.confirm(actionId, confirmedBy);
+    const result = await actionBus.confirm(actionId, confirmedBy, { code: code2FA, method: method2FA });
     res.json(result);
   } catch (err) {
     logger.error({ err: err?.message }, "Action confirmation failed");
@@ -97,6 +107,27 @@ router.post("/:actionId/confirm", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/luca/actions/:actionId/2fa/send
+ * Envía el código 2FA por WhatsApp (fallback de TOTP)
+ */
+router.post("/:actionId/2fa/send", async (req, res) => {
+  try {
+    const { actionId } = req.params;
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: "userId required" });
+    }
+
+    const result = await actionBus.send2FACode(actionId, userId);
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "2FA code send failed");
+    res.status(400).json({ error: err?.message || "Failed to send 2FA code" });
+  }
+});
+
 /**
  * POST /api/luca/actions/:actionId/reject
  * Rechazar una acción pendiente
@@ -135,6 +166,58 @@ router.post("/:actionId/cancel", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/luca/actions/:actionId/rollback
+ * Deshacer una acción ejecutada. Exige el mismo nivel que la ejecución
+ * (ver ActionBus.getRollbackPolicy): si quien pide no es aprobador queda en
+ * ROLLBACK_PENDING_APPROVAL; CRITICAL requiere code2FA del aprobador.
+ * Con X-API-Key la identidad sale de la key, no del body.
+ */
+router.post("/:actionId/rollback", async (req, res) => {
+  try {
+    const { actionId } = req.params;
+    const { reason, code2FA, method2FA } = req.body;
+    const admin = getAdminIdentity(req);
+    const requestedBy = admin?.userId || req.body.requestedBy;
+
+    if (!requestedBy) {
+      return res.status(400).json({ error: "requestedBy required" });
+    }
+
+    const result = await actionBus.rollback(actionId, requestedBy, {
+      reason,
+      code: code2FA,
+      method: method2FA,
+      authenticatedAs: admin?.userId || null,
+    });
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Action rollback failed");
+    res.status(400).json({ error: err?.message || "Rollback failed" });
+  }
+});
+
+/**
+ * POST /api/luca/actions/:actionId/rollback/2fa/send
+ * Envía por WhatsApp el código 2FA para deshacer la acción
+ */
+router.post("/:actionId/rollback/2fa/send", async (req, res) => {
+  try {
+    const { actionId } = req.params;
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: "userId required" });
+    }
+
+    const result = await actionBus.sendRollback2FACode(actionId, userId);
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Rollback 2FA code send failed");
+    res.status(400).json({ error: err?.message || "Failed to send 2FA code" });
+  }
+});
+
 /**
  * GET /api/luca/actions/:actionId
  * Obtener una acción por ID
@@ -246,6 +329,150 @@ router.get("/config/:level", (req, res) => {
   res.json({ level, actions });
 });
 
+/**
+ * GET /api/luca/actions/limits/usage
+ * Uso actual vs límites de autonomía (ventanas deslizantes de 1h / 24h)
+ * Query: ?type=NOTIFY_GERENTE&branch_id=SAN_ANGEL&actor=detector:fraud
+ */
+router.get("/limits/usage", async (req, res) => {
+  try {
+    const { type, branch_id, actor } = req.query;
+
+    if (type && !AutonomyConfig[type]) {
+      return res.status(404).json({ error: `Unknown action type: ${type}` });
+    }
+
+    const usage = await getUsage({ actionType: type, branchId: branch_id, actor });
+    res.json({
+      usage,
+      exceeded: usage.filter(u => u.windows.some(w => w.exceeded)).map(u => u.type),
+      generatedAt: new Date().toISOString(),
+    });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to get autonomy usage");
+    res.status(500).json({ error: err?.message });
+  }
+});
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TWO-FACTOR (enrolamiento TOTP)
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/luca/actions/2fa/status/:userId
+ * Métodos 2FA disponibles para el usuario
+ */
+router.get("/2fa/status/:userId", async (req, res) => {
+  try {
+    const status = await getTwoFactorStatus(req.params.userId);
+    res.json(status);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to get 2FA status");
+    res.status(500).json({ error: err?.message });
+  }
+});
+
+/**
+ * POST /api/luca/actions/2fa/enroll/code
+ * Envía por WhatsApp el código que autoriza el auto-enrolamiento
+ */
+router.post("/2fa/enroll/code", async (req, res) => {
+  try {
+    const { userId } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: "userId required" });
+    }
+
+    const result = await sendEnrollmentCode(userId);
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "TOTP enrollment code send failed");
+    res.status(400).json({ error: err?.message || "Failed to send enrollment code" });
+  }
+});
+
+/**
+ * POST /api/luca/actions/2fa/enroll
+ * Genera el secreto TOTP (otpauth URL para el QR).
+ * Autorización: código de /2fa/enroll/code ({ userId, code }) o X-API-Key
+ * de un aprobador CRITICAL.
+ */
+router.post("/2fa/enroll", async (req, res) => {
+  try {
+    const { userId, code } = req.body;
+
+    if (!userId) {
+      return res.status(400).json({ error: "userId required" });
+    }
+
+    const admin = getAdminIdentity(req);
+    if (admin && !isCriticalApprover(admin.userId)) {
+      return res.status(403).json({ error: `User ${admin.userId} cannot enroll 2FA for others` });
+    }
+
+    if (!admin && !code) {
+      return res.status(401).json({ error: "code (from /2fa/enroll/code) or admin API key required" });
+    }
+
+    const enrollment = await startTotpEnrollment(userId, { adminBy: admin?.userId || null, code });
+    res.json(enrollment);
+  } catch (err) {
+    logger.error({ err: err?.message }, "TOTP enrollment failed");
+    res.status(400).json({ error: err?.message || "Enrollment failed" });
+  }
+});
+
+/**
+ * POST /api/luca/actions/2fa/enroll/confirm
+ * Activa el TOTP con el primer código de la app
+ */
+router.post("/2fa/enroll/confirm", async (req, res) => {
+  try {
+    const { userId, code } = req.body;
+
+    if (!userId || !code) {
+      return res.status(400).json({ error: "userId and code required" });
+    }
+
+    const result = await confirmTotpEnrollment(userId, code);
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "TOTP enrollment confirmation failed");
+    res.status(400).json({ error: err?.message || "Enrollment confirmation failed" });
+  }
+});
+
+/**
+ * POST /api/luca/actions/2fa/reset
+ * Elimina el TOTP de un usuario. Sólo aprobadores de acciones críticas,
+ * identificados por su X-API-Key (no por el body).
+ */
+router.post("/2fa/reset", requireAdminAuth, async (req, res) => {
+  try {
+    const { userId } = req.body;
+    const resetBy = req.admin.userId;
+
+    if (!userId) {
+      return res.status(400).json({ error: "userId required" });
+    }
+
+    if (!isCriticalApprover(resetBy)) {
+      return res.status(403).json({ error: `User ${resetBy} cannot reset 2FA` });
+    }
+
+    const result = await resetTotp(userId, resetBy);
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "TOTP reset failed");
+    res.status(400).json({ error: err?.message || "Reset failed" });
+  }
+});
+
+function isCriticalApprover(userId) {
+  return approvalService.getApprovers(AutonomyLevel.CRITICAL).includes(userId);
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // HANDLERS
 // ═══════════════════════════════════════════════════════════════════════════
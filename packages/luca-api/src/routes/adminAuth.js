@@ -0,0 +1,66 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * ADMIN AUTH - Identidad autenticada para operaciones sensibles
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * LUCA_ADMIN_API_KEYS="jorge:<key>,andres:<key>" → cada key identifica a un
+ * usuario de tower_users. El header X-API-Key (o Authorization: Bearer)
+ * define req.admin = { userId }. Sin keys configuradas falla cerrado.
+ */
+
+import crypto from "crypto";
+import { logger } from "@tagers/shared";
+
+function parseAdminKeys(raw = process.env.LUCA_ADMIN_API_KEYS || "") {
+  return raw
+    .split(",")
+    .map(entry => entry.trim())
+    .filter(Boolean)
+    .map(entry => {
+      const separator = entry.indexOf(":");
+      return separator > 0
+        ? { userId: entry.slice(0, separator).trim(), key: entry.slice(separator + 1).trim() }
+        : null;
+    })
+    .filter(entry => entry?.userId && entry.key);
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function getRequestKey(req) {
+  return req.headers["x-api-key"] || req.headers["authorization"]?.replace(/^Bearer\s+/i, "") || null;
+}
+
+/**
+ * Identidad admin del request o null si no trae key válida
+ */
+export function getAdminIdentity(req) {
+  const provided = getRequestKey(req);
+  if (!provided) return null;
+
+  const match = parseAdminKeys().find(entry => safeEqual(entry.key, provided));
+  return match ? { userId: match.userId } : null;
+}
+
+/**
+ * Middleware: exige una key de admin válida y deja la identidad en req.admin
+ */
+export function requireAdminAuth(req, res, next) {
+  const admin = getAdminIdentity(req);
+
+  if (!admin) {
+    if (!parseAdminKeys().length) {
+      logger.warn({ path: req.path }, "Admin request rejected - LUCA_ADMIN_API_KEYS not configured");
+    }
+    return res.status(401).json({ error: "Unauthorized", message: "Valid admin API key required" });
+  }
+
+  req.admin = admin;
+  next();
+}
+
+export default { getAdminIdentity, requireAdminAuth };
@@ -18,6 +18,10 @@ import alertService from "../services/alertService.js";
 import actionService from "../services/actionService.js";
 import auditService from "../services/auditService.js";
 import { checkQuietHours } from "../services/routingService.js";
+import caseMeasurementService from "../services/caseMeasurementService.js";
+
+// Jobs
+import caseMeasurementJob from "../jobs/caseMeasurementJob.js";
 
 const router = Router();
 
@@ -38,6 +42,7 @@ router.get("/cases", async (req, res) => {
       severity,
       branch,
       detector_id,
+      demo,
       limit = 50,
       offset = 0,
       order_by,
@@ -51,6 +56,7 @@ router.get("/cases", async (req, res) => {
       severity,
       branchId: branch,
       detectorId: detector_id,
+      isDemo: demo === undefined ? undefined : demo === "true",
       limit: parseInt(limit),
       offset: parseInt(offset),
       orderBy: order_by,
@@ -79,6 +85,28 @@ router.get("/cases/open", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/luca/cases/measurement/run
+ * Forzar medición de casos ejecutados (normalmente corre cada mañana)
+ */
+router.post("/cases/measurement/run", async (req, res) => {
+  try {
+    const summary = await caseMeasurementJob.run();
+    res.json(summary);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Case measurement run failed");
+    res.status(500).json({ error: err?.message });
+  }
+});
+
+/**
+ * GET /api/luca/cases/measurement/status
+ * Estado del job de medición
+ */
+router.get("/cases/measurement/status", (req, res) => {
+  res.json(caseMeasurementJob.status());
+});
+
 /**
  * GET /api/luca/cases/stats
  * Estadísticas de casos
@@ -370,6 +398,21 @@ router.post("/cases/:id/reopen", async (req, res) => {
   }
 });
 
+/**
+ * POST /api/luca/cases/:id/measure
+ * Medir el impacto de la acción ejecutada de un caso
+ */
+router.post("/cases/:id/measure", async (req, res) => {
+  try {
+    const { id } = req.params;
+    const result = await caseMeasurementService.measureCase(id);
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to measure case");
+    res.status(400).json({ error: err?.message });
+  }
+});
+
 /**
  * GET /api/luca/cases/:id/timeline
  * Timeline de un caso (audit log)
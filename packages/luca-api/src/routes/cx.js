@@ -7,6 +7,7 @@
 import { Router } from "express";
 import { logger } from "@tagers/shared";
 import { showmanAgent } from "../agents/ShowmanAgent.js";
+import { CampaignStatus } from "../services/winbackService.js";
 import {
   calculateHealthScore,
   getRecommendedAction,
@@ -277,15 +278,23 @@ router.post("/detect/all", async (req, res) => {
  */
 router.get("/campaigns", async (req, res) => {
   try {
-    const campaigns = Array.from(showmanAgent.activeCampaigns.values());
+    const { status, type, customer_id, limit } = req.query;
+    const campaigns = await showmanAgent.listCampaigns({
+      status,
+      type,
+      customerId: customer_id,
+      limit: Math.min(parseInt(limit) || 100, 500),
+    });
     
     res.json({
       campaigns,
       count: campaigns.length,
       byStatus: {
-        pending: campaigns.filter(c => !c.status).length,
+        pending: campaigns.filter(c => c.status === "PENDING").length,
         sent: campaigns.filter(c => c.status === "SENT").length,
         won: campaigns.filter(c => c.status === "WON").length,
+        lost: campaigns.filter(c => c.status === "LOST").length,
+        cancelled: campaigns.filter(c => c.status === "CANCELLED").length,
       },
     });
   } catch (err) {
@@ -300,13 +309,16 @@ router.get("/campaigns", async (req, res) => {
 router.get("/campaigns/:campaignId", async (req, res) => {
   try {
     const { campaignId } = req.params;
-    const campaign = showmanAgent.activeCampaigns.get(campaignId);
+    const campaign = await showmanAgent.getCampaign(campaignId);
     
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
     }
     
-    res.json(campaign);
+    res.json({
+      ...campaign,
+      roi: showmanAgent.getCampaignROI(campaign),
+    });
   } catch (err) {
     res.status(500).json({ error: err?.message });
   }
@@ -321,24 +333,47 @@ router.post("/campaigns/:campaignId/track", async (req, res) => {
     const { campaignId } = req.params;
     const { event, data } = req.body;
     
-    const campaign = showmanAgent.activeCampaigns.get(campaignId);
+    const campaign = await showmanAgent.getCampaign(campaignId);
     
     if (!campaign) {
       return res.status(404).json({ error: "Campaign not found" });
     }
     
-    // Registrar evento
-    campaign.events = campaign.events || [];
-    campaign.events.push({
+    // Una oferta sólo se canjea con el mensaje enviado y la ventana de
+    // atribución abierta; WON sólo registra el evento. PENDING, LOST y
+    // CANCELLED se rechazan para no voltear una campaña ya medida.
+    if (event === "OFFER_REDEEMED") {
+      const windowClosed = campaign.status === CampaignStatus.SENT &&
+        campaign.attributionEndsAt && new Date(campaign.attributionEndsAt) <= new Date();
+
+      if (![CampaignStatus.SENT, CampaignStatus.WON].includes(campaign.status) || windowClosed) {
+        return res.status(409).json({
+          error: windowClosed
+            ? "Attribution window closed: offer cannot be redeemed"
+            : `Campaign is ${campaign.status}: offer cannot be redeemed`,
+        });
+      }
+    }
+    
+    await showmanAgent.recordCampaignEvent(campaign, {
       event,
       data,
       timestamp: new Date().toISOString(),
     });
     
     // Actualizar estado si corresponde
-    if (event === "OFFER_REDEEMED") {
-      campaign.status = "WON";
+    if (event === "OFFER_REDEEMED" && campaign.status !== CampaignStatus.WON) {
+      const sentAt = campaign.sentAt ? new Date(campaign.sentAt) : new Date();
+      campaign.status = CampaignStatus.WON;
       campaign.wonAt = new Date().toISOString();
+      campaign.outcome = {
+        returnDate: campaign.wonAt,
+        daysToReturn: Math.max(0, Math.floor((Date.now() - sentAt) / 86400000)),
+        orderValue: Number(data?.orderValue) || 0,
+        discountAmount: Number(data?.discountAmount) || 0,
+        usedOffer: true,
+      };
+      await showmanAgent.persistOutcome(campaign, campaign.outcome);
     }
     
     res.json({ success: true, campaign });
@@ -352,34 +387,18 @@ router.post("/campaigns/:campaignId/track", async (req, res) => {
 // ═══════════════════════════════════════════════════════════════════════════
 
 /**
- * GET /api/luca/cx/metrics
- * Métricas de CX
+ * GET /api/luca/cx/metrics?days=30
+ * Métricas de CX: resultados medidos de campañas y ROI de retención
  */
 router.get("/metrics", async (req, res) => {
   try {
-    const campaigns = Array.from(showmanAgent.activeCampaigns.values());
-    
-    const totalCampaigns = campaigns.length;
-    const wins = campaigns.filter(c => c.status === "WON").length;
-    const conversionRate = totalCampaigns > 0 
-      ? Math.round((wins / totalCampaigns) * 100) 
-      : 0;
+    const days = Math.min(parseInt(req.query.days) || 30, 365);
+    const metrics = await showmanAgent.getCampaignMetrics(days);
 
     res.json({
-      totalCampaigns,
-      wins,
-      conversionRate,
-      avgHealthScoreAtContact: campaigns.length > 0
-        ? Math.round(campaigns.reduce((sum, c) => sum + (c.healthScore || 0), 0) / campaigns.length * 100) / 100
-        : null,
-      avgWinbackPotential: campaigns.length > 0
-        ? Math.round(campaigns.reduce((sum, c) => sum + (c.winbackPotential || 0), 0) / campaigns.length)
-        : null,
-      byType: {
-        WINBACK_LIGHT: campaigns.filter(c => c.type === "WINBACK_LIGHT").length,
-        WINBACK_AGGRESSIVE: campaigns.filter(c => c.type === "WINBACK_AGGRESSIVE").length,
-        REACTIVATION: campaigns.filter(c => c.type === "REACTIVATION").length,
-      },
+      totalCampaigns: metrics.total || 0,
+      wins: metrics.won || 0,
+      ...metrics,
     });
   } catch (err) {
     res.status(500).json({ error: err?.message });
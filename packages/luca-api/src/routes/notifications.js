@@ -11,6 +11,9 @@ import { notificationQueue } from "../channels/notifications/NotificationQueue.j
 import { briefingGenerator, BriefingTypes } from "../briefing/BriefingGenerator.js";
 import morningBriefingJob from "../jobs/morningBriefingJob.js";
 import { whatsappClient } from "../channels/whatsapp/WhatsAppClient.js";
+import { emailClient } from "../channels/email/EmailClient.js";
+import { renderNotification } from "../channels/email/emailTemplates.js";
+import emailDigestJob from "../jobs/emailDigestJob.js";
 
 const router = Router();
 
@@ -177,6 +180,72 @@ router.post("/queue/clear", (req, res) => {
   res.json({ status: "cleared" });
 });
 
+// ═══════════════════════════════════════════════════════════════════════════
+// EMAIL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * GET /api/luca/notifications/email/status
+ * SMTP connection and digest buffer status
+ */
+router.get("/email/status", async (req, res) => {
+  try {
+    const [smtp, digest] = await Promise.all([
+      emailClient.verify(),
+      emailDigestJob.status(),
+    ]);
+    
+    res.json({ smtp, digest });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to get email status");
+    res.status(500).json({ error: err?.message || "Status failed" });
+  }
+});
+
+/**
+ * POST /api/luca/notifications/email/preview
+ * Render an email template without sending
+ * Body: { type, severity, data, userName, format: "html" | "json" }
+ */
+router.post("/email/preview", async (req, res) => {
+  try {
+    const { type, severity, data, userName, format = "json" } = req.body;
+    
+    if (!type || !data) {
+      return res.status(400).json({ error: "type and data required" });
+    }
+    
+    const rendered = await renderNotification({ type, severity, data }, userName);
+    
+    if (format === "html") {
+      return res.type("html").send(rendered.html);
+    }
+    
+    res.json(rendered);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to preview email");
+    res.status(500).json({ error: err?.message || "Preview failed" });
+  }
+});
+
+/**
+ * POST /api/luca/notifications/email/digest/flush
+ * Send pending digests now
+ * Body: { mode: "hourly" | "daily", force: boolean }
+ */
+router.post("/email/digest/flush", async (req, res) => {
+  try {
+    const { mode = "daily", force = false } = req.body || {};
+    
+    const result = await emailDigestJob.run(mode, { force });
+    
+    res.json(result);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to flush email digest");
+    res.status(500).json({ error: err?.message || "Flush failed" });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // USERS & ROUTING
 // ═══════════════════════════════════════════════════════════════════════════
@@ -8,6 +8,8 @@ import { Router } from "express";
 import { logger } from "@tagers/shared";
 import { headhunterAgent } from "../agents/HeadhunterAgent.js";
 import { bukClient } from "../integrations/buk/BukClient.js";
+import staffingCascadeJob from "../jobs/staffingCascadeJob.js";
+import { ACTIVE_STATUSES, listConvocatorias } from "../services/convocatoriaService.js";
 
 const router = Router();
 
@@ -90,6 +92,44 @@ router.post("/response", async (req, res) => {
   }
 });
 
+/**
+ * GET /api/luca/staffing/convocatorias
+ * Estado de convocatorias en curso (cascada incluida)
+ */
+router.get("/convocatorias", async (req, res) => {
+  const { status } = req.query;
+  
+  const stored = await listConvocatorias({ statuses: status ? [status] : null });
+  const convocatorias = stored
+    .map(c => ({
+      id: c.id,
+      status: c.status,
+      gap: c.gap,
+      actionId: c.actionId,
+      waves: c.waves,
+      candidates: c.candidates,
+      createdAt: c.createdAt,
+      closedAt: c.closedAt,
+      escalatedAt: c.escalatedAt,
+    }));
+  
+  res.json({ convocatorias, count: convocatorias.length });
+});
+
+/**
+ * POST /api/luca/staffing/convocatorias/check-timeouts
+ * Forzar revisión de timeouts y cascada (normalmente corre cada 15 min)
+ */
+router.post("/convocatorias/check-timeouts", async (req, res) => {
+  try {
+    const summary = await staffingCascadeJob.run();
+    res.json(summary);
+  } catch (err) {
+    logger.error({ err: err?.message }, "Cascade check failed");
+    res.status(500).json({ error: err?.message });
+  }
+});
+
 // ═══════════════════════════════════════════════════════════════════════════
 // BUK INTEGRATION
 // ═══════════════════════════════════════════════════════════════════════════
@@ -265,7 +305,8 @@ router.get("/status", async (req, res) => {
     agent: "headhunter",
     status: "operational",
     bukConfigured: bukClient.isConfigured(),
-    pendingConvocatorias: headhunterAgent.pendingConvocatorias?.size || 0,
+    pendingConvocatorias: (await listConvocatorias({ statuses: ACTIVE_STATUSES })).length,
+    cascadeJob: staffingCascadeJob.status(),
   });
 });
 
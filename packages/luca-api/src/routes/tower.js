@@ -9,12 +9,20 @@
  * /api/tower/feed       - Feed de decisiones
  * /api/tower/branches   - Estado por sucursal
  * /api/tower/auth       - Autenticación
+ * /api/tower/push-*     - Suscripciones y recibos Web Push
  * 
  * @version 0.1.0
  */
 
 import { Router } from "express";
 import { logger, query } from "@tagers/shared";
+import { webPushClient } from "../channels/push/WebPushClient.js";
+import {
+  isValidSubscription,
+  saveSubscription,
+  removeSubscription,
+  getReceipts,
+} from "../services/pushSubscriptionService.js";
 
 const router = Router();
 
@@ -448,6 +456,20 @@ router.post("/preferences", async (req, res) => {
 // PUSH NOTIFICATIONS
 // ═══════════════════════════════════════════════════════════════════════════
 
+/**
+ * GET /api/tower/push-public-key
+ * VAPID public key for PushManager.subscribe({ applicationServerKey })
+ */
+router.get("/push-public-key", (req, res) => {
+  const publicKey = webPushClient.getPublicKey();
+  
+  if (!publicKey) {
+    return res.status(503).json({ error: "Push notifications not configured" });
+  }
+  
+  res.json({ publicKey });
+});
+
 /**
  * POST /api/tower/push-subscribe
  * Subscribe to push notifications
@@ -457,16 +479,21 @@ router.post("/push-subscribe", async (req, res) => {
     const { user_id = "jorge" } = req.query;
     const subscription = req.body;
     
-    // Store push subscription
-    await query(`
-      UPDATE tower_users SET
-        push_subscription = $2,
-        updated_at = NOW()
-      WHERE user_id = $1
-    `, [user_id, subscription]);
+    if (!isValidSubscription(subscription)) {
+      return res.status(400).json({ error: "Invalid push subscription" });
+    }
     
-    logger.info({ user_id }, "Push subscription saved");
-    res.json({ success: true });
+    // Store push subscription (one per device)
+    const saved = await saveSubscription(user_id, subscription, {
+      userAgent: req.get("user-agent"),
+    });
+    
+    if (!saved) {
+      return res.status(409).json({ error: "Push subscription belongs to another user" });
+    }
+    
+    logger.info({ user_id, subscriptionId: saved.id }, "Push subscription saved");
+    res.json({ success: true, subscription_id: saved.id });
   } catch (err) {
     logger.error({ err: err?.message }, "Failed to save push subscription");
     res.status(500).json({ error: "Failed to save push subscription" });
@@ -476,23 +503,40 @@ router.post("/push-subscribe", async (req, res) => {
 /**
  * POST /api/tower/push-unsubscribe
  * Unsubscribe from push notifications
+ * Body: { endpoint } to remove one device, empty to remove all
  */
 router.post("/push-unsubscribe", async (req, res) => {
   try {
     const { user_id = "jorge" } = req.query;
+    const { endpoint } = req.body || {};
     
-    await query(`
-      UPDATE tower_users SET
-        push_subscription = NULL,
-        updated_at = NOW()
-      WHERE user_id = $1
-    `, [user_id]);
+    const result = await removeSubscription(user_id, endpoint || null);
     
-    res.json({ success: true });
+    res.json({ success: true, ...result });
   } catch (err) {
     logger.error({ err: err?.message }, "Failed to remove push subscription");
     res.status(500).json({ error: "Failed to remove push subscription" });
   }
 });
 
+/**
+ * GET /api/tower/push-receipts
+ * Delivery receipts for the user's push notifications
+ */
+router.get("/push-receipts", async (req, res) => {
+  try {
+    const { user_id = "jorge", notification_id, limit = 50 } = req.query;
+    
+    const receipts = await getReceipts(user_id, {
+      notificationId: notification_id,
+      limit: Math.min(parseInt(limit) || 50, 500),
+    });
+    
+    res.json({ receipts });
+  } catch (err) {
+    logger.error({ err: err?.message }, "Failed to get push receipts");
+    res.status(500).json({ error: "Failed to get push receipts" });
+  }
+});
+
 export default router;
@@ -192,12 +192,12 @@ router.post("/chat/whatsapp", async (req, res) => {
 
 /**
  * GET /api/luca/voice/chat/context/:userId
- * Obtiene contexto de conversación
+ * Obtiene contexto de conversación (compartido entre réplicas vía Redis)
  */
-router.get("/chat/context/:userId", (req, res) => {
+router.get("/chat/context/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    const context = contextManager.getContext(userId);
+    const context = await contextManager.getContext(userId);
     
     res.json(context.toJSON());
   } catch (err) {
@@ -207,12 +207,12 @@ router.get("/chat/context/:userId", (req, res) => {
 
 /**
  * DELETE /api/luca/voice/chat/context/:userId
- * Elimina contexto de conversación
+ * Elimina contexto de conversación (el transcript se conserva)
  */
-router.delete("/chat/context/:userId", (req, res) => {
+router.delete("/chat/context/:userId", async (req, res) => {
   try {
     const { userId } = req.params;
-    contextManager.deleteContext(userId);
+    await contextManager.deleteContext(userId);
     
     res.json({ success: true });
   } catch (err) {
@@ -220,6 +220,26 @@ router.delete("/chat/context/:userId", (req, res) => {
   }
 });
 
+/**
+ * GET /api/luca/voice/chat/transcript/:userId
+ * Transcript de auditoría de la conversación
+ */
+router.get("/chat/transcript/:userId", async (req, res) => {
+  try {
+    const { userId } = req.params;
+    const { limit = 50, since } = req.query;
+    
+    const transcript = await contextManager.getTranscript(userId, {
+      limit: Math.min(parseInt(limit, 10) || 50, 500),
+      since,
+    });
+    
+    res.json({ userId, count: transcript.length, transcript });
+  } catch (err) {
+    res.status(500).json({ error: err?.message });
+  }
+});
+
 /**
  * POST /api/luca/voice/detect-intent
  * Detecta intent sin ejecutar
@@ -43,6 +43,9 @@ import { lucaConfigHub } from "./config/LucaConfigHub.js";
 
 // Jobs
 import morningBriefingJob from "./jobs/morningBriefingJob.js";
+import emailDigestJob from "./jobs/emailDigestJob.js";
+import staffingCascadeJob from "./jobs/staffingCascadeJob.js";
+import caseMeasurementJob from "./jobs/caseMeasurementJob.js";
 
 // Engine
 import { initScheduler, closeScheduler } from "./engine/scheduledRunner.js";
@@ -209,6 +212,39 @@ async function start() {
     logger.info("Morning briefing disabled (set ENABLE_BRIEFING=true to enable)");
   }
   
+  // Initialize email digest job (optional - only if ENABLE_EMAIL_DIGEST=true)
+  if (process.env.ENABLE_EMAIL_DIGEST === "true") {
+    try {
+      emailDigestJob.start();
+    } catch (err) {
+      logger.warn({ err: err?.message }, "Email digest job failed to start");
+    }
+  } else {
+    logger.info("Email digest disabled (set ENABLE_EMAIL_DIGEST=true to enable)");
+  }
+  
+  // Initialize staffing cascade job (optional - only if ENABLE_STAFFING_CASCADE=true)
+  if (process.env.ENABLE_STAFFING_CASCADE === "true") {
+    try {
+      staffingCascadeJob.start();
+    } catch (err) {
+      logger.warn({ err: err?.message }, "Staffing cascade job failed to start");
+    }
+  } else {
+    logger.info("Staffing cascade disabled (unanswered convocatorias will not cascade)");
+  }
+  
+  // Initialize case measurement job (optional - only if ENABLE_CASE_MEASUREMENT=true)
+  if (process.env.ENABLE_CASE_MEASUREMENT === "true") {
+    try {
+      caseMeasurementJob.start();
+    } catch (err) {
+      logger.warn({ err: err?.message }, "Case measurement job failed to start");
+    }
+  } else {
+    logger.info("Case measurement disabled (executed cases stay in EXECUTED)");
+  }
+  
   // Start server
   const PORT = config.port;
   app.listen(PORT, () => {
@@ -192,6 +192,16 @@ export async function getCaseTimeline(caseId) {
   
   const actionIds = actionsResult.rows.map(r => r.action_id);
   
+  // Acciones del Action Bus ligadas al caso (ejecución y cadena de rollback)
+  try {
+    const busResult = await query(`
+      SELECT action_id FROM luca_action_bus WHERE context->>'case_id' = $1
+    `, [caseId]);
+    actionIds.push(...busResult.rows.map(r => r.action_id));
+  } catch (err) {
+    logger.warn({ caseId, err: err?.message }, "Failed to load action bus actions for timeline");
+  }
+  
   let actionAudit = [];
   if (actionIds.length > 0) {
     const actionAuditResult = await query(`
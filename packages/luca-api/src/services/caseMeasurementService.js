@@ -0,0 +1,463 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CASE MEASUREMENT SERVICE - Impacto de acciones ejecutadas
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Para cada caso en EXECUTED compara la métrica objetivo antes y después de
+ * la acción (misma cantidad de días a cada lado de executed_at):
+ * - Forense (AUTOPSY, SALES_*)  → venta diaria promedio de la sucursal
+ * - Fiscalía (FRAUD)            → tasa de descuento del empleado/sucursal
+ * - Showman (CX)                → % de clientes de la campaña win-back que compraron
+ *
+ * Flujo: EXECUTED → MEASURING → MEASURED. La medición queda como evidencia
+ * del caso y el impacto se reporta a ActionMetrics.recordActionOutcome.
+ */
+
+import { logger, query, parseIntSafe } from "@tagers/shared";
+import caseService from "./caseService.js";
+import { CASE_STATES } from "../state/caseStateMachine.js";
+import { actionMetrics, ActionOutcomes } from "../metrics/ActionMetrics.js";
+import { getTransactionSource } from "../integrations/pos/index.js";
+
+const MEASUREMENT_ACTOR = "luca_measurement";
+
+export const MEASUREMENT_CONFIG = {
+  // Días antes y después de la ejecución que se comparan
+  windowDays: parseIntSafe(process.env.LUCA_MEASUREMENT_WINDOW_DAYS, 7),
+  // Días extra para esperar datos tardíos antes de cerrar sin resultado
+  graceDays: parseIntSafe(process.env.LUCA_MEASUREMENT_GRACE_DAYS, 7),
+  // Cambio mínimo (%) para atribuir mejora o empeoramiento
+  minChangePct: 5,
+  maxCasesPerRun: 50,
+};
+
+/**
+ * Métricas objetivo por agente
+ */
+export const MeasurementTargets = {
+  forense: {
+    metric: "sales",
+    label: "Venta diaria promedio",
+    higherIsBetter: true,
+    caseTypes: ["AUTOPSY", "SALES_ANOMALY", "SALES_TREND"],
+    detectors: ["forense"],
+  },
+  fiscalia: {
+    metric: "discount_rate",
+    label: "Tasa de descuento",
+    higherIsBetter: false,
+    caseTypes: ["FRAUD"],
+    detectors: ["fiscalia_fraud_v1"],
+  },
+  // ChurnRiskDetector crea los casos con la categoría del detector ("CX")
+  showman: {
+    metric: "return_rate",
+    label: "Tasa de regreso de clientes",
+    higherIsBetter: true,
+    caseTypes: ["CX"],
+    detectors: ["churn_risk_detector"],
+  },
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// BATCH
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Mide todos los casos EXECUTED/MEASURING que ya cumplieron su ventana
+ */
+export async function measurePendingCases() {
+  const summary = {
+    checked: 0,
+    measured: 0,
+    waiting: 0,
+    skipped: 0,
+    noData: 0,
+    errors: 0,
+    results: [],
+  };
+
+  const cases = await getMeasurableCases();
+
+  for (const caseData of cases) {
+    summary.checked++;
+    try {
+      const result = await measureCase(caseData);
+      summary.results.push(result);
+
+      if (result.status === "measured") summary.measured++;
+      else if (result.status === "waiting") summary.waiting++;
+      else if (result.status === "no_data") summary.noData++;
+      else summary.skipped++;
+    } catch (err) {
+      summary.errors++;
+      summary.results.push({ case_id: caseData.case_id, status: "error", error: err?.message });
+      logger.error({ caseId: caseData.case_id, err: err?.message }, "Case measurement failed");
+    }
+  }
+
+  logger.info({
+    checked: summary.checked,
+    measured: summary.measured,
+    waiting: summary.waiting,
+    noData: summary.noData,
+    errors: summary.errors,
+  }, "Case measurement run complete");
+
+  return summary;
+}
+
+/**
+ * Casos con métrica objetivo cuya ventana ya terminó. El filtro va en la
+ * query: si los que no se pueden medir entraran al lote (ordenado por
+ * updated_at, que no cambia mientras esperan) ocuparían maxCasesPerRun
+ * para siempre y los casos nuevos nunca se medirían.
+ */
+async function getMeasurableCases() {
+  const targets = Object.values(MeasurementTargets);
+  const caseTypes = [...new Set(targets.flatMap(t => t.caseTypes))];
+  const detectors = [...new Set(targets.flatMap(t => t.detectors))];
+
+  // Misma regla que buildWindows: lista si se ejecutó antes de hoy - windowDays
+  const executedBefore = addDays(startOfDay(new Date()), -MEASUREMENT_CONFIG.windowDays);
+
+  const result = await query(`
+    SELECT c.*
+    FROM luca_cases c
+    WHERE c.state = ANY($1)
+      AND (UPPER(c.case_type) = ANY($2) OR c.detector_id = ANY($3))
+      AND COALESCE(
+        (SELECT MAX(a.executed_at) FROM luca_actions a
+         WHERE a.case_id = c.case_id AND a.state = 'EXECUTED'),
+        c.updated_at
+      ) < $4
+    ORDER BY c.updated_at ASC
+    LIMIT $5
+  `, [
+    [CASE_STATES.EXECUTED, CASE_STATES.MEASURING],
+    caseTypes,
+    detectors,
+    executedBefore,
+    MEASUREMENT_CONFIG.maxCasesPerRun,
+  ]);
+
+  return result.rows;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CASO INDIVIDUAL
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Mide un caso (acepta case_id o el caso ya cargado)
+ */
+export async function measureCase(caseOrId) {
+  const caseData = typeof caseOrId === "string"
+    ? await caseService.getCase(caseOrId)
+    : caseOrId;
+
+  if (!caseData) {
+    throw new Error(`Case not found: ${caseOrId}`);
+  }
+
+  const caseId = caseData.case_id;
+
+  if (![CASE_STATES.EXECUTED, CASE_STATES.MEASURING].includes(caseData.state)) {
+    return { case_id: caseId, status: "skipped", reason: `state ${caseData.state}` };
+  }
+
+  const target = resolveTarget(caseData);
+  if (!target) {
+    // Sin métrica objetivo el caso queda en EXECUTED para cierre manual
+    return { case_id: caseId, status: "skipped", reason: "no_target_metric" };
+  }
+
+  const action = await getExecutedAction(caseId);
+  const executedAt = new Date(action?.executed_at || caseData.updated_at);
+  const windows = buildWindows(executedAt);
+
+  if (new Date() < windows.readyAt) {
+    return {
+      case_id: caseId,
+      status: "waiting",
+      ready_at: windows.readyAt.toISOString(),
+    };
+  }
+
+  if (caseData.state === CASE_STATES.EXECUTED) {
+    await caseService.startMeasurement(caseId, MEASUREMENT_ACTOR);
+  }
+
+  const calculator = METRIC_CALCULATORS[target.metric];
+  const before = await calculator(caseData, windows.before, action);
+  const after = await calculator(caseData, windows.after, action);
+
+  const hasData = before !== null && after !== null;
+  if (!hasData && new Date() < windows.giveUpAt) {
+    // Se queda en MEASURING; la siguiente corrida reintenta
+    return { case_id: caseId, status: "no_data", metric: target.metric };
+  }
+
+  const measurement = buildMeasurement(target, before, after, windows, action, executedAt);
+  await caseService.completeMeasurement(caseId, measurement, MEASUREMENT_ACTOR);
+
+  // Los casos demo no alimentan las métricas reales de acciones
+  if (action && measurement.outcome !== "inconclusive" && !caseData.is_demo) {
+    await actionMetrics.recordActionOutcome({
+      actionId: action.action_id,
+      actionType: action.action_type,
+      outcome: measurement.outcome,
+      impactValue: measurement.impact_value,
+      impactType: target.metric,
+      metadata: {
+        case_id: caseId,
+        case_type: caseData.case_type,
+        before: measurement.before.value,
+        after: measurement.after.value,
+        change_pct: measurement.change_pct,
+      },
+    });
+  }
+
+  logger.info({
+    caseId,
+    metric: target.metric,
+    before: measurement.before.value,
+    after: measurement.after.value,
+    outcome: measurement.outcome,
+  }, "Case measured");
+
+  return {
+    case_id: caseId,
+    status: "measured",
+    measurement,
+  };
+}
+
+/**
+ * Determina qué métrica mide el caso según su tipo o detector
+ */
+export function resolveTarget(caseData) {
+  const caseType = (caseData.case_type || "").toUpperCase();
+  const detectorId = caseData.detector_id || "";
+
+  for (const [agent, target] of Object.entries(MeasurementTargets)) {
+    if (target.caseTypes.includes(caseType) || target.detectors.includes(detectorId)) {
+      return { agent, ...target };
+    }
+  }
+
+  return null;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MÉTRICAS
+// ═══════════════════════════════════════════════════════════════════════════
+
+const METRIC_CALCULATORS = {
+  sales: calculateSales,
+  discount_rate: calculateDiscountRate,
+  return_rate: calculateReturnRate,
+};
+
+/**
+ * Venta diaria promedio de las sucursales del caso
+ */
+async function calculateSales(caseData, window) {
+  const branches = getBranches(caseData);
+  if (branches.length === 0) return null;
+
+  const result = await query(`
+    SELECT
+      COALESCE(SUM(total), 0) as total,
+      COUNT(DISTINCT DATE(created_at)) as days
+    FROM transactions
+    WHERE branch_id = ANY($1)
+      AND DATE(created_at) BETWEEN $2 AND $3
+  `, [branches, window.from, window.to]);
+
+  const days = parseInt(result.rows[0]?.days) || 0;
+  if (days === 0) return null;
+
+  return round2((parseFloat(result.rows[0].total) || 0) / days);
+}
+
+/**
+ * % de descuento sobre subtotal (del empleado si el caso lo tiene)
+ */
+async function calculateDiscountRate(caseData, window) {
+  const branches = getBranches(caseData);
+  const employeeId = caseData.scope?.employee_id;
+
+  const transactions = await getTransactionSource().loadTransactions({
+    dateFrom: window.from,
+    dateTo: window.to,
+    branchId: branches.length === 1 ? branches[0] : undefined,
+  });
+
+  const scoped = transactions.filter(t =>
+    (!employeeId || t.employee_id === employeeId || t.cashier_id === employeeId) &&
+    (branches.length === 0 || branches.includes(t.branch_id))
+  );
+
+  const subtotal = scoped.reduce((s, t) => s + (t.subtotal || 0), 0);
+  if (subtotal === 0) return null;
+
+  const discounts = scoped.reduce((s, t) => s + (t.discount_amount || 0), 0);
+  return round2((discounts / subtotal) * 100);
+}
+
+/**
+ * % de clientes de la campaña que compraron en la ventana
+ */
+async function calculateReturnRate(caseData, window, action) {
+  const customers = await getCaseCustomers(caseData, action);
+  if (customers.length === 0) return null;
+
+  const result = await query(`
+    SELECT COUNT(DISTINCT customer_id) as returned
+    FROM transactions
+    WHERE customer_id = ANY($1)
+      AND DATE(created_at) BETWEEN $2 AND $3
+  `, [customers, window.from, window.to]);
+
+  const returned = parseInt(result.rows[0]?.returned) || 0;
+  return round2((returned / customers.length) * 100);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Última acción ejecutada del caso
+ */
+async function getExecutedAction(caseId) {
+  const result = await query(`
+    SELECT action_id, action_type, executed_at
+    FROM luca_actions
+    WHERE case_id = $1 AND state = 'EXECUTED'
+    ORDER BY executed_at DESC NULLS LAST
+    LIMIT 1
+  `, [caseId]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Clientes de las campañas win-back ligadas al caso (o del scope)
+ */
+async function getCaseCustomers(caseData, action) {
+  const scope = caseData.scope || {};
+  const fromScope = scope.customer_ids || (scope.customer_id ? [scope.customer_id] : []);
+
+  if (!action) return fromScope;
+
+  const result = await query(`
+    SELECT DISTINCT customer_id
+    FROM luca_winback_campaigns
+    WHERE action_id = $1
+  `, [action.action_id]);
+
+  const fromCampaigns = result.rows.map(r => r.customer_id);
+  return [...new Set([...fromCampaigns, ...fromScope])];
+}
+
+function getBranches(caseData) {
+  const scope = caseData.scope || {};
+  if (scope.branch_id) return [scope.branch_id];
+  return Array.isArray(scope.branches) ? scope.branches : [];
+}
+
+/**
+ * Ventanas antes/después; el día de la ejecución no cuenta en ninguna
+ */
+function buildWindows(executedAt) {
+  const { windowDays, graceDays } = MEASUREMENT_CONFIG;
+
+  const before = {
+    from: toDateStr(addDays(executedAt, -windowDays)),
+    to: toDateStr(addDays(executedAt, -1)),
+  };
+  const after = {
+    from: toDateStr(addDays(executedAt, 1)),
+    to: toDateStr(addDays(executedAt, windowDays)),
+  };
+
+  // Lista cuando terminó el último día de la ventana "después"
+  const readyAt = startOfDay(addDays(executedAt, windowDays + 1));
+
+  return {
+    before,
+    after,
+    readyAt,
+    giveUpAt: addDays(readyAt, graceDays),
+  };
+}
+
+function buildMeasurement(target, before, after, windows, action, executedAt) {
+  const hasData = before !== null && after !== null;
+  const change = hasData ? round2(after - before) : null;
+  const changePct = hasData && before !== 0 ? round2(((after - before) / before) * 100) : null;
+
+  // Cambio en la dirección buena de la métrica (positivo = mejoró)
+  const impactValue = change === null ? null : (target.higherIsBetter ? change : -change);
+  const impactPct = changePct === null ? null : (target.higherIsBetter ? changePct : -changePct);
+
+  let outcome = "inconclusive";
+  if (hasData) {
+    // Sin base (before = 0) cuenta cualquier movimiento
+    const significant = impactPct === null
+      ? Math.abs(impactValue) > 0
+      : Math.abs(impactPct) >= MEASUREMENT_CONFIG.minChangePct;
+
+    if (!significant) outcome = ActionOutcomes.PARTIAL_SUCCESS;
+    else outcome = impactValue > 0 ? ActionOutcomes.SUCCESS : ActionOutcomes.FAILED;
+  }
+
+  return {
+    agent: target.agent,
+    metric: target.metric,
+    label: target.label,
+    higher_is_better: target.higherIsBetter,
+    action_id: action?.action_id || null,
+    action_type: action?.action_type || null,
+    executed_at: executedAt.toISOString(),
+    before: { ...windows.before, value: before },
+    after: { ...windows.after, value: after },
+    change,
+    change_pct: changePct,
+    impact_value: impactValue,
+    improved: hasData ? impactValue > 0 : null,
+    outcome,
+    measured_at: new Date().toISOString(),
+  };
+}
+
+function addDays(date, days) {
+  const d = new Date(date);
+  d.setDate(d.getDate() + days);
+  return d;
+}
+
+function startOfDay(date) {
+  const d = new Date(date);
+  d.setHours(0, 0, 0, 0);
+  return d;
+}
+
+function toDateStr(date) {
+  return date.toISOString().split("T")[0];
+}
+
+function round2(n) {
+  return Math.round(n * 100) / 100;
+}
+
+export default {
+  MEASUREMENT_CONFIG,
+  MeasurementTargets,
+  measurePendingCases,
+  measureCase,
+  resolveTarget,
+};
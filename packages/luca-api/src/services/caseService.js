@@ -22,6 +22,9 @@ import { logAudit } from "./auditService.js";
 // HELPERS
 // ═══════════════════════════════════════════════════════════════════════════
 
+// Prefijo de título para casos generados con datos sintéticos
+export const DEMO_TITLE_PREFIX = "[DEMO]";
+
 function generateCaseId() {
   const date = new Date().toISOString().split("T")[0].replace(/-/g, "");
   const random = Math.random().toString(36).substring(2, 6).toUpperCase();
@@ -34,6 +37,9 @@ function generateCaseId() {
 
 /**
  * Crea un nuevo caso
+ * 
+ * provenance: tag de procedencia de los datos del finding. Si viene con
+ * demo = true el caso se marca como demo (is_demo + prefijo en el título).
  */
 export async function createCase({
   caseType,
@@ -45,28 +51,36 @@ export async function createCase({
   source,
   detectorId,
   runId,
+  provenance = null,
   createdBy = "system",
 }) {
   const caseId = generateCaseId();
+  const isDemo = provenance?.demo === true;
+  const caseTitle = isDemo && !title.startsWith(DEMO_TITLE_PREFIX)
+    ? `${DEMO_TITLE_PREFIX} ${title}`
+    : title;
   
   const result = await query(`
     INSERT INTO luca_cases (
       case_id, case_type, severity, state, title, description,
-      scope, evidence, source, detector_id, run_id
-    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+      scope, evidence, source, detector_id, run_id,
+      is_demo, provenance
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
     RETURNING *
   `, [
     caseId,
     caseType,
     severity.toUpperCase(),
     CASE_STATES.OPEN,
-    title,
+    caseTitle,
     description,
     scope,
     evidence,
     source,
     detectorId,
     runId,
+    isDemo,
+    provenance,
   ]);
   
   const newCase = result.rows[0];
@@ -77,10 +91,10 @@ export async function createCase({
     action: "CASE_CREATED",
     targetType: "case",
     targetId: caseId,
-    changes: { state: CASE_STATES.OPEN, severity, caseType },
+    changes: { state: CASE_STATES.OPEN, severity, caseType, isDemo },
   });
   
-  logger.info({ caseId, caseType, severity }, "Case created");
+  logger.info({ caseId, caseType, severity, isDemo }, "Case created");
   
   return newCase;
 }
@@ -129,6 +143,7 @@ export async function listCases({
   branchId,
   detectorId,
   assignedTo,
+  isDemo, // true: sólo demo, false: sólo reales, undefined: todos
   limit = 50,
   offset = 0,
   orderBy = "created_at",
@@ -174,6 +189,11 @@ export async function listCases({
     params.push(detectorId);
   }
   
+  if (typeof isDemo === "boolean") {
+    sql += ` AND c.is_demo = $${paramIndex++}`;
+    params.push(isDemo);
+  }
+  
   // Validar orderBy para prevenir SQL injection
   const validOrderBy = ["created_at", "updated_at", "severity", "state"];
   const safeOrderBy = validOrderBy.includes(orderBy) ? orderBy : "created_at";
@@ -343,7 +363,8 @@ export async function addEvidence(caseId, evidence, actorId = "system") {
   }
   
   // Validar que podemos agregar evidencia en este estado
-  const validStates = [CASE_STATES.OPEN, CASE_STATES.INVESTIGATING];
+  // (MEASURING: la medición de impacto se adjunta como evidencia)
+  const validStates = [CASE_STATES.OPEN, CASE_STATES.INVESTIGATING, CASE_STATES.MEASURING];
   if (!validStates.includes(caseData.state)) {
     throw new Error(`Cannot add evidence in state: ${caseData.state}`);
   }
@@ -646,6 +667,37 @@ export async function executionFailed(caseId, actionId, error, actorId = "system
   });
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// MEDICIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Inicia la medición de impacto de la acción ejecutada
+ */
+export async function startMeasurement(caseId, actorId = "system") {
+  return transitionCase(caseId, CASE_EVENTS.START_MEASUREMENT, { actorId });
+}
+
+/**
+ * Adjunta la medición como evidencia y pasa el caso a MEASURED
+ */
+export async function completeMeasurement(caseId, measurement, actorId = "system") {
+  await addEvidence(caseId, {
+    type: "measurement",
+    data: measurement,
+  }, actorId);
+  
+  return transitionCase(caseId, CASE_EVENTS.MEASUREMENT_COMPLETE, {
+    actorId,
+    context: {
+      action_id: measurement.action_id,
+      metric: measurement.metric,
+      change_pct: measurement.change_pct,
+      outcome: measurement.outcome,
+    },
+  });
+}
+
 // ═══════════════════════════════════════════════════════════════════════════
 // CIERRE
 // ═══════════════════════════════════════════════════════════════════════════
@@ -768,6 +820,8 @@ export default {
   startExecution,
   executionSuccess,
   executionFailed,
+  startMeasurement,
+  completeMeasurement,
   closeCase,
   reopenCase,
   getCaseStats,
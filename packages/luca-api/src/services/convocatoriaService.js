@@ -0,0 +1,132 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CONVOCATORIA SERVICE - Estado persistente de las convocatorias
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * - luca_staffing_convocatorias guarda la convocatoria completa (JSONB)
+ * - withConvocatoria() bloquea la fila mientras se aplica un cambio, así
+ *   una respuesta y el job de timeouts (en cualquier réplica) no se pisan
+ * - claimEscalation() garantiza un solo escalamiento por gap
+ */
+
+import { logger, query, transaction } from "@tagers/shared";
+
+export const ACTIVE_STATUSES = ["awaiting_approval", "open"];
+
+/**
+ * Inserta o reemplaza la convocatoria
+ */
+export async function saveConvocatoria(convocatoria, client = null) {
+  const run = client ? (sql, params) => client.query(sql, params) : query;
+
+  await run(`
+    INSERT INTO luca_staffing_convocatorias (
+      convocatoria_id, gap_id, branch_id, shift_date, status, action_id,
+      data, escalated_at, closed_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    ON CONFLICT (convocatoria_id) DO UPDATE SET
+      status = EXCLUDED.status,
+      action_id = EXCLUDED.action_id,
+      data = EXCLUDED.data,
+      escalated_at = EXCLUDED.escalated_at,
+      closed_at = EXCLUDED.closed_at,
+      updated_at = NOW()
+  `, [
+    convocatoria.id,
+    convocatoria.gap.gapId,
+    convocatoria.gap.branchId,
+    convocatoria.gap.date,
+    convocatoria.status,
+    convocatoria.actionId || null,
+    JSON.stringify(convocatoria),
+    convocatoria.escalatedAt || null,
+    convocatoria.closedAt || null,
+  ]);
+}
+
+/**
+ * Convocatoria por id (sin bloquear)
+ */
+export async function getConvocatoria(convocatoriaId) {
+  try {
+    const result = await query(`
+      SELECT data FROM luca_staffing_convocatorias WHERE convocatoria_id = $1
+    `, [convocatoriaId]);
+
+    return result.rows[0]?.data || null;
+  } catch (err) {
+    logger.warn({ convocatoriaId, err: err?.message }, "Failed to get convocatoria (table may not exist)");
+    return null;
+  }
+}
+
+/**
+ * Convocatorias (más recientes primero), opcionalmente por status
+ */
+export async function listConvocatorias({ statuses = null, limit = 100 } = {}) {
+  try {
+    const result = await query(`
+      SELECT data FROM luca_staffing_convocatorias
+      WHERE ($1::text[] IS NULL OR status = ANY($1))
+      ORDER BY created_at DESC
+      LIMIT $2
+    `, [statuses, limit]);
+
+    return result.rows.map(r => r.data);
+  } catch (err) {
+    logger.warn({ err: err?.message }, "Failed to list convocatorias (table may not exist)");
+    return [];
+  }
+}
+
+/**
+ * Aplica fn a la convocatoria con la fila bloqueada y guarda el resultado.
+ * fn recibe la convocatoria y la puede mutar; regresa lo que regrese fn.
+ * Si la convocatoria no existe, fn recibe null y no se guarda nada.
+ */
+export async function withConvocatoria(convocatoriaId, fn) {
+  return transaction(async (client) => {
+    const result = await client.query(`
+      SELECT data FROM luca_staffing_convocatorias
+      WHERE convocatoria_id = $1
+      FOR UPDATE
+    `, [convocatoriaId]);
+
+    const convocatoria = result.rows[0]?.data || null;
+    const value = await fn(convocatoria);
+
+    if (convocatoria) {
+      await saveConvocatoria(convocatoria, client);
+    }
+
+    return value;
+  });
+}
+
+/**
+ * Reclama el escalamiento de un gap. true sólo para el primero que llega.
+ * Ante error de DB regresa true: un turno sin cubrir debe llegar al gerente.
+ */
+export async function claimEscalation(gapId, { reason, convocatoriaId = null }) {
+  try {
+    const result = await query(`
+      INSERT INTO luca_staffing_escalations (gap_id, convocatoria_id, reason)
+      VALUES ($1, $2, $3)
+      ON CONFLICT (gap_id) DO NOTHING
+    `, [gapId, convocatoriaId, reason]);
+
+    return result.rowCount > 0;
+  } catch (err) {
+    logger.warn({ gapId, err: err?.message }, "Failed to claim escalation (table may not exist)");
+    return true;
+  }
+}
+
+export default {
+  ACTIVE_STATUSES,
+  saveConvocatoria,
+  getConvocatoria,
+  listConvocatorias,
+  withConvocatoria,
+  claimEscalation,
+};
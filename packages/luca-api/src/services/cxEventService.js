@@ -0,0 +1,235 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CX EVENT SERVICE - Quejas y sentimiento desde KISS
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Consume el feed CX de @tagers/shared (Redis stream que publica el
+ * eventExtractor de KISS) y lo guarda en luca_cx_events. Los detectores CX
+ * leen de la tabla:
+ * - ComplaintSpikeDetector → getComplaints()
+ * - SentimentDropDetector  → getSentimentSamples() (promedio por conversación y día)
+ *
+ * Ventanas: reciente = últimos lookbackDays; baseline = los baselineDays
+ * anteriores a esa ventana (sin traslaparse).
+ */
+
+import os from "os";
+import { logger, query, readCxEvents, ackCxEvents, CxEventKinds } from "@tagers/shared";
+
+const CONSUMER_GROUP = process.env.CX_EVENTS_GROUP || "luca-cx";
+const CONSUMER_NAME = process.env.CX_EVENTS_CONSUMER || `luca-${os.hostname()}`;
+
+const INGEST_CONFIG = {
+  batchSize: 500,
+  maxBatches: 40,
+  maxRows: 20000,
+};
+
+/**
+ * Tipos de queja de KISS → categorías de ComplaintSpikeDetector
+ */
+export const COMPLAINT_CATEGORY_MAP = {
+  complaint_wait_time: "servicio_lento",
+  complaint_wrong_order: "pedido_incorrecto",
+  complaint_missing_items: "producto_faltante",
+  complaint_food_quality: "producto_calidad",
+  complaint_staff: "servicio_atencion",
+  complaint_cleanliness: "limpieza",
+  complaint_delivery: "delivery",
+  complaint_price: "precio",
+  complaint_general: "otro",
+};
+
+// ═══════════════════════════════════════════════════════════════════════════
+// INGESTA
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Trae del stream lo pendiente y lo guarda. Primero relee lo entregado y
+ * no confirmado (corrida anterior interrumpida), luego lo nuevo.
+ */
+export async function ingestCxEvents() {
+  const summary = { read: 0, inserted: 0, skipped: 0, available: true };
+
+  try {
+    for (const pending of [true, false]) {
+      for (let batch = 0; batch < INGEST_CONFIG.maxBatches; batch++) {
+        const entries = await readCxEvents({
+          group: CONSUMER_GROUP,
+          consumer: CONSUMER_NAME,
+          count: INGEST_CONFIG.batchSize,
+          pending,
+        });
+
+        if (entries === null) {
+          summary.available = false;
+          return summary;
+        }
+        if (entries.length === 0) break;
+
+        summary.read += entries.length;
+
+        for (const { id, event } of entries) {
+          if (!event) {
+            summary.skipped++;
+            continue;
+          }
+          summary.inserted += await saveCxEvent(id, event);
+        }
+
+        // Sólo se confirma lo que ya quedó en la tabla
+        await ackCxEvents(CONSUMER_GROUP, entries.map(e => e.id));
+      }
+    }
+  } catch (err) {
+    logger.warn({ err: err?.message }, "CX event ingest failed (table may not exist)");
+    summary.error = err?.message;
+  }
+
+  if (summary.read > 0) {
+    logger.info(summary, "CX events ingested");
+  }
+
+  return summary;
+}
+
+/**
+ * Guarda un evento (idempotente por event_id)
+ * @returns {number} 1 si se insertó, 0 si ya existía
+ */
+async function saveCxEvent(streamId, event) {
+  const result = await query(`
+    INSERT INTO luca_cx_events (
+      event_id, stream_id, source, kind, event_type, event_category,
+      complaint_category, branch_id, branch_name, channel,
+      sentiment, sentiment_score, frustration_level,
+      conversation_id, message_id, summary, occurred_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13, $14, $15, $16, $17)
+    ON CONFLICT (event_id) DO NOTHING
+  `, [
+    event.eventId || streamId,
+    streamId,
+    event.source || "kiss",
+    event.kind || CxEventKinds.MESSAGE,
+    event.eventType || null,
+    event.category || null,
+    event.kind === CxEventKinds.COMPLAINT ? (COMPLAINT_CATEGORY_MAP[event.eventType] || "otro") : null,
+    event.branchId || null,
+    event.branchName || null,
+    event.channel || "unknown",
+    event.sentiment || null,
+    Number.isFinite(event.sentimentScore) ? event.sentimentScore : null,
+    event.frustrationLevel || 0,
+    event.conversationId != null ? String(event.conversationId) : null,
+    event.messageId != null ? String(event.messageId) : null,
+    event.summary || null,
+    event.occurredAt || new Date().toISOString(),
+  ]);
+
+  return result.rowCount;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONSULTAS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Rango [from, to) en días hacia atrás desde ahora
+ */
+export function windowRange(offsetDays, days) {
+  const to = new Date(Date.now() - offsetDays * 24 * 60 * 60 * 1000);
+  const from = new Date(to.getTime() - days * 24 * 60 * 60 * 1000);
+  return { from: from.toISOString(), to: to.toISOString() };
+}
+
+/**
+ * Sentimiento de KISS (-1 a 1) → escala de los detectores (1 a 5).
+ * null (mensaje sin señal de sentimiento) se queda en null: no es un 3.
+ */
+export function toFivePointScore(sentimentScore) {
+  if (sentimentScore === null || sentimentScore === undefined || sentimentScore === "") return null;
+
+  const score = Number(sentimentScore);
+  if (!Number.isFinite(score)) return null;
+
+  return 3 + 2 * Math.max(-1, Math.min(1, score));
+}
+
+/**
+ * Quejas en un rango
+ */
+export async function getComplaints({ from, to, branchId = null }) {
+  try {
+    const result = await query(`
+      SELECT event_id, branch_id, complaint_category, channel,
+             sentiment_score, summary, occurred_at
+      FROM luca_cx_events
+      WHERE kind = $1
+        AND occurred_at >= $2 AND occurred_at < $3
+        ${branchId ? "AND branch_id = $4" : ""}
+      ORDER BY occurred_at DESC
+      LIMIT ${INGEST_CONFIG.maxRows}
+    `, branchId ? [CxEventKinds.COMPLAINT, from, to, branchId] : [CxEventKinds.COMPLAINT, from, to]);
+
+    return result.rows.map(row => ({
+      complaintId: row.event_id,
+      branchId: row.branch_id,
+      category: row.complaint_category,
+      channel: row.channel,
+      sentiment: row.sentiment_score !== null ? Math.round(toFivePointScore(row.sentiment_score) * 10) / 10 : null,
+      summary: row.summary,
+      date: row.occurred_at,
+    }));
+  } catch (err) {
+    logger.warn({ err: err?.message }, "Failed to load CX complaints (table may not exist)");
+    return [];
+  }
+}
+
+/**
+ * Muestras de sentimiento: una por conversación y día (promedio de sus
+ * mensajes), para que una conversación larga no pese más que varias cortas
+ */
+export async function getSentimentSamples({ from, to, branchId = null }) {
+  try {
+    const result = await query(`
+      SELECT
+        COALESCE(conversation_id, event_id) AS conversation_id,
+        branch_id,
+        source,
+        channel,
+        TO_CHAR(occurred_at, 'YYYY-MM-DD') AS date,
+        AVG(sentiment_score) AS sentiment_score,
+        MAX(summary) FILTER (WHERE sentiment = 'negative') AS comment
+      FROM luca_cx_events
+      WHERE sentiment_score IS NOT NULL
+        AND occurred_at >= $1 AND occurred_at < $2
+        ${branchId ? "AND branch_id = $3" : ""}
+      GROUP BY 1, 2, 3, 4, 5
+      ORDER BY date DESC
+      LIMIT ${INGEST_CONFIG.maxRows}
+    `, branchId ? [from, to, branchId] : [from, to]);
+
+    return result.rows.map(row => ({
+      conversationId: row.conversation_id,
+      branchId: row.branch_id,
+      source: row.source,
+      channel: row.channel,
+      date: row.date,
+      score: Math.round(toFivePointScore(row.sentiment_score) * 100) / 100,
+      comment: row.comment || "",
+    }));
+  } catch (err) {
+    logger.warn({ err: err?.message }, "Failed to load CX sentiment (table may not exist)");
+    return [];
+  }
+}
+
+export default {
+  ingestCxEvents,
+  getComplaints,
+  getSentimentSamples,
+  windowRange,
+  toFivePointScore,
+  COMPLAINT_CATEGORY_MAP,
+};
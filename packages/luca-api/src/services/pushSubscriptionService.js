@@ -0,0 +1,219 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * PUSH SUBSCRIPTION SERVICE - Suscripciones Web Push y recibos de entrega
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Un usuario puede tener varias suscripciones (una por navegador/dispositivo).
+ * Las suscripciones que el push service reporta como expiradas (404/410)
+ * se desactivan para no volver a intentarlas.
+ */
+
+import { logger, query } from "@tagers/shared";
+
+/**
+ * Fallos consecutivos (no-410) antes de desactivar una suscripción
+ */
+const MAX_CONSECUTIVE_FAILURES = 10;
+
+// ═══════════════════════════════════════════════════════════════════════════
+// SUBSCRIPTIONS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Valida la forma de un PushSubscription serializado por el navegador
+ */
+export function isValidSubscription(subscription) {
+  return Boolean(
+    subscription?.endpoint
+    && typeof subscription.endpoint === "string"
+    && subscription.endpoint.startsWith("https://")
+    && subscription.keys?.p256dh
+    && subscription.keys?.auth
+  );
+}
+
+/**
+ * Guarda (o reactiva) la suscripción de un dispositivo.
+ * Un endpoint ya registrado a otro usuario no cambia de dueño: devuelve null.
+ */
+export async function saveSubscription(userId, subscription, { userAgent = null } = {}) {
+  const expirationTime = subscription.expirationTime
+    ? new Date(subscription.expirationTime)
+    : null;
+
+  const result = await query(`
+    INSERT INTO tower_push_subscriptions (
+      user_id, endpoint, p256dh, auth, expiration_time, user_agent
+    ) VALUES ($1, $2, $3, $4, $5, $6)
+    ON CONFLICT (endpoint) DO UPDATE SET
+      p256dh = EXCLUDED.p256dh,
+      auth = EXCLUDED.auth,
+      expiration_time = EXCLUDED.expiration_time,
+      user_agent = COALESCE(EXCLUDED.user_agent, tower_push_subscriptions.user_agent),
+      active = true,
+      failure_count = 0,
+      expired_at = NULL,
+      last_error = NULL
+    WHERE tower_push_subscriptions.user_id = EXCLUDED.user_id
+    RETURNING id, user_id, endpoint, created_at
+  `, [
+    userId,
+    subscription.endpoint,
+    subscription.keys.p256dh,
+    subscription.keys.auth,
+    expirationTime,
+    userAgent,
+  ]);
+
+  return result.rows[0] || null;
+}
+
+/**
+ * Elimina una suscripción. Sin endpoint, elimina todas las del usuario.
+ */
+export async function removeSubscription(userId, endpoint = null) {
+  const result = endpoint
+    ? await query(`
+        UPDATE tower_push_subscriptions SET active = false
+        WHERE user_id = $1 AND endpoint = $2
+      `, [userId, endpoint])
+    : await query(`
+        UPDATE tower_push_subscriptions SET active = false
+        WHERE user_id = $1
+      `, [userId]);
+
+  return { removed: result.rowCount };
+}
+
+/**
+ * Obtiene las suscripciones activas de un usuario
+ */
+export async function getActiveSubscriptions(userId) {
+  const result = await query(`
+    SELECT id, user_id, endpoint, p256dh, auth, expiration_time
+    FROM tower_push_subscriptions
+    WHERE user_id = $1
+      AND active = true
+      AND (expiration_time IS NULL OR expiration_time > NOW())
+    ORDER BY created_at DESC
+  `, [userId]);
+
+  return result.rows.map(row => ({
+    id: row.id,
+    endpoint: row.endpoint,
+    keys: {
+      p256dh: row.p256dh,
+      auth: row.auth,
+    },
+  }));
+}
+
+/**
+ * Marca una suscripción como expirada (el push service respondió 404/410)
+ */
+export async function markExpired(subscriptionId, statusCode) {
+  await query(`
+    UPDATE tower_push_subscriptions SET
+      active = false,
+      expired_at = NOW(),
+      last_error = $2
+    WHERE id = $1
+  `, [subscriptionId, `HTTP ${statusCode}`]);
+
+  logger.info({ subscriptionId, statusCode }, "Push subscription pruned");
+}
+
+/**
+ * Registra el resultado de un envío sobre la suscripción
+ */
+export async function recordAttempt(subscriptionId, { success, error = null }) {
+  if (success) {
+    await query(`
+      UPDATE tower_push_subscriptions SET
+        last_success_at = NOW(),
+        failure_count = 0
+      WHERE id = $1
+    `, [subscriptionId]);
+    return;
+  }
+
+  await query(`
+    UPDATE tower_push_subscriptions SET
+      last_failure_at = NOW(),
+      last_error = $2,
+      failure_count = failure_count + 1,
+      active = (failure_count + 1) < $3
+    WHERE id = $1
+  `, [subscriptionId, error ? String(error).substring(0, 500) : null, MAX_CONSECUTIVE_FAILURES]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RECEIPTS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Registra un recibo de entrega por dispositivo
+ */
+export async function recordReceipt({
+  notificationId,
+  userId,
+  subscriptionId,
+  type,
+  severity,
+  title,
+  status,     // delivered, expired, failed, mock (sin VAPID)
+  statusCode = null,
+  error = null,
+}) {
+  try {
+    await query(`
+      INSERT INTO push_delivery_receipts (
+        notification_id, user_id, subscription_id,
+        notification_type, severity, title,
+        status, status_code, error
+      ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9)
+    `, [
+      notificationId, userId, subscriptionId,
+      type, severity, title,
+      status, statusCode, error ? String(error).substring(0, 500) : null,
+    ]);
+  } catch (err) {
+    // No fallar el envío si el recibo falla
+    logger.warn({ err: err?.message, notificationId }, "Failed to record push receipt");
+  }
+}
+
+/**
+ * Obtiene recibos de entrega de un usuario
+ */
+export async function getReceipts(userId, { limit = 50, notificationId = null } = {}) {
+  const params = [userId];
+  let sql = `
+    SELECT r.*, s.user_agent
+    FROM push_delivery_receipts r
+    LEFT JOIN tower_push_subscriptions s ON s.id = r.subscription_id
+    WHERE r.user_id = $1
+  `;
+
+  if (notificationId) {
+    params.push(notificationId);
+    sql += ` AND r.notification_id = $${params.length}`;
+  }
+
+  params.push(limit);
+  sql += ` ORDER BY r.created_at DESC LIMIT $${params.length}`;
+
+  const result = await query(sql, params);
+  return result.rows;
+}
+
+export default {
+  isValidSubscription,
+  saveSubscription,
+  removeSubscription,
+  getActiveSubscriptions,
+  markExpired,
+  recordAttempt,
+  recordReceipt,
+  getReceipts,
+};
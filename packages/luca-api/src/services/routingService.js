@@ -11,6 +11,7 @@
  */
 
 import { logger, query } from "@tagers/shared";
+import { notificationQueue } from "../channels/notifications/NotificationQueue.js";
 
 // ═══════════════════════════════════════════════════════════════════════════
 // CONSTANTS
@@ -323,6 +324,10 @@ async function sendCaseNotifications(notification, caseData, event) {
           await sendWhatsAppCase(notification.user_id, caseData, event);
           break;
           
+        case CHANNELS.EMAIL:
+          await sendEmailCase(notification.user_id, caseData, event);
+          break;
+          
         default:
           break;
       }
@@ -351,8 +356,44 @@ async function sendWhatsAppCase(userId, caseData, event) {
 }
 
 async function sendEmailAlert(userId, alert) {
-  // TODO: Integrar con servicio de email
-  logger.info({ userId, alertId: alert.alert_id }, "Email alert sent (stub)");
+  await enqueueEmail(userId, {
+    type: "alert",
+    severity: alert.severity,
+    data: alert,
+  });
+}
+
+async function sendEmailCase(userId, caseData, event) {
+  await enqueueEmail(userId, {
+    type: "case",
+    severity: caseData.severity,
+    data: { ...caseData, event },
+  });
+}
+
+/**
+ * Encola un email en NotificationQueue (rate limit, reintentos, digest)
+ */
+async function enqueueEmail(userId, notification) {
+  const result = await query(`
+    SELECT user_id, name, email FROM tower_users
+    WHERE user_id = $1 AND active = true
+  `, [userId]);
+  
+  const user = result.rows[0];
+  if (!user?.email) {
+    logger.warn({ userId }, "Email channel selected but user has no email");
+    return;
+  }
+  
+  await notificationQueue.enqueue([{
+    userId: user.user_id,
+    userName: user.name,
+    channel: CHANNELS.EMAIL,
+    email: user.email,
+    priority: { CRITICAL: 1, HIGH: 2, MEDIUM: 3, LOW: 4 }[notification.severity] || 3,
+    notification,
+  }]);
 }
 
 async function sendSmsAlert(userId, alert) {
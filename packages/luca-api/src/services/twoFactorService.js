@@ -0,0 +1,613 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * TWO-FACTOR SERVICE - Segundo factor para acciones CRITICAL
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Métodos:
+ * - TOTP (RFC 6238, app autenticadora) enrolado por usuario de LUCA
+ * - Código de un solo uso por WhatsApp al teléfono de tower_users (fallback)
+ *
+ * Los códigos expiran, los intentos fallidos bloquean temporalmente al
+ * usuario y cada verificación (exitosa o no) queda en luca_audit_log.
+ * Ante cualquier duda (sin DB, sin llave de cifrado) falla cerrado.
+ */
+
+import crypto from "crypto";
+import { logger, query } from "@tagers/shared";
+import { logAudit } from "./auditService.js";
+import { whatsappClient } from "../channels/whatsapp/WhatsAppClient.js";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CONFIGURACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+export const TwoFactorMethod = {
+  TOTP: "totp",
+  WHATSAPP: "whatsapp",
+};
+
+const TOTP_ISSUER = process.env.LUCA_2FA_ISSUER || "LUCA";
+const TOTP_DIGITS = 6;
+const TOTP_PERIOD_SECONDS = 30;
+const TOTP_WINDOW_STEPS = 1;           // ±30s de tolerancia de reloj
+
+const CODE_TTL_MINUTES = 5;
+const MAX_ATTEMPTS_PER_CODE = 3;
+
+const RATE_WINDOW_MINUTES = 15;
+const MAX_FAILED_VERIFICATIONS = 5;    // por usuario en la ventana → bloqueo
+const MAX_CODES_SENT = 3;              // por usuario en la ventana
+
+const BASE32_ALPHABET = "ABCDEFGHIJKLMNOPQRSTUVWXYZ234567";
+
+// action_id de los códigos de WhatsApp que autorizan el enrolamiento TOTP
+export const ENROLLMENT_ACTION_ID = "TOTP_ENROLLMENT";
+
+// ═══════════════════════════════════════════════════════════════════════════
+// TOTP (RFC 4226 / RFC 6238)
+// ═══════════════════════════════════════════════════════════════════════════
+
+export function base32Encode(buffer) {
+  let bits = 0;
+  let value = 0;
+  let output = "";
+
+  for (const byte of buffer) {
+    value = (value << 8) | byte;
+    bits += 8;
+    while (bits >= 5) {
+      output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+      bits -= 5;
+    }
+  }
+
+  if (bits > 0) {
+    output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+  }
+
+  return output;
+}
+
+export function base32Decode(input) {
+  const clean = String(input).toUpperCase().replace(/[\s=]/g, "");
+  let bits = 0;
+  let value = 0;
+  const bytes = [];
+
+  for (const char of clean) {
+    const index = BASE32_ALPHABET.indexOf(char);
+    if (index === -1) throw new Error("Invalid base32 secret");
+    value = (value << 5) | index;
+    bits += 5;
+    if (bits >= 8) {
+      bytes.push((value >>> (bits - 8)) & 255);
+      bits -= 8;
+    }
+  }
+
+  return Buffer.from(bytes);
+}
+
+/**
+ * Código HOTP para un contador (time-step en TOTP)
+ */
+export function generateTotpCode(secret, step) {
+  const counter = Buffer.alloc(8);
+  counter.writeBigUInt64BE(BigInt(step));
+
+  const hmac = crypto.createHmac("sha1", base32Decode(secret)).update(counter).digest();
+  const offset = hmac[hmac.length - 1] & 0x0f;
+  const binary = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** TOTP_DIGITS;
+
+  return String(binary).padStart(TOTP_DIGITS, "0");
+}
+
+export function currentTotpStep(now = Date.now()) {
+  return Math.floor(now / 1000 / TOTP_PERIOD_SECONDS);
+}
+
+/**
+ * Verifica un código TOTP dentro de la ventana
+ *
+ * @returns {number|null} time-step aceptado, o null si no coincide
+ */
+export function verifyTotpCode(secret, code, { lastUsedStep = null, now = Date.now() } = {}) {
+  const current = currentTotpStep(now);
+
+  for (let offset = -TOTP_WINDOW_STEPS; offset <= TOTP_WINDOW_STEPS; offset++) {
+    const step = current + offset;
+    // Anti-replay: un código ya usado (o anterior) no vale otra vez
+    if (lastUsedStep !== null && step <= Number(lastUsedStep)) continue;
+    if (safeEqual(generateTotpCode(secret, step), code)) return step;
+  }
+
+  return null;
+}
+
+function buildOtpauthUrl(userId, secret) {
+  const label = encodeURIComponent(`${TOTP_ISSUER}:${userId}`);
+  const params = new URLSearchParams({
+    secret,
+    issuer: TOTP_ISSUER,
+    algorithm: "SHA1",
+    digits: String(TOTP_DIGITS),
+    period: String(TOTP_PERIOD_SECONDS),
+  });
+  return `otpauth://totp/${label}?${params}`;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CIFRADO DEL SECRETO
+// ═══════════════════════════════════════════════════════════════════════════
+
+function getEncryptionKey() {
+  const raw = process.env.LUCA_2FA_ENCRYPTION_KEY;
+  if (!raw) {
+    throw new Error("LUCA_2FA_ENCRYPTION_KEY not configured");
+  }
+  return crypto.createHash("sha256").update(raw).digest();
+}
+
+function encryptSecret(secret) {
+  const iv = crypto.randomBytes(12);
+  const cipher = crypto.createCipheriv("aes-256-gcm", getEncryptionKey(), iv);
+  const encrypted = Buffer.concat([cipher.update(secret, "utf8"), cipher.final()]);
+  const tag = cipher.getAuthTag();
+  return ["v1", iv.toString("base64"), tag.toString("base64"), encrypted.toString("base64")].join(":");
+}
+
+function decryptSecret(payload) {
+  const [version, iv, tag, encrypted] = String(payload).split(":");
+  if (version !== "v1") throw new Error("Unsupported TOTP secret format");
+
+  const decipher = crypto.createDecipheriv("aes-256-gcm", getEncryptionKey(), Buffer.from(iv, "base64"));
+  decipher.setAuthTag(Buffer.from(tag, "base64"));
+  return Buffer.concat([decipher.update(Buffer.from(encrypted, "base64")), decipher.final()]).toString("utf8");
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ENROLAMIENTO TOTP
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Envía por WhatsApp (teléfono registrado en tower_users) el código que
+ * autoriza al usuario a enrolar su propio TOTP
+ */
+export async function sendEnrollmentCode(userId) {
+  return sendWhatsAppCode({
+    userId,
+    actionId: ENROLLMENT_ACTION_ID,
+    summary: "el enrolamiento de tu app autenticadora",
+  });
+}
+
+/**
+ * Genera el secreto TOTP del usuario (queda pending hasta confirmarlo)
+ *
+ * Requiere un factor existente del propio usuario (código de WhatsApp de
+ * sendEnrollmentCode) o un admin autenticado (adminBy, de requireAdminAuth).
+ *
+ * @param {string} userId
+ * @param {Object} auth
+ * @param {string} [auth.adminBy] - Aprobador CRITICAL autenticado con API key
+ * @param {string} [auth.code] - Código de WhatsApp enviado al usuario
+ * @returns {Promise<{userId, secret, otpauthUrl, issuer}>}
+ */
+export async function startTotpEnrollment(userId, { adminBy = null, code = null } = {}) {
+  const user = await getUser(userId);
+  if (!user) throw new Error(`User not found: ${userId}`);
+
+  const existing = await getTotpRecord(userId);
+  if (existing?.status === "active") {
+    throw new Error("TOTP already enrolled, reset it before enrolling again");
+  }
+
+  if (!adminBy) {
+    if (!code) {
+      throw new Error("Enrollment requires an admin or a verification code sent to the user's phone");
+    }
+
+    const verification = await verifyTwoFactor({
+      userId,
+      actionId: ENROLLMENT_ACTION_ID,
+      code,
+      method: TwoFactorMethod.WHATSAPP,
+    });
+
+    if (!verification.valid) {
+      throw new Error(`Enrollment code rejected: ${verification.reason}`);
+    }
+  }
+
+  const secret = base32Encode(crypto.randomBytes(20));
+
+  await query(`
+    INSERT INTO tower_user_totp (user_id, secret_enc, status)
+    VALUES ($1, $2, 'pending')
+    ON CONFLICT (user_id) DO UPDATE SET
+      secret_enc = EXCLUDED.secret_enc,
+      status = 'pending',
+      confirmed_at = NULL,
+      last_used_step = NULL
+    WHERE tower_user_totp.status = 'pending'
+  `, [userId, encryptSecret(secret)]);
+
+  await logAudit({
+    actorType: "user",
+    actorId: adminBy || userId,
+    action: "TOTP_ENROLLMENT_STARTED",
+    targetType: "user",
+    targetId: userId,
+    context: { authorized_by: adminBy ? "admin" : TwoFactorMethod.WHATSAPP },
+  });
+
+  return {
+    userId,
+    secret,
+    otpauthUrl: buildOtpauthUrl(userId, secret),
+    issuer: TOTP_ISSUER,
+  };
+}
+
+/**
+ * Activa el TOTP con el primer código de la app autenticadora
+ */
+export async function confirmTotpEnrollment(userId, code) {
+  const record = await getTotpRecord(userId);
+  if (!record || record.status !== "pending") {
+    throw new Error("No pending TOTP enrollment");
+  }
+
+  const lock = await getLockStatus(userId);
+  if (lock.locked) {
+    throw new Error(`Too many failed attempts, try again in ${lock.retryAfterMinutes} min`);
+  }
+
+  const step = verifyTotpCode(decryptSecret(record.secret_enc), normalizeCode(code));
+  const success = step !== null;
+
+  await recordAttempt({ userId, kind: "verify", method: TwoFactorMethod.TOTP, success, reason: success ? "enrolled" : "invalid_code" });
+
+  await logAudit({
+    actorType: "user",
+    actorId: userId,
+    action: success ? "TOTP_ENROLLED" : "TOTP_ENROLLMENT_FAILED",
+    targetType: "user",
+    targetId: userId,
+  });
+
+  if (!success) {
+    throw new Error("Invalid TOTP code");
+  }
+
+  await query(`
+    UPDATE tower_user_totp
+    SET status = 'active', confirmed_at = NOW(), last_used_step = $2
+    WHERE user_id = $1
+  `, [userId, step]);
+
+  logger.info({ userId }, "TOTP enrolled");
+
+  return { userId, enrolled: true };
+}
+
+/**
+ * Elimina el TOTP de un usuario (p.ej. perdió el teléfono).
+ * resetBy debe venir de una identidad autenticada (requireAdminAuth).
+ */
+export async function resetTotp(userId, resetBy) {
+  const result = await query(`DELETE FROM tower_user_totp WHERE user_id = $1`, [userId]);
+
+  await logAudit({
+    actorType: "user",
+    actorId: resetBy,
+    action: "TOTP_RESET",
+    targetType: "user",
+    targetId: userId,
+  });
+
+  return { userId, reset: result.rowCount > 0 };
+}
+
+/**
+ * Métodos disponibles para un usuario
+ */
+export async function getTwoFactorStatus(userId) {
+  const [user, totp] = await Promise.all([getUser(userId), getTotpRecord(userId)]);
+
+  const methods = [];
+  if (totp?.status === "active") methods.push(TwoFactorMethod.TOTP);
+  if (user?.phone) methods.push(TwoFactorMethod.WHATSAPP);
+
+  return {
+    userId,
+    totp: totp?.status || "not_enrolled",
+    whatsapp: Boolean(user?.phone),
+    methods,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CÓDIGO POR WHATSAPP
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Envía un código de un solo uso por WhatsApp para confirmar una acción.
+ * Invalida códigos anteriores del mismo usuario/acción.
+ */
+export async function sendWhatsAppCode({ userId, actionId, summary = null }) {
+  const user = await getUser(userId);
+  if (!user?.phone) {
+    throw new Error(`User ${userId} has no phone for WhatsApp 2FA`);
+  }
+
+  const sent = await countAttempts(userId, "send");
+  if (sent >= MAX_CODES_SENT) {
+    await recordAttempt({ userId, actionId, kind: "send", method: TwoFactorMethod.WHATSAPP, success: false, reason: "throttled" });
+    await auditVerification({ userId, actionId, action: "ACTION_2FA_CODE_THROTTLED", method: TwoFactorMethod.WHATSAPP });
+    throw new Error(`Too many codes requested, try again in ${RATE_WINDOW_MINUTES} min`);
+  }
+
+  const code = String(crypto.randomInt(0, 10 ** TOTP_DIGITS)).padStart(TOTP_DIGITS, "0");
+  const expiresAt = new Date(Date.now() + CODE_TTL_MINUTES * 60 * 1000);
+
+  await query(`
+    UPDATE luca_2fa_codes SET consumed_at = NOW()
+    WHERE user_id = $1 AND action_id = $2 AND consumed_at IS NULL
+  `, [userId, actionId]);
+
+  const inserted = await query(`
+    INSERT INTO luca_2fa_codes (user_id, action_id, channel, code_hash, expires_at)
+    VALUES ($1, $2, 'whatsapp', $3, $4)
+    RETURNING id
+  `, [userId, actionId, hashCode(userId, actionId, code), expiresAt]);
+
+  const text = [
+    `🔐 LUCA: tu código para confirmar ${summary || `la acción ${actionId}`} es *${code}*.`,
+    `Expira en ${CODE_TTL_MINUTES} minutos. No lo compartas con nadie.`,
+  ].join("\n");
+
+  const result = await whatsappClient.sendText(user.phone, text);
+
+  if (!result?.success) {
+    await query(`UPDATE luca_2fa_codes SET consumed_at = NOW() WHERE id = $1`, [inserted.rows[0].id]);
+    await recordAttempt({ userId, actionId, kind: "send", method: TwoFactorMethod.WHATSAPP, success: false, reason: "send_failed" });
+    throw new Error(`Failed to send WhatsApp code: ${result?.error || "unknown error"}`);
+  }
+
+  await recordAttempt({ userId, actionId, kind: "send", method: TwoFactorMethod.WHATSAPP, success: true });
+  await auditVerification({
+    userId,
+    actionId,
+    action: "ACTION_2FA_CODE_SENT",
+    method: TwoFactorMethod.WHATSAPP,
+    extra: { to: maskPhone(user.phone), expires_at: expiresAt.toISOString() },
+  });
+
+  return {
+    sent: true,
+    channel: TwoFactorMethod.WHATSAPP,
+    to: maskPhone(user.phone),
+    expiresAt: expiresAt.toISOString(),
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// VERIFICACIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Verifica el segundo factor de un usuario para una acción
+ *
+ * Sin method: intenta TOTP (si está enrolado) y luego el código de WhatsApp
+ * vigente. Cuenta como un solo intento.
+ *
+ * @returns {Promise<{valid: boolean, method: string|null, reason?: string, attemptsRemaining?: number}>}
+ */
+export async function verifyTwoFactor({ userId, actionId, code, method = null }) {
+  const lock = await getLockStatus(userId);
+  if (lock.locked) {
+    await recordAttempt({ userId, actionId, kind: "verify", method, success: false, reason: "locked" });
+    await auditVerification({ userId, actionId, action: "ACTION_2FA_LOCKED", method });
+    return { valid: false, method, reason: "locked", retryAfterMinutes: lock.retryAfterMinutes };
+  }
+
+  const normalized = normalizeCode(code);
+  let result = { valid: false, method, reason: "invalid_code" };
+
+  if (normalized) {
+    if (!method || method === TwoFactorMethod.TOTP) {
+      result = await verifyTotpForUser(userId, normalized);
+    }
+    if (!result.valid && (!method || method === TwoFactorMethod.WHATSAPP)) {
+      const whatsapp = await verifyWhatsAppCode(userId, actionId, normalized);
+      // Conservar el motivo de TOTP si no había código de WhatsApp pendiente
+      if (whatsapp.valid || method || whatsapp.reason !== "no_code") result = whatsapp;
+    }
+  }
+
+  await recordAttempt({ userId, actionId, kind: "verify", method: result.method, success: result.valid, reason: result.reason });
+
+  const failures = result.valid ? 0 : lock.failures + 1;
+  const attemptsRemaining = Math.max(0, MAX_FAILED_VERIFICATIONS - failures);
+
+  await auditVerification({
+    userId,
+    actionId,
+    action: result.valid ? "ACTION_2FA_VERIFIED" : "ACTION_2FA_FAILED",
+    method: result.method,
+    extra: result.valid ? {} : { reason: result.reason, attempts_remaining: attemptsRemaining },
+  });
+
+  if (!result.valid) {
+    logger.warn({ userId, actionId, method: result.method, reason: result.reason }, "2FA verification failed");
+    return { ...result, attemptsRemaining };
+  }
+
+  return result;
+}
+
+async function verifyTotpForUser(userId, code) {
+  const record = await getTotpRecord(userId);
+  if (record?.status !== "active") {
+    return { valid: false, method: TwoFactorMethod.TOTP, reason: "totp_not_enrolled" };
+  }
+
+  const step = verifyTotpCode(decryptSecret(record.secret_enc), code, { lastUsedStep: record.last_used_step });
+  if (step === null) {
+    return { valid: false, method: TwoFactorMethod.TOTP, reason: "invalid_code" };
+  }
+
+  // Condicional para que dos requests con el mismo código no pasen ambos
+  const updated = await query(`
+    UPDATE tower_user_totp SET last_used_step = $2
+    WHERE user_id = $1 AND (last_used_step IS NULL OR last_used_step < $2)
+  `, [userId, step]);
+
+  if (updated.rowCount === 0) {
+    return { valid: false, method: TwoFactorMethod.TOTP, reason: "code_reused" };
+  }
+
+  return { valid: true, method: TwoFactorMethod.TOTP };
+}
+
+async function verifyWhatsAppCode(userId, actionId, code) {
+  const result = await query(`
+    SELECT id, code_hash, attempts, expires_at
+    FROM luca_2fa_codes
+    WHERE user_id = $1 AND action_id = $2 AND consumed_at IS NULL
+    ORDER BY created_at DESC
+    LIMIT 1
+  `, [userId, actionId]);
+
+  const row = result.rows[0];
+  if (!row) {
+    return { valid: false, method: TwoFactorMethod.WHATSAPP, reason: "no_code" };
+  }
+
+  if (new Date(row.expires_at) < new Date()) {
+    await query(`UPDATE luca_2fa_codes SET consumed_at = NOW() WHERE id = $1`, [row.id]);
+    return { valid: false, method: TwoFactorMethod.WHATSAPP, reason: "code_expired" };
+  }
+
+  if (!safeEqual(row.code_hash, hashCode(userId, actionId, code))) {
+    // Al agotar intentos el código queda inutilizable
+    await query(`
+      UPDATE luca_2fa_codes
+      SET attempts = attempts + 1,
+          consumed_at = CASE WHEN attempts + 1 >= $2 THEN NOW() ELSE consumed_at END
+      WHERE id = $1
+    `, [row.id, MAX_ATTEMPTS_PER_CODE]);
+    return { valid: false, method: TwoFactorMethod.WHATSAPP, reason: "invalid_code" };
+  }
+
+  const consumed = await query(`
+    UPDATE luca_2fa_codes SET consumed_at = NOW()
+    WHERE id = $1 AND consumed_at IS NULL
+  `, [row.id]);
+
+  if (consumed.rowCount === 0) {
+    return { valid: false, method: TwoFactorMethod.WHATSAPP, reason: "code_reused" };
+  }
+
+  return { valid: true, method: TwoFactorMethod.WHATSAPP };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// RATE LIMITING
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function countAttempts(userId, kind, { success = null } = {}) {
+  const result = await query(`
+    SELECT COUNT(*)::int AS count
+    FROM luca_2fa_attempts
+    WHERE user_id = $1
+      AND kind = $2
+      AND ($3::boolean IS NULL OR success = $3)
+      AND created_at > NOW() - make_interval(mins => $4::int)
+  `, [userId, kind, success, RATE_WINDOW_MINUTES]);
+
+  return result.rows[0]?.count || 0;
+}
+
+/**
+ * Bloqueado si acumula MAX_FAILED_VERIFICATIONS fallos en la ventana
+ */
+async function getLockStatus(userId) {
+  const failures = await countAttempts(userId, "verify", { success: false });
+  return {
+    locked: failures >= MAX_FAILED_VERIFICATIONS,
+    failures,
+    retryAfterMinutes: RATE_WINDOW_MINUTES,
+  };
+}
+
+async function recordAttempt({ userId, actionId = null, kind, method = null, success, reason = null }) {
+  await query(`
+    INSERT INTO luca_2fa_attempts (user_id, action_id, kind, method, success, reason)
+    VALUES ($1, $2, $3, $4, $5, $6)
+  `, [userId, actionId, kind, method, success, reason]);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+async function getUser(userId) {
+  const result = await query(`
+    SELECT user_id, name, phone FROM tower_users WHERE user_id = $1 AND active = true
+  `, [userId]);
+  return result.rows[0] || null;
+}
+
+async function getTotpRecord(userId) {
+  const result = await query(`
+    SELECT user_id, secret_enc, status, last_used_step FROM tower_user_totp WHERE user_id = $1
+  `, [userId]);
+  return result.rows[0] || null;
+}
+
+async function auditVerification({ userId, actionId, action, method, extra = {} }) {
+  await logAudit({
+    actorType: "user",
+    actorId: userId,
+    action,
+    targetType: "action",
+    targetId: actionId,
+    context: { method, ...extra },
+  });
+}
+
+function hashCode(userId, actionId, code) {
+  return crypto.createHash("sha256").update(`${userId}:${actionId}:${code}`).digest("hex");
+}
+
+function normalizeCode(code) {
+  const digits = String(code ?? "").replace(/\D/g, "");
+  return digits.length === TOTP_DIGITS ? digits : null;
+}
+
+function safeEqual(a, b) {
+  const left = Buffer.from(String(a));
+  const right = Buffer.from(String(b ?? ""));
+  return left.length === right.length && crypto.timingSafeEqual(left, right);
+}
+
+function maskPhone(phone) {
+  const digits = String(phone).replace(/\D/g, "");
+  return `***${digits.slice(-4)}`;
+}
+
+export default {
+  TwoFactorMethod,
+  ENROLLMENT_ACTION_ID,
+  sendEnrollmentCode,
+  startTotpEnrollment,
+  confirmTotpEnrollment,
+  resetTotp,
+  getTwoFactorStatus,
+  sendWhatsAppCode,
+  verifyTwoFactor,
+  generateTotpCode,
+  verifyTotpCode,
+};
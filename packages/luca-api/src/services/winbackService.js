@@ -0,0 +1,385 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * WINBACK SERVICE - Campañas del Showman, atribución y cooldown
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * - Persiste campañas win-back (luca_winback_campaigns)
+ * - Atribuye la siguiente compra del cliente dentro de la ventana de medición
+ *   (tabla transactions del POS)
+ * - Cooldown por cliente en Redis con TTL (fallback en memoria)
+ * - Métricas por corrida y agregadas para /cx/metrics
+ */
+
+import { logger, query, getRedisClient } from "@tagers/shared";
+
+export const CampaignStatus = {
+  PENDING: "PENDING",
+  SENT: "SENT",
+  WON: "WON",
+  LOST: "LOST",
+  CANCELLED: "CANCELLED",
+};
+
+const COOLDOWN_PREFIX = "luca:showman:cooldown:";
+
+// Fallback sin Redis: customerId -> { campaignId, until }
+const memoryCooldowns = new Map();
+
+// ═══════════════════════════════════════════════════════════════════════════
+// CAMPAÑAS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Guarda (o actualiza) una campaña recién propuesta
+ */
+export async function saveCampaign(campaign) {
+  await query(`
+    INSERT INTO luca_winback_campaigns (
+      campaign_id, customer_id, customer_name, campaign_type, channel,
+      offer_code, offer_value, health_score, winback_potential, churn_signals,
+      action_id, status, attribution_window_days
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11, $12, $13)
+    ON CONFLICT (campaign_id) DO UPDATE SET
+      action_id = EXCLUDED.action_id,
+      status = EXCLUDED.status
+  `, [
+    campaign.campaignId,
+    campaign.customerId,
+    campaign.customerName,
+    campaign.type,
+    campaign.channel,
+    campaign.offerCode,
+    campaign.offerValue,
+    campaign.healthScore,
+    campaign.winbackPotential,
+    JSON.stringify(campaign.churnSignals || []),
+    campaign.actionId || null,
+    campaign.status || CampaignStatus.PENDING,
+    campaign.attributionWindowDays,
+  ]);
+}
+
+/**
+ * Marca la campaña como enviada y abre la ventana de atribución
+ */
+export async function markCampaignSent(campaignId, { sentAt, attributionEndsAt }) {
+  await query(`
+    UPDATE luca_winback_campaigns
+    SET status = $2, sent_at = $3, attribution_ends_at = $4
+    WHERE campaign_id = $1 AND status = $5
+  `, [campaignId, CampaignStatus.SENT, sentAt, attributionEndsAt, CampaignStatus.PENDING]);
+}
+
+/**
+ * Cierra la campaña como WON (con la compra atribuida), LOST o CANCELLED
+ */
+export async function closeCampaign(campaignId, status, purchase = null) {
+  await query(`
+    UPDATE luca_winback_campaigns
+    SET status = $2,
+        closed_at = NOW(),
+        won_at = $3,
+        return_transaction_id = $4,
+        return_branch_id = $5,
+        return_order_value = $6,
+        return_discount_amount = $7,
+        used_offer = $8,
+        days_to_return = $9
+    WHERE campaign_id = $1
+  `, [
+    campaignId,
+    status,
+    purchase?.returnDate || null,
+    purchase?.transactionId || null,
+    purchase?.branchId || null,
+    purchase?.orderValue ?? null,
+    purchase?.discountAmount ?? null,
+    purchase?.usedOffer ?? null,
+    purchase?.daysToReturn ?? null,
+  ]);
+}
+
+/**
+ * Agrega un evento de tracking a la campaña (append atómico en JSONB)
+ */
+export async function appendCampaignEvent(campaignId, event) {
+  const result = await query(`
+    UPDATE luca_winback_campaigns
+    SET events = COALESCE(events, '[]'::jsonb) || $2::jsonb
+    WHERE campaign_id = $1
+  `, [campaignId, JSON.stringify([event])]);
+  return result.rowCount > 0;
+}
+
+/**
+ * Obtiene una campaña
+ */
+export async function getCampaign(campaignId) {
+  const result = await query(
+    `SELECT * FROM luca_winback_campaigns WHERE campaign_id = $1`,
+    [campaignId]
+  );
+  return result.rows[0] ? toCampaign(result.rows[0]) : null;
+}
+
+/**
+ * Lista campañas con filtros opcionales
+ */
+export async function listCampaigns({ status, type, customerId, limit = 100 } = {}) {
+  let sql = `SELECT * FROM luca_winback_campaigns WHERE 1=1`;
+  const params = [];
+  let paramIndex = 1;
+
+  if (status) {
+    sql += ` AND status = $${paramIndex++}`;
+    params.push(status);
+  }
+
+  if (type) {
+    sql += ` AND campaign_type = $${paramIndex++}`;
+    params.push(type);
+  }
+
+  if (customerId) {
+    sql += ` AND customer_id = $${paramIndex++}`;
+    params.push(customerId);
+  }
+
+  sql += ` ORDER BY created_at DESC LIMIT $${paramIndex}`;
+  params.push(limit);
+
+  const result = await query(sql, params);
+  return result.rows.map(toCampaign);
+}
+
+/**
+ * Campañas pendientes de envío o dentro de su ventana de medición
+ */
+export async function getOpenCampaigns() {
+  const result = await query(`
+    SELECT * FROM luca_winback_campaigns
+    WHERE status IN ($1, $2)
+    ORDER BY created_at ASC
+  `, [CampaignStatus.PENDING, CampaignStatus.SENT]);
+  return result.rows.map(toCampaign);
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// ATRIBUCIÓN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Primera compra del cliente después del envío y dentro de la ventana.
+ * Se considera que usó la oferta si cualquier ticket de la ventana trae el
+ * código en el motivo de descuento.
+ */
+export async function findAttributedPurchase({ customerId, sentAt, attributionEndsAt, offerCode }) {
+  const result = await query(`
+    SELECT
+      transaction_id,
+      branch_id,
+      total,
+      discount_amount,
+      discount_reason,
+      created_at
+    FROM transactions
+    WHERE customer_id = $1
+      AND created_at > $2
+      AND created_at <= $3
+    ORDER BY created_at ASC
+    LIMIT 50
+  `, [customerId, sentAt, attributionEndsAt]);
+
+  if (result.rows.length === 0) return null;
+
+  const first = result.rows[0];
+  const code = offerCode ? String(offerCode).toUpperCase() : null;
+  const redemption = code
+    ? result.rows.find(r => String(r.discount_reason || "").toUpperCase().includes(code))
+    : null;
+
+  const returnDate = new Date(first.created_at);
+
+  return {
+    transactionId: first.transaction_id,
+    branchId: first.branch_id,
+    returnDate: returnDate.toISOString(),
+    daysToReturn: Math.max(0, Math.floor((returnDate - new Date(sentAt)) / 86400000)),
+    orderValue: Number(first.total) || 0,
+    usedOffer: !!redemption,
+    discountAmount: redemption ? Number(redemption.discount_amount) || 0 : 0,
+  };
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// COOLDOWN
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Cooldown vigente del cliente (null si puede contactarse)
+ */
+export async function getCooldown(customerId) {
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      const raw = await redis.get(COOLDOWN_PREFIX + customerId);
+      return raw ? JSON.parse(raw) : null;
+    } catch (err) {
+      logger.warn({ err: err?.message, customerId }, "Cooldown read failed, using memory");
+    }
+  }
+
+  const entry = memoryCooldowns.get(customerId);
+  if (!entry) return null;
+  if (new Date(entry.until) <= new Date()) {
+    memoryCooldowns.delete(customerId);
+    return null;
+  }
+  return entry;
+}
+
+/**
+ * Pone al cliente en cooldown por N días
+ */
+export async function setCooldown(customerId, { campaignId, days }) {
+  const until = new Date(Date.now() + days * 86400000);
+  const entry = { campaignId, until: until.toISOString() };
+
+  const redis = getRedisClient();
+  if (redis) {
+    try {
+      await redis.set(COOLDOWN_PREFIX + customerId, JSON.stringify(entry), "EX", Math.ceil(days * 86400));
+      return entry;
+    } catch (err) {
+      logger.warn({ err: err?.message, customerId }, "Cooldown write failed, using memory");
+    }
+  }
+
+  memoryCooldowns.set(customerId, entry);
+  return entry;
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// MÉTRICAS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Guarda el resumen de una corrida del Showman
+ */
+export async function recordRun(results) {
+  await query(`
+    INSERT INTO luca_showman_runs (
+      run_id, customers_analyzed, at_risk_identified, campaigns_created,
+      skipped_cooldown, wins, lost, recovered_revenue, status, started_at, completed_at
+    ) VALUES ($1, $2, $3, $4, $5, $6, $7, $8, $9, $10, $11)
+    ON CONFLICT (run_id) DO NOTHING
+  `, [
+    results.runId,
+    results.customersAnalyzed || 0,
+    results.atRiskIdentified || 0,
+    results.campaignsCreated?.length || 0,
+    results.skippedCooldown || 0,
+    results.wins?.length || 0,
+    results.lost?.length || 0,
+    (results.wins || []).reduce((sum, w) => sum + (w.orderValue || 0), 0),
+    results.status || null,
+    results.startedAt,
+    results.completedAt || new Date().toISOString(),
+  ]);
+}
+
+/**
+ * Métricas agregadas de campañas en los últimos N días
+ */
+export async function getCampaignStats(days = 30) {
+  const result = await query(`
+    SELECT
+      campaign_type,
+      COUNT(*) as total,
+      COUNT(*) FILTER (WHERE status = 'PENDING') as pending,
+      COUNT(*) FILTER (WHERE status = 'SENT') as measuring,
+      COUNT(*) FILTER (WHERE status = 'WON') as won,
+      COUNT(*) FILTER (WHERE status = 'LOST') as lost,
+      COUNT(*) FILTER (WHERE status = 'CANCELLED') as cancelled,
+      COUNT(*) FILTER (WHERE used_offer) as offers_redeemed,
+      COALESCE(SUM(return_order_value) FILTER (WHERE status = 'WON'), 0) as recovered_revenue,
+      COALESCE(SUM(return_discount_amount) FILTER (WHERE status = 'WON'), 0) as discount_cost,
+      AVG(days_to_return) FILTER (WHERE status = 'WON') as avg_days_to_return,
+      AVG(health_score) as avg_health_score,
+      AVG(winback_potential) as avg_winback_potential
+    FROM luca_winback_campaigns
+    WHERE created_at >= NOW() - make_interval(days => $1::int)
+    GROUP BY campaign_type
+  `, [days]);
+
+  return result.rows.map(r => ({
+    type: r.campaign_type,
+    total: parseInt(r.total),
+    pending: parseInt(r.pending),
+    measuring: parseInt(r.measuring),
+    won: parseInt(r.won),
+    lost: parseInt(r.lost),
+    cancelled: parseInt(r.cancelled),
+    offersRedeemed: parseInt(r.offers_redeemed),
+    recoveredRevenue: parseFloat(r.recovered_revenue),
+    discountCost: parseFloat(r.discount_cost),
+    avgDaysToReturn: r.avg_days_to_return !== null ? parseFloat(r.avg_days_to_return) : null,
+    avgHealthScore: r.avg_health_score !== null ? parseFloat(r.avg_health_score) : null,
+    avgWinbackPotential: r.avg_winback_potential !== null ? parseFloat(r.avg_winback_potential) : null,
+  }));
+}
+
+// ═══════════════════════════════════════════════════════════════════════════
+// HELPERS
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Fila de DB → mismo shape que las campañas en memoria del Showman
+ */
+function toCampaign(row) {
+  return {
+    campaignId: row.campaign_id,
+    customerId: row.customer_id,
+    customerName: row.customer_name,
+    type: row.campaign_type,
+    channel: row.channel,
+    offerCode: row.offer_code,
+    offerValue: row.offer_value !== null ? parseFloat(row.offer_value) : null,
+    healthScore: row.health_score !== null ? parseFloat(row.health_score) : null,
+    winbackPotential: row.winback_potential,
+    churnSignals: row.churn_signals || [],
+    actionId: row.action_id,
+    status: row.status,
+    sentAt: row.sent_at ? new Date(row.sent_at).toISOString() : null,
+    attributionWindowDays: row.attribution_window_days,
+    attributionEndsAt: row.attribution_ends_at ? new Date(row.attribution_ends_at).toISOString() : null,
+    wonAt: row.won_at ? new Date(row.won_at).toISOString() : null,
+    outcome: row.return_transaction_id ? {
+      transactionId: row.return_transaction_id,
+      branchId: row.return_branch_id,
+      orderValue: parseFloat(row.return_order_value) || 0,
+      discountAmount: parseFloat(row.return_discount_amount) || 0,
+      usedOffer: row.used_offer,
+      daysToReturn: row.days_to_return,
+    } : null,
+    closedAt: row.closed_at ? new Date(row.closed_at).toISOString() : null,
+    events: row.events || [],
+    createdAt: new Date(row.created_at).toISOString(),
+  };
+}
+
+export default {
+  CampaignStatus,
+  saveCampaign,
+  markCampaignSent,
+  closeCampaign,
+  appendCampaignEvent,
+  getCampaign,
+  listCampaigns,
+  getOpenCampaigns,
+  findAttributedPurchase,
+  getCooldown,
+  setCooldown,
+  recordRun,
+  getCampaignStats,
+};
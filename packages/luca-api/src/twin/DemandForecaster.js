@@ -58,15 +58,7 @@ export class DemandForecaster {
 
     // Factores de calendario desde config
     const d = new Date(date);
-    const dayOfWeek = d.getDay();
-    const month = d.getMonth() + 1;
-    
-    const dayFactor = configLoader.getDayOfWeekFactor(dayOfWeek);
-    const monthFactor = configLoader.getMonthFactor(month);
-
-    // Verificar si es feriado
-    const holiday = configLoader.getHoliday(date);
-    const holidayFactor = holiday?.salesImpact || 1.0;
+    const { dayOfWeek, dayFactor, month, monthFactor, holiday, holidayFactor } = this.getCalendarFactors(date);
 
     // Calcular forecast diario
     const combinedFactor = dayFactor * monthFactor * holidayFactor *
@@ -107,6 +99,32 @@ export class DemandForecaster {
     return forecast;
   }
 
+  /**
+   * Factores de calendario (día de semana, mes, feriado) desde config
+   */
+  getCalendarFactors(date) {
+    const d = new Date(date);
+    const dayOfWeek = d.getDay();
+    const month = d.getMonth() + 1;
+
+    const dayFactor = configLoader.getDayOfWeekFactor(dayOfWeek);
+    const monthFactor = configLoader.getMonthFactor(month);
+
+    // Verificar si es feriado
+    const holiday = configLoader.getHoliday(date);
+    const holidayFactor = holiday?.salesImpact || 1.0;
+
+    return {
+      dayOfWeek,
+      dayFactor,
+      month,
+      monthFactor,
+      holiday,
+      holidayFactor,
+      combined: dayFactor * monthFactor * holidayFactor,
+    };
+  }
+
   /**
    * Predice demanda por hora
    */
@@ -8,6 +8,11 @@
  * - "¿Qué pasa si quitamos 1 cocinero?"
  * - "¿Qué pasa si hay tormenta el sábado?"
  * - "¿Cuánto personal necesitamos para el Día de Reyes?"
+ * 
+ * Si el escenario trae `date` (YYYY-MM-DD), el baseline se ajusta con los
+ * factores de calendario de ese día (día de semana, mes, feriado). Todo
+ * resultado incluye `capacity`: utilización y cuello de botella con el
+ * staff resultante.
  */
 
 import { logger } from "@tagers/shared";
@@ -43,43 +48,85 @@ export class Simulator {
 
     logger.info({ branchId, scenario: scenario.type }, "Running simulation");
 
+    // Baseline del día simulado (sin clima real: el escenario pone el clima)
+    const calendar = scenario.date ? this.forecaster.getCalendarFactors(toLocalDate(scenario.date)) : null;
+    const dayFactor = calendar?.combined || 1;
+
     const result = {
       branchId,
       branchName: twin.name,
       scenario,
       timestamp: new Date().toISOString(),
       baseline: {
-        dailySales: baseline.dailySales,
-        dailyTransactions: baseline.dailyTransactions,
+        date: scenario.date || null,
+        dailySales: Math.round(baseline.dailySales * dayFactor),
+        dailyTransactions: Math.round(baseline.dailyTransactions * dayFactor),
         avgTicket: baseline.avgTicket,
+        peakHourFactor: baseline.peakHourFactor,
+        calendarFactor: Math.round(dayFactor * 100) / 100,
       },
       simulated: {},
       impact: {},
       recommendations: [],
     };
 
+    let simulated;
+
     switch (scenario.type) {
       case ScenarioTypes.DEMAND_CHANGE:
-        return this.simulateDemandChange(result, twin, capacityModel, scenario);
+        simulated = this.simulateDemandChange(result, twin, capacityModel, scenario);
+        break;
       
       case ScenarioTypes.STAFF_CHANGE:
-        return this.simulateStaffChange(result, twin, capacityModel, scenario);
+        simulated = this.simulateStaffChange(result, twin, capacityModel, scenario);
+        break;
       
       case ScenarioTypes.WEATHER_EVENT:
-        return this.simulateWeatherEvent(result, twin, capacityModel, scenario);
+        simulated = this.simulateWeatherEvent(result, twin, capacityModel, scenario);
+        break;
       
       case ScenarioTypes.SPECIAL_DATE:
-        return this.simulateSpecialDate(result, twin, capacityModel, scenario);
+        simulated = this.simulateSpecialDate(result, twin, capacityModel, scenario);
+        break;
       
       case ScenarioTypes.PRICE_CHANGE:
-        return this.simulatePriceChange(result, twin, capacityModel, scenario);
+        simulated = this.simulatePriceChange(result, twin, capacityModel, scenario);
+        break;
       
       case ScenarioTypes.CUSTOM:
-        return this.simulateCustom(result, twin, capacityModel, scenario);
+        simulated = this.simulateCustom(result, twin, capacityModel, scenario);
+        break;
       
       default:
         throw new Error(`Unknown scenario type: ${scenario.type}`);
     }
+
+    return this.attachCapacity(simulated, twin, capacityModel);
+  }
+
+  /**
+   * Utilización y cuello de botella con el staff y demanda resultantes
+   */
+  attachCapacity(result, twin, capacityModel) {
+    const staff = result.simulated.newStaff || twin.getDefaultStaff("afternoon");
+    const dailyTransactions = result.simulated.dailyTransactions || result.baseline.dailyTransactions;
+    const hourlyTransactions = dailyTransactions / twin.getOperatingHours();
+
+    const utilization = capacityModel.calculateUtilization(staff, hourlyTransactions);
+    const bottleneck = capacityModel.identifyBottleneck(staff, { transactions: hourlyTransactions });
+
+    result.capacity = {
+      staff,
+      hourlyTransactions: Math.round(hourlyTransactions),
+      utilization: utilization.utilization,
+      utilizationPercent: utilization.utilizationPercent,
+      status: utilization.status,
+      bottleneck: bottleneck.area,
+      bottleneckUtilization: bottleneck.utilization,
+      isOverCapacity: bottleneck.isOverCapacity,
+    };
+
+    return result;
   }
 
   /**
@@ -91,7 +138,7 @@ export class Simulator {
     const factor = 1 + (changePercent / 100);
     
     const baseline = result.baseline;
-    const currentStaff = twin.config.staffing.afternoon;
+    const currentStaff = twin.getDefaultStaff("afternoon");
 
     // Calcular nueva demanda
     const newTransactions = Math.round(baseline.dailyTransactions * factor);
@@ -148,7 +195,7 @@ export class Simulator {
     const baseline = result.baseline;
     
     // Calcular nuevo staff
-    const currentStaff = { ...twin.config.staffing.afternoon };
+    const currentStaff = { ...twin.getDefaultStaff("afternoon") };
     const newStaff = { ...currentStaff };
     
     for (const [role, change] of Object.entries(staffChanges)) {
@@ -312,7 +359,7 @@ export class Simulator {
 
     // Calcular staff necesario
     const recommendedStaff = capacityModel.recommendStaff(peakHourlyTransactions);
-    const currentStaff = twin.config.staffing.afternoon;
+    const currentStaff = twin.getDefaultStaff("afternoon");
     const currentTotal = Object.values(currentStaff).reduce((a, b) => a + b, 0);
 
     result.impact = {
@@ -415,7 +462,7 @@ export class Simulator {
     };
 
     const utilization = capacityModel.calculateUtilization(
-      twin.config.staffing.afternoon,
+      twin.getDefaultStaff("afternoon"),
       hourlyTransactions
     );
 
@@ -454,7 +501,7 @@ export class Simulator {
     }
 
     // Ordenar por impacto en ventas
-    results.sort((a, b) => (b.impact.salesDiff || 0) - (a.impact.salesDiff || 0));
+    results.sort((a, b) => salesDelta(b) - salesDelta(a));
 
     return {
       branchId,
@@ -465,6 +512,21 @@ export class Simulator {
   }
 }
 
+/**
+ * "YYYY-MM-DD" se interpreta como día local (new Date lo tomaría como UTC)
+ */
+function toLocalDate(date) {
+  return /^\d{4}-\d{2}-\d{2}$/.test(date) ? `${date}T12:00:00` : date;
+}
+
+/**
+ * Diferencia de ventas del escenario (cada tipo la reporta con su nombre)
+ */
+function salesDelta(result) {
+  const { salesDiff, salesChange, salesIncrease } = result.impact;
+  return salesDiff ?? salesChange ?? salesIncrease ?? 0;
+}
+
 export const simulator = new Simulator();
 
 export default Simulator;
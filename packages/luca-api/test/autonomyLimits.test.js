@@ -0,0 +1,109 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { stubQueries } from "./helpers/fakeDb.js";
+
+const { consumeLimits, getUsage } = await import("../src/autonomy/AutonomyLevels.js");
+const { actionBus, ActionState } = await import("../src/actions/ActionBus.js");
+const { actionExecutor } = await import("../src/actions/ActionExecutor.js");
+const { approvalService } = await import("../src/approval/ApprovalService.js");
+
+/**
+ * DB en memoria de luca_action_bus (INSERT, UPDATE de estado y SELECT)
+ */
+function actionDb() {
+  const records = new Map();
+  stubQueries([
+    [/INSERT INTO luca_action_bus/, (params) => {
+      const [action_id, action_type, payload, context, requested_by, , autonomy_level, handler, state] = params;
+      records.set(action_id, {
+        action_id, action_type, requested_by, autonomy_level, handler, state,
+        payload: JSON.parse(payload),
+        context: JSON.parse(context),
+      });
+    }],
+    [/UPDATE luca_action_bus/, ([state, , actionId]) => {
+      const record = records.get(actionId);
+      if (record) record.state = state;
+      return { rowCount: record ? 1 : 0 };
+    }],
+    [/SELECT \* FROM luca_action_bus/, ([actionId]) => ({
+      rows: records.has(actionId) ? [{ ...records.get(actionId) }] : [],
+    })],
+  ]);
+  return records;
+}
+
+async function branchUsage(actionType, branchId, limit) {
+  const [usage] = await getUsage({ actionType, branchId });
+  return usage.windows.find(w => w.scope === "branch" && w.limit === limit).used;
+}
+
+let executed;
+beforeEach(() => {
+  executed = [];
+  actionExecutor.execute = async (record) => {
+    executed.push(record.action_id);
+    return { success: true };
+  };
+  approvalService.notifyDraftPending = async () => {};
+  approvalService.notifyApprovalRequired = async () => {};
+});
+
+test("consumeLimits: llamadas concurrentes no pasan con el mismo cupo", async () => {
+  const results = await Promise.all(
+    Array.from({ length: 8 }, () => consumeLimits("NOTIFY_GERENTE", { branch_id: "SUC-CONC" })),
+  );
+
+  assert.equal(results.filter(r => r.allowed).length, 5);
+  assert.equal(await branchUsage("NOTIFY_GERENTE", "SUC-CONC", "max_per_hour"), 5);
+});
+
+test("proponer sin ejecutar no cuenta contra los límites", async () => {
+  actionDb();
+
+  const result = await actionBus.propose({
+    type: "NOTIFY_SOCIO",
+    payload: { message: "resumen" },
+    context: { branch_id: "SUC-DRAFT" },
+    requestedBy: "test",
+  });
+
+  assert.equal(result.state, ActionState.DRAFT);
+  assert.equal(await branchUsage("NOTIFY_SOCIO", "SUC-DRAFT", "max_per_day"), 0);
+});
+
+test("AUTO excedida baja a DRAFT y sólo cuentan las ejecuciones", async () => {
+  actionDb();
+  const propose = () => actionBus.propose({
+    type: "NOTIFY_GERENTE",
+    payload: { message: "alerta" },
+    context: { branch_id: "SUC-AUTO" },
+    requestedBy: "test",
+  });
+
+  for (let i = 0; i < 5; i++) {
+    assert.equal((await propose()).state, ActionState.EXECUTED);
+  }
+
+  const sixth = await propose();
+  assert.equal(sixth.state, ActionState.DRAFT);
+  assert.equal(sixth.limits.configured_level, "AUTO");
+  assert.equal(executed.length, 5);
+  assert.equal(await branchUsage("NOTIFY_GERENTE", "SUC-AUTO", "max_per_hour"), 5);
+});
+
+test("APPROVAL que excede sus límites se rechaza con LIMITS_EXCEEDED", async () => {
+  const db = actionDb();
+
+  const result = await actionBus.propose({
+    type: "SUBMIT_PURCHASE_ORDER",
+    payload: { amount: 60000 },
+    context: { branch_id: "SUC-PO" },
+    requestedBy: "test",
+  });
+
+  assert.equal(result.state, ActionState.REJECTED);
+  assert.equal(result.reason, "LIMITS_EXCEEDED");
+  assert.match(result.details, /max_amount/);
+  assert.equal(db.size, 0);
+});
@@ -0,0 +1,32 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stubQueries, callsMatching } from "./helpers/fakeDb.js";
+
+const {
+  MEASUREMENT_CONFIG,
+  measurePendingCases,
+  resolveTarget,
+} = await import("../src/services/caseMeasurementService.js");
+
+test("resolveTarget: los casos CX de ChurnRiskDetector se miden como Showman", () => {
+  assert.equal(resolveTarget({ case_type: "CX" }).agent, "showman");
+  assert.equal(resolveTarget({ case_type: "AUTOPSY" }).agent, "forense");
+  assert.equal(resolveTarget({ case_type: "OTHER", detector_id: "fiscalia_fraud_v1" }).agent, "fiscalia");
+  assert.equal(resolveTarget({ case_type: "OPS" }), null);
+});
+
+test("measurePendingCases: sólo pide casos con métrica objetivo y ventana cumplida", async () => {
+  const db = stubQueries([[/FROM luca_cases c/, () => ({ rows: [] })]]);
+
+  const summary = await measurePendingCases();
+
+  assert.equal(summary.checked, 0);
+  const [batch] = callsMatching(db.calls, /FROM luca_cases c/);
+  const [states, caseTypes, detectors, executedBefore, limit] = batch.params;
+
+  assert.deepEqual(states, ["EXECUTED", "MEASURING"]);
+  assert.ok(caseTypes.includes("CX") && caseTypes.includes("FRAUD"));
+  assert.ok(detectors.includes("forense"));
+  assert.ok(executedBefore < new Date(Date.now() - MEASUREMENT_CONFIG.windowDays * 86_400_000));
+  assert.equal(limit, MEASUREMENT_CONFIG.maxCasesPerRun);
+});
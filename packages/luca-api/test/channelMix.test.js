@@ -0,0 +1,31 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { ForenseAgent } = await import("../src/agents/ForenseAgent.js");
+
+/**
+ * Agente con métricas de canal fijas (día y baseline)
+ */
+function agentWith(current, baseline) {
+  const agent = new ForenseAgent();
+  agent.detector = {
+    getChannelMetrics: async () => current,
+    getBaselineChannelMetrics: async () => baseline,
+  };
+  return agent;
+}
+
+test("getChannelMix: con dos canales el colapso es el que perdió participación", async () => {
+  const agent = agentWith(
+    { dine_in: { total: 9000 }, delivery_apps: { total: 1000 } },
+    { dine_in: { total: 10000 }, delivery_apps: { total: 10000 } },
+  );
+
+  const mix = await agent.getChannelMix("SUC01", "2025-01-15");
+
+  assert.equal(mix.topShift.channel, "delivery_apps");
+  assert.equal(mix.topShift.shareChangePts, -40);
+  assert.equal(mix.topShift.salesChangePct, -90);
+  assert.match(agent.describeChannelShift(mix), /perdió 40\.0 puntos/);
+  assert.equal(agent.getChannelRecommendation(mix.topShift, "Angelópolis").channel, "delivery_apps");
+});
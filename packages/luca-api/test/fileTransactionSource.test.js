@@ -0,0 +1,37 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import fs from "fs/promises";
+import os from "os";
+import path from "path";
+import { FileTransactionSource } from "../src/integrations/pos/FileTransactionSource.js";
+
+const HEADER = "trans_id,business_unit_id,total_amount,business_date\n";
+
+async function dropDir(files) {
+  const dir = await fs.mkdtemp(path.join(os.tmpdir(), "pos-drop-"));
+  for (const [name, content, mtime] of files) {
+    const file = path.join(dir, name);
+    await fs.writeFile(file, content);
+    if (mtime) await fs.utimes(file, mtime, mtime);
+  }
+  return dir;
+}
+
+test("FileTransactionSource: sólo lee los archivos del rango", async () => {
+  const dir = await dropDir([
+    ["transactions_2025-01-14.csv", `${HEADER}T1,SUC01,100,2025-01-14\n`],
+    ["transactions_20250115.csv", `${HEADER}T2,SUC01,"1,200",2025-01-15\n,,,\n`],
+    ["transactions_2025-01-16.csv", "no,es,csv\n\"roto"],
+    ["transactions_legacy.csv", `${HEADER}T0,SUC01,50,2024-12-01\n`, new Date("2024-12-02T00:00:00Z")],
+  ]);
+
+  try {
+    const source = new FileTransactionSource({ dropDir: dir });
+    const rows = await source.loadTransactions({ dateFrom: "2025-01-15", dateTo: "2025-01-15" });
+
+    assert.deepEqual(source.lastFiles, ["transactions_20250115.csv"]);
+    assert.deepEqual(rows.map(r => r.transaction_id), ["T2"]);
+  } finally {
+    await fs.rm(dir, { recursive: true, force: true });
+  }
+});
@@ -0,0 +1,119 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import { stubQueries, callsMatching } from "./helpers/fakeDb.js";
+
+const { headhunterAgent } = await import("../src/agents/HeadhunterAgent.js");
+const { actionBus, ActionState } = await import("../src/actions/ActionBus.js");
+
+function convocatoriaFixture() {
+  return {
+    id: "CONV-1-SUC01",
+    gap: { gapId: "GAP-SUC01-2099-01-05-afternoon", branchId: "SUC01", date: "2099-01-05", shift: "afternoon", deficit: 1 },
+    candidates: [
+      { employeeId: "E1", name: "Ana", phone: "+521", score: 90, status: "contacted", contactedAt: new Date().toISOString() },
+      { employeeId: "E2", name: "Beto", phone: "+522", score: 80, status: "queued" },
+      { employeeId: "E3", name: "Caro", phone: "+523", score: 70, status: "queued" },
+    ],
+    status: "open",
+    actionId: "ACT-FIRST",
+    waves: [{ actionId: "ACT-FIRST", trigger: "initial", employeeIds: ["E1"], state: ActionState.EXECUTED }],
+    message: "Hola {name}",
+  };
+}
+
+/**
+ * DB con una convocatoria y escalamientos que sólo se reclaman una vez
+ */
+function staffingDb(convocatoria) {
+  const escalated = new Set();
+  const db = stubQueries([
+    [/SELECT data FROM luca_staffing_convocatorias/, () => ({ rows: [{ data: convocatoria }] })],
+    [/INSERT INTO luca_staffing_escalations/, ([gapId]) => {
+      if (escalated.has(gapId)) return { rowCount: 0 };
+      escalated.add(gapId);
+      return { rowCount: 1 };
+    }],
+  ]);
+  return db;
+}
+
+let proposals;
+let nextState;
+beforeEach(() => {
+  proposals = [];
+  nextState = ActionState.PENDING_APPROVAL;
+  actionBus.propose = async (action) => {
+    proposals.push(action);
+    return { actionId: `ACT-${proposals.length}`, state: nextState };
+  };
+});
+
+test("un rechazo propone la siguiente ronda en ActionBus, no por WhatsApp directo", async () => {
+  const convocatoria = convocatoriaFixture();
+  const db = staffingDb(convocatoria);
+
+  const result = await headhunterAgent.processResponse(convocatoria.id, "+521", "no puedo");
+
+  assert.equal(result.action, "declined");
+  assert.equal(proposals.length, 1);
+  assert.equal(proposals[0].type, "CONTACT_EVENTUAL_STAFF");
+  assert.equal(proposals[0].context.cascade_trigger, "declined");
+  assert.deepEqual(proposals[0].payload.candidates, [{ phone: "+522", name: "Beto" }]);
+
+  // Pendiente de aprobación: ocupa el lugar sin reloj de respuesta
+  const beto = convocatoria.candidates.find(c => c.employeeId === "E2");
+  assert.equal(beto.status, "contacted");
+  assert.equal(beto.contactedAt, undefined);
+  assert.equal(convocatoria.waves.length, 2);
+
+  const saved = callsMatching(db.calls, /INSERT INTO luca_staffing_convocatorias/);
+  assert.equal(saved.length, 1);
+  assert.equal(JSON.parse(saved[0].params[6]).waves.length, 2);
+});
+
+test("si los límites o el aprobador rechazan la ronda se escala y no se insiste", async () => {
+  const convocatoria = convocatoriaFixture();
+  staffingDb(convocatoria);
+  nextState = ActionState.REJECTED;
+
+  await headhunterAgent.processResponse(convocatoria.id, "+521", "no");
+
+  const contactProposals = proposals.filter(p => p.type === "CONTACT_EVENTUAL_STAFF");
+  const escalations = proposals.filter(p => p.type === "NOTIFY_GERENTE");
+  assert.equal(contactProposals.length, 1);
+  assert.equal(escalations.length, 1);
+  assert.equal(convocatoria.status, "escalated");
+  assert.equal(convocatoria.candidates.find(c => c.employeeId === "E3").status, "queued");
+});
+
+test("el escalamiento al gerente sale una sola vez por gap", async () => {
+  const convocatoria = convocatoriaFixture();
+  staffingDb(convocatoria);
+
+  await headhunterAgent.escalateToManager(convocatoria.gap, { reason: "no_candidates" });
+  await headhunterAgent.escalateToManager(convocatoria.gap, { reason: "no_candidates" });
+  await headhunterAgent.escalateToManager(convocatoria.gap, { reason: "candidates_exhausted", convocatoria: convocatoriaFixture() });
+
+  assert.equal(proposals.filter(p => p.type === "NOTIFY_GERENTE").length, 1);
+});
+
+test("una ronda aprobada con números sin WhatsApp cascada por sus lugares", async () => {
+  const convocatoria = convocatoriaFixture();
+  convocatoria.candidates[0].status = "timeout";
+  convocatoria.candidates[1].status = "contacted";
+  convocatoria.waves.push({ actionId: "ACT-PENDING", trigger: "timeout", employeeIds: ["E2"], state: ActionState.PENDING_APPROVAL });
+  staffingDb(convocatoria);
+  actionBus.getAction = async () => ({
+    state: ActionState.EXECUTED,
+    metadata: { execution_result: { results: [{ phone: "+522", success: false, error: "not_on_whatsapp" }] } },
+  });
+
+  const summary = { checked: 0, timedOut: 0, cascaded: 0, escalated: 0, closed: 0 };
+  await headhunterAgent.checkConvocatoria(convocatoria, new Date(), summary);
+
+  assert.equal(convocatoria.candidates.find(c => c.employeeId === "E2").status, "unreachable");
+  assert.equal(proposals.length, 1);
+  assert.equal(proposals[0].context.cascade_trigger, "unreachable");
+  assert.deepEqual(proposals[0].payload.candidates, [{ phone: "+523", name: "Caro" }]);
+  assert.equal(summary.cascaded, 1);
+});
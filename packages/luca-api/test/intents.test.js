@@ -0,0 +1,41 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+
+const { detectIntent, SimulationIntent } = await import("../src/conversational/intents/index.js");
+
+const intentName = (message) => detectIntent(message).intent?.name || null;
+
+test("frases de qué pasaría si van al Simulator", () => {
+  assert.equal(intentName("¿Qué pasa si llueve el sábado en Angelópolis?"), "simulation");
+  assert.equal(intentName("¿Y si quitamos un cocinero?"), "simulation");
+  assert.equal(intentName("¿y si suben las ventas 20%?"), "simulation");
+  assert.equal(intentName("Compara lluvia con calor"), "simulation");
+  assert.equal(intentName("Simula un sábado con tormenta"), "simulation");
+});
+
+test("comparar ventas o pedir el resumen no es una simulación", () => {
+  assert.notEqual(intentName("Compara las ventas de Zavaleta con ayer"), "simulation");
+  assert.equal(intentName("¿y si me das el resumen?"), "status");
+  assert.notEqual(intentName("¿Qué escenario ves para la semana?"), "simulation");
+});
+
+test("extractScenario no inventa el porcentaje de precio o demanda", () => {
+  const intent = new SimulationIntent();
+
+  assert.deepEqual(intent.extractScenario("que pasa si suben las ventas"), {
+    type: "demand_change",
+    missing: "percent",
+  });
+  assert.equal(intent.extractScenario("que tal si subimos precios").missing, "percent");
+  assert.deepEqual(intent.extractScenario("que pasa si bajan las ventas 15%").params, { changePercent: -15 });
+});
+
+test("sin porcentaje se pregunta antes de simular", async () => {
+  const intent = new SimulationIntent();
+  const params = { branchId: "SUC01", date: null, previous: null, scenarios: [intent.extractScenario("que pasa si suben las ventas")] };
+
+  const response = await intent.execute("¿qué pasa si suben las ventas?", {}, params);
+
+  assert.equal(response.needsInput, true);
+  assert.equal(response.inputType, "percent");
+});
@@ -0,0 +1,147 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { stubQueries, callsMatching } from "./helpers/fakeDb.js";
+
+process.env.LUCA_2FA_ENCRYPTION_KEY = "test-key";
+
+const { actionBus, ActionState } = await import("../src/actions/ActionBus.js");
+const { actionExecutor } = await import("../src/actions/ActionExecutor.js");
+
+const ROLLBACK_PLAN = { supported: true, snapshot: { previous: "active" } };
+
+function hashCode(userId, actionId, code) {
+  return crypto.createHash("sha256").update(`${userId}:${actionId}:${code}`).digest("hex");
+}
+
+function executedAction(overrides = {}) {
+  return {
+    action_id: "ACT-1",
+    action_type: "BLOCK_POS_USER",
+    autonomy_level: "CRITICAL",
+    requires_2fa: true,
+    handler: "pos",
+    state: ActionState.EXECUTED,
+    payload: {},
+    context: {},
+    metadata: { execution_result: { rollback: ROLLBACK_PLAN } },
+    ...overrides,
+  };
+}
+
+/**
+ * DB en memoria con una sola acción; el UPDATE con "AND state" aplica el
+ * compare-and-set igual que Postgres
+ */
+function actionDb(record, { codeHash = null } = {}) {
+  return stubQueries([
+    [/SELECT \* FROM luca_action_bus/, () => ({ rows: [{ ...record }] })],
+    [/UPDATE luca_action_bus[\s\S]*AND state = \$4/, ([state, , , fromState]) => {
+      if (record.state !== fromState) return { rowCount: 0 };
+      record.state = state;
+      return { rowCount: 1 };
+    }],
+    [/UPDATE luca_action_bus/, ([state]) => {
+      record.state = state;
+      return { rowCount: 1 };
+    }],
+    [/FROM luca_2fa_attempts/, () => ({ rows: [{ count: 0 }] })],
+    [/FROM tower_user_totp/, () => ({ rows: [] })],
+    [/SELECT id, code_hash/, () => codeHash
+      ? { rows: [{ id: 1, code_hash: codeHash, attempts: 0, expires_at: new Date(Date.now() + 60_000) }] }
+      : { rows: [] }],
+    [/UPDATE luca_2fa_codes SET consumed_at/, () => ({ rowCount: 1 })],
+  ]);
+}
+
+let executorCalls;
+beforeEach(() => {
+  executorCalls = 0;
+  actionExecutor.rollback = async () => {
+    executorCalls += 1;
+    await new Promise(resolve => setImmediate(resolve));
+    return { success: true };
+  };
+});
+
+test("CRITICAL reversible: quien no es aprobador sólo deja el rollback pendiente", async () => {
+  const record = executedAction();
+  actionDb(record);
+
+  const result = await actionBus.rollback("ACT-1", "gerente_zavaleta", { reason: "error" });
+
+  assert.equal(result.state, ActionState.ROLLBACK_PENDING_APPROVAL);
+  assert.deepEqual(result.approvers, ["jorge"]);
+  assert.equal(record.state, ActionState.ROLLBACK_PENDING_APPROVAL);
+  assert.equal(executorCalls, 0);
+});
+
+test("CRITICAL reversible: el aprobador necesita 2FA aunque traiga admin key", async () => {
+  const record = executedAction();
+  actionDb(record);
+
+  const result = await actionBus.rollback("ACT-1", "jorge", { authenticatedAs: "jorge" });
+
+  assert.equal(result.requires2FA, true);
+  assert.equal(executorCalls, 0);
+});
+
+test("CRITICAL reversible: con el código de rollback del aprobador se deshace", async () => {
+  const record = executedAction();
+  const db = actionDb(record, { codeHash: hashCode("jorge", "ACT-1:ROLLBACK", "123456") });
+
+  const result = await actionBus.rollback("ACT-1", "jorge", { code: "123456", method: "whatsapp" });
+
+  assert.equal(result.state, ActionState.ROLLED_BACK);
+  assert.equal(record.state, ActionState.ROLLED_BACK);
+  assert.equal(executorCalls, 1);
+  const verification = callsMatching(db.calls, /SELECT id, code_hash/)[0];
+  assert.deepEqual(verification.params, ["jorge", "ACT-1:ROLLBACK"]);
+});
+
+test("el código de aprobación de la acción no sirve para deshacerla", async () => {
+  const record = executedAction();
+  actionDb(record, { codeHash: hashCode("jorge", "ACT-1", "123456") });
+
+  await assert.rejects(
+    actionBus.rollback("ACT-1", "jorge", { code: "123456", method: "whatsapp" }),
+    /Invalid 2FA code/
+  );
+  assert.equal(record.state, ActionState.EXECUTED);
+  assert.equal(executorCalls, 0);
+});
+
+test("no reversible: requestedBy del body no basta, la admin key sí", async () => {
+  const record = executedAction({
+    action_type: "CONTACT_EVENTUAL_STAFF",
+    autonomy_level: "APPROVAL",
+    requires_2fa: false,
+  });
+  actionDb(record);
+
+  const unverified = await actionBus.rollback("ACT-1", "andres");
+  assert.equal(unverified.requires2FA, true);
+  assert.equal(executorCalls, 0);
+
+  const verified = await actionBus.rollback("ACT-1", "andres", { authenticatedAs: "andres" });
+  assert.equal(verified.state, ActionState.ROLLED_BACK);
+  assert.equal(executorCalls, 1);
+});
+
+test("compare-and-set: dos rollbacks concurrentes no corren ambos", async () => {
+  const record = executedAction({
+    action_type: "CREATE_INTERNAL_NOTE",
+    autonomy_level: "AUTO",
+    requires_2fa: false,
+  });
+  actionDb(record);
+
+  const results = await Promise.allSettled([
+    actionBus.rollback("ACT-1", "tany"),
+    actionBus.rollback("ACT-1", "andres"),
+  ]);
+
+  assert.equal(results.filter(r => r.status === "fulfilled").length, 1);
+  assert.match(results.find(r => r.status === "rejected").reason.message, /changed state/);
+  assert.equal(executorCalls, 1);
+});
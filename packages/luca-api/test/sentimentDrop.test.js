@@ -0,0 +1,74 @@
+import { test } from "node:test";
+import assert from "node:assert/strict";
+import { stubQueries } from "./helpers/fakeDb.js";
+
+const { toFivePointScore } = await import("../src/services/cxEventService.js");
+const { sentimentDropDetector } = await import("../src/detectors/cx/SentimentDropDetector.js");
+
+/**
+ * Filas de getSentimentSamples (sentiment_score en escala KISS -1 a 1)
+ */
+function sampleRows(count, sentimentScore, branchId = "SUC01") {
+  return Array.from({ length: count }, (_, idx) => ({
+    conversation_id: `${branchId}-${sentimentScore}-${idx}`,
+    branch_id: branchId,
+    source: "kiss",
+    channel: "whatsapp",
+    date: "2099-01-01",
+    sentiment_score: String(sentimentScore),
+    comment: "",
+  }));
+}
+
+/**
+ * Primera consulta = ventana reciente, segunda = baseline
+ */
+function sentimentDb(recent, baseline) {
+  let call = 0;
+  stubQueries([
+    [/FROM luca_cx_events/, () => ({ rows: call++ === 0 ? recent : baseline })],
+  ]);
+}
+
+test("toFivePointScore: sin señal de sentimiento no es un 3", () => {
+  assert.equal(toFivePointScore(null), null);
+  assert.equal(toFivePointScore(undefined), null);
+  assert.equal(toFivePointScore("abc"), null);
+
+  assert.equal(toFivePointScore(0), 3);
+  assert.equal(toFivePointScore("-0.2"), 2.6);
+  assert.equal(toFivePointScore(-1), 1);
+  assert.equal(toFivePointScore(1), 5);
+  assert.equal(toFivePointScore(3), 5);
+});
+
+test("sin baseline no se detecta ni se compara contra un 4.0 inventado", async () => {
+  sentimentDb(sampleRows(8, -0.6), []);
+
+  const result = await sentimentDropDetector.detect({});
+
+  assert.equal(result.skipped, "insufficient_baseline");
+  assert.deepEqual(result.findings, []);
+  assert.equal(result.summary.baselineAvg, null);
+});
+
+test("una caída contra el baseline de la sucursal genera hallazgo", async () => {
+  sentimentDb(sampleRows(6, -0.3), sampleRows(20, 0.1));
+
+  const result = await sentimentDropDetector.detect({});
+  const branch = result.findings.find(f => f.dimension === "branch");
+
+  assert.ok(branch);
+  assert.equal(branch.dimensionValue, "SUC01");
+  assert.equal(branch.metrics.baselineScore, 3.2);
+  assert.equal(branch.metrics.currentScore, 2.4);
+  assert.equal(branch.severity, "MEDIUM");
+});
+
+test("mensajes neutrales puntuados no disparan el mínimo absoluto", async () => {
+  sentimentDb(sampleRows(6, 0), sampleRows(20, 0));
+
+  const result = await sentimentDropDetector.detect({});
+
+  assert.deepEqual(result.findings, []);
+});
@@ -0,0 +1,107 @@
+import { test, beforeEach } from "node:test";
+import assert from "node:assert/strict";
+import crypto from "node:crypto";
+import { stubQueries, callsMatching } from "./helpers/fakeDb.js";
+
+process.env.LUCA_2FA_ENCRYPTION_KEY = "test-key";
+process.env.LUCA_ADMIN_API_KEYS = "jorge:jorge-key,tany:tany-key";
+
+const {
+  ENROLLMENT_ACTION_ID,
+  currentTotpStep,
+  generateTotpCode,
+  startTotpEnrollment,
+  verifyTotpCode,
+} = await import("../src/services/twoFactorService.js");
+const { getAdminIdentity, requireAdminAuth } = await import("../src/routes/adminAuth.js");
+
+const USER = { user_id: "tany", name: "Tany", phone: "+5215512345678" };
+
+function hashCode(userId, actionId, code) {
+  return crypto.createHash("sha256").update(`${userId}:${actionId}:${code}`).digest("hex");
+}
+
+function enrollmentDb({ codeHash = null } = {}) {
+  return stubQueries([
+    [/FROM tower_users/, () => ({ rows: [USER] })],
+    [/FROM luca_2fa_attempts/, () => ({ rows: [{ count: 0 }] })],
+    [/SELECT id, code_hash/, () => codeHash
+      ? { rows: [{ id: 1, code_hash: codeHash, attempts: 0, expires_at: new Date(Date.now() + 60_000) }] }
+      : { rows: [] }],
+    [/UPDATE luca_2fa_codes SET consumed_at/, () => ({ rowCount: 1 })],
+  ]);
+}
+
+let db;
+beforeEach(() => {
+  db = enrollmentDb();
+});
+
+test("TOTP: acepta el código del time-step actual y no lo repite", () => {
+  const secret = "JBSWY3DPEHPK3PXP";
+  const now = Date.now();
+  const step = currentTotpStep(now);
+  const code = generateTotpCode(secret, step);
+
+  assert.equal(verifyTotpCode(secret, code, { now }), step);
+  assert.equal(verifyTotpCode(secret, code, { now, lastUsedStep: step }), null);
+  assert.equal(verifyTotpCode(secret, "000000", { now: now + 10 * 60_000 }), null);
+});
+
+test("enrolamiento sin admin ni código se rechaza y no guarda secreto", async () => {
+  await assert.rejects(startTotpEnrollment("tany"), /requires an admin or a verification code/);
+  assert.equal(callsMatching(db.calls, /INSERT INTO tower_user_totp/).length, 0);
+});
+
+test("enrolamiento con código de WhatsApp incorrecto se rechaza", async () => {
+  db = enrollmentDb({ codeHash: hashCode("tany", ENROLLMENT_ACTION_ID, "111111") });
+
+  await assert.rejects(startTotpEnrollment("tany", { code: "222222" }), /Enrollment code rejected/);
+  assert.equal(callsMatching(db.calls, /INSERT INTO tower_user_totp/).length, 0);
+});
+
+test("enrolamiento con el código enviado al teléfono del usuario genera el secreto", async () => {
+  db = enrollmentDb({ codeHash: hashCode("tany", ENROLLMENT_ACTION_ID, "123456") });
+
+  const enrollment = await startTotpEnrollment("tany", { code: "123456" });
+
+  assert.equal(enrollment.userId, "tany");
+  assert.match(enrollment.otpauthUrl, /^otpauth:\/\/totp\//);
+  assert.equal(callsMatching(db.calls, /INSERT INTO tower_user_totp/).length, 1);
+});
+
+test("un código de acción CRITICAL no sirve para enrolar", async () => {
+  db = enrollmentDb({ codeHash: hashCode("tany", "ACT-123", "123456") });
+
+  await assert.rejects(startTotpEnrollment("tany", { code: "123456" }), /Enrollment code rejected/);
+});
+
+test("admin autenticado puede iniciar el enrolamiento sin código", async () => {
+  const enrollment = await startTotpEnrollment("tany", { adminBy: "jorge" });
+
+  assert.equal(enrollment.userId, "tany");
+  const audit = callsMatching(db.calls, /INSERT INTO luca_audit_log/)[0];
+  assert.equal(audit.params[1], "jorge");
+});
+
+test("adminAuth: la identidad sale de la key, no del body", () => {
+  assert.deepEqual(getAdminIdentity({ headers: { "x-api-key": "tany-key" } }), { userId: "tany" });
+  assert.deepEqual(getAdminIdentity({ headers: { authorization: "Bearer jorge-key" } }), { userId: "jorge" });
+  assert.equal(getAdminIdentity({ headers: { "x-api-key": "nope" }, body: { resetBy: "jorge" } }), null);
+  assert.equal(getAdminIdentity({ headers: {} }), null);
+});
+
+test("requireAdminAuth responde 401 sin key válida", () => {
+  let status = null;
+  let nextCalled = false;
+  const res = { status(code) { status = code; return this; }, json() { return this; } };
+
+  requireAdminAuth({ headers: { "x-api-key": "bad" }, path: "/2fa/reset" }, res, () => { nextCalled = true; });
+  assert.equal(status, 401);
+  assert.equal(nextCalled, false);
+
+  const req = { headers: { "x-api-key": "jorge-key" } };
+  requireAdminAuth(req, res, () => { nextCalled = true; });
+  assert.equal(nextCalled, true);
+  assert.deepEqual(req.admin, { userId: "jorge" });
+});
@@ -0,0 +1,121 @@
+/**
+ * ═══════════════════════════════════════════════════════════════════════════
+ * CX EVENT FEED - Stream de eventos de experiencia de cliente
+ * ═══════════════════════════════════════════════════════════════════════════
+ *
+ * Canal entre servicios sobre un Redis stream:
+ * - KISS publica lo que extrae de cada conversación (quejas, elogios,
+ *   sentimiento) con publishCxEvent()
+ * - LUCA lo consume con un consumer group (readCxEvents + ackCxEvents)
+ *   y lo guarda en su propia base para calcular baselines
+ *
+ * Formato del evento:
+ * {
+ *   eventId, source, kind: "complaint" | "praise" | "message",
+ *   eventType, category, branchId, branchName, channel,
+ *   sentiment, sentimentScore (-1 a 1), frustrationLevel,
+ *   conversationId, messageId, summary, occurredAt
+ * }
+ *
+ * @version 1.0.0
+ */
+
+import { getRedisClient } from "../redis/index.js";
+import { logger } from "../utils/index.js";
+
+export const CX_EVENTS_STREAM = process.env.CX_EVENTS_STREAM || "tagers:cx:events";
+
+// Tope aproximado del stream (XADD MAXLEN ~)
+const CX_EVENTS_MAXLEN = parseInt(process.env.CX_EVENTS_MAXLEN || "100000", 10);
+
+export const CxEventKinds = {
+  COMPLAINT: "complaint",
+  PRAISE: "praise",
+  MESSAGE: "message",
+};
+
+/**
+ * Publica un evento en el feed
+ * @returns {string|null} ID del stream, o null si Redis no está disponible
+ */
+export async function publishCxEvent(event) {
+  const client = getRedisClient();
+  if (!client) return null;
+
+  try {
+    return await client.xadd(
+      CX_EVENTS_STREAM,
+      "MAXLEN", "~", CX_EVENTS_MAXLEN,
+      "*",
+      "payload", JSON.stringify({
+        ...event,
+        occurredAt: event.occurredAt || new Date().toISOString(),
+      })
+    );
+  } catch (err) {
+    logger.warn({ err: err?.message }, "Failed to publish CX event");
+    return null;
+  }
+}
+
+/**
+ * Crea el consumer group si no existe (desde el inicio del stream)
+ */
+async function ensureGroup(client, group) {
+  try {
+    await client.xgroup("CREATE", CX_EVENTS_STREAM, group, "0", "MKSTREAM");
+  } catch (err) {
+    if (!String(err?.message).includes("BUSYGROUP")) throw err;
+  }
+}
+
+/**
+ * Lee eventos nuevos para un consumer group
+ * (pending: true relee los entregados a este consumer y no confirmados)
+ * @returns {Array<{id: string, event: Object}>|null} null si Redis no está disponible
+ */
+export async function readCxEvents({ group, consumer, count = 500, blockMs = null, pending = false }) {
+  const client = getRedisClient();
+  if (!client) return null;
+
+  await ensureGroup(client, group);
+
+  const args = ["GROUP", group, consumer, "COUNT", count];
+  if (blockMs !== null) args.push("BLOCK", blockMs);
+  args.push("STREAMS", CX_EVENTS_STREAM, pending ? "0" : ">");
+
+  const response = await client.xreadgroup(...args);
+  if (!response) return [];
+
+  const [, entries] = response[0];
+  return entries.map(([id, fields]) => {
+    // Pendientes que ya salieron del stream por MAXLEN llegan sin campos
+    if (!fields) return { id, event: null };
+
+    const payloadIdx = fields.indexOf("payload");
+    let event = null;
+    try {
+      event = JSON.parse(fields[payloadIdx + 1]);
+    } catch {
+      logger.warn({ id }, "Malformed CX event payload");
+    }
+    return { id, event };
+  });
+}
+
+/**
+ * Confirma eventos procesados
+ */
+export async function ackCxEvents(group, ids) {
+  const client = getRedisClient();
+  if (!client || ids.length === 0) return 0;
+  return client.xack(CX_EVENTS_STREAM, group, ...ids);
+}
+
+export default {
+  CX_EVENTS_STREAM,
+  CxEventKinds,
+  publishCxEvent,
+  readCxEvents,
+  ackCxEvents,
+};
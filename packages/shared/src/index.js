@@ -9,6 +9,7 @@
  * - config: Configuración base y Google Sheets loader
  * - utils: Logger, helpers
  * - integrations: Chatwoot, WhatsApp clients
+ * - events: Feed de eventos CX (KISS → LUCA)
  * 
  * @version 1.0.0
  */
@@ -18,3 +19,4 @@ export * from './redis/index.js';
 export * from './config/index.js';
 export * from './utils/index.js';
 export * from './integrations/index.js';
+export * from './events/index.js';
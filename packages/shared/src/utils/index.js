@@ -1,6 +1,6 @@
 /**
  * ═══════════════════════════════════════════════════════════════════════════
- * UTILS MODULE - Logger y utilidades compartidas
+ * UTILS MODULE - Logger, CSV y utilidades compartidas
  * ═══════════════════════════════════════════════════════════════════════════
  * 
  * @version 1.0.0
@@ -227,10 +227,88 @@ export function nowMexicoISO() {
   }).replace(', ', 'T') + '-06:00';
 }
 
+// ═══════════════════════════════════════════════════════════════════════════
+// CSV
+// ═══════════════════════════════════════════════════════════════════════════
+
+/**
+ * Parser CSV (RFC 4180): comillas, comillas escapadas y saltos de línea
+ * dentro de campos entre comillas. Quita el BOM de los exports de Excel.
+ *
+ * @param {string} content
+ * @param {string} [delimiter=","]
+ * @returns {string[][]} Filas tal cual (celdas vacías como "")
+ */
+export function parseCsv(content, delimiter = ",") {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let inQuotes = false;
+  const text = content.charCodeAt(0) === 0xfeff ? content.slice(1) : content;
+
+  for (let i = 0; i < text.length; i++) {
+    const ch = text[i];
+
+    if (inQuotes) {
+      if (ch === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (ch === '"') {
+        inQuotes = false;
+      } else {
+        field += ch;
+      }
+      continue;
+    }
+
+    if (ch === '"') {
+      inQuotes = true;
+    } else if (ch === delimiter) {
+      row.push(field);
+      field = "";
+    } else if (ch === "\n" || ch === "\r") {
+      if (ch === "\r" && text[i + 1] === "\n") i++;
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = "";
+    } else {
+      field += ch;
+    }
+  }
+
+  if (field !== "" || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+
+  return rows;
+}
+
+/**
+ * Separador más frecuente en la primera línea (fuera de comillas):
+ * coma, punto y coma o tabulador
+ */
+export function detectCsvDelimiter(text) {
+  const counts = { ",": 0, ";": 0, "\t": 0 };
+  let inQuotes = false;
+
+  for (const ch of text) {
+    if (ch === '"') inQuotes = !inQuotes;
+    else if (!inQuotes && (ch === "\n" || ch === "\r")) break;
+    else if (!inQuotes && ch in counts) counts[ch]++;
+  }
+
+  const [best, count] = Object.entries(counts).sort((a, b) => b[1] - a[1])[0];
+  return count > 0 ? best : ",";
+}
+
 export default {
   logger,
   sleep,
   retry,
   uuid,
   nowMexicoISO,
+  parseCsv,
+  detectCsvDelimiter,
 };